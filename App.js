@@ -20,15 +20,20 @@ import ExpansionsIcon from './assets/icons/expansions.svg';
 import ToolsIcon from './assets/icons/tools.svg';
 import AboutIcon from './assets/icons/about.svg';
 import SearchIcon from './assets/icons/search.svg';
+import BookmarkIcon from './assets/icons/bookmark.svg';
+import OutlineIcon from './assets/icons/outline.svg';
 import { createStyles, createMarkdownStyles } from './src/styles';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
+import { GlossaryProvider } from './src/context/GlossaryContext';
 import { useContent } from './src/hooks/useContent';
 import { useGameAssistant } from './src/hooks/useGameAssistant';
 import { ContentScreen, MoreScreen, ToolsScreen } from './src/screens';
-import { VoiceAssistantFAB, VoiceAssistantModal } from './src/components';
+import { ExpansionPicker, OutlineDrawer, SectionNoteEditor, VoiceAssistantFAB, VoiceAssistantModal } from './src/components';
 import { useSafeAreaInsets, SafeAreaView } from 'react-native-safe-area-context';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { buildIndex } from './src/services/ragService';
+import { attachVectorSearch, loadOrBuildIndex } from './src/services/ragIndexCache';
+import { applyHouseRulesToMarkdown } from './src/services/houseRules';
+import { logError } from './src/services/errorLogger';
 
 const LEGACY_SUMMARY_KEYS = [
   '@cache_rules_summary',
@@ -152,14 +157,52 @@ function AppContent() {
     rulesEmpty,
     expansionsEmpty,
     expansionsRateLimited,
+    bundledSnapshot,
+    expansionsRetryAt,
     retryFetchContent,
+    contentSources,
+    activeSourceId,
+    selectContentSource,
+    addContentSource,
+    removeContentSource,
+    houseRules,
+    saveHouseRule,
+    removeHouseRule,
+    expansionCatalogue,
+    inactiveExpansions,
+    setExpansionActive,
+    resetActiveExpansions,
+    originalSections,
+    originalExpansionSections,
     rulesScrollViewRef,
     expansionsScrollViewRef,
     saveScrollY,
     searchInputRef,
+    searchResults,
+    openSearchResult,
+    bookmarks,
+    showBookmarks,
+    toggleBookmarksView,
+    openBookmark,
+    removeBookmark,
+    outline,
+    showOutline,
+    outlineCurrentId,
+    openOutline,
+    closeOutline,
+    selectOutlineSection,
+    sectionNotes,
+    editingNote,
+    saveEditingNote,
+    cancelEditingNote,
+    importSectionNotes,
+    openDeepLink,
+    glossary,
+    openSection,
     handleSearchQueryChange,
     toggleSearchBar,
-    renderSection,
+    renderRulesSection,
+    renderExpansionSection,
   } = useContent(styles, markdownStyles);
 
   const tabs = useMemo(() => ['rules', 'expansions', 'tools', 'more'], []);
@@ -169,16 +212,44 @@ function AppContent() {
   const [ragIndexReady, setRagIndexReady] = useState(false);
   const [ragChunkCount, setRagChunkCount] = useState(0);
   const ragIndexRef = useRef(null);
+  // One index per content source, so switching sources back and forth reuses
+  // the previous index. Across launches, ragIndexCache reuses the stored index
+  // for unchanged text instead of rebuilding it.
+  const ragIndexBySourceRef = useRef(new Map());
 
   useEffect(() => {
-    if (!content && !expansionsContent) return;
-    const index = buildIndex(content || '', expansionsContent || '');
-    index.rawRules = content || '';
-    index.rawExpansions = expansionsContent || '';
+    if (!content && !expansionsContent) {
+      ragIndexRef.current = null;
+      setRagChunkCount(0);
+      setRagIndexReady(false);
+      return;
+    }
+    const officialRules = content || '';
+    const officialExpansions = expansionsContent || '';
+    const rawRules = applyHouseRulesToMarkdown(officialRules, houseRules, 'rules');
+    const rawExpansions = applyHouseRulesToMarkdown(officialExpansions, houseRules, 'expansions');
+    let index = ragIndexBySourceRef.current.get(activeSourceId);
+    if (!index || index.rawRules !== rawRules || index.rawExpansions !== rawExpansions) {
+      index = loadOrBuildIndex(rawRules, rawExpansions);
+      index.rawRules = rawRules;
+      index.rawExpansions = rawExpansions;
+      index.hasHouseRules = rawRules !== officialRules || rawExpansions !== officialExpansions;
+      // "Official only" questions use an index of the unamended text.
+      if (index.hasHouseRules) {
+        index.official = loadOrBuildIndex(officialRules, officialExpansions);
+        index.official.rawRules = officialRules;
+        index.official.rawExpansions = officialExpansions;
+      }
+      // BM25 works straight away; vector search joins in once the chunk
+      // embeddings are loaded or computed.
+      attachVectorSearch(index);
+      if (index.official) attachVectorSearch(index.official);
+      ragIndexBySourceRef.current.set(activeSourceId, index);
+    }
     ragIndexRef.current = index;
     setRagChunkCount(index.totalChunks);
     setRagIndexReady(index.totalChunks > 0);
-  }, [content, expansionsContent]);
+  }, [content, expansionsContent, houseRules, activeSourceId]);
 
   // Keep askTheRulesRef current so the auto-continue timeout always calls
   // the latest version regardless of when the 600ms delay resolves.
@@ -225,6 +296,15 @@ function AppContent() {
     }
   }, [activeTab, tabs, tabToIndex]);
 
+  // Deep links (lnlrules://rules/…): the one that launched the app, then any while it runs.
+  useEffect(() => {
+    Linking.getInitialURL().then((url) => {
+      if (url) openDeepLink(url);
+    }).catch((err) => logError('Deep Link', err, { phase: 'getInitialURL' }));
+    const subscription = Linking.addEventListener('url', ({ url }) => openDeepLink(url));
+    return () => subscription.remove();
+  }, [openDeepLink]);
+
   const handlePageSelected = (e) => {
     const index = e.nativeEvent.position;
     if (tabs[index]) setActiveTab(tabs[index]);
@@ -243,7 +323,12 @@ function AppContent() {
           key="rules"
           sections={sections}
           searchQuery={searchQuery}
-          renderSection={renderSection}
+          searchResults={searchResults}
+          onSelectSearchResult={openSearchResult}
+          bookmarks={bookmarks}
+          onSelectBookmark={openBookmark}
+          onRemoveBookmark={removeBookmark}
+          renderSection={renderRulesSection}
           scrollViewRef={rulesScrollViewRef}
           onScroll={saveScrollY('rules')}
           styles={styles}
@@ -253,6 +338,7 @@ function AppContent() {
           isLoading={loading}
           onRetry={retryFetchContent}
           emptyStateContentLabel="rules"
+          bundledSnapshotDate={bundledSnapshot?.rules ? bundledSnapshot.date : null}
         />
       );
     }
@@ -262,7 +348,12 @@ function AppContent() {
           key="expansions"
           sections={expansionSections}
           searchQuery={searchQuery}
-          renderSection={renderSection}
+          searchResults={searchResults}
+          onSelectSearchResult={openSearchResult}
+          bookmarks={bookmarks}
+          onSelectBookmark={openBookmark}
+          onRemoveBookmark={removeBookmark}
+          renderSection={renderExpansionSection}
           scrollViewRef={expansionsScrollViewRef}
           onScroll={saveScrollY('expansions')}
           styles={styles}
@@ -271,13 +362,35 @@ function AppContent() {
           isEmptyState={expansionsEmpty}
           isLoading={loading}
           rateLimited={expansionsRateLimited}
+          retryAt={expansionsRetryAt}
           onRetry={retryFetchContent}
           emptyStateContentLabel="expansions"
+          bundledSnapshotDate={bundledSnapshot?.expansions ? bundledSnapshot.date : null}
+          afterTitle={
+            <ExpansionPicker
+              catalogue={expansionCatalogue}
+              inactiveFolders={inactiveExpansions}
+              onToggle={setExpansionActive}
+              onReset={resetActiveExpansions}
+              styles={styles}
+            />
+          }
         />
       );
     }
     if (tab === 'tools') {
-      return <ToolsScreen key="tools" styles={styles} contentHeight={contentHeight} contentPaddingTop={isIOS ? insets.top + IOS_HEADER_BAR_HEIGHT : undefined} />;
+      return (
+        <ToolsScreen
+          key="tools"
+          styles={styles}
+          contentHeight={contentHeight}
+          contentPaddingTop={isIOS ? insets.top + IOS_HEADER_BAR_HEIGHT : undefined}
+          expansionCatalogue={expansionCatalogue}
+          inactiveExpansions={inactiveExpansions}
+          glossary={glossary}
+          onOpenGlossaryEntry={(entry) => openSection(entry.tab, entry.sectionId)}
+        />
+      );
     }
     return (
       <MoreScreen
@@ -302,6 +415,18 @@ function AppContent() {
         cloudLlmStatus={cloudLlmStatus}
         geminiUsageStats={geminiUsageStats}
         onRefreshContent={retryFetchContent}
+        contentSources={contentSources}
+        activeSourceId={activeSourceId}
+        onSelectContentSource={selectContentSource}
+        onAddContentSource={addContentSource}
+        onRemoveContentSource={removeContentSource}
+        houseRules={houseRules}
+        onSaveHouseRule={saveHouseRule}
+        onRemoveHouseRule={removeHouseRule}
+        sectionNotes={sectionNotes}
+        onImportSectionNotes={importSectionNotes}
+        rulesSections={originalSections}
+        expansionSections={originalExpansionSections}
       />
     );
   };
@@ -319,7 +444,17 @@ function AppContent() {
         >
           {!showSearch ? (
             <>
+              <TouchableOpacity style={styles.searchIconContainer} onPress={openOutline} accessibilityLabel="Outline">
+                <OutlineIcon width={24} height={24} fill="#2196F3" />
+              </TouchableOpacity>
               <View style={styles.spacer} />
+              <TouchableOpacity
+                style={[styles.searchIconContainer, styles.bookmarksIconContainer, showBookmarks && styles.activeHeaderIcon]}
+                onPress={toggleBookmarksView}
+                accessibilityLabel={showBookmarks ? 'Close bookmarks' : 'Bookmarks'}
+              >
+                <BookmarkIcon width={24} height={24} color="#2196F3" />
+              </TouchableOpacity>
               <TouchableOpacity style={styles.searchIconContainer} onPress={toggleSearchBar}>
                 <SearchIcon width={24} height={24} fill="#2196F3" />
               </TouchableOpacity>
@@ -329,7 +464,7 @@ function AppContent() {
               <TextInput
                 ref={searchInputRef}
                 style={[styles.searchInput, bodyFontStyle]}
-                placeholder={activeTab === 'rules' ? 'Search rules...' : activeTab === 'expansions' ? 'Search expansions...' : 'Search...'}
+                placeholder="Search rules & expansions..."
                 placeholderTextColor="#888"
                 value={searchQuery}
                 onChangeText={handleSearchQueryChange}
@@ -433,9 +568,26 @@ function AppContent() {
         backgroundColor={isIOS ? 'transparent' : '#121212'}
         translucent={isIOS || undefined}
       />
-      <View style={{ flex: 1 }}>
-        {mainContent}
-      </View>
+      <GlossaryProvider glossary={glossary} onOpenSection={openSection} styles={styles}>
+        <View style={{ flex: 1 }}>
+          {mainContent}
+        </View>
+      </GlossaryProvider>
+      <OutlineDrawer
+        visible={showOutline}
+        title={activeTab === 'expansions' ? 'Expansions' : 'Rules'}
+        outline={outline}
+        currentId={outlineCurrentId}
+        onSelect={selectOutlineSection}
+        onClose={closeOutline}
+        styles={styles}
+      />
+      <SectionNoteEditor
+        target={editingNote}
+        onSave={saveEditingNote}
+        onClose={cancelEditingNote}
+        styles={styles}
+      />
 
       {((aiSupported && ragIndexReady) || cloudLlmStatus.reachable === true) && (
         <View
@@ -0,0 +1,51 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  createBookmark,
+  loadBookmarks,
+  resolveBookmarks,
+  saveBookmarks,
+  toggleBookmark,
+} from '../src/services/bookmarks';
+
+const rules = () => [
+  { id: 'lords-lads', title: 'Lords & Lads', isTitle: true, subsections: [] },
+  {
+    id: 'iv-taking-a-turn',
+    title: 'IV - Taking a Turn',
+    subsections: [{ id: 'iv-a-flip', title: 'IV.A - Flip', subsections: [] }],
+  },
+];
+
+describe('bookmarks', () => {
+  it('toggles a section by tab and id', () => {
+    const flip = createBookmark('rules', { id: 'iv-a-flip', title: 'IV.A - Flip' });
+    const once = toggleBookmark([], flip);
+    expect(once).toHaveLength(1);
+    expect(toggleBookmark(once, { ...flip, title: 'Renamed' })).toEqual([]);
+    expect(toggleBookmark(once, { ...flip, tab: 'expansions' })).toHaveLength(2);
+  });
+
+  it('finds bookmarks in a re-synced tree and flags ones whose section is gone', () => {
+    const bookmarks = [
+      createBookmark('rules', { id: 'iv-a-flip', title: 'IV.A - Flip' }),
+      createBookmark('rules', { id: 'v-winning', title: 'V - Winning' }, ['Endgame']),
+      createBookmark('expansions', { id: 'beer-pong', title: 'Beer Pong' }),
+    ];
+    const [flip, winning, beerPong] = resolveBookmarks(bookmarks, { rules: rules(), expansions: [] });
+    expect(flip).toMatchObject({ missing: false, breadcrumb: ['IV - Taking a Turn'] });
+    expect(winning).toMatchObject({ missing: true, breadcrumb: ['Endgame'] });
+    // Expansions not loaded yet: nothing to compare against.
+    expect(beerPong.missing).toBe(false);
+  });
+
+  it('stores bookmarks per content source', async () => {
+    const flip = createBookmark('rules', { id: 'iv-a-flip', title: 'IV.A - Flip' });
+    await saveBookmarks('official', [flip]);
+    await saveBookmarks('fork', []);
+    expect(await loadBookmarks('official')).toEqual([flip]);
+    expect(await loadBookmarks('fork')).toEqual([]);
+  });
+});
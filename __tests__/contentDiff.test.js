@@ -0,0 +1,59 @@
+import { diffSectionTrees, diffWords, flattenSections } from '../src/services/contentDiff';
+
+const tree = (flipText, extra = []) => [
+  { title: 'Lords & Lads', level: 1, isTitle: true, content: 'A game.' },
+  {
+    title: 'IV - Taking a Turn',
+    level: 1,
+    content: '',
+    subsections: [
+      { title: 'IV.A - Flip', level: 2, content: flipText, subsections: [] },
+      ...extra,
+    ],
+  },
+];
+
+describe('flattenSections', () => {
+  it('keys sections by their heading path', () => {
+    const keys = flattenSections(tree('Flip the hammer.')).map((s) => s.key);
+    expect(keys).toEqual(['Lords & Lads', 'IV - Taking a Turn', 'IV - Taking a Turn > IV.A - Flip']);
+  });
+});
+
+describe('diffWords', () => {
+  it('marks inserted and deleted words and keeps the rest', () => {
+    const parts = diffWords('Flip the hammer once.', 'Flip the hammer twice.');
+    expect(parts).toEqual([
+      { type: 'same', text: 'Flip the hammer ' },
+      { type: 'removed', text: 'once.' },
+      { type: 'added', text: 'twice.' },
+    ]);
+  });
+
+  it('reproduces both texts from its parts', () => {
+    const before = 'Strike the nail.\nDrink if you miss.';
+    const after = 'Strike the golden nail.\nDrink twice if you miss.';
+    const parts = diffWords(before, after);
+    expect(parts.filter((p) => p.type !== 'added').map((p) => p.text).join('')).toBe(before);
+    expect(parts.filter((p) => p.type !== 'removed').map((p) => p.text).join('')).toBe(after);
+  });
+});
+
+describe('diffSectionTrees', () => {
+  it('reports no changes for identical trees', () => {
+    const result = diffSectionTrees(tree('Flip.'), tree('Flip.'));
+    expect(result.hasChanges).toBe(false);
+  });
+
+  it('detects added, removed and modified sections', () => {
+    const before = tree('Flip the hammer.', [{ title: 'IV.B - Strike', level: 2, content: 'Strike.' }]);
+    const after = tree('Flip the hammer twice.', [{ title: 'IV.C - Drink', level: 2, content: 'Drink.' }]);
+    const result = diffSectionTrees(before, after);
+
+    expect(result.added.map((s) => s.title)).toEqual(['IV.C - Drink']);
+    expect(result.removed.map((s) => s.title)).toEqual(['IV.B - Strike']);
+    expect(result.modified.map((s) => s.title)).toEqual(['IV.A - Flip']);
+    expect(result.modified[0].breadcrumb).toEqual(['IV - Taking a Turn']);
+    expect(result.modified[0].changes).toContainEqual({ type: 'added', text: 'hammer twice.' });
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+// In-memory stand-in for the SQLite content store (op-sqlite needs the native module).
+jest.mock('../src/services/contentStore', () => {
+  const state = { documents: new Map(), meta: new Map(), validators: {}, syncs: [] };
+  return {
+    __state: state,
+    DOCUMENT_KINDS: { RULES: 'rules', EXPANSIONS: 'expansions' },
+    META_KEYS: {
+      LAST_FETCH_DATE: 'last_fetch_date',
+      RULES_LAST_SYNCED: 'rules_last_synced',
+      EXPANSIONS_LAST_SYNCED: 'expansions_last_synced',
+      RULES_CHANGED_AT: 'rules_changed_at',
+      EXPANSIONS_CHANGED_AT: 'expansions_changed_at',
+    },
+    getDocuments: async (sourceId, kind, revision = 'current') => state.documents.get(`${sourceId}|${kind}|${revision}`) || [],
+    replaceDocuments: async (sourceId, kind, documents) => {
+      state.documents.set(`${sourceId}|${kind}|current`, documents);
+      return { changed: true };
+    },
+    deleteDocuments: async () => {},
+    getMeta: async (sourceId, keys) => Object.fromEntries(keys.map((k) => [k, state.meta.get(`${sourceId}|${k}`) ?? null])),
+    setMeta: async (sourceId, key, value) => state.meta.set(`${sourceId}|${key}`, value),
+    loadHttpValidators: async () => ({ ...state.validators }),
+    saveHttpValidators: async (validators) => {
+      state.validators = { ...validators };
+    },
+    recordSync: async (sourceId, kind, outcome) => state.syncs.push({ sourceId, kind, outcome }),
+  };
+});
+
+const { DEFAULT_CONTENT_SOURCE } = require('../src/constants');
+const { buildSourceUrls } = require('../src/services/contentSources');
+const { fetchExpansions, fetchRules } = require('../src/services/contentService');
+const { logError, logEvent } = require('../src/services/errorLogger');
+const store = require('../src/services/contentStore');
+
+const { contentUrl: CONTENT_URL, expansionsUrl: EXPANSIONS_URL, expansionsBaseUrl: EXPANSIONS_BASE_URL, githubApiUrl: LISTING_URL } =
+  buildSourceUrls(DEFAULT_CONTENT_SOURCE);
+const RULES = '# Lords & Lads\nIntro\n## I - Setup\nPlace the stump.\n## II - Roles\nPick a lord.\n## III - Turns\nFlip a card.';
+
+function mockResponse(status, body = '', headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    text: () => Promise.resolve(body),
+    json: () => Promise.resolve(JSON.parse(body)),
+    headers: { get: (name) => lower[name.toLowerCase()] ?? null },
+  };
+}
+
+describe('fetchRules conditional requests', () => {
+  beforeEach(() => {
+    store.__state.documents.clear();
+    store.__state.syncs.length = 0;
+    jest.clearAllMocks();
+    global.fetch = jest.fn();
+  });
+
+  it('stores the ETag from a 200 and sends it on the next request', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(200, RULES, { ETag: '"abc"' }));
+    const first = await fetchRules();
+    expect(first.success).toBe(true);
+    expect(first.rulesText).toBe(RULES);
+    expect(global.fetch.mock.calls[0][1].headers['If-None-Match']).toBeUndefined();
+
+    global.fetch.mockResolvedValueOnce(mockResponse(304));
+    const second = await fetchRules();
+    expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"abc"');
+    expect(second).toEqual({ success: true, notModified: true });
+    expect(await store.getDocuments(DEFAULT_CONTENT_SOURCE.id, 'rules')).toEqual([{ name: '', body: RULES }]);
+    expect(logEvent).toHaveBeenCalledWith('fetchRules', expect.stringContaining('304'), expect.objectContaining({ url: CONTENT_URL }));
+    expect(store.__state.syncs.map((s) => s.outcome)).toEqual(['updated', 'not_modified']);
+  });
+
+  it('treats an unchanged 200 body as not modified', async () => {
+    await store.replaceDocuments(DEFAULT_CONTENT_SOURCE.id, 'rules', [{ name: '', body: RULES }]);
+    global.fetch.mockResolvedValueOnce(mockResponse(200, RULES));
+    const result = await fetchRules();
+    expect(result).toEqual({ success: true, notModified: true });
+  });
+
+  it('records a failed sync', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(500));
+    const result = await fetchRules();
+    expect(result).toEqual({ success: false });
+    expect(store.__state.syncs).toEqual([{ sourceId: DEFAULT_CONTENT_SOURCE.id, kind: 'rules', outcome: 'failed' }]);
+  });
+});
+
+describe('fetchRules validation', () => {
+  beforeEach(async () => {
+    store.__state.documents.clear();
+    store.__state.syncs.length = 0;
+    jest.clearAllMocks();
+    global.fetch = jest.fn();
+    await store.replaceDocuments(DEFAULT_CONTENT_SOURCE.id, 'rules', [{ name: '', body: RULES }]);
+  });
+
+  it('keeps the cached rules when a captive portal answers with HTML', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(200, '<!DOCTYPE html><html><body>Sign in to Wi-Fi</body></html>'));
+    const result = await fetchRules();
+    expect(result).toEqual({ success: false, rejected: true });
+    expect(await store.getDocuments(DEFAULT_CONTENT_SOURCE.id, 'rules')).toEqual([{ name: '', body: RULES }]);
+    expect(logError).toHaveBeenCalledWith('fetchRules', expect.stringContaining('HTML'), expect.objectContaining({ url: CONTENT_URL }));
+    expect(store.__state.syncs.map((s) => s.outcome)).toEqual(['rejected']);
+  });
+
+  it('rejects a truncated body', async () => {
+    global.fetch.mockResolvedValueOnce(mockResponse(200, RULES.slice(0, 40)));
+    expect(await fetchRules()).toEqual({ success: false, rejected: true });
+    expect(await store.getDocuments(DEFAULT_CONTENT_SOURCE.id, 'rules')).toEqual([{ name: '', body: RULES }]);
+  });
+});
+
+describe('fetchExpansions validation', () => {
+  const BEER_URL = `${EXPANSIONS_BASE_URL}/beer/README.md`;
+  const BODIES = {
+    [LISTING_URL]: JSON.stringify([{ type: 'dir', name: 'beer' }]),
+    [EXPANSIONS_URL]: '# Expansions\n\n* [Beer](beer)',
+    [BEER_URL]: '# Beer Lords\nEvery lord holds a drink.\n## Sipping\nSip on a miss.',
+  };
+  const respondWith = (statusFor) => {
+    global.fetch.mockImplementation(async (url) => {
+      const status = statusFor(url);
+      if (status === 304) return mockResponse(304);
+      const body = status === 'html' ? '<!DOCTYPE html><html><body>Sign in</body></html>' : BODIES[url];
+      return mockResponse(200, body, { ETag: `"${url.length}"` });
+    });
+  };
+  const sentEtag = (url) => global.fetch.mock.calls.filter(([u]) => u === url).pop()[1].headers['If-None-Match'];
+
+  beforeEach(() => {
+    store.__state.documents.clear();
+    jest.clearAllMocks();
+    global.fetch = jest.fn();
+  });
+
+  it('only forgets the validators of the documents it downloaded', async () => {
+    respondWith(() => 200);
+    expect((await fetchExpansions()).success).toBe(true);
+
+    respondWith((url) => (url === BEER_URL ? 'html' : 304));
+    expect(await fetchExpansions()).toEqual({ success: false, rejected: true });
+
+    respondWith(() => 304);
+    await fetchExpansions();
+    expect(sentEtag(LISTING_URL)).toBe(`"${LISTING_URL.length}"`);
+    expect(sentEtag(EXPANSIONS_URL)).toBe(`"${EXPANSIONS_URL.length}"`);
+    expect(sentEtag(BEER_URL)).toBeUndefined();
+  });
+});
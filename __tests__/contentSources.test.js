@@ -0,0 +1,64 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  buildSourceUrls,
+  createContentSource,
+  extractExpansionFolders,
+  getSourceCacheKeys,
+} from '../src/services/contentSources';
+import { CACHE_KEYS, DEFAULT_CONTENT_SOURCE } from '../src/constants';
+
+describe('buildSourceUrls', () => {
+  it('resolves the default source to the official repo', () => {
+    const urls = buildSourceUrls(DEFAULT_CONTENT_SOURCE);
+    expect(urls.contentUrl).toBe('https://raw.githubusercontent.com/seanKenkeremath/lords-and-lads/master/README.md');
+    expect(urls.githubApiUrl).toBe('https://api.github.com/repos/seanKenkeremath/lords-and-lads/contents/expansions?ref=master');
+    expect(urls.repoUrl).toBe('https://github.com/seanKenkeremath/lords-and-lads');
+  });
+
+  it('includes branch and sub-folder for forks', () => {
+    const urls = buildSourceUrls({ owner: 'crew', repo: 'lnl', branch: 'house', path: '/rules/' });
+    expect(urls.expansionsBaseUrl).toBe('https://raw.githubusercontent.com/crew/lnl/house/rules/expansions');
+    expect(urls.githubApiUrl).toBe('https://api.github.com/repos/crew/lnl/contents/rules/expansions?ref=house');
+    expect(urls.repoUrl).toBe('https://github.com/crew/lnl/tree/house/rules');
+  });
+
+  it('has no listing URL for raw sources', () => {
+    const urls = buildSourceUrls({ rawBaseUrl: 'https://example.com/lnl/' });
+    expect(urls.contentUrl).toBe('https://example.com/lnl/README.md');
+    expect(urls.githubApiUrl).toBeNull();
+  });
+});
+
+describe('getSourceCacheKeys', () => {
+  it('keeps the original keys for the default source', () => {
+    expect(getSourceCacheKeys(DEFAULT_CONTENT_SOURCE.id)).toBe(CACHE_KEYS);
+  });
+
+  it('namespaces every key except the shared validators', () => {
+    const keys = getSourceCacheKeys('gh:crew/lnl@house');
+    expect(keys.RULES_MARKDOWN).toBe(`${CACHE_KEYS.RULES_MARKDOWN}:gh:crew/lnl@house`);
+    expect(keys.HTTP_VALIDATORS).toBe(CACHE_KEYS.HTTP_VALIDATORS);
+  });
+});
+
+describe('createContentSource', () => {
+  it('defaults the branch and derives id and label', () => {
+    const { source } = createContentSource({ owner: 'crew', repo: 'lnl' });
+    expect(source).toMatchObject({ id: 'gh:crew/lnl@master', label: 'crew/lnl@master', branch: 'master' });
+  });
+
+  it('rejects incomplete or non-https input', () => {
+    expect(createContentSource({ owner: 'crew' }).error).toBeTruthy();
+    expect(createContentSource({ rawBaseUrl: 'http://example.com' }).error).toBeTruthy();
+  });
+});
+
+describe('extractExpansionFolders', () => {
+  it('reads folder links from the expansions README', () => {
+    const readme = '- [Golden Nail](./golden-nail/)\n- [Beer Run](beer-run/README.md)\n- [Back](../)';
+    expect(extractExpansionFolders(readme)).toEqual(['golden-nail', 'beer-run']);
+  });
+});
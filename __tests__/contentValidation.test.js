@@ -0,0 +1,40 @@
+import {
+  looksLikeHtml,
+  validateRulesMarkdown,
+  validateExpansionDocuments,
+} from '../src/services/contentValidation';
+
+const RULES = '# Lords & Lads\nIntro\n## I - Setup\nPlace the stump.\n## II - Roles\n### II.A - Lords\nPick a lord.';
+
+describe('validateRulesMarkdown', () => {
+  it('accepts a rulebook with a title and enough sections', () => {
+    expect(validateRulesMarkdown(RULES)).toEqual({ valid: true });
+    expect(validateRulesMarkdown(`${RULES}\nMore.`, RULES)).toEqual({ valid: true });
+  });
+
+  it('rejects HTML, a missing title, too few sections and a truncated copy', () => {
+    expect(looksLikeHtml('<html>\n<head><title>Login</title></head></html>')).toBe(true);
+    expect(looksLikeHtml('Use <br> to break a line.')).toBe(false);
+    expect(validateRulesMarkdown('<!doctype html><p>Login</p>').reason).toMatch(/HTML/);
+    expect(validateRulesMarkdown('## I - Setup\n## II\n## III\n## IV').reason).toBe('missing title heading');
+    expect(validateRulesMarkdown('# Lords & Lads\n## I - Setup').reason).toMatch(/only 1 sections/);
+    expect(validateRulesMarkdown(RULES, RULES.repeat(3)).reason).toMatch(/truncated/);
+    expect(validateRulesMarkdown('  ').reason).toBe('empty body');
+  });
+});
+
+describe('validateExpansionDocuments', () => {
+  const DOCUMENTS = [
+    { name: '', body: '# Expansions\n* [Beer](beer)' },
+    { name: 'beer', body: '# Beer Lords\nDrink.' },
+  ];
+
+  it('rejects the whole set when one README is bad', () => {
+    expect(validateExpansionDocuments(DOCUMENTS)).toEqual({ valid: true });
+    const broken = [DOCUMENTS[0], { name: 'beer', body: '<html><body>502</body></html>' }];
+    expect(validateExpansionDocuments(broken).reason).toBe('expansion "beer": HTML page instead of markdown');
+    expect(validateExpansionDocuments(DOCUMENTS.slice(1)).reason).toBe('missing expansions index');
+    expect(validateExpansionDocuments([{ name: '', body: '# Expansions\nThis content unavailable.' }]).reason)
+      .toBe('expansions index: placeholder text');
+  });
+});
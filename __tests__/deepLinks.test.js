@@ -0,0 +1,51 @@
+import { buildSectionLink, parseDeepLink, resolveDeepLink } from '../src/services/deepLinks';
+
+const rules = [
+  { id: 'lords--lads', title: 'Lords & Lads', isTitle: true, subsections: [] },
+  {
+    id: 'iv---taking-a-turn',
+    title: 'IV - Taking a Turn',
+    subsections: [{ id: 'iva---flip', title: 'IV.A - Flip', subsections: [] }],
+  },
+];
+
+const expansionCatalogue = [
+  {
+    folder: 'Beer-Pong',
+    name: 'Beer Pong',
+    sections: [
+      {
+        id: 'Beer-Pong/beer-pong',
+        anchor: 'beer-pong',
+        title: 'Beer Pong',
+        subsections: [{ id: 'Beer-Pong/setup-1', anchor: 'setup-1', title: 'Setup', subsections: [] }],
+      },
+    ],
+  },
+];
+
+describe('deep links', () => {
+  it('parses custom-scheme and universal-link URLs', () => {
+    expect(parseDeepLink('lnlrules://rules/IV.A-Flip')).toEqual({ tab: 'rules', expansion: null, section: 'IV.A-Flip' });
+    expect(parseDeepLink('lnlrules://expansions/Beer-Pong/Setup')).toEqual({ tab: 'expansions', expansion: 'Beer-Pong', section: 'Setup' });
+    expect(parseDeepLink('https://example.com/app/rules/iva---flip')).toMatchObject({ tab: 'rules', section: 'iva---flip' });
+    expect(parseDeepLink('https://example.com/about')).toBeNull();
+    expect(parseDeepLink('mailto:someone@example.com')).toBeNull();
+  });
+
+  it('resolves sections by title spelling or id, and reports misses', () => {
+    const content = { rules, expansionCatalogue };
+    expect(resolveDeepLink(parseDeepLink('lnlrules://rules/IV.A-Flip'), content)).toEqual({ tab: 'rules', id: 'iva---flip' });
+    expect(resolveDeepLink(parseDeepLink('lnlrules://expansions/beer pong/Setup'), content))
+      .toEqual({ tab: 'expansions', id: 'Beer-Pong/setup-1', folder: 'Beer-Pong' });
+    expect(resolveDeepLink(parseDeepLink('lnlrules://expansions/Beer-Pong/setup-1'), content).id).toBe('Beer-Pong/setup-1');
+    expect(resolveDeepLink(parseDeepLink('lnlrules://rules/Nope'), content).error).toMatch(/Nope/);
+  });
+
+  it('builds links that resolve back to the same section', () => {
+    const link = buildSectionLink('expansions', 'Beer-Pong/setup-1', expansionCatalogue);
+    expect(link).toBe('lnlrules://expansions/Beer-Pong/setup-1');
+    expect(resolveDeepLink(parseDeepLink(link), { rules, expansionCatalogue }).id).toBe('Beer-Pong/setup-1');
+    expect(buildSectionLink('rules', 'iva---flip')).toBe('lnlrules://rules/iva---flip');
+  });
+});
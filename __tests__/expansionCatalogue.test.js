@@ -0,0 +1,57 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/contentStore', () => ({}));
+
+import {
+  buildExpansionCatalogue,
+  isExpansionInPlay,
+  loadInactiveExpansions,
+  saveInactiveExpansions,
+} from '../src/services/expansionCatalogue';
+import { buildExpansionSections } from '../src/services/contentService';
+
+const DOCUMENTS = [
+  { name: '', body: '# Expansions\n\n* [Beer](beer)\n* [Uprising](uprising)' },
+  { name: 'beer', body: '# Beer Lords\n![beer](beer.png)\n\nEvery lord holds a **drink**.\n\n## Sipping\nSip on a miss.' },
+  { name: 'uprising', body: '# Uprising\nPeasants revolt.\n## Revolt\nFlip the stump.' },
+];
+
+describe('buildExpansionCatalogue', () => {
+  it('lists each expansion folder with its name, description and sections', () => {
+    const catalogue = buildExpansionCatalogue(DOCUMENTS);
+    expect(catalogue.map(({ folder, name, description }) => ({ folder, name, description }))).toEqual([
+      { folder: 'beer', name: 'Beer Lords', description: 'Every lord holds a drink.' },
+      { folder: 'uprising', name: 'Uprising', description: 'Peasants revolt.' },
+    ]);
+    expect(catalogue[1].sections[0].subsections[0].title).toBe('Revolt');
+  });
+
+  it('only hides an expansion-specific tool when that expansion is switched off', () => {
+    const catalogue = buildExpansionCatalogue(DOCUMENTS);
+    expect(isExpansionInPlay(catalogue, [], 'uprising')).toBe(true);
+    expect(isExpansionInPlay(catalogue, ['uprising'], 'uprising')).toBe(false);
+    expect(isExpansionInPlay(catalogue, ['uprising'], 'giants')).toBe(true);
+  });
+});
+
+describe('buildExpansionSections with expansions switched off', () => {
+  it('leaves them out of the tab and the RAG text but keeps them in the catalogue', () => {
+    const { sections, mainContent, catalogue } = buildExpansionSections(DOCUMENTS, { inactiveFolders: ['uprising'] });
+    expect(sections.map((s) => s.title)).toEqual(['Expansions', 'Beer Lords']);
+    expect(mainContent).toContain('Sip on a miss.');
+    expect(mainContent).not.toContain('Peasants revolt.');
+    expect(catalogue).toHaveLength(2);
+  });
+});
+
+describe('inactive expansion persistence', () => {
+  it('keeps a separate selection per content source', async () => {
+    await saveInactiveExpansions('official', ['uprising']);
+    await saveInactiveExpansions('fork', ['beer']);
+    expect(await loadInactiveExpansions('official')).toEqual(['uprising']);
+    await saveInactiveExpansions('official', []);
+    expect(await loadInactiveExpansions('official')).toEqual([]);
+    expect(await loadInactiveExpansions('fork')).toEqual(['beer']);
+  });
+});
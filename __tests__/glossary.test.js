@@ -0,0 +1,61 @@
+import { extractGlossary, glossaryKey, linkGlossaryTerms } from '../src/services/glossary';
+
+const rules = [
+  {
+    id: 'ii---setup',
+    title: 'II - Setup',
+    content: 'The Lord is the player who strikes first each round.\n\n- **Sparks**: tokens earned for a clean strike.',
+    subsections: [
+      {
+        id: 'iia---the-nail',
+        title: 'II.A - The Nail',
+        content: 'One nail is set apart from the rest, called the Golden Nail.',
+        subsections: [],
+      },
+    ],
+  },
+  {
+    id: 'iv---taking-a-turn',
+    title: 'IV - Taking a Turn',
+    content: 'The Lord strikes. A lord of the manor is not a Lord. See [the Lord](#ii---setup) and `Sparks`. Sparks are spent later.',
+    subsections: [],
+  },
+];
+
+describe('glossary', () => {
+  it('extracts bold, "is" and "called" definitions with their section', () => {
+    const glossary = extractGlossary({ rules });
+    expect(glossary.map((e) => e.term)).toEqual(['Golden Nail', 'Lord', 'Sparks']);
+    expect(glossary.find((e) => e.term === 'Sparks')).toMatchObject({
+      key: 'spark',
+      definition: 'tokens earned for a clean strike.',
+      tab: 'rules',
+      sectionId: 'ii---setup',
+    });
+    expect(glossary.find((e) => e.term === 'Golden Nail').sectionId).toBe('iia---the-nail');
+  });
+
+  it('prefers a bold definition over an earlier "is" sentence', () => {
+    const glossary = extractGlossary({
+      rules: [{ id: 'a', title: 'A', content: 'The Hammer is the tool you strike with.' }],
+      expansions: [{ id: 'b', title: 'B', content: '**Hammer**: the shared striking tool.' }],
+    });
+    expect(glossary).toHaveLength(1);
+    expect(glossary[0]).toMatchObject({ tab: 'expansions', definition: 'the shared striking tool.' });
+  });
+
+  it('links the first capitalised mention outside links and code', () => {
+    const glossary = extractGlossary({ rules });
+    const linked = linkGlossaryTerms(rules[1].content, glossary, { excludeSectionId: 'iv---taking-a-turn' });
+    expect(linked).toBe(
+      'The [Lord](glossary:lord) strikes. A lord of the manor is not a Lord. See [the Lord](#ii---setup) and `Sparks`. [Sparks](glossary:spark) are spent later.',
+    );
+  });
+
+  it('leaves terms alone in the section that defines them', () => {
+    const glossary = extractGlossary({ rules });
+    const linked = linkGlossaryTerms(rules[0].content, glossary, { excludeSectionId: 'ii---setup' });
+    expect(linked).toBe(rules[0].content);
+    expect(glossaryKey('Lords')).toBe('lord');
+  });
+});
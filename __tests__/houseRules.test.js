@@ -0,0 +1,103 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  applyHouseRules,
+  applyHouseRulesToMarkdown,
+  createHouseRule,
+  isHouseRuleApplicable,
+} from '../src/services/houseRules';
+
+const RULES_MD = [
+  '# Lords & Lads',
+  'A game.',
+  '# IV - Taking a Turn',
+  '## IV.A - Flip',
+  'Flip the hammer once.',
+  '## IV.B - Strike',
+  'Strike the nail.',
+  '# V - Winning',
+  'Sink your nail.',
+].join('\n');
+
+const tree = () => [
+  { title: 'Lords & Lads', level: 1, isTitle: true, content: 'A game.' },
+  {
+    title: 'IV - Taking a Turn',
+    level: 1,
+    content: '',
+    subsections: [
+      { title: 'IV.A - Flip', level: 2, content: 'Flip the hammer once.', subsections: [] },
+      { title: 'IV.B - Strike', level: 2, content: 'Strike the nail.', subsections: [] },
+    ],
+  },
+];
+
+const rule = (fields) => createHouseRule({ id: 'hr_1', ...fields }).rule;
+
+describe('createHouseRule', () => {
+  it('requires a target for replace/append and a title for add', () => {
+    expect(createHouseRule({ mode: 'append', content: 'x' }).error).toBeTruthy();
+    expect(createHouseRule({ mode: 'add', content: 'x' }).error).toBeTruthy();
+    expect(createHouseRule({ mode: 'add', title: 'Beer', content: 'x' }).rule.document).toBe('rules');
+  });
+});
+
+describe('applyHouseRules', () => {
+  it('replaces and appends by title and marks the section', () => {
+    const merged = applyHouseRules(tree(), [
+      rule({ mode: 'replace', targetTitle: 'IV.A - Flip', content: 'Flip twice.' }),
+      { ...rule({ mode: 'append', targetTitle: 'iv.b strike', content: 'Drink on a miss.' }), id: 'hr_2' },
+    ]);
+    const [flip, strike] = merged[1].subsections;
+    expect(flip).toMatchObject({ content: 'Flip twice.', isHouseRule: true, houseRuleMode: 'replace', officialContent: 'Flip the hammer once.' });
+    expect(strike.content).toBe('Strike the nail.\n\nDrink on a miss.');
+    expect(tree()[1].subsections[0].content).toBe('Flip the hammer once.');
+  });
+
+  it('adds a section under its parent, one level deeper', () => {
+    const merged = applyHouseRules(tree(), [rule({ mode: 'add', targetTitle: 'IV - Taking a Turn', title: 'IV.C - Cheers', content: 'Toast.' })]);
+    expect(merged[1].subsections[2]).toMatchObject({ title: 'IV.C - Cheers', level: 2, isHouseRule: true });
+  });
+
+  it('skips rules for the other document or a missing section', () => {
+    const missing = rule({ mode: 'append', targetTitle: 'Nope', content: 'x' });
+    expect(applyHouseRules(tree(), [missing])).toEqual(tree());
+    expect(isHouseRuleApplicable(tree(), missing)).toBe(false);
+    expect(applyHouseRules(tree(), [{ ...missing, document: 'expansions' }])).toEqual(tree());
+  });
+});
+
+describe('applyHouseRulesToMarkdown', () => {
+  it('replaces only the section body and keeps following headings', () => {
+    const md = applyHouseRulesToMarkdown(RULES_MD, [rule({ mode: 'replace', targetTitle: 'IV.A - Flip', content: 'Flip twice.' })]);
+    expect(md).not.toContain('Flip the hammer once.');
+    expect(md).toContain('## IV.A - Flip\n\n**House rule (replaces the official text):** Flip twice.\n\n## IV.B - Strike');
+  });
+
+  it('adds a new section at the end of its parent block', () => {
+    const md = applyHouseRulesToMarkdown(RULES_MD, [rule({ mode: 'add', targetTitle: 'IV - Taking a Turn', title: 'IV.C - Cheers', content: 'Toast.' })]);
+    expect(md.indexOf('## IV.C - Cheers')).toBeGreaterThan(md.indexOf('Strike the nail.'));
+    expect(md.indexOf('## IV.C - Cheers')).toBeLessThan(md.indexOf('# V - Winning'));
+  });
+
+  it('finds setext headings and skips # lines in fenced code', () => {
+    const source = [
+      'Scoring',
+      '=======',
+      'Sink your nail.',
+      '```',
+      '# Scoring',
+      '```',
+      '# Winning',
+      'Last nail up.',
+    ].join('\n');
+    const md = applyHouseRulesToMarkdown(source, [rule({ mode: 'replace', targetTitle: 'Scoring', content: 'Sink two nails.' })]);
+    expect(md).toBe(['Scoring', '=======', '', '**House rule (replaces the official text):** Sink two nails.', '', '# Winning', 'Last nail up.'].join('\n'));
+  });
+
+  it('returns the text unchanged without applicable rules', () => {
+    expect(applyHouseRulesToMarkdown(RULES_MD, [])).toBe(RULES_MD);
+  });
+});
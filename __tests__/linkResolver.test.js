@@ -0,0 +1,81 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import { documentForSection, resolveContentLink } from '../src/services/linkResolver';
+import { buildExpansionCatalogue } from '../src/services/expansionCatalogue';
+
+const rules = [
+  { id: 'lords--lads', title: 'Lords & Lads', isTitle: true, subsections: [] },
+  {
+    id: 'iv---taking-a-turn',
+    title: 'IV - Taking a Turn',
+    subsections: [{ id: 'iva---flip', title: 'IV.A - Flip', subsections: [] }],
+  },
+];
+
+const beerPong = [
+  { id: 'beer-pong', title: 'Beer Pong', subsections: [{ id: 'setup', title: 'Setup', subsections: [] }] },
+];
+const darts = [{ id: 'darts', title: 'Darts', subsections: [] }];
+
+const expansionCatalogue = [
+  { folder: 'Beer-Pong', name: 'Beer Pong', sections: beerPong },
+  { folder: 'Darts', name: 'Darts', sections: darts },
+];
+
+const content = {
+  rules,
+  expansionSections: [{ id: 'expansions', title: 'Expansions', isTitle: true }, ...beerPong],
+  expansionCatalogue,
+  inactiveFolders: ['Darts'],
+  source: { owner: 'someone', repo: 'lords-and-lads', branch: 'master', path: '' },
+};
+
+const from = (folder) => `expansions/${folder}/README.md`;
+
+describe('resolveContentLink', () => {
+  it('resolves relative links from an expansion into the rulebook and other expansions', () => {
+    expect(resolveContentLink('../../README.md#iva---flip', from('Beer-Pong'), content))
+      .toEqual({ type: 'section', tab: 'rules', id: 'iva---flip' });
+    expect(resolveContentLink('#setup', from('Beer-Pong'), content))
+      .toEqual({ type: 'section', tab: 'expansions', id: 'setup' });
+    expect(resolveContentLink('Beer-Pong/README.md', 'expansions/README.md', content))
+      .toEqual({ type: 'section', tab: 'expansions', id: 'beer-pong' });
+  });
+
+  it('looks anchors up within their own expansion, as GitHub does', () => {
+    const catalogue = buildExpansionCatalogue([
+      { name: '', body: '# Expansions' },
+      { name: 'anvils', body: '# Anvils\n## Setup\nLift.' },
+      { name: 'axes', body: '# Axes\n## Setup\nStand back.\n## Setup\nAgain.' },
+    ]);
+    const expansions = { expansionSections: catalogue.flatMap((entry) => entry.sections), expansionCatalogue: catalogue };
+    expect(resolveContentLink('#setup-1', from('axes'), expansions)).toEqual({ type: 'section', tab: 'expansions', id: 'axes/setup-1' });
+    expect(resolveContentLink('#setup', from('anvils'), expansions)).toEqual({ type: 'section', tab: 'expansions', id: 'anvils/setup' });
+    expect(documentForSection('expansions', 'axes/setup', catalogue)).toBe(from('axes'));
+  });
+
+  it('falls back to the rulebook for bare anchors an expansion does not have', () => {
+    expect(resolveContentLink('#iv---taking-a-turn', from('Beer-Pong'), content))
+      .toEqual({ type: 'section', tab: 'rules', id: 'iv---taking-a-turn' });
+  });
+
+  it('resolves GitHub URLs into the source repo and leaves other URLs to the browser', () => {
+    expect(resolveContentLink('https://github.com/someone/lords-and-lads/blob/master/README.md#iva---flip', 'README.md', content))
+      .toEqual({ type: 'section', tab: 'rules', id: 'iva---flip' });
+    expect(resolveContentLink('https://example.com/rules', 'README.md', content)).toEqual({ type: 'external' });
+  });
+
+  it('reports links it cannot resolve', () => {
+    expect(resolveContentLink('#nowhere', 'README.md', content).type).toBe('unresolved');
+    expect(resolveContentLink('../../../README.md', from('Beer-Pong'), content).type).toBe('unresolved');
+    expect(resolveContentLink('../Darts/README.md', from('Beer-Pong'), content).reason).toMatch(/not in play/);
+  });
+
+  it('knows which document a section came from', () => {
+    expect(documentForSection('expansions', 'setup', expansionCatalogue)).toBe(from('Beer-Pong'));
+    expect(documentForSection('expansions', 'expansions', expansionCatalogue)).toBe('expansions/README.md');
+    expect(documentForSection('rules', 'iva---flip', expansionCatalogue)).toBe('README.md');
+  });
+});
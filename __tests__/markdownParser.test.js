@@ -0,0 +1,88 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/contentStore', () => ({}));
+
+import { createSlugger, parseSectionTree, slugify } from '../src/services/markdownParser';
+import { buildExpansionSections, parseMarkdownSections } from '../src/services/contentService';
+
+describe('slugify', () => {
+  it('matches GitHub anchors', () => {
+    expect(slugify('I - Setup')).toBe('i---setup');
+    expect(slugify('IV.A - Flip')).toBe('iva---flip');
+    expect(slugify("Lords & Lads: What's New?")).toBe('lords--lads-whats-new');
+  });
+
+  it('numbers duplicate headings', () => {
+    const slug = createSlugger();
+    expect(['Scoring', 'Scoring', 'Scoring'].map(slug)).toEqual(['scoring', 'scoring-1', 'scoring-2']);
+  });
+});
+
+describe('parseSectionTree', () => {
+  it('handles setext headings, fenced code and h4 bodies', () => {
+    const text = [
+      'Overview',
+      '========',
+      'Intro.',
+      '```',
+      '# not a heading',
+      '```',
+      'Setup',
+      '-----',
+      '#### Detail',
+      'Fine print.',
+    ].join('\n');
+    const [overview] = parseSectionTree(text);
+    expect(overview).toMatchObject({ id: 'overview', title: 'Overview', level: 1 });
+    expect(overview.content).toContain('# not a heading');
+    expect(overview.subsections).toHaveLength(1);
+    expect(overview.subsections[0]).toMatchObject({
+      id: 'setup',
+      level: 2,
+      content: '#### Detail\nFine print.',
+    });
+  });
+
+  it('keeps body text that comes before a nested heading', () => {
+    const [section] = parseSectionTree('# Beer Pong\n## Cups\nSix per side.\n### Re-racks\nTwo per game.');
+    const cups = section.subsections[0];
+    expect(cups.content).toBe('Six per side.');
+    expect(cups.subsections).toEqual([
+      { id: 're-racks', title: 'Re-racks', level: 3, content: 'Two per game.', isExpanded: false },
+    ]);
+  });
+});
+
+describe('content service parsers', () => {
+  it('marks the rulebook title and strips image lines', () => {
+    const sections = parseMarkdownSections('# Lords & Lads\n![logo](logo.png)\nA game.\n# I - Setup\nPlace the stump.');
+    expect(sections).toEqual([
+      { id: 'lords--lads', title: 'Lords & Lads', level: 1, content: 'A game.', isTitle: true },
+      { id: 'i---setup', title: 'I - Setup', level: 1, content: 'Place the stump.', isExpanded: false, subsections: [] },
+    ]);
+  });
+
+  it('keeps expansion ids unique across READMEs', () => {
+    const { sections } = buildExpansionSections([
+      { name: '', body: '# Expansions\n\nIndex' },
+      { name: 'beer', body: '# Beer\n## Rules\nDrink.' },
+      { name: 'axes', body: '# Axes\n## Rules\nThrow.' },
+    ]);
+    expect(sections.map((s) => s.id)).toEqual(['expansions', 'beer/beer', 'axes/axes']);
+    expect(sections[2].subsections[0]).toMatchObject({ id: 'axes/rules', anchor: 'rules' });
+  });
+
+  it('keeps an expansion\'s ids when another one with the same headings is added before it', () => {
+    const axes = { name: 'axes', body: '# Axes\n## Setup\nStand back.\n## Setup\nAgain.' };
+    const before = buildExpansionSections([{ name: '', body: '# Expansions' }, axes]).sections;
+    const after = buildExpansionSections([
+      { name: '', body: '# Expansions' },
+      { name: 'anvils', body: '# Anvils\n## Setup\nLift.' },
+      axes,
+    ]).sections;
+    const ids = (tree) => tree.find((s) => s.id === 'axes/axes').subsections.map((s) => s.id);
+    expect(ids(after)).toEqual(ids(before));
+    expect(ids(after)).toEqual(['axes/setup', 'axes/setup-1']);
+  });
+});
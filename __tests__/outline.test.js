@@ -0,0 +1,40 @@
+import { buildOutline, sectionAtOffset } from '../src/services/outline';
+
+const rules = [
+  { id: 'lords--lads', title: 'Lords & Lads', isTitle: true, subsections: [] },
+  {
+    id: 'iv---taking-a-turn',
+    title: 'IV - Taking a Turn',
+    subsections: [
+      { id: 'iva---flip', title: 'IV.A - Flip', subsections: [] },
+      { id: 'ivb---strike', title: 'IV.B - Strike', subsections: [{ title: 'Misses', subsections: [] }] },
+    ],
+  },
+  { id: 'v---scoring', title: 'V - Scoring', subsections: [] },
+];
+
+describe('outline', () => {
+  it('flattens the tree in reading order without the title section', () => {
+    expect(buildOutline(rules).map((item) => [item.id, item.depth])).toEqual([
+      ['iv---taking-a-turn', 0],
+      ['iva---flip', 1],
+      ['ivb---strike', 1],
+      ['Misses', 2],
+      ['v---scoring', 0],
+    ]);
+    expect(buildOutline(rules).find((item) => item.id === 'Misses').ancestorIds)
+      .toEqual(['iv---taking-a-turn', 'ivb---strike']);
+  });
+
+  it('picks the section starting closest above the reading line', () => {
+    const positions = [
+      { id: 'v---scoring', y: 900 },
+      { id: 'iv---taking-a-turn', y: 100 },
+      { id: 'ivb---strike', y: 400 },
+    ];
+    expect(sectionAtOffset(positions, 450)).toBe('ivb---strike');
+    expect(sectionAtOffset(positions, 900)).toBe('v---scoring');
+    expect(sectionAtOffset(positions, 50)).toBeNull();
+    expect(sectionAtOffset([], 50)).toBeNull();
+  });
+});
@@ -0,0 +1,90 @@
+import { rewriteFollowUpQuery } from '../src/services/queryRewriter';
+import { tokenize } from '../src/services/ragService';
+
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+const vocabulary = new Set(tokenize('The lord, the striker and the lads drop the hammer, strike nails, drink and bend a nail. Sparks.'));
+
+const user = (text) => ({ role: 'user', text });
+const assistant = (text, sections) => ({ role: 'assistant', text, sections });
+
+describe('rewriteFollowUpQuery', () => {
+  it('leaves a standalone question alone', () => {
+    const history = [user('What happens if the lord drops the hammer?'), assistant('He is demoted.')];
+    expect(rewriteFollowUpQuery('How do sparks work?', history, { vocabulary })).toEqual({
+      original: 'How do sparks work?',
+      query: 'How do sparks work?',
+      followUp: false,
+      resolved: [],
+      carried: [],
+    });
+  });
+
+  it('resolves a pronoun to the person from the last question and carries its other terms', () => {
+    const history = [user('What happens if the lord drops the hammer?'), assistant('He is demoted.')];
+    const result = rewriteFollowUpQuery('What about for him?', history, { vocabulary });
+    expect(result.resolved).toEqual([{ pronoun: 'him', term: 'lord' }]);
+    expect(result.carried).toEqual(['drops', 'hammer']);
+    expect(result.query).toBe('What about for lord? drops hammer');
+  });
+
+  it('does not carry the old person over when the follow-up names a new one', () => {
+    const history = [user('Can the lord drop the hammer?'), assistant('No.')];
+    const result = rewriteFollowUpQuery('What about the lads?', history, { vocabulary });
+    expect(result.followUp).toBe(true);
+    expect(result.carried).toEqual(['drop', 'hammer']);
+  });
+
+  it('resolves "it" to the last thing named', () => {
+    const history = [user('Can I strike the nail twice?'), assistant('No.')];
+    const result = rewriteFollowUpQuery('And if it bends?', history, { vocabulary });
+    expect(result.resolved).toEqual([{ pronoun: 'it', term: 'nail' }]);
+    expect(result.query).toBe('And if nail bends? strike');
+  });
+
+  it('leaves a "that" that starts a clause alone', () => {
+    const history = [user('Can I strike the nail twice?'), assistant('No.')];
+    expect(rewriteFollowUpQuery('Is there a penalty that applies to the lord drinking?', history, { vocabulary })).toMatchObject({
+      query: 'Is there a penalty that applies to the lord drinking?',
+      followUp: false,
+    });
+  });
+
+  it('leaves "this" and "that" before a noun alone', () => {
+    const history = [user('Can I strike the nail twice?'), assistant('No.')];
+    expect(rewriteFollowUpQuery('Does this rule apply to the golden nail?', history, { vocabulary })).toMatchObject({
+      query: 'Does this rule apply to the golden nail?',
+      followUp: false,
+    });
+    expect(rewriteFollowUpQuery('Can the lord drink from that nail?', history, { vocabulary }).followUp).toBe(false);
+  });
+
+  it('resolves "that" when it stands alone', () => {
+    const history = [user('Can I strike the nail twice?'), assistant('No.')];
+    const result = rewriteFollowUpQuery('Why is that?', history, { vocabulary });
+    expect(result.resolved).toEqual([{ pronoun: 'that', term: 'nail' }]);
+    expect(result.query).toBe('Why is nail? strike');
+  });
+
+  it('leaves a pronoun for the person the question names itself', () => {
+    const history = [user('Can the lord drink before the lads strike?'), assistant('Yes.')];
+    expect(rewriteFollowUpQuery('What does the striker do when they miss?', history, { vocabulary })).toMatchObject({
+      query: 'What does the striker do when they miss?',
+      followUp: false,
+      resolved: [],
+      carried: [],
+    });
+  });
+
+  it('carries the sections retrieved for the last answer', () => {
+    const history = [user('What if I whiff?'), assistant('You drink.', ['IV.B - Strike', 'IV.C - Drink'])];
+    expect(rewriteFollowUpQuery('Why?', history, { vocabulary })).toMatchObject({
+      query: 'Why? Strike Drink',
+      followUp: true,
+      carried: ['Strike', 'Drink'],
+    });
+  });
+});
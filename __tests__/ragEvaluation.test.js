@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { evaluateRetrieval, formatEvaluationReport } from '../src/services/ragEvaluation';
+import { MAX_CONTEXT_CHARS } from '../src/services/ragService';
+
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'ragEvaluation');
+const read = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const rulesMarkdown = read('rules.md');
+const expansionsMarkdown = read('expansions.md');
+const questions = JSON.parse(read('goldenQuestions.json'));
+
+// Scores of the current tuning on the fixture. A change to ragService that
+// drops below these is a regression; one that improves them should raise them.
+const BASELINE = { recallAt1: 0.8, recallAt3: 0.9, mrr: 0.95, contextRecall: 0.9 };
+
+describe('ragEvaluation', () => {
+  let hybrid;
+  let bm25;
+
+  beforeAll(async () => {
+    hybrid = await evaluateRetrieval({ rulesMarkdown, expansionsMarkdown, questions });
+    bm25 = await evaluateRetrieval({ rulesMarkdown, expansionsMarkdown, questions, embedder: null });
+  });
+
+  it('meets the baseline on the golden questions', () => {
+    expect(hybrid.questionCount).toBe(questions.length);
+    expect(hybrid.recallAtK[1]).toBeGreaterThanOrEqual(BASELINE.recallAt1);
+    expect(hybrid.recallAtK[3]).toBeGreaterThanOrEqual(BASELINE.recallAt3);
+    expect(hybrid.mrr).toBeGreaterThanOrEqual(BASELINE.mrr);
+    expect(hybrid.contextRecall).toBeGreaterThanOrEqual(BASELINE.contextRecall);
+    expect(hybrid.maxContextChars).toBeLessThanOrEqual(MAX_CONTEXT_CHARS);
+  });
+
+  it('ranks at least as well with vector search as with BM25 alone', () => {
+    expect(bm25.mode).toBe('bm25');
+    expect(hybrid.mrr).toBeGreaterThanOrEqual(bm25.mrr);
+    expect(hybrid.recallAtK[3]).toBeGreaterThanOrEqual(bm25.recallAtK[3]);
+  });
+
+  it('reports the questions whose context misses an expected section', () => {
+    const report = formatEvaluationReport(hybrid);
+    expect(report).toContain(`${questions.length} questions`);
+    hybrid.questions.filter((q) => q.missing.length).forEach((q) => expect(report).toContain(`[${q.id}]`));
+    expect(hybrid.questions.find((q) => q.id === 'miss-nail')).toMatchObject({ reciprocalRank: 1, missing: [] });
+  });
+});
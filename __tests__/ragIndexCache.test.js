@@ -0,0 +1,74 @@
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+// In-memory stand-in for the SQLite content store (op-sqlite needs the native module).
+jest.mock('../src/services/contentStore', () => {
+  const rows = new Map();
+  return {
+    __rows: rows,
+    getRagIndexSync: (hash) => rows.get(hash) ?? null,
+    saveRagIndex: async (hash, payload) => {
+      rows.set(hash, payload);
+    },
+    // No sqlite-vec here: vectors are "stored" but searching them fails, so
+    // attachVectorSearch falls back to its in-memory ranking.
+    hasRagVectors: async () => false,
+    saveRagVectors: async () => {},
+    searchRagVectors: async () => {
+      throw new Error('no such function: vec_f32');
+    },
+  };
+});
+
+const { attachVectorSearch, contentHash, loadOrBuildIndex } = require('../src/services/ragIndexCache');
+const { retrieveRelevantChunks } = require('../src/services/ragService');
+const { getRagLog } = require('../src/services/ragLogger');
+const store = require('../src/services/contentStore');
+
+const RULES = '# Lords & Lads\nIntro\n## I - Setup\nPlace the stump and the nails.\n## II - Striking\nStrike a nail with the hammer. A missed strike means the lad drinks.';
+const EXPANSIONS = '# Beer Lords\n## Drinking\nEvery lord drinks when a nail bends.';
+
+describe('ragIndexCache', () => {
+  beforeEach(() => store.__rows.clear());
+
+  it('hashes by content, so the same text gets the same key', () => {
+    expect(contentHash(RULES, EXPANSIONS)).toBe(contentHash(RULES, EXPANSIONS));
+    expect(contentHash(RULES, EXPANSIONS)).not.toBe(contentHash(`${RULES} `, EXPANSIONS));
+    expect(contentHash('ab', 'c')).not.toBe(contentHash('a', 'bc'));
+  });
+
+  it('builds and stores on a miss, then loads the same index on a hit', async () => {
+    const built = loadOrBuildIndex(RULES, EXPANSIONS);
+    expect(getRagLog().indexBuild).toMatchObject({ cache: 'miss', contentHash: built.contentHash });
+    await Promise.resolve();
+    expect(store.__rows.has(built.contentHash)).toBe(true);
+
+    const loaded = loadOrBuildIndex(RULES, EXPANSIONS);
+    expect(getRagLog().indexBuild).toMatchObject({ cache: 'hit', cacheStats: { hits: 1, misses: 1 } });
+    expect(loaded.idf).toEqual(built.idf);
+    expect(loaded.totalChunks).toBe(built.totalChunks);
+    expect((await retrieveRelevantChunks(loaded, 'missed strike')).map((c) => c.heading))
+      .toEqual((await retrieveRelevantChunks(built, 'missed strike')).map((c) => c.heading));
+  });
+
+  it('rebuilds when the stored entry is unusable', () => {
+    store.__rows.set(contentHash(RULES, EXPANSIONS), '{"version":0}');
+    const index = loadOrBuildIndex(RULES, EXPANSIONS);
+    expect(index.totalChunks).toBeGreaterThan(0);
+    expect(getRagLog().indexBuild.cache).toBe('miss');
+  });
+
+  it('finds sections BM25 misses once vector search is attached', async () => {
+    const rules = '# Lords & Lads\n## Setup\nPlace the stump and the nails.\n## Striking\nWhen a strike fails, the striker drinks.\n## Scoring\nA bent nail scores nothing.';
+    const index = loadOrBuildIndex(rules, '');
+    expect(await retrieveRelevantChunks(index, 'what happens if I miss')).toEqual([]);
+
+    await attachVectorSearch(index);
+    const [best] = (await retrieveRelevantChunks(index, 'what happens if I miss')).sort((a, b) => b.score - a.score);
+    expect(best).toMatchObject({ heading: 'Lords & Lads > Striking', bm25Score: 0 });
+    expect(best.vectorScore).toBeGreaterThan(0);
+    expect(getRagLog().retrievals[0]).toMatchObject({ mode: 'hybrid' });
+  });
+});
@@ -0,0 +1,34 @@
+import { tokenize } from '../src/services/ragService';
+import { porterStem } from '../src/utils/porterStemmer';
+
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+describe('porterStem', () => {
+  it('stems as the reference algorithm does', () => {
+    const cases = {
+      caresses: 'caress', ponies: 'poni', agreed: 'agre', hopping: 'hop', filing: 'file',
+      relational: 'relat', hopefulness: 'hope', allowance: 'allow', demotion: 'demot', demoted: 'demot',
+    };
+    Object.entries(cases).forEach(([word, stem]) => expect(porterStem(word)).toBe(stem));
+  });
+});
+
+describe('tokenize', () => {
+  it('keeps negations and sequence words for retrieval', () => {
+    expect(tokenize('Can the lord NOT drink before the flip?')).toEqual(['can', 'lord', 'not', 'drink', 'befor', 'flip']);
+    expect(tokenize("The lord can't drink")).toEqual(['lord', 'can', 'not', 'drink']);
+    expect(tokenize('lord drink flip')).toEqual(['lord', 'drink', 'flip']);
+  });
+
+  it('adds a token for multi-word game terms', () => {
+    expect(tokenize('Who takes the hammer tests?')).toEqual(['take', 'hammer', 'test', 'hammer_test']);
+    expect(tokenize('A hammer for the test')).not.toContain('hammer_test');
+  });
+
+  it('drops every stopword, unstemmed, for the search bar', () => {
+    expect(tokenize('Can the lord not drink before the Hammer Test?', { stem: false })).toEqual(['lord', 'drink', 'hammer', 'test']);
+  });
+});
@@ -0,0 +1,50 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  applyExpandedIds,
+  collectExpandedIds,
+  loadReadingPositions,
+  saveReadingPosition,
+  treeSignature,
+} from '../src/services/readingPosition';
+
+const tree = () => [
+  { id: 'lords--lads', title: 'Lords & Lads', isTitle: true },
+  {
+    id: 'iv---taking-a-turn',
+    title: 'IV - Taking a Turn',
+    isExpanded: false,
+    subsections: [
+      { id: 'iva---flip', title: 'IV.A - Flip', isExpanded: false, subsections: [] },
+      { id: 'ivb---strike', title: 'IV.B - Strike', isExpanded: false, subsections: [] },
+    ],
+  },
+];
+
+describe('reading position', () => {
+  it('round-trips expanded sections and ignores ids a re-sync removed', () => {
+    const expanded = applyExpandedIds(tree(), ['iv---taking-a-turn', 'ivb---strike', 'gone']);
+    expect(collectExpandedIds(expanded)).toEqual(['iv---taking-a-turn', 'ivb---strike']);
+    expect(expanded[0]).not.toHaveProperty('isExpanded');
+    expect(tree()[1].isExpanded).toBe(false);
+  });
+
+  it('changes the signature only when the section structure changes', () => {
+    const before = treeSignature(tree());
+    expect(treeSignature(applyExpandedIds(tree(), ['iva---flip']))).toBe(before);
+    const resynced = tree();
+    resynced[1].subsections.pop();
+    expect(treeSignature(resynced)).not.toBe(before);
+  });
+
+  it('keeps both tabs when they are saved at the same time', async () => {
+    await Promise.all([
+      saveReadingPosition('official', 'rules', { scrollY: 120 }),
+      saveReadingPosition('official', 'expansions', { scrollY: 40 }),
+    ]);
+    expect(await loadReadingPositions('official')).toEqual({ rules: { scrollY: 120 }, expansions: { scrollY: 40 } });
+    expect(await loadReadingPositions('other')).toEqual({});
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+import { buildSearchIndex, searchSections } from '../src/services/searchService';
+
+const RULES = [
+  { id: 'lords--lads', title: 'Lords & Lads', level: 1, isTitle: true, content: 'A drinking game.' },
+  {
+    id: 'iv---taking-a-turn',
+    title: 'IV - Taking a Turn',
+    level: 1,
+    content: 'Each turn has phases.',
+    subsections: [
+      { id: 'iva---flip', title: 'IV.A - Flip', level: 2, content: 'Flip the hammer. A **missed** flip means the lad drinks.' },
+      { id: 'ivb---strike', title: 'IV.B - Strike', level: 2, content: 'Strike a nail with the [hammer](#hammer).' },
+    ],
+  },
+];
+const EXPANSIONS = [
+  { id: 'expansions', title: 'Expansions', level: 1, isTitle: true, content: '' },
+  { id: 'beer-lords', title: 'Beer Lords', level: 1, content: 'Every lord drinks when a nail bends.' },
+];
+
+describe('searchSections', () => {
+  const index = buildSearchIndex({ rules: RULES, expansions: EXPANSIONS });
+
+  it('ranks sections from both tabs with their tab, id and breadcrumb', () => {
+    const results = searchSections(index, 'drinks');
+    expect(results.map((r) => [r.tab, r.id])).toEqual(expect.arrayContaining([
+      ['rules', 'iva---flip'],
+      ['expansions', 'beer-lords'],
+    ]));
+    expect(results.find((r) => r.id === 'iva---flip').breadcrumb).toEqual(['IV - Taking a Turn']);
+    expect(searchSections(index, 'strike')[0].id).toBe('ivb---strike');
+  });
+
+  it('builds a plain-text snippet with the matched words marked', () => {
+    const [flip] = searchSections(index, 'missed flip');
+    expect(flip.id).toBe('iva---flip');
+    expect(flip.snippet.filter((s) => s.match).map((s) => s.text)).toEqual(['Flip', 'missed', 'flip']);
+    expect(flip.snippet.map((s) => s.text).join('')).toBe('Flip the hammer. A missed flip means the lad drinks.');
+  });
+
+  it('returns nothing for stopword-only or empty queries', () => {
+    expect(searchSections(index, 'the and')).toEqual([]);
+    expect(searchSections(buildSearchIndex(), 'flip')).toEqual([]);
+  });
+
+  it('finds sections by their personal note and snippets the note', () => {
+    const notes = new Map([['rules:ivb---strike', { text: 'We ruled that ricochets count on 3/14.' }]]);
+    const [strike] = searchSections(buildSearchIndex({ rules: RULES, expansions: EXPANSIONS, notes }), 'ricochets');
+    expect(strike).toMatchObject({ tab: 'rules', id: 'ivb---strike', inNote: true });
+    expect(strike.snippet.filter((s) => s.match).map((s) => s.text)).toEqual(['ricochets']);
+    expect(searchSections(index, 'ricochets')).toEqual([]);
+  });
+});
+
+describe('forgiving matches', () => {
+  const index = buildSearchIndex({
+    rules: [
+      { id: 'hammer-test', title: 'Hammer Test', level: 1, content: 'Swing the hammer at the stump.' },
+      { id: 'demotions', title: 'Demotions', level: 1, content: 'A lord who misses is demoted to lad.' },
+    ],
+    expansions: [
+      { id: 'uprising', title: 'Uprising', level: 1, content: 'The lads revolt against their lords.' },
+    ],
+  });
+
+  it('finds typos, inflections and synonyms and marks the variants in the snippet', () => {
+    expect(searchSections(index, 'hamering')[0].id).toBe('hammer-test');
+    const [demotions] = searchSections(index, 'demote');
+    expect(demotions.id).toBe('demotions');
+    expect(demotions.snippet.filter((s) => s.match).map((s) => s.text)).toEqual(['demoted']);
+    expect(searchSections(index, 'rebellion').map((r) => r.id)).toEqual(['uprising']);
+  });
+
+  it('ranks an exact hit above a synonym', () => {
+    expect(searchSections(index, 'lord').map((r) => r.id)).toEqual(['demotions', 'uprising']);
+  });
+});
+
+describe('query syntax', () => {
+  const index = buildSearchIndex({
+    rules: [
+      { id: 'hammer-test', title: 'Hammer Test', level: 1, content: 'Flip the hammer; on a miss, drink.' },
+      { id: 'strike', title: 'Strike', level: 1, content: 'Strike with the hammer. Drink if the nail bends.' },
+    ],
+    expansions: [
+      { id: 'beer-lords', title: 'Beer Lords', level: 1, content: 'Lords drink with every hammer strike.' },
+    ],
+  });
+  const ids = (query) => searchSections(index, query).map((r) => r.id).sort();
+
+  it('requires every term and phrase, honours exclusions and scope', () => {
+    expect(ids('hammer drink')).toEqual(['beer-lords', 'hammer-test', 'strike']);
+    expect(ids('flip drink')).toEqual(['hammer-test']);
+    expect(ids('"hammer strike"')).toEqual(['beer-lords']);
+    expect(ids('hammer -lords')).toEqual(['hammer-test', 'strike']);
+    expect(ids('hammer in:expansions')).toEqual(['beer-lords']);
+    expect(ids('in:rules')).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import {
+  editDistance,
+  highlightMatches,
+  parseSearchQuery,
+  splitHighlights,
+  stemWord,
+} from '../src/utils/searchUtils';
+
+describe('stemWord', () => {
+  it('reduces inflections to a shared stem', () => {
+    expect(['demote', 'demoted', 'demotions'].map(stemWord)).toEqual(['demot', 'demot', 'demot']);
+    expect(['flip', 'flips', 'flipping', 'flipped'].map(stemWord)).toEqual(['flip', 'flip', 'flip', 'flip']);
+    expect(['uprise', 'uprising'].map(stemWord)).toEqual(['upris', 'upris']);
+    expect(stemWord('pass')).toBe('pass');
+  });
+});
+
+describe('editDistance', () => {
+  it('counts edits and stops early past the limit', () => {
+    expect(editDistance('hamer', 'hammer')).toBe(1);
+    expect(editDistance('flip', 'strike', 2)).toBe(3);
+  });
+});
+
+describe('highlightMatches', () => {
+  it('bolds the variants that matched, not just the literal query', () => {
+    expect(highlightMatches('Lords hammer nails; a lord is hammering.', 'lord hamering'))
+      .toBe('**Lords** **hammer** nails; a **lord** is **hammering**.');
+  });
+
+  it('leaves link targets intact', () => {
+    expect(highlightMatches('See [the flip](#iva---flip).', 'flip')).toBe('See [the **flip**](#iva---flip).');
+  });
+
+  it('splits plain text into highlighted segments', () => {
+    expect(splitHighlights('The Uprising', 'uprise')).toEqual([
+      { text: 'The ', match: false },
+      { text: 'Uprising', match: true },
+    ]);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('separates terms, phrases, exclusions and scope', () => {
+    expect(parseSearchQuery('Flip "Hammer  Test" -uprising -"beer lords" in:Rules')).toEqual({
+      terms: ['flip'],
+      phrases: ['hammer test'],
+      excluded: ['uprising', 'beer lords'],
+      scope: 'rules',
+    });
+    expect(parseSearchQuery('in:tools "unclosed phrase')).toEqual({
+      terms: ['in:tools'],
+      phrases: ['unclosed phrase'],
+      excluded: [],
+      scope: null,
+    });
+  });
+
+  it('highlights each term and whole phrases but not exclusions', () => {
+    expect(highlightMatches('The hammer test: flip the hammer, then drink.', '"hammer test" drink -flip'))
+      .toBe('The **hammer test**: flip the hammer, then **drink**.');
+  });
+});
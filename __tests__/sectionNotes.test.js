@@ -0,0 +1,73 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  formatNotesAsJson,
+  formatNotesAsMarkdown,
+  loadSectionNotes,
+  mergeSectionNotes,
+  parseNotesImport,
+  saveSectionNotes,
+  setSectionNote,
+} from '../src/services/sectionNotes';
+
+const strike = { id: 'ivb---strike', title: 'IV.B - Strike' };
+const beerLords = { id: 'beer-lords', title: 'Beer Lords' };
+
+describe('section notes', () => {
+  it('sets, replaces and removes the note on a section', () => {
+    let notes = setSectionNote([], 'rules', strike, '  We ruled ricochets count on 3/14. ');
+    expect(notes).toEqual([expect.objectContaining({ tab: 'rules', id: 'ivb---strike', text: 'We ruled ricochets count on 3/14.' })]);
+    notes = setSectionNote(notes, 'rules', strike, 'Ricochets do not count.');
+    expect(notes.map((n) => n.text)).toEqual(['Ricochets do not count.']);
+    expect(setSectionNote(notes, 'rules', strike, '   ')).toEqual([]);
+  });
+
+  it('round-trips notes through the JSON and markdown exports', () => {
+    const notes = [
+      ...setSectionNote([], 'expansions', beerLords, 'Only on Fridays.'),
+      ...setSectionNote([], 'rules', strike, 'Ricochets count.\n\n## Not a new note\nStill this one.'),
+    ];
+    const fromJson = parseNotesImport(formatNotesAsJson(notes, 'default'));
+    expect(fromJson.notes.map((n) => [n.tab, n.id, n.text])).toEqual([
+      ['rules', 'ivb---strike', 'Ricochets count.\n\n## Not a new note\nStill this one.'],
+      ['expansions', 'beer-lords', 'Only on Fridays.'],
+    ]);
+    const fromMarkdown = parseNotesImport(formatNotesAsMarkdown(notes));
+    expect(fromMarkdown.notes.map((n) => [n.tab, n.id, n.title, n.text])).toEqual([
+      ['rules', 'ivb---strike', 'IV.B - Strike', 'Ricochets count.\n\n## Not a new note\nStill this one.'],
+      ['expansions', 'beer-lords', 'Beer Lords', 'Only on Fridays.'],
+    ]);
+  });
+
+  it('rejects files that are not notes exports', () => {
+    expect(parseNotesImport('')).toEqual({ error: 'The file is empty.' });
+    expect(parseNotesImport('{ nope')).toEqual({ error: 'The file is not valid JSON.' });
+    expect(parseNotesImport('{"notes": []}')).toEqual({ error: 'The file is not a section notes export.' });
+    expect(parseNotesImport('# Just a document')).toEqual({ error: 'No section notes found in the file.' });
+  });
+
+  it('merges imports, keeping the more recently edited note', () => {
+    const mine = [
+      { tab: 'rules', id: 'a', title: 'A', text: 'mine', updatedAt: '2026-03-14T00:00:00.000Z' },
+      { tab: 'rules', id: 'b', title: 'B', text: 'mine', updatedAt: '2026-03-14T00:00:00.000Z' },
+    ];
+    const theirs = [
+      { tab: 'rules', id: 'a', title: 'A', text: 'older', updatedAt: '2026-01-01T00:00:00.000Z' },
+      { tab: 'rules', id: 'b', title: 'B', text: 'newer', updatedAt: '2026-04-01T00:00:00.000Z' },
+      { tab: 'expansions', id: 'a', title: 'A', text: 'new' },
+    ];
+    const { notes, added, updated } = mergeSectionNotes(mine, theirs);
+    expect({ added, updated }).toEqual({ added: 1, updated: 1 });
+    expect(notes.map((n) => `${n.tab}:${n.id}=${n.text}`)).toEqual(['rules:a=mine', 'rules:b=newer', 'expansions:a=new']);
+  });
+
+  it('stores notes per content source', async () => {
+    const notes = setSectionNote([], 'rules', strike, 'Ricochets count.');
+    await saveSectionNotes('default', notes);
+    await saveSectionNotes('fork', []);
+    expect(await loadSectionNotes('default')).toEqual(notes);
+    expect(await loadSectionNotes('fork')).toEqual([]);
+  });
+});
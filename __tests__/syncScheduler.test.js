@@ -0,0 +1,129 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+import {
+  backoffDelayMs,
+  createSyncScheduler,
+  isStale,
+  nextAttemptAt,
+  saveSyncMaxAge,
+} from '../src/services/syncScheduler';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('staleness and backoff', () => {
+  it('treats missing or old syncs as stale', () => {
+    const now = Date.parse('2026-05-01T12:00:00Z');
+    expect(isStale(null, HOUR, now)).toBe(true);
+    expect(isStale('2026-05-01T11:30:00Z', HOUR, now)).toBe(false);
+    expect(isStale('2026-05-01T10:00:00Z', HOUR, now)).toBe(true);
+    expect(isStale('2026-05-01T11:59:00Z', 0, now)).toBe(true);
+  });
+
+  it('doubles the retry delay up to a cap and waits for a rate-limit reset', () => {
+    expect([1, 2, 3].map(backoffDelayMs)).toEqual([30000, 60000, 120000]);
+    expect(backoffDelayMs(20)).toBe(30 * 60 * 1000);
+    expect(nextAttemptAt(1, 1000 + HOUR, 1000)).toBe(1000 + HOUR);
+    expect(nextAttemptAt(1, null, 1000)).toBe(31000);
+  });
+});
+
+describe('createSyncScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('only syncs kinds older than the max age', async () => {
+    await saveSyncMaxAge(HOUR);
+    const run = jest.fn().mockResolvedValue({ success: true });
+    const synced = { rules: new Date().toISOString(), expansions: null };
+    const scheduler = createSyncScheduler({ run, getLastSyncedAt: async (kind) => synced[kind] });
+    expect(await scheduler.syncIfStale()).toEqual({ rules: null, expansions: true });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(run).toHaveBeenCalledWith('expansions');
+  });
+
+  it('retries a rate-limited sync when the limit resets', async () => {
+    const retryAt = Date.now() + 10 * 60 * 1000;
+    let limited = true;
+    const run = jest.fn(async (kind) => {
+      if (kind === 'expansions' && limited) {
+        limited = false;
+        return { success: false, retryAt };
+      }
+      return { success: true };
+    });
+    const onRetryScheduled = jest.fn();
+    const scheduler = createSyncScheduler({ run, getLastSyncedAt: async () => null, onRetryScheduled });
+
+    const { expansions } = await scheduler.syncNow();
+    expect(expansions).toBe(false);
+    expect(onRetryScheduled).toHaveBeenCalledWith('expansions', retryAt);
+
+    jest.advanceTimersByTime(10 * 60 * 1000 - 1);
+    expect(run).toHaveBeenCalledTimes(2);
+    jest.advanceTimersByTime(1);
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(run).toHaveBeenLastCalledWith('expansions');
+    scheduler.stop();
+  });
+
+  it('counts a runner that throws as a failure and schedules a retry', async () => {
+    const run = jest.fn(async (kind) => {
+      if (kind === 'rules') throw new Error('database is locked');
+      return { success: true };
+    });
+    const onRetryScheduled = jest.fn();
+    const scheduler = createSyncScheduler({ run, getLastSyncedAt: async () => null, onRetryScheduled });
+
+    expect(await scheduler.syncNow()).toEqual({ rules: false, expansions: true });
+    expect(onRetryScheduled).toHaveBeenCalledWith('rules', expect.any(Number));
+
+    jest.advanceTimersByTime(backoffDelayMs(1));
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(run).toHaveBeenLastCalledWith('rules');
+    scheduler.stop();
+  });
+
+  it('does not retry a payload rejected by validation', async () => {
+    const run = jest.fn(async (kind) => (kind === 'rules' ? { success: false, rejected: true } : { success: true }));
+    const onRetryScheduled = jest.fn();
+    const scheduler = createSyncScheduler({ run, getLastSyncedAt: async () => null, onRetryScheduled });
+
+    expect(await scheduler.syncNow()).toEqual({ rules: false, expansions: true });
+    expect(onRetryScheduled).not.toHaveBeenCalledWith('rules', expect.any(Number));
+
+    jest.advanceTimersByTime(backoffDelayMs(20));
+    expect(run).toHaveBeenCalledTimes(2);
+    scheduler.stop();
+  });
+
+  it('starts a fresh run after reset instead of joining the one in flight', async () => {
+    const pending = [];
+    const run = jest.fn(() => new Promise((resolve) => pending.push(resolve)));
+    const onRetryScheduled = jest.fn();
+    const scheduler = createSyncScheduler({ run, getLastSyncedAt: async () => null, onRetryScheduled });
+
+    const before = scheduler.syncNow();
+    scheduler.reset();
+    const after = scheduler.syncNow();
+    expect(run).toHaveBeenCalledTimes(4);
+
+    pending.forEach((resolve) => resolve({ success: false }));
+    expect(await before).toEqual({ rules: false, expansions: false });
+    await after;
+    // Only the runs started after the reset schedule retries.
+    expect(onRetryScheduled.mock.calls.filter(([, at]) => at != null)).toHaveLength(2);
+    scheduler.stop();
+  });
+});
@@ -0,0 +1,92 @@
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('@react-native-clipboard/clipboard', () =>
+  require('@react-native-clipboard/clipboard/jest/clipboard-mock'),
+);
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+jest.mock('../src/components', () => ({ TitleSection: () => null, Section: () => null }));
+jest.mock('../src/contentSnapshot', () => ({
+  SNAPSHOT_SOURCE_ID: null,
+  SNAPSHOT_DATE: null,
+  SNAPSHOT_RULES: null,
+  SNAPSHOT_EXPANSIONS: null,
+}), { virtual: true });
+
+// In-memory stand-in for the SQLite content store, seeded with a synced copy.
+jest.mock('../src/services/contentStore', () => {
+  const state = { documents: new Map() };
+  return {
+    __state: state,
+    DOCUMENT_KINDS: { RULES: 'rules', EXPANSIONS: 'expansions' },
+    META_KEYS: {
+      LAST_FETCH_DATE: 'last_fetch_date',
+      RULES_LAST_SYNCED: 'rules_last_synced',
+      EXPANSIONS_LAST_SYNCED: 'expansions_last_synced',
+    },
+    getDocuments: async (sourceId, kind) => state.documents.get(`${sourceId}|${kind}`) || [],
+    getMeta: async (sourceId, keys) => Object.fromEntries(keys.map((k) => [k, null])),
+    // Synced just now, so startup doesn't go to the network.
+    getLastSuccessfulSync: async () => new Date().toISOString(),
+    deleteSourceContent: async () => {},
+  };
+});
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { renderHook, act } from '@testing-library/react-native';
+import { useContent } from '../src/hooks/useContent';
+import { buildExpansionSections } from '../src/services/contentService';
+import { collectExpandedIds } from '../src/services/readingPosition';
+import { DEFAULT_CONTENT_SOURCE } from '../src/constants';
+
+const store = require('../src/services/contentStore');
+
+const RULES = '# Lords & Lads\nIntro\n## I - Setup\nPlace the stump.\n## II - Roles\nPick a lord.';
+const EXPANSIONS = [
+  { name: '', body: '# Expansions\n\n* [Beer](beer)\n* [Uprising](uprising)' },
+  { name: 'beer', body: '# Beer Lords\nEvery lord holds a drink.\n## Sipping\nSip on a miss.' },
+  { name: 'uprising', body: '# Uprising\nPeasants revolt.\n## Revolt\nFlip the stump.' },
+];
+
+async function flush() {
+  await act(async () => {
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  });
+}
+
+describe('useContent reading position', () => {
+  let savedIds;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    store.__state.documents.set(`${DEFAULT_CONTENT_SOURCE.id}|rules`, [{ name: 'README', body: RULES }]);
+    store.__state.documents.set(`${DEFAULT_CONTENT_SOURCE.id}|expansions`, EXPANSIONS);
+    // The reader had only the Uprising expansion open; expand-by-default is on.
+    const { sections } = buildExpansionSections(EXPANSIONS);
+    const uprising = sections.find((section) => section.title.includes('Uprising'));
+    savedIds = [uprising.id];
+    await AsyncStorage.setItem('@lnl_expand_expansions_default', 'true');
+    await AsyncStorage.setItem('@lnl_reading_position', JSON.stringify({
+      [DEFAULT_CONTENT_SOURCE.id]: { expansions: { scrollY: 0, expandedIds: savedIds, lastOpenedId: savedIds[0] } },
+    }));
+  });
+
+  it('keeps the restored expansions state over the expand-by-default preference', async () => {
+    const { result, rerender, unmount } = renderHook(() => useContent({}, {}));
+    await flush();
+    expect(result.current.loading).toBe(false);
+    expect(collectExpandedIds(result.current.expansionSections)).toEqual(savedIds);
+
+    rerender();
+    await flush();
+    expect(collectExpandedIds(result.current.expansionSections)).toEqual(savedIds);
+
+    act(() => result.current.setActiveTab('expansions'));
+    await flush();
+    expect(collectExpandedIds(result.current.expansionSections)).toEqual(savedIds);
+    unmount();
+  });
+});
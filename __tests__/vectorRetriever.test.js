@@ -0,0 +1,40 @@
+import { cosineSimilarity, hashedNgramEmbedder, rankByCosine } from '../src/services/vectorRetriever';
+import { reciprocalRankFusion } from '../src/services/ragService';
+
+jest.mock('../src/services/errorLogger', () => ({
+  logError: jest.fn(),
+  logEvent: jest.fn(),
+}));
+
+const { embed } = hashedNgramEmbedder;
+
+describe('hashedNgramEmbedder', () => {
+  it('is deterministic and unit length', () => {
+    const v = embed('Strike the nail with the hammer');
+    expect(v).toHaveLength(hashedNgramEmbedder.dimensions);
+    expect(embed('Strike the nail with the hammer')).toEqual(v);
+    expect(cosineSimilarity(v, v)).toBeCloseTo(1);
+  });
+
+  it('ranks a "strike fails" section for a question about missing', () => {
+    const sections = [
+      'Setup: place the stump and pour the first round.',
+      'When a strike fails, the striker drinks and passes the hammer.',
+      'Beer lords may refill any cup at the end of the round.',
+    ].map(embed);
+    const [best] = rankByCosine(sections, embed('what happens if I miss the nail'));
+    expect(best.idx).toBe(1);
+  });
+
+  it('returns zero similarity for text with no words', () => {
+    expect(cosineSimilarity(embed(''), embed('nail'))).toBe(0);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  it('favours items ranked well by both lists', () => {
+    const fused = reciprocalRankFusion([[3, 1, 2], [1, 4, 3]]);
+    const order = [...fused.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+    expect(order).toEqual([1, 3, 4, 2]);
+  });
+});
@@ -4,3 +4,4 @@
 //  Exposes Objective-C headers to Swift.
 //
 #import "RCTBridgeDelegateWithTurboModules.h"
+#import <React/RCTLinkingManager.h>
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Snapshots the official rulebook and expansion READMEs into src/contentSnapshot.js
+// so a fresh install has something to show before its first successful sync.
+// Offline builds keep the previous snapshot (or write an empty one) instead of failing.
+const { writeFileSync, existsSync } = require('fs');
+const path = require('path');
+
+const rootDir = path.join(__dirname, '..');
+const outputPath = path.join(rootDir, 'src', 'contentSnapshot.js');
+
+// Mirrors DEFAULT_CONTENT_SOURCE in src/constants.js.
+const SOURCE_ID = 'official';
+const OWNER = 'seanKenkeremath';
+const REPO = 'lords-and-lads';
+const BRANCH = 'master';
+
+const RAW_BASE = `https://raw.githubusercontent.com/${OWNER}/${REPO}/${BRANCH}`;
+const EXPANSIONS_API = `https://api.github.com/repos/${OWNER}/${REPO}/contents/expansions?ref=${BRANCH}`;
+const FETCH_TIMEOUT_MS = 20000;
+
+async function get(url, accept) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { headers: accept ? { Accept: accept } : {}, signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+    return response;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function main() {
+  const rules = await (await get(`${RAW_BASE}/README.md`)).text();
+  const expansionsIndex = await (await get(`${RAW_BASE}/expansions/README.md`)).text();
+  const listing = await (await get(EXPANSIONS_API, 'application/vnd.github+json')).json();
+  const folders = listing.filter((item) => item.type === 'dir').map((item) => item.name);
+  const expansions = [{ name: '', body: expansionsIndex }];
+  for (const folder of folders) {
+    try {
+      expansions.push({ name: folder, body: await (await get(`${RAW_BASE}/expansions/${folder}/README.md`)).text() });
+    } catch (err) {
+      console.warn(`Skipping expansion ${folder}: ${err.message}`);
+    }
+  }
+
+  const timestamp = new Date().toISOString();
+  const output = `// Auto-generated at build time — do not edit.
+export const SNAPSHOT_SOURCE_ID  = '${SOURCE_ID}';
+export const SNAPSHOT_DATE       = '${timestamp}';
+export const SNAPSHOT_RULES      = ${JSON.stringify(rules)};
+export const SNAPSHOT_EXPANSIONS = ${JSON.stringify(expansions, null, 2)};
+`;
+  writeFileSync(outputPath, output);
+  console.log(`Content snapshot written: rules (${rules.length} chars) + ${expansions.length - 1} expansions @ ${timestamp}`);
+}
+
+main().catch((err) => {
+  if (existsSync(outputPath)) {
+    console.warn(`Content snapshot not refreshed (${err.message}); keeping the existing snapshot.`);
+    return;
+  }
+  writeFileSync(outputPath, `// Auto-generated at build time — do not edit.
+// No snapshot: the rulebook could not be fetched when this build was made.
+export const SNAPSHOT_SOURCE_ID  = '${SOURCE_ID}';
+export const SNAPSHOT_DATE       = null;
+export const SNAPSHOT_RULES      = null;
+export const SNAPSHOT_EXPANSIONS = null;
+`);
+  console.warn(`Content snapshot unavailable (${err.message}); wrote an empty snapshot.`);
+});
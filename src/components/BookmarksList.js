@@ -0,0 +1,60 @@
+/**
+ * Bookmarked sections from both content tabs (see services/bookmarks).
+ * Tapping a row opens that section, switching tabs if needed. Bookmarks whose
+ * section disappeared in a sync stay listed, flagged, until removed.
+ */
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { useTheme } from '../context/ThemeContext';
+
+const TAB_LABELS = { rules: 'Rules', expansions: 'Expansions' };
+
+export default function BookmarksList({ bookmarks, onSelect, onRemove, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  if (bookmarks.length === 0) {
+    return (
+      <View style={styles.emptyStateContainer}>
+        <Text style={[styles.emptyStateTitle, { color: accent }, titleFontStyle]}>No bookmarks yet</Text>
+        <Text style={[styles.emptyStateText, bodyFontStyle]}>Long-press a section heading and choose Bookmark.</Text>
+      </View>
+    );
+  }
+  return (
+    <View>
+      <Text style={[styles.searchResultsCount, bodyFontStyle]}>
+        {bookmarks.length === 1 ? '1 bookmark' : `${bookmarks.length} bookmarks`}
+      </Text>
+      {bookmarks.map((bookmark) => (
+        <View key={`${bookmark.tab}:${bookmark.id}`} style={[styles.searchResult, styles.bookmarkRow]}>
+          <TouchableOpacity
+            style={styles.bookmarkBody}
+            onPress={() => onSelect(bookmark)}
+            disabled={bookmark.missing}
+          >
+            <Text style={[styles.searchResultBreadcrumb, bodyFontStyle]} numberOfLines={1}>
+              {[TAB_LABELS[bookmark.tab], ...bookmark.breadcrumb].map(decodeHtmlEntities).join(' › ')}
+            </Text>
+            <Text
+              style={[styles.searchResultTitle, { color: bookmark.missing ? '#888' : accent }, titleFontStyle]}
+            >
+              {decodeHtmlEntities(bookmark.title)}
+            </Text>
+            {bookmark.missing && (
+              <Text style={[styles.bookmarkMissing, bodyFontStyle]}>
+                This section is no longer in the {bookmark.tab === 'expansions' ? 'expansions' : 'rulebook'} after the last sync.
+              </Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.closeIconContainer}
+            onPress={() => onRemove(bookmark)}
+            accessibilityLabel={`Remove bookmark ${bookmark.title}`}
+          >
+            <Text style={styles.closeIcon}>✕</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+}
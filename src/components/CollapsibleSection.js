@@ -14,9 +14,11 @@ export const DEFAULT_SECTION_EXPANDED = false;
 export default function CollapsibleSection({
   title,
   titleNode,
+  badge,
   icon,
   isExpanded,
   onToggle,
+  onLongPress,
   level = 1,
   children,
   styles,
@@ -44,7 +46,7 @@ export default function CollapsibleSection({
 
   return (
     <View ref={sectionRef} style={[style, { marginLeft }]}>
-      <TouchableOpacity onPress={onToggle} style={styles.sectionHeader}>
+      <TouchableOpacity onPress={onToggle} onLongPress={onLongPress} style={styles.sectionHeader}>
         <Animated.View style={{ transform: [{ rotate }], marginRight: scaleSize(8), width: 20 }}>
           <Text style={styles.chevron}>▶</Text>
         </Animated.View>
@@ -54,6 +56,7 @@ export default function CollapsibleSection({
         ) : (
           <Text style={[styles.sectionTitle, { fontSize, color: accent }, titleFontStyle]}>{title}</Text>
         )}
+        {badge ?? null}
       </TouchableOpacity>
       {isExpanded && <View style={styles.sectionContent}>{children}</View>}
     </View>
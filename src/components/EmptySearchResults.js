@@ -16,6 +16,9 @@ export default function EmptySearchResults({ query, styles }) {
       <Text style={[styles.emptyStateTitle, titleFontStyle]}>No matching rules found</Text>
       <Text style={[styles.emptyStateText, bodyFontStyle]}>We couldn't find any rules matching "{query}".</Text>
       <Text style={[styles.emptyStateText, bodyFontStyle]}>Try using different keywords or check your spelling.</Text>
+      <Text style={[styles.emptyStateText, bodyFontStyle]}>
+        Tip: "quote" an exact phrase, -word to leave it out, in:rules or in:expansions to search one tab.
+      </Text>
     </View>
   );
 }
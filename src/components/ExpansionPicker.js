@@ -0,0 +1,62 @@
+/**
+ * "Expansions in play" card shown under the Expansions title: one switch per
+ * catalogue entry (see services/expansionCatalogue). Switched-off expansions
+ * are left out of the tab, Tools, search index and Clinks for this game.
+ */
+import React, { useState } from 'react';
+import { View, Text, Switch, Pressable } from 'react-native';
+import CollapsibleSection from './CollapsibleSection';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { scaleFontSize } from '../utils/scaleFontSize';
+import { isExpansionActive } from '../services/expansionCatalogue';
+import { useTheme } from '../context/ThemeContext';
+
+export default function ExpansionPicker({ catalogue, inactiveFolders, onToggle, onReset, styles }) {
+  const { accent, bodyFontStyle } = useTheme();
+  const [isExpanded, setIsExpanded] = useState(false);
+  if (!catalogue?.length) return null;
+
+  const activeCount = catalogue.filter((entry) => isExpansionActive(entry.folder, inactiveFolders)).length;
+
+  return (
+    <CollapsibleSection
+      title={`In play: ${activeCount} of ${catalogue.length}`}
+      isExpanded={isExpanded}
+      onToggle={() => setIsExpanded((e) => !e)}
+      level={2}
+      styles={styles}
+    >
+      <View style={styles.versionContainer}>
+        <Text style={[styles.toolDescription, { marginBottom: 8 }, bodyFontStyle]}>
+          Switch off the expansions you aren&apos;t playing this game. They are hidden here and left out of Tools and Clinks.
+        </Text>
+        {catalogue.map((entry, index) => (
+          <View
+            key={entry.folder}
+            style={[styles.settingsRow, index === catalogue.length - 1 && styles.settingsRowLast]}
+          >
+            <View style={{ flex: 1, marginRight: 12 }}>
+              <Text style={[styles.settingsRowText, bodyFontStyle]}>{decodeHtmlEntities(entry.name)}</Text>
+              {entry.description ? (
+                <Text style={[{ fontSize: scaleFontSize(12), color: '#999', marginTop: 2 }, bodyFontStyle]} numberOfLines={2}>
+                  {decodeHtmlEntities(entry.description)}
+                </Text>
+              ) : null}
+            </View>
+            <Switch
+              value={isExpansionActive(entry.folder, inactiveFolders)}
+              onValueChange={(value) => onToggle?.(entry.folder, value)}
+              trackColor={{ false: '#555', true: accent }}
+              thumbColor="#E1E1E1"
+            />
+          </View>
+        ))}
+        {activeCount < catalogue.length && (
+          <Pressable onPress={onReset} style={{ marginTop: 8 }}>
+            <Text style={[styles.infoLink, bodyFontStyle]}>Play with all expansions</Text>
+          </Pressable>
+        )}
+      </View>
+    </CollapsibleSection>
+  );
+}
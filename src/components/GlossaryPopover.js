@@ -0,0 +1,27 @@
+/**
+ * Definition of a tapped glossary term, over the current screen. "Defined in"
+ * opens the section the definition came from.
+ */
+import React from 'react';
+import { View, Text, TouchableOpacity, Pressable, Modal } from 'react-native';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { useTheme } from '../context/ThemeContext';
+
+export default function GlossaryPopover({ entry, onClose, onOpenSection, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  return (
+    <Modal visible={entry != null} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.glossaryBackdrop} onPress={onClose}>
+        {entry && (
+          <Pressable style={[styles.glossaryCard, { borderColor: accent }]}>
+            <Text style={[styles.glossaryTerm, { color: accent }, titleFontStyle]}>{entry.term}</Text>
+            <Text style={[styles.glossaryDefinition, bodyFontStyle]}>{decodeHtmlEntities(entry.definition)}</Text>
+            <TouchableOpacity onPress={() => onOpenSection(entry)}>
+              <Text style={[styles.infoLink, bodyFontStyle]}>Defined in {decodeHtmlEntities(entry.sectionTitle)} ›</Text>
+            </TouchableOpacity>
+          </Pressable>
+        )}
+      </Pressable>
+    </Modal>
+  );
+}
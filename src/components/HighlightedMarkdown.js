@@ -1,13 +1,33 @@
 /**
- * Markdown component with search term highlighting (bold via **).
+ * Markdown component with search term highlighting (bold via **). Stems, synonyms
+ * and near-miss spellings of the query are highlighted too (see highlightMatches).
+ * With `linkGlossary`, game terms become tappable and show their definition
+ * (see context/GlossaryContext); `sectionId` keeps a section's own terms plain.
  */
 import React from 'react';
-import Markdown from 'react-native-markdown-display';
+import { Text } from 'react-native';
+import Markdown, { openUrl } from 'react-native-markdown-display';
 import { normalizeSearchQuery, highlightMatches } from '../utils/searchUtils';
+import { GLOSSARY_LINK_PREFIX } from '../services/glossary';
 import { useTheme } from '../context/ThemeContext';
+import { useGlossary } from '../context/GlossaryContext';
 
-export default function HighlightedMarkdown({ content, searchQuery, style, onLinkPress }) {
+/** Glossary term links get their own style; other links render as the library does. */
+const markdownRules = {
+  link: (node, children, parent, styles, onLinkPress) => (
+    <Text
+      key={node.key}
+      style={node.attributes.href?.startsWith(GLOSSARY_LINK_PREFIX) ? styles.glossary_term : styles.link}
+      onPress={() => openUrl(node.attributes.href, onLinkPress)}
+    >
+      {children}
+    </Text>
+  ),
+};
+
+export default function HighlightedMarkdown({ content, searchQuery, style, onLinkPress, linkGlossary = false, sectionId = null }) {
   const { accent } = useTheme();
+  const glossary = useGlossary();
   if (!content) {
     return null;
   }
@@ -36,14 +56,26 @@ export default function HighlightedMarkdown({ content, searchQuery, style, onLin
       color: '#ffffff',
       fontWeight: 'bold',
     },
+    glossary_term: {
+      color: style?.body?.color,
+      textDecorationLine: 'underline',
+      textDecorationStyle: 'dotted',
+      textDecorationColor: accent,
+    },
   };
 
+  const linkedContent = linkGlossary && glossary ? glossary.linkTerms(content, sectionId) : content;
   const normalizedQuery = normalizeSearchQuery(searchQuery);
   const highlightedContent =
-    normalizedQuery.length >= 2 ? highlightMatches(content, normalizedQuery) : content;
+    normalizedQuery.length >= 2 ? highlightMatches(linkedContent, normalizedQuery) : linkedContent;
+
+  const handleLinkPress = (url) => {
+    if (glossary?.openTermLink(url)) return false;
+    return onLinkPress ? onLinkPress(url) : true;
+  };
 
   return (
-    <Markdown style={enhancedStyle} onLinkPress={onLinkPress}>
+    <Markdown style={enhancedStyle} onLinkPress={handleLinkPress} rules={markdownRules}>
       {highlightedContent}
     </Markdown>
   );
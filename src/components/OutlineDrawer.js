@@ -0,0 +1,85 @@
+/**
+ * Slide-out table of contents for the Rules or Expansions tab (see
+ * services/outline). The section being read is highlighted, along with the
+ * sections it sits under, and scrolled into view when the drawer opens.
+ * Tapping a row opens that section.
+ */
+import React, { useEffect, useRef } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Pressable, Modal, Animated, Dimensions } from 'react-native';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { scaleFontSize } from '../utils/scaleFontSize';
+import { useTheme } from '../context/ThemeContext';
+
+const DRAWER_WIDTH = Math.min(340, Dimensions.get('window').width * 0.85);
+const INDENT = 14;
+
+export default function OutlineDrawer({ visible, title, outline = [], currentId, onSelect, onClose, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  const slide = useRef(new Animated.Value(-DRAWER_WIDTH)).current;
+  const listRef = useRef(null);
+  const currentRowY = useRef(null);
+
+  const current = outline.find((item) => item.id === currentId);
+  const currentAncestors = new Set(current?.ancestorIds || []);
+
+  useEffect(() => {
+    if (!visible) return;
+    currentRowY.current = null;
+    slide.setValue(-DRAWER_WIDTH);
+    Animated.timing(slide, { toValue: 0, duration: 220, useNativeDriver: true }).start();
+  }, [visible, slide]);
+
+  // Scroll the current row into view once it has laid out.
+  const handleCurrentRowLayout = (e) => {
+    if (currentRowY.current != null) return;
+    currentRowY.current = e.nativeEvent.layout.y;
+    listRef.current?.scrollTo({ y: Math.max(0, currentRowY.current - 120), animated: false });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.outlineBackdrop} onPress={onClose}>
+        <Animated.View style={[styles.outlineDrawer, { width: DRAWER_WIDTH, transform: [{ translateX: slide }] }]}>
+          <Pressable style={{ flex: 1 }}>
+            <Text style={[styles.outlineTitle, { color: accent }, titleFontStyle]}>{title}</Text>
+            {outline.length === 0 ? (
+              <Text style={[styles.emptyStateText, bodyFontStyle]}>Nothing to show until the content has loaded.</Text>
+            ) : (
+              <ScrollView ref={listRef} contentContainerStyle={{ paddingBottom: 40 }}>
+                {outline.map((item) => {
+                  const isCurrent = item.id === currentId;
+                  const isAncestor = currentAncestors.has(item.id);
+                  return (
+                    <TouchableOpacity
+                      key={item.id}
+                      onPress={() => onSelect(item)}
+                      onLayout={isCurrent ? handleCurrentRowLayout : undefined}
+                      style={[
+                        styles.outlineRow,
+                        { paddingLeft: 12 + item.depth * INDENT },
+                        isCurrent && { borderLeftColor: accent, backgroundColor: `${accent}1A` },
+                      ]}
+                    >
+                      <Text
+                        style={[
+                          styles.outlineRowText,
+                          { fontSize: scaleFontSize(item.depth === 0 ? 16 : 14) },
+                          (isCurrent || isAncestor) && { color: accent },
+                          item.depth === 0 && titleFontStyle,
+                          item.depth > 0 && bodyFontStyle,
+                        ]}
+                        numberOfLines={2}
+                      >
+                        {decodeHtmlEntities(item.title)}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </ScrollView>
+            )}
+          </Pressable>
+        </Animated.View>
+      </Pressable>
+    </Modal>
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * Ranked search hits from both content tabs (see services/searchService).
+ * Each row shows where the section lives and a snippet with the matched words
+ * highlighted (from the reader's note on it, when only the note matched);
+ * tapping it opens that section, switching tabs if needed.
+ */
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { useTheme } from '../context/ThemeContext';
+
+const TAB_LABELS = { rules: 'Rules', expansions: 'Expansions' };
+
+export default function SearchResults({ results, onSelect, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  return (
+    <View>
+      <Text style={[styles.searchResultsCount, bodyFontStyle]}>
+        {results.length === 1 ? '1 matching section' : `${results.length} matching sections`}
+      </Text>
+      {results.map((result) => (
+        <TouchableOpacity
+          key={`${result.tab}:${result.id}`}
+          style={styles.searchResult}
+          onPress={() => onSelect(result)}
+        >
+          <Text style={[styles.searchResultBreadcrumb, bodyFontStyle]} numberOfLines={1}>
+            {[TAB_LABELS[result.tab], ...result.breadcrumb].map(decodeHtmlEntities).join(' › ')}
+          </Text>
+          <Text style={[styles.searchResultTitle, { color: accent }, titleFontStyle]}>
+            {decodeHtmlEntities(result.title)}
+          </Text>
+          {result.snippet.length > 0 && (
+            <Text style={[styles.searchResultSnippet, bodyFontStyle]} numberOfLines={3}>
+              {result.inNote && <Text style={[styles.sectionNoteLabel, { color: accent }]}>Your note: </Text>}
+              {result.snippet.map((part, i) => (part.match ? (
+                <Text key={i} style={styles.highlightedText}>{decodeHtmlEntities(part.text)}</Text>
+              ) : decodeHtmlEntities(part.text)))}
+            </Text>
+          )}
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
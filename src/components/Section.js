@@ -1,16 +1,29 @@
 /**
  * Collapsible section with optional subsections and search highlighting.
  * Uses shared CollapsibleSection for header and expand/collapse behavior.
+ * Long-pressing the header offers section actions: bookmark (see
+ * services/bookmarks), add or edit a personal note (see services/sectionNotes),
+ * and copy a link to it (see services/deepLinks). A note is shown under the
+ * section body; tapping it edits it.
  */
 import React from 'react';
-import { Text } from 'react-native';
-import { decodeHtmlEntities, normalizeSearchQuery } from '../utils/searchUtils';
+import { Alert, View, Text, Pressable } from 'react-native';
+import { decodeHtmlEntities, normalizeSearchQuery, splitHighlights } from '../utils/searchUtils';
 import { scaleFontSize } from '../utils/scaleFontSize';
 import HighlightedMarkdown from './HighlightedMarkdown';
 import CollapsibleSection from './CollapsibleSection';
 import { useTheme } from '../context/ThemeContext';
+import BookmarkIcon from '../../assets/icons/bookmark.svg';
+
+/** Badge labels for sections touched by a local house rule (see services/houseRules). */
+const HOUSE_RULE_BADGES = {
+  add: 'House rule',
+  append: 'Amended',
+  replace: 'Replaced',
+};
 
 export default function Section({
+  id,
   title,
   level,
   content,
@@ -18,40 +31,51 @@ export default function Section({
   onPress,
   isExpanded,
   path = [],
-  onNavigate,
+  onLinkPress,
   sectionRefs,
+  isBookmarked,
+  onToggleBookmark,
+  onCopyLink,
+  noteFor,
+  onEditNote,
   searchQuery,
   styles,
   markdownStyles,
+  isHouseRule,
+  houseRuleMode,
 }) {
-  const { accent, titleFontStyle } = useTheme();
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
   const trimmedSearchQuery = normalizeSearchQuery(searchQuery);
   const decodedTitle = decodeHtmlEntities(title);
+  const bookmarked = Boolean(isBookmarked?.(id || title));
+  const note = noteFor?.(id || title);
+
+  // Links are resolved against the document this section came from (see services/linkResolver).
+  const handleLinkPress = (url) => (onLinkPress ? onLinkPress(url, id || title) : true);
 
-  const handleLinkPress = (url) => {
-    if (url.startsWith('#')) {
-      const sectionTitle = decodeURIComponent(url.slice(1));
-      onNavigate(sectionTitle);
-      return false;
+  const showActions = () => {
+    const actions = [];
+    if (onToggleBookmark) {
+      actions.push({ text: bookmarked ? 'Remove bookmark' : 'Bookmark', onPress: () => onToggleBookmark({ id, title }) });
     }
-    return true;
+    if (onEditNote) actions.push({ text: note ? 'Edit note' : 'Add note', onPress: () => onEditNote({ id, title }) });
+    if (onCopyLink) actions.push({ text: 'Copy link to this section', onPress: () => onCopyLink({ id, title }) });
+    Alert.alert(decodedTitle, undefined, [...actions, { text: 'Cancel', style: 'cancel' }]);
   };
 
   const fontSize = scaleFontSize(32 - (level - 1) * 4);
   const titleNode =
     trimmedSearchQuery.length >= 2 ? (
       <Text style={[styles.sectionTitle, { fontSize, color: accent }, titleFontStyle]}>
-        {decodedTitle
-          .split(new RegExp(`(${trimmedSearchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi'))
-          .map((part, i) =>
-            part.toLowerCase() === trimmedSearchQuery.toLowerCase() ? (
-              <Text key={i} style={[{ fontSize, fontWeight: 'bold', color: accent }, titleFontStyle, styles.highlightedText]}>
-                {part}
-              </Text>
-            ) : (
-              part
-            )
-          )}
+        {splitHighlights(decodedTitle, trimmedSearchQuery).map((part, i) =>
+          part.match ? (
+            <Text key={i} style={[{ fontSize, fontWeight: 'bold', color: accent }, titleFontStyle, styles.highlightedText]}>
+              {part.text}
+            </Text>
+          ) : (
+            part.text
+          )
+        )}
       </Text>
     ) : null;
 
@@ -59,12 +83,25 @@ export default function Section({
     <CollapsibleSection
       title={decodedTitle}
       titleNode={titleNode}
+      badge={isHouseRule || bookmarked ? (
+        <>
+          {isHouseRule && (
+            <View style={styles.houseRuleBadge}>
+              <Text style={styles.houseRuleBadgeText}>{HOUSE_RULE_BADGES[houseRuleMode] || HOUSE_RULE_BADGES.add}</Text>
+            </View>
+          )}
+          {bookmarked && <BookmarkIcon width={18} height={18} color={accent} style={styles.sectionBookmarkIcon} />}
+        </>
+      ) : null}
       isExpanded={isExpanded}
       onToggle={() => onPress(path)}
+      onLongPress={onToggleBookmark || onEditNote || onCopyLink ? showActions : undefined}
       level={level}
       styles={styles}
       sectionRef={(ref) => {
-        if (ref) sectionRefs[title] = ref;
+        // Unmounted sections (inside a collapsed parent) drop out, so measuring the refs only sees what's on screen.
+        if (ref) sectionRefs[id || title] = ref;
+        else delete sectionRefs[id || title];
       }}
     >
       {content && (
@@ -73,17 +110,33 @@ export default function Section({
           searchQuery={searchQuery}
           style={markdownStyles}
           onLinkPress={handleLinkPress}
+          linkGlossary
+          sectionId={id || title}
         />
       )}
+      {note && (
+        <Pressable
+          style={[styles.sectionNote, { borderLeftColor: accent }]}
+          onPress={onEditNote ? () => onEditNote({ id, title }) : undefined}
+        >
+          <Text style={[styles.sectionNoteLabel, { color: accent }, bodyFontStyle]}>Your note</Text>
+          <Text style={[styles.sectionNoteText, bodyFontStyle]}>{note.text}</Text>
+        </Pressable>
+      )}
       {subsections?.map((subsection, index) => (
         <Section
-          key={index}
+          key={subsection.id || index}
           {...subsection}
           level={level + 1}
           path={[...path, 'subsections', index]}
           onPress={onPress}
-          onNavigate={onNavigate}
+          onLinkPress={onLinkPress}
           sectionRefs={sectionRefs}
+          isBookmarked={isBookmarked}
+          onToggleBookmark={onToggleBookmark}
+          onCopyLink={onCopyLink}
+          noteFor={noteFor}
+          onEditNote={onEditNote}
           searchQuery={searchQuery}
           subsections={subsection.subsections}
           isExpanded={subsection.isExpanded}
@@ -0,0 +1,60 @@
+/**
+ * Editor for the personal note on one section (see services/sectionNotes),
+ * over the current screen. Saving empty text removes the note.
+ */
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, Pressable, Modal } from 'react-native';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { scaleFontSize } from '../utils/scaleFontSize';
+import { useTheme } from '../context/ThemeContext';
+
+const WARNING_COLOR = '#E53935';
+
+export default function SectionNoteEditor({ target, onSave, onClose, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  const [text, setText] = useState('');
+
+  useEffect(() => {
+    if (target) setText(target.text || '');
+  }, [target]);
+
+  return (
+    <Modal visible={target != null} transparent animationType="fade" onRequestClose={onClose}>
+      <Pressable style={styles.glossaryBackdrop} onPress={onClose}>
+        {target && (
+          <Pressable style={[styles.glossaryCard, { borderColor: accent }]}>
+            <Text style={[styles.glossaryTerm, { color: accent }, titleFontStyle]} numberOfLines={2}>
+              {decodeHtmlEntities(target.title)}
+            </Text>
+            <TextInput
+              value={text}
+              onChangeText={setText}
+              placeholder="e.g. We ruled this way on 3/14"
+              placeholderTextColor="#666"
+              multiline
+              autoFocus
+              textAlignVertical="top"
+              style={[styles.sectionNoteInput, bodyFontStyle]}
+            />
+            <View style={{ flexDirection: 'row', alignItems: 'center', gap: 16 }}>
+              <TouchableOpacity
+                style={{ paddingHorizontal: 16, paddingVertical: 8, borderRadius: 6, borderWidth: 1, borderColor: accent, backgroundColor: `${accent}1A` }}
+                onPress={() => onSave(text)}
+              >
+                <Text style={[{ fontSize: scaleFontSize(13), fontWeight: '600', color: accent }, bodyFontStyle]}>Save note</Text>
+              </TouchableOpacity>
+              {Boolean(target.text) && (
+                <Pressable onPress={() => onSave('')}>
+                  <Text style={[styles.infoLink, { color: WARNING_COLOR }, bodyFontStyle]}>Delete</Text>
+                </Pressable>
+              )}
+              <Pressable onPress={onClose}>
+                <Text style={[styles.infoLink, bodyFontStyle]}>Cancel</Text>
+              </Pressable>
+            </View>
+          </Pressable>
+        )}
+      </Pressable>
+    </Modal>
+  );
+}
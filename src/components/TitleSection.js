@@ -3,12 +3,12 @@
  */
 import React, { useRef, useEffect } from 'react';
 import { View, Text, TouchableOpacity, Animated } from 'react-native';
-import { decodeHtmlEntities, normalizeSearchQuery } from '../utils/searchUtils';
+import { decodeHtmlEntities, normalizeSearchQuery, splitHighlights } from '../utils/searchUtils';
 import { scaleFontSize } from '../utils/scaleFontSize';
 import HighlightedMarkdown from './HighlightedMarkdown';
 import { useTheme } from '../context/ThemeContext';
 
-export default function TitleSection({ title, content, searchQuery, onNavigate, styles, markdownStyles }) {
+export default function TitleSection({ id, title, content, searchQuery, onLinkPress, styles, markdownStyles }) {
   const { accent, accentGlow, titleFontStyle, bodyFontStyle } = useTheme();
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(20)).current;
@@ -46,14 +46,8 @@ export default function TitleSection({ title, content, searchQuery, onNavigate,
   const { tocContent, mainContent } = extractTableOfContents();
   const trimmedSearchQuery = normalizeSearchQuery(searchQuery);
 
-  const handleTocLinkPress = (url) => {
-    if (url.startsWith('#')) {
-      const sectionTitle = decodeURIComponent(url.slice(1));
-      if (onNavigate) onNavigate(sectionTitle);
-      return false;
-    }
-    return true;
-  };
+  // TOC anchors and links in the intro resolve like section links (see services/linkResolver).
+  const handleLinkPress = (url) => (onLinkPress ? onLinkPress(url, id || title) : true);
 
   const titleStyle = {
     fontSize: scaleFontSize(48),
@@ -74,20 +68,18 @@ export default function TitleSection({ title, content, searchQuery, onNavigate,
           <TouchableOpacity activeOpacity={1}>
             <Text style={titleStyle} numberOfLines={1} adjustsFontSizeToFit>
               {trimmedSearchQuery.length >= 2
-                ? decodedTitle
-                    .split(new RegExp(`(${trimmedSearchQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi'))
-                    .map((part, i) =>
-                      part.toLowerCase() === trimmedSearchQuery.toLowerCase() ? (
-                        <Text
-                          key={i}
-                          style={[{ fontSize: scaleFontSize(48), fontWeight: 'bold', color: accent, textShadowColor: accentGlow, textShadowOffset: { width: 0, height: 0 }, textShadowRadius: 20 }, titleFontStyle, styles.highlightedText]}
-                        >
-                          {part}
-                        </Text>
-                      ) : (
-                        part
-                      )
+                ? splitHighlights(decodedTitle, trimmedSearchQuery).map((part, i) =>
+                    part.match ? (
+                      <Text
+                        key={i}
+                        style={[{ fontSize: scaleFontSize(48), fontWeight: 'bold', color: accent, textShadowColor: accentGlow, textShadowOffset: { width: 0, height: 0 }, textShadowRadius: 20 }, titleFontStyle, styles.highlightedText]}
+                      >
+                        {part.text}
+                      </Text>
+                    ) : (
+                      part.text
                     )
+                  )
                 : decodedTitle}
             </Text>
           </TouchableOpacity>
@@ -104,6 +96,7 @@ export default function TitleSection({ title, content, searchQuery, onNavigate,
                 body: { ...markdownStyles.body, fontSize: scaleFontSize(20), textAlign: 'center', color: 'rgba(225, 225, 225, 0.9)', lineHeight: 32, paddingHorizontal: 32, letterSpacing: 0.5, ...bodyFontStyle },
                 paragraph: { marginBottom: 20, color: '#E1E1E1', textAlign: 'center', ...bodyFontStyle },
               }}
+              onLinkPress={handleLinkPress}
             />
           </View>
         )}
@@ -119,7 +112,7 @@ export default function TitleSection({ title, content, searchQuery, onNavigate,
                 bullet_list: { ...markdownStyles.bullet_list, marginTop: 16 },
                 link: { ...markdownStyles.link, textDecorationLine: 'none', ...bodyFontStyle },
               }}
-              onLinkPress={handleTocLinkPress}
+              onLinkPress={handleLinkPress}
             />
           </View>
         )}
@@ -1,7 +1,12 @@
+export { default as BookmarksList } from './BookmarksList';
 export { default as CollapsibleSection } from './CollapsibleSection';
 export { default as EmptySearchResults } from './EmptySearchResults';
+export { default as ExpansionPicker } from './ExpansionPicker';
 export { default as HighlightedMarkdown } from './HighlightedMarkdown';
+export { default as OutlineDrawer } from './OutlineDrawer';
+export { default as SearchResults } from './SearchResults';
 export { default as Section } from './Section';
+export { default as SectionNoteEditor } from './SectionNoteEditor';
 export { default as TitleSection } from './TitleSection';
 export { default as VoiceAssistantFAB } from './VoiceAssistantFAB';
 export { default as VoiceAssistantModal } from './VoiceAssistantModal';
@@ -1,25 +1,43 @@
 /**
- * App-wide constants: content URLs, cache keys, and theme colors.
+ * App-wide constants: default content source, cache keys, and theme colors.
  */
 
 export const ACCENT_COLOR = '#7B8C9E';
 export const ACCENT_GLOW  = 'rgba(123, 140, 158, 0.3)';
 
-export const CONTENT_URL =
-  'https://raw.githubusercontent.com/seanKenkeremath/lords-and-lads/master/README.md';
-export const EXPANSIONS_URL =
-  'https://raw.githubusercontent.com/seanKenkeremath/lords-and-lads/master/expansions/README.md';
-export const EXPANSIONS_BASE_URL =
-  'https://raw.githubusercontent.com/seanKenkeremath/lords-and-lads/master/expansions';
-export const GITHUB_API_URL =
-  'https://api.github.com/repos/seanKenkeremath/lords-and-lads/contents/expansions';
+/**
+ * Built-in rulebook source. Users can add forks, branches or raw mirrors in
+ * Settings; see services/contentSources for how a source maps to URLs.
+ */
+export const DEFAULT_CONTENT_SOURCE = {
+  id: 'official',
+  label: 'Official Rulebook',
+  owner: 'seanKenkeremath',
+  repo: 'lords-and-lads',
+  branch: 'master',
+  path: '',
+};
 
+/**
+ * AsyncStorage keys of the pre-SQLite content cache. Content now lives in the
+ * content store (services/contentStore); these are only read by its one-time
+ * import migration.
+ */
 export const CACHE_KEYS = {
   RULES_MARKDOWN: '@cache_rules_markdown',
   EXPANSION_TEXTS: '@cache_expansion_texts',
   LAST_FETCH_DATE: '@cache_last_fetch_date',
   RULES_LAST_SYNCED: '@cache_rules_last_synced',
   EXPANSIONS_LAST_SYNCED: '@cache_expansions_last_synced',
+  // Snapshot replaced by the most recent sync that actually changed the text.
+  RULES_MARKDOWN_PREVIOUS: '@cache_rules_markdown_previous',
+  EXPANSION_TEXTS_PREVIOUS: '@cache_expansion_texts_previous',
+  RULES_CHANGED_AT: '@cache_rules_changed_at',
+  EXPANSIONS_CHANGED_AT: '@cache_expansions_changed_at',
+  // { [url]: { etag, lastModified } } from the last 200 response per URL.
+  HTTP_VALIDATORS: '@cache_http_validators',
+  // Expansion folder names aligned with EXPANSION_TEXTS[1..].
+  EXPANSION_FOLDERS: '@cache_expansion_folders',
 };
 
 /**
@@ -151,6 +169,11 @@ export const GEMINI_SYSTEM_PROMPT =
   'Never reference section numbers or citations. ' +
   'If the rules don\'t cover the question, say so.';
 
+/** Appended to the system prompt when the context contains local house rules. */
+export const GEMINI_HOUSE_RULES_NOTE =
+  'Text marked "House rule" is how this group actually plays: it takes precedence ' +
+  'over the official text it amends or replaces. Answer according to the house rules.';
+
 /**
  * Builds the full-context prompt for the Gemini cloud API.
  * Sends the complete rulebook + expansions instead of RAG chunks — Gemini's
@@ -160,8 +183,9 @@ export const GEMINI_SYSTEM_PROMPT =
  * @param {string} rawExpansions  Full expansions markdown.
  * @param {Array}  history        Settled {role, text} messages (most-recent last).
  * @param {string} question       Current user question.
+ * @param {{ includesHouseRules?: boolean }} [options]
  */
-export const buildGeminiFullContextPrompt = (rawRules, rawExpansions, history, question) => {
+export const buildGeminiFullContextPrompt = (rawRules, rawExpansions, history, question, { includesHouseRules = false } = {}) => {
   const rules = sanitizeRulebookContent(rawRules || '') || 'Not available.';
   const expansions = sanitizeRulebookContent(rawExpansions || '') || 'Not available.';
 
@@ -171,7 +195,7 @@ export const buildGeminiFullContextPrompt = (rawRules, rawExpansions, history, q
     : '';
 
   const parts = [
-    GEMINI_SYSTEM_PROMPT,
+    includesHouseRules ? `${GEMINI_SYSTEM_PROMPT} ${GEMINI_HOUSE_RULES_NOTE}` : GEMINI_SYSTEM_PROMPT,
     '',
     `Here are the complete game rules:\n${rules}`,
     '',
@@ -0,0 +1,47 @@
+/**
+ * Glossary terms for HighlightedMarkdown: which terms to link, and the
+ * popover that shows a tapped term's definition with a link to the section
+ * that defines it (see services/glossary).
+ */
+import React, { createContext, useContext, useMemo, useState } from 'react';
+import { GLOSSARY_LINK_PREFIX, linkGlossaryTerms } from '../services/glossary';
+import GlossaryPopover from '../components/GlossaryPopover';
+
+const GlossaryContext = createContext(null);
+
+export function GlossaryProvider({ glossary, onOpenSection, styles, children }) {
+  const [openKey, setOpenKey] = useState(null);
+
+  const value = useMemo(() => ({
+    glossary,
+    linkTerms: (markdown, sectionId) => linkGlossaryTerms(markdown, glossary, { excludeSectionId: sectionId }),
+    /** Show the definition for a `glossary:` link; false for any other URL. */
+    openTermLink: (url) => {
+      if (!url?.startsWith(GLOSSARY_LINK_PREFIX)) return false;
+      setOpenKey(url.slice(GLOSSARY_LINK_PREFIX.length));
+      return true;
+    },
+  }), [glossary]);
+
+  const entry = openKey ? glossary.find((e) => e.key === openKey) : null;
+
+  return (
+    <GlossaryContext.Provider value={value}>
+      {children}
+      <GlossaryPopover
+        entry={entry}
+        onClose={() => setOpenKey(null)}
+        onOpenSection={(target) => {
+          setOpenKey(null);
+          onOpenSection(target.tab, target.sectionId);
+        }}
+        styles={styles}
+      />
+    </GlossaryContext.Provider>
+  );
+}
+
+/** Glossary helpers, or null outside a GlossaryProvider (terms are then left as plain text). */
+export function useGlossary() {
+  return useContext(GlossaryContext);
+}
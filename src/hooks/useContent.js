@@ -1,10 +1,11 @@
 /**
  * Hook that owns all content/sections state, cache fetch, search, and section navigation.
- * Returns state, refs, handlers, and renderSection for use by App.
+ * Returns state, refs, handlers, and per-tab section renderers for use by App.
  */
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { View } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import Clipboard from '@react-native-clipboard/clipboard';
 import {
   getCachedContent,
   fetchRules,
@@ -14,17 +15,68 @@ import {
   saveExpansionsLastSynced,
   buildExpansionSections,
   parseMarkdownSections,
+  setActiveContentSource,
+  getActiveContentSource,
+  clearCachedExpansions,
 } from '../services/contentService';
-import { CACHE_KEYS } from '../constants';
+import {
+  loadContentSources,
+  saveCustomContentSources,
+  getSelectedSourceId,
+  saveSelectedSourceId,
+  createContentSource,
+} from '../services/contentSources';
+import { deleteSourceContent, getLastSuccessfulSync } from '../services/contentStore';
+import { createSyncScheduler } from '../services/syncScheduler';
+import { loadHouseRules, saveHouseRules, applyHouseRules } from '../services/houseRules';
+import { isExpansionActive, loadInactiveExpansions, saveInactiveExpansions } from '../services/expansionCatalogue';
+import { buildSearchIndex, searchSections } from '../services/searchService';
+import { extractGlossary } from '../services/glossary';
+import { buildOutline, sectionAtOffset } from '../services/outline';
+import {
+  bookmarkKey,
+  createBookmark,
+  findSectionBreadcrumb,
+  loadBookmarks,
+  resolveBookmarks,
+  saveBookmarks,
+  toggleBookmark,
+} from '../services/bookmarks';
+import { indexNotes, loadSectionNotes, mergeSectionNotes, saveSectionNotes, setSectionNote } from '../services/sectionNotes';
+import { buildSectionLink, parseDeepLink, resolveDeepLink } from '../services/deepLinks';
+import { documentForSection, resolveContentLink } from '../services/linkResolver';
+import {
+  applyExpandedIds,
+  collectExpandedIds,
+  loadReadingPositions,
+  saveReadingPosition,
+  treeSignature,
+} from '../services/readingPosition';
+import { DEFAULT_CONTENT_SOURCE } from '../constants';
 import { normalizeSearchQuery } from '../utils/searchUtils';
-import { logError } from '../services/errorLogger';
+import { logError, logEvent } from '../services/errorLogger';
 import { TitleSection, Section } from '../components';
+import { SNAPSHOT_SOURCE_ID, SNAPSHOT_DATE, SNAPSHOT_RULES, SNAPSHOT_EXPANSIONS } from '../contentSnapshot';
 
 const EXPAND_SETTINGS_KEYS = {
   RULES: '@lnl_expand_rules_default',
   EXPANSIONS: '@lnl_expand_expansions_default',
 };
 
+/** Path to the section whose slug id is `id` (see services/markdownParser). */
+function findSectionPathById(sectionsList, id, currentPath = []) {
+  if (!sectionsList || !id) return null;
+  for (let i = 0; i < sectionsList.length; i++) {
+    const section = sectionsList[i];
+    if (section?.id === id) return [...currentPath, i];
+    if (section?.subsections?.length > 0) {
+      const sub = findSectionPathById(section.subsections, id, [...currentPath, i, 'subsections']);
+      if (sub) return sub;
+    }
+  }
+  return null;
+}
+
 function findSectionPath(sectionsList, targetTitle, currentPath = []) {
   if (!sectionsList || !targetTitle) return null;
   const normalizeTitle = (t) => (t || '').toLowerCase().replace(/\s+/g, '').replace(/[^a-z0-9]/g, '');
@@ -43,32 +95,14 @@ function findSectionPath(sectionsList, targetTitle, currentPath = []) {
   return null;
 }
 
-function filterSectionsBySearch(sectionsList, query) {
-  const q = normalizeSearchQuery(query);
-  if (!q || q.length < 2) return sectionsList;
-  const copy = JSON.parse(JSON.stringify(sectionsList));
-  const queryLower = q.toLowerCase();
-
-  function process(section) {
-    if (!section) return false;
-    const titleMatch = section.title?.toLowerCase().includes(queryLower);
-    const contentMatch = section.content?.toLowerCase().includes(queryLower);
-    let hasSub = false;
-    if (section.subsections?.length > 0) {
-      section.subsections = section.subsections.filter((s) => process(s));
-      hasSub = section.subsections.length > 0;
-    }
-    if (titleMatch || contentMatch || hasSub) {
-      section.isExpanded = true;
-      return true;
-    }
-    return false;
-  }
+/** Key for sectionRefs: the slug id, or the title for sections without one. */
+const sectionKey = (section) => section.id || section.title;
 
-  const filtered = copy.filter((s) => s.isTitle || process(s));
-  const hasContent = filtered.some((s) => !s.isTitle);
-  return hasContent ? filtered : [];
-}
+/** Wait after the last scroll or toggle before writing the reading position. */
+const POSITION_SAVE_DELAY_MS = 500;
+
+/** How far below the top of the scroll view a section counts as the one being read (clears the floating header). */
+const CURRENT_SECTION_LEAD = 120;
 
 const makeToggle = (setState) => (path) => {
   if (!path) return;
@@ -113,18 +147,90 @@ export function useContent(styles, markdownStyles) {
   const [sections, setSections] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [showSearch, setShowSearch] = useState(false);
+  // Query of the search result last opened; its matches stay highlighted in the sections.
+  const [highlightQuery, setHighlightQuery] = useState('');
   const [activeTab, setActiveTab] = useState('rules');
   const [lastFetchDate, setLastFetchDate] = useState(null);
   const [rulesLastSynced, setRulesLastSynced] = useState(null);
   const [expansionsLastSynced, setExpansionsLastSynced] = useState(null);
   const [expansionsRateLimited, setExpansionsRateLimited] = useState(false);
+  const [contentSources, setContentSources] = useState([DEFAULT_CONTENT_SOURCE]);
+  const [activeSourceId, setActiveSourceId] = useState(DEFAULT_CONTENT_SOURCE.id);
+  const [houseRules, setHouseRules] = useState([]);
+  const [expansionCatalogue, setExpansionCatalogue] = useState([]);
+  const [inactiveExpansions, setInactiveExpansions] = useState([]);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  const [sectionNotes, setSectionNotes] = useState([]);
+  const [showOutline, setShowOutline] = useState(false);
+  // Section in view when the outline drawer was opened.
+  const [outlineCurrentId, setOutlineCurrentId] = useState(null);
+  // { tab, id, title, text } of the section whose note is being edited.
+  const [editingNote, setEditingNote] = useState(null);
+  // Deep link waiting for the tab it points at to load (see services/deepLinks).
+  const [pendingLink, setPendingLink] = useState(null);
+  // { date, rules, expansions } while a tab shows the build-time snapshot instead of a synced copy.
+  const [bundledSnapshot, setBundledSnapshot] = useState(null);
+  // When the scheduler will next try expansions after a rate limit or failure (ms epoch).
+  const [expansionsRetryAt, setExpansionsRetryAt] = useState(null);
 
   const rulesScrollViewRef = useRef(null);
   const expansionsScrollViewRef = useRef(null);
   const scrollYByTab = useRef({ rules: 0, expansions: 0 });
-  const prevSearchQueryLen = useRef(0);
-  const sectionRefs = useRef({});
+  // Reading position per tab (see services/readingPosition): `saved` is what was
+  // stored at launch, `current` tracks the tree as shown and is what gets saved.
+  const savedPositionsRef = useRef({});
+  const currentPositionsRef = useRef({ rules: null, expansions: null });
+  const restoredTabsRef = useRef({ rules: false, expansions: false });
+  const positionSaveTimersRef = useRef({});
+  // Section views per tab, keyed by sectionKey(); ids can repeat across tabs.
+  const sectionRefs = useRef({ rules: {}, expansions: {} });
   const searchInputRef = useRef(null);
+  // Unmerged trees, kept so house rules can be re-applied without re-parsing.
+  const officialSectionsRef = useRef([]);
+  const officialExpansionSectionsRef = useRef([]);
+  const houseRulesRef = useRef([]);
+  // Stored expansion READMEs, kept so the expansions in play can change without a refetch.
+  const expansionDocumentsRef = useRef([]);
+  const inactiveExpansionsRef = useRef([]);
+  const bookmarksRef = useRef([]);
+  const sectionNotesRef = useRef([]);
+
+  /**
+   * Expanded state for a freshly built tree: the sections the reader had open
+   * (kept across re-syncs by id), or the expand-by-default preference when
+   * nothing has been opened on this tab yet.
+   */
+  const expandTree = (tab, tree, expandAll) => {
+    const expandedIds = currentPositionsRef.current[tab]?.expandedIds ?? savedPositionsRef.current[tab]?.expandedIds;
+    return expandedIds ? applyExpandedIds(tree, expandedIds) : applyExpandPreference(tree, expandAll);
+  };
+
+  /** Show a freshly parsed rules tree with house rules merged on top. */
+  const showRulesTree = (parsed, expandAll) => {
+    officialSectionsRef.current = parsed;
+    const merged = applyHouseRules(parsed, houseRulesRef.current, 'rules');
+    setOriginalSections(merged);
+    setSections(expandTree('rules', merged, expandAll));
+  };
+
+  const showExpansionsTree = (parsed, expandAll) => {
+    officialExpansionSectionsRef.current = parsed;
+    const merged = applyHouseRules(parsed, houseRulesRef.current, 'expansions');
+    setOriginalExpansionSections(JSON.parse(JSON.stringify(merged)));
+    setExpansionSections(expandTree('expansions', merged, expandAll));
+  };
+
+  /** Build the Expansions tab (and RAG text) from stored documents, leaving out expansions not in play. */
+  const showExpansionDocuments = (documents, expandAll) => {
+    expansionDocumentsRef.current = documents;
+    const { mainContent, sections: expSections, catalogue } = buildExpansionSections(documents, {
+      inactiveFolders: inactiveExpansionsRef.current,
+    });
+    setExpansionCatalogue(catalogue);
+    setExpansionsContent(mainContent);
+    showExpansionsTree(expSections, expandAll);
+  };
 
   const loadCachedContent = async () => {
     try {
@@ -135,29 +241,39 @@ export function useContent(styles, markdownStyles) {
       const expandRulesDefault = expandRules === 'true';
       const expandExpansionsDefault = expandExpansions === 'true';
 
-      const { rulesMarkdown, expansionTexts, lastFetchDate: cachedDate, rulesLastSynced: cachedRules, expansionsLastSynced: cachedExpansions } = await getCachedContent();
+      const { rulesMarkdown, expansionDocuments, lastFetchDate: cachedDate, rulesLastSynced: cachedRules, expansionsLastSynced: cachedExpansions } = await getCachedContent();
       if (cachedDate) setLastFetchDate(cachedDate);
       if (cachedRules) setRulesLastSynced(cachedRules);
       if (cachedExpansions) setExpansionsLastSynced(cachedExpansions);
       let hasCachedData = false;
       if (rulesMarkdown) {
         setContent(rulesMarkdown);
-        const parsed = parseMarkdownSections(rulesMarkdown);
-        setOriginalSections(parsed);
-        setSections(applyExpandPreference(parsed, expandRulesDefault));
+        showRulesTree(parseMarkdownSections(rulesMarkdown), expandRulesDefault);
         hasCachedData = true;
       }
-      if (expansionTexts) {
-        const allExpansionTexts = JSON.parse(expansionTexts);
-        const mainText = allExpansionTexts[0] || '';
+      let hasCachedExpansions = false;
+      if (expansionDocuments) {
+        const mainText = expansionDocuments[0]?.body || '';
         if (mainText.includes('content unavailable')) {
-          await AsyncStorage.removeItem(CACHE_KEYS.EXPANSION_TEXTS);
+          await clearCachedExpansions();
         } else {
-          const { mainContent, sections: expSections } = buildExpansionSections(allExpansionTexts);
-          setExpansionsContent(mainContent);
-          const sectionsCopy = JSON.parse(JSON.stringify(expSections));
-          setOriginalExpansionSections(sectionsCopy);
-          setExpansionSections(applyExpandPreference(expSections, expandExpansionsDefault));
+          showExpansionDocuments(expansionDocuments, expandExpansionsDefault);
+          hasCachedExpansions = true;
+          hasCachedData = true;
+        }
+      }
+
+      // Nothing synced yet (e.g. first launch offline): fall back to the copy bundled at build time.
+      if (SNAPSHOT_DATE && getActiveContentSource().id === SNAPSHOT_SOURCE_ID) {
+        const useRules = !rulesMarkdown && Boolean(SNAPSHOT_RULES);
+        const useExpansions = !hasCachedExpansions && Boolean(SNAPSHOT_EXPANSIONS?.length);
+        if (useRules) {
+          setContent(SNAPSHOT_RULES);
+          showRulesTree(parseMarkdownSections(SNAPSHOT_RULES), expandRulesDefault);
+        }
+        if (useExpansions) showExpansionDocuments(SNAPSHOT_EXPANSIONS, expandExpansionsDefault);
+        if (useRules || useExpansions) {
+          setBundledSnapshot({ date: SNAPSHOT_DATE, rules: useRules, expansions: useExpansions });
           hasCachedData = true;
         }
       }
@@ -169,59 +285,119 @@ export function useContent(styles, markdownStyles) {
     }
   };
 
-  const fetchReadme = async () => {
-    const result = await fetchRules();
+  /** A live sync replaced the bundled copy on `tab`; drop the indicator once no tab shows it. */
+  const clearBundledSnapshot = (tab) => {
+    setBundledSnapshot((prev) => {
+      if (!prev?.[tab]) return prev;
+      const next = { ...prev, [tab]: false };
+      return next.rules || next.expansions ? next : null;
+    });
+  };
+
+  /** Whether `sourceId` is still the active source, i.e. a fetch started for it may be applied. */
+  const isActiveSource = (sourceId) => getActiveContentSource().id === sourceId;
+
+  /**
+   * Apply a fetchRules() service result to state. Resolves to true when the tab
+   * is current, or false without touching state if the source changed meanwhile.
+   */
+  const applyRulesResult = async (result, sourceId = getActiveContentSource().id) => {
+    if (!isActiveSource(sourceId)) return false;
+    if (result.success && result.notModified) return true;
     if (!result.success || !result.rulesText) return false;
-    setContent(result.rulesText);
-    setOriginalSections(result.sections);
     const expandRules = await AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.RULES);
-    setSections(applyExpandPreference(result.sections, expandRules === 'true'));
+    if (!isActiveSource(sourceId)) return false;
+    clearBundledSnapshot('rules');
+    setContent(result.rulesText);
+    showRulesTree(result.sections, expandRules === 'true');
     return true;
   };
 
-  const fetchExpansions = async () => {
-    const result = await fetchExpansionsFromService();
-    if (!result.success || result.sections == null) {
+  /**
+   * Apply a fetchExpansions() service result to state. Resolves to true when the
+   * tab is current, or false without touching state if the source changed meanwhile.
+   */
+  const applyExpansionsResult = async (result, sourceId = getActiveContentSource().id) => {
+    if (!isActiveSource(sourceId)) return false;
+    // Cached copy is still current: keep state as-is so nothing re-parses or re-indexes.
+    if (result.success && result.notModified) {
+      setExpansionsRateLimited(false);
+      return true;
+    }
+    if (!result.success || result.documents == null) {
       if (result.rateLimited) setExpansionsRateLimited(true);
       return false;
     }
-    setExpansionsRateLimited(false);
-    setExpansionsContent(result.mainContent);
-    const sectionsCopy = JSON.parse(JSON.stringify(result.sections));
-    setOriginalExpansionSections(sectionsCopy);
     const expandExpansions = await AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.EXPANSIONS);
-    setExpansionSections(applyExpandPreference(result.sections, expandExpansions === 'true'));
+    if (!isActiveSource(sourceId)) return false;
+    setExpansionsRateLimited(false);
+    clearBundledSnapshot('expansions');
+    showExpansionDocuments(result.documents, expandExpansions === 'true');
     return true;
   };
 
-  /** Refetch both rules and expansions (e.g. from empty-state Retry or manual Refresh).
-   *  Returns true if at least one fetch succeeded, false if both failed. */
-  const retryFetchContent = async () => {
-    const [rulesOk, expansionsOk] = await Promise.all([fetchReadme(), fetchExpansions()]);
+  const fetchExpansions = async () => {
+    const sourceId = getActiveContentSource().id;
+    return applyExpansionsResult(await fetchExpansionsFromService(), sourceId);
+  };
+
+  /** Stamp the "last synced" times shown on the More tab after a successful sync of `kind`. */
+  const markSynced = async (kind) => {
     const now = new Date().toLocaleString();
-    if (rulesOk) {
+    if (kind === 'rules') {
       setRulesLastSynced(now);
       await saveRulesLastSynced(now);
-    }
-    if (expansionsOk) {
+    } else {
       setExpansionsLastSynced(now);
       await saveExpansionsLastSynced(now);
     }
-    if (rulesOk || expansionsOk) {
-      setLastFetchDate(now);
-      await saveLastFetchDate(now);
-    }
-    return rulesOk || expansionsOk;
+    setLastFetchDate(now);
+    await saveLastFetchDate(now);
   };
 
-  useEffect(() => {
-    if (originalExpansionSections.length === 0 || (searchQuery && searchQuery.length >= 2)) return;
-    const apply = async () => {
-      const expand = await AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.EXPANSIONS);
-      setExpansionSections(applyExpandPreference(JSON.parse(JSON.stringify(originalExpansionSections)), expand === 'true'));
-    };
-    apply();
-  }, [originalExpansionSections.length]);
+  // Scheduler callbacks, refreshed every render so they always see current state.
+  // Each captures the source it started for; a result that arrives after a
+  // source switch is dropped rather than shown (and stamped) as the new source's.
+  const syncCallbacksRef = useRef(null);
+  syncCallbacksRef.current = {
+    rules: async () => {
+      const sourceId = getActiveContentSource().id;
+      const result = await fetchRules();
+      const success = await applyRulesResult(result, sourceId);
+      if (success && isActiveSource(sourceId)) await markSynced('rules');
+      return { success, rejected: Boolean(result.rejected) };
+    },
+    expansions: async () => {
+      const sourceId = getActiveContentSource().id;
+      const result = await fetchExpansionsFromService();
+      const success = await applyExpansionsResult(result, sourceId);
+      if (success && isActiveSource(sourceId)) await markSynced('expansions');
+      return { success, rejected: Boolean(result.rejected), retryAt: result.retryAt ?? null };
+    },
+    // A tab with no copy (or only the bundled snapshot) counts as never synced.
+    lastSyncedAt: async (kind) => {
+      const hasCopy = kind === 'rules' ? officialSectionsRef.current.length > 0 : expansionDocumentsRef.current.length > 0;
+      if (!hasCopy || bundledSnapshot?.[kind]) return null;
+      return getLastSuccessfulSync(getActiveContentSource().id, kind).catch(() => null);
+    },
+  };
+  const syncSchedulerRef = useRef(null);
+  if (!syncSchedulerRef.current) {
+    syncSchedulerRef.current = createSyncScheduler({
+      run: (kind) => syncCallbacksRef.current[kind](),
+      getLastSyncedAt: (kind) => syncCallbacksRef.current.lastSyncedAt(kind),
+      onRetryScheduled: (kind, retryAt) => {
+        if (kind === 'expansions') setExpansionsRetryAt(retryAt);
+      },
+    });
+  }
+
+  /** Refetch both rules and expansions now (e.g. from empty-state Retry or manual Refresh).
+   *  Returns true if at least one fetch succeeded, false if both failed. */
+  const retryFetchContent = async () => {
+    const { rules, expansions } = await syncSchedulerRef.current.syncNow();
+    return rules || expansions;
+  };
 
   useEffect(() => {
     if (!showSearch) return;
@@ -229,112 +405,222 @@ export function useContent(styles, markdownStyles) {
     return () => cancelAnimationFrame(raf);
   }, [showSearch]);
 
-  // When search is cleared (user tapped X), restore both tabs to full content (with expand preference).
-  useEffect(() => {
-    const queryLen = searchQuery?.length ?? 0;
-    const hadSearch = prevSearchQueryLen.current >= 2;
-    prevSearchQueryLen.current = queryLen;
-    if (!hadSearch || queryLen >= 2) return;
-    const apply = async () => {
-      const [expandRules, expandExpansions] = await Promise.all([
-        AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.RULES),
-        AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.EXPANSIONS),
-      ]);
-      if (originalSections.length > 0) {
-        setSections(applyExpandPreference(JSON.parse(JSON.stringify(originalSections)), expandRules === 'true'));
-      }
-      if (originalExpansionSections.length > 0) {
-        setExpansionSections(applyExpandPreference(JSON.parse(JSON.stringify(originalExpansionSections)), expandExpansions === 'true'));
-      }
-    };
-    apply();
-  }, [searchQuery]);
-
-  useEffect(() => {
-    if (searchQuery && searchQuery.length >= 2) {
-      if (activeTab === 'rules' && originalSections.length > 0) {
-        setSections(filterSectionsBySearch(JSON.parse(JSON.stringify(originalSections)), searchQuery));
-      } else if (activeTab === 'expansions' && originalExpansionSections.length > 0) {
-        setExpansionSections(filterSectionsBySearch(JSON.parse(JSON.stringify(originalExpansionSections)), searchQuery));
-      }
-    }
-  }, [activeTab, searchQuery]);
-
   // Only backfill originalExpansionSections when still empty (e.g. after first load).
-  // Do not overwrite with expansionSections when they differ, or we'd replace the full
-  // original with a filtered list when user clears search while on another tab.
   useEffect(() => {
-    if (originalExpansionSections.length === 0 && expansionSections.length > 0 && (!searchQuery || searchQuery.length < 2)) {
+    if (originalExpansionSections.length === 0 && expansionSections.length > 0) {
       setOriginalExpansionSections(JSON.parse(JSON.stringify(expansionSections)));
     }
-  }, [expansionSections, searchQuery, originalExpansionSections.length]);
+  }, [expansionSections, originalExpansionSections.length]);
 
   useEffect(() => {
     if (activeTab !== 'expansions') return;
-    if (expansionSections.length === 0 && (!searchQuery || searchQuery.length < 2)) {
+    if (expansionSections.length === 0) {
       if (originalExpansionSections.length > 0) {
         (async () => {
           const expand = await AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.EXPANSIONS);
-          setExpansionSections(applyExpandPreference(JSON.parse(JSON.stringify(originalExpansionSections)), expand === 'true'));
+          setExpansionSections(expandTree('expansions', JSON.parse(JSON.stringify(originalExpansionSections)), expand === 'true'));
         })();
       } else {
         fetchExpansions();
       }
     }
-  }, [activeTab, expansionSections.length, originalExpansionSections.length, searchQuery]);
+  }, [activeTab, expansionSections.length, originalExpansionSections.length]);
 
   useEffect(() => {
     const init = async () => {
+      const [sources, selectedId, savedHouseRules] = await Promise.all([
+        loadContentSources(),
+        getSelectedSourceId(),
+        loadHouseRules(),
+      ]);
+      const source = sources.find((s) => s.id === selectedId) || DEFAULT_CONTENT_SOURCE;
+      houseRulesRef.current = savedHouseRules;
+      setHouseRules(savedHouseRules);
+      await Promise.all([
+        loadExpansionSelection(source.id),
+        loadSourceBookmarks(source.id),
+        loadSourceNotes(source.id),
+        loadSourcePositions(source.id),
+      ]);
+      setContentSources(sources);
+      setActiveSourceId(source.id);
+      setActiveContentSource(source);
       const hasCachedData = await loadCachedContent();
       if (hasCachedData) setLoading(false);
-      const [rulesOk, expansionsOk] = await Promise.all([fetchReadme(), fetchExpansions()]);
-      const now = new Date().toLocaleString();
-      if (rulesOk) {
-        setRulesLastSynced(now);
-        await saveRulesLastSynced(now);
-      }
-      if (expansionsOk) {
-        setExpansionsLastSynced(now);
-        await saveExpansionsLastSynced(now);
-      }
-      if (rulesOk || expansionsOk) {
-        setLastFetchDate(now);
-        await saveLastFetchDate(now);
-      }
+      syncSchedulerRef.current.start();
+      await syncSchedulerRef.current.syncIfStale();
       setLoading(false);
     };
     init();
+    return () => syncSchedulerRef.current.stop();
   }, []);
 
-  const collapseAllAndExpandSection = useCallback((sectionTitle) => {
-    if (!sectionTitle || !sections?.length) return;
-    let path = findSectionPath(sections, sectionTitle);
+  /** Read which expansions are switched off for `sourceId` (before its expansions are built). */
+  const loadExpansionSelection = async (sourceId) => {
+    const inactive = await loadInactiveExpansions(sourceId);
+    inactiveExpansionsRef.current = inactive;
+    setInactiveExpansions(inactive);
+  };
+
+  /** Read where the reader left off in `sourceId`; restored once each tab's tree renders. */
+  const loadSourcePositions = async (sourceId) => {
+    const positions = await loadReadingPositions(sourceId);
+    savedPositionsRef.current = positions;
+    currentPositionsRef.current = { rules: null, expansions: null };
+    restoredTabsRef.current = { rules: false, expansions: false };
+    scrollYByTab.current = { rules: positions.rules?.scrollY || 0, expansions: positions.expansions?.scrollY || 0 };
+  };
+
+  const loadSourceBookmarks = async (sourceId) => {
+    const saved = await loadBookmarks(sourceId);
+    bookmarksRef.current = saved;
+    setBookmarks(saved);
+  };
+
+  const loadSourceNotes = async (sourceId) => {
+    const saved = await loadSectionNotes(sourceId);
+    sectionNotesRef.current = saved;
+    setSectionNotes(saved);
+  };
+
+  /** Switch to `source`: clear the current tabs, show its cached copy (if any), then sync it. */
+  const activateSource = async (source) => {
+    syncSchedulerRef.current.reset();
+    setActiveContentSource(source);
+    setActiveSourceId(source.id);
+    await saveSelectedSourceId(source.id);
+    setSearchQuery('');
+    setHighlightQuery('');
+    setShowBookmarks(false);
+    setEditingNote(null);
+    await Promise.all([
+      loadExpansionSelection(source.id),
+      loadSourceBookmarks(source.id),
+      loadSourceNotes(source.id),
+      loadSourcePositions(source.id),
+    ]);
+    officialSectionsRef.current = [];
+    officialExpansionSectionsRef.current = [];
+    expansionDocumentsRef.current = [];
+    setExpansionCatalogue([]);
+    setBundledSnapshot(null);
+    setContent('');
+    setExpansionsContent('');
+    setSections([]);
+    setOriginalSections([]);
+    setExpansionSections([]);
+    setOriginalExpansionSections([]);
+    setLastFetchDate(null);
+    setRulesLastSynced(null);
+    setExpansionsLastSynced(null);
+    setExpansionsRateLimited(false);
+    setLoading(true);
+    const hasCachedData = await loadCachedContent();
+    if (hasCachedData) setLoading(false);
+    await retryFetchContent();
+    setLoading(false);
+  };
+
+  const selectContentSource = async (sourceId) => {
+    if (sourceId === activeSourceId) return;
+    const source = contentSources.find((s) => s.id === sourceId);
+    if (source) await activateSource(source);
+  };
+
+  /** Validate, persist and switch to a user-entered source. Resolves to { error } on bad input. */
+  const addContentSource = async (input) => {
+    const { source, error } = createContentSource(input);
+    if (error) return { error };
+    if (contentSources.some((s) => s.id === source.id)) return { error: 'That source has already been added.' };
+    const next = [...contentSources, source];
+    setContentSources(next);
+    await saveCustomContentSources(next);
+    await activateSource(source);
+    return { source };
+  };
+
+  /** Forget a user-added source and its cached content; falls back to the official rulebook if it was active. */
+  const removeContentSource = async (sourceId) => {
+    if (sourceId === DEFAULT_CONTENT_SOURCE.id) return;
+    const next = contentSources.filter((s) => s.id !== sourceId);
+    setContentSources(next);
+    await saveCustomContentSources(next);
+    await deleteSourceContent(sourceId).catch((err) => logError('Content Store', err, { phase: 'deleteSource' }));
+    if (sourceId === activeSourceId) await activateSource(DEFAULT_CONTENT_SOURCE);
+  };
+
+  /** Persist the house rules and re-merge both tabs from the unmerged trees. */
+  const updateHouseRules = async (next) => {
+    houseRulesRef.current = next;
+    setHouseRules(next);
+    await saveHouseRules(next);
+    const [expandRules, expandExpansions] = await Promise.all([
+      AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.RULES),
+      AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.EXPANSIONS),
+    ]);
+    setSearchQuery('');
+    if (officialSectionsRef.current.length > 0) showRulesTree(officialSectionsRef.current, expandRules === 'true');
+    if (officialExpansionSectionsRef.current.length > 0) {
+      showExpansionsTree(officialExpansionSectionsRef.current, expandExpansions === 'true');
+    }
+  };
+
+  /** Insert or update (by id) a rule built with createHouseRule(). */
+  const saveHouseRule = (rule) => {
+    const exists = houseRulesRef.current.some((r) => r.id === rule.id);
+    return updateHouseRules(exists
+      ? houseRulesRef.current.map((r) => (r.id === rule.id ? rule : r))
+      : [...houseRulesRef.current, rule]);
+  };
+
+  const removeHouseRule = (ruleId) => updateHouseRules(houseRulesRef.current.filter((r) => r.id !== ruleId));
+
+  /** Persist the expansions switched off for this game and rebuild the Expansions tab and RAG text. */
+  const updateInactiveExpansions = async (next) => {
+    inactiveExpansionsRef.current = next;
+    setInactiveExpansions(next);
+    await saveInactiveExpansions(activeSourceId, next);
+    if (expansionDocumentsRef.current.length === 0) return;
+    const expandExpansions = await AsyncStorage.getItem(EXPAND_SETTINGS_KEYS.EXPANSIONS);
+    setSearchQuery('');
+    showExpansionDocuments(expansionDocumentsRef.current, expandExpansions === 'true');
+  };
+
+  const setExpansionActive = (folder, active) => {
+    const others = inactiveExpansionsRef.current.filter((f) => f !== folder);
+    return updateInactiveExpansions(active ? others : [...others, folder]);
+  };
+
+  /** Put every expansion back in play (e.g. when starting a new game). */
+  const resetActiveExpansions = () => updateInactiveExpansions([]);
+
+  /**
+   * Collapse everything on `tab`, expand the path to one section and scroll to it.
+   * `target` is a section id (links are resolved to ids by services/linkResolver)
+   * or, for house-rule sections, a section title.
+   */
+  const collapseAllAndExpandSection = useCallback((target, tab = activeTab) => {
+    const tree = tab === 'expansions' ? expansionSections : sections;
+    const setTree = tab === 'expansions' ? setExpansionSections : setSections;
+    if (!target || !tree?.length) return;
+    const path = findSectionPathById(tree, target) || findSectionPath(tree, target);
     if (!path) {
-      const variations = [
-        sectionTitle,
-        sectionTitle.replace('---', ' - '),
-        `${sectionTitle.toUpperCase()} - ${sectionTitle}`,
-        sectionTitle.replace(/^([iv]+)---/i, '$1 - '),
-      ];
-      for (const v of variations) {
-        path = findSectionPath(sections, v);
-        if (path) break;
-      }
+      logEvent('Links', 'No section to open', { tab, target });
+      return;
     }
-    if (!path) return;
 
-    let actualTitle = null;
-    let current = sections;
+    let targetKey = null;
+    let current = tree;
     for (let i = 0; i < path.length; i++) {
       const part = path[i];
       if (part === 'subsections') continue;
       if (current[part]) {
-        actualTitle = current[part].title;
+        targetKey = sectionKey(current[part]);
         if (i < path.length - 1 && current[part].subsections) current = current[part].subsections;
       }
     }
 
-    setSections((prev) => {
+    setTree((prev) => {
       if (!prev?.length) return prev;
       const next = JSON.parse(JSON.stringify(prev));
       function collapseAll(list) {
@@ -357,17 +643,17 @@ export function useContent(styles, markdownStyles) {
       return next;
     });
 
-    const scrollRef = activeTab === 'rules' ? rulesScrollViewRef : expansionsScrollViewRef;
+    const scrollRef = tab === 'rules' ? rulesScrollViewRef : expansionsScrollViewRef;
     setTimeout(() => {
-      if (!actualTitle) return;
-      const ref = sectionRefs.current[actualTitle];
+      if (!targetKey) return;
+      const ref = sectionRefs.current[tab]?.[targetKey];
       if (ref && scrollRef.current) {
         ref.measureLayout(scrollRef.current, (x, y) => {
           scrollRef.current?.scrollTo({ y: y - 20, animated: true });
         }, () => {});
       }
     }, 100);
-  }, [sections, activeTab, rulesScrollViewRef, expansionsScrollViewRef]);
+  }, [sections, expansionSections, activeTab, rulesScrollViewRef, expansionsScrollViewRef]);
 
   // State setters from useState are stable references — empty deps is correct.
   const toggleSection = useCallback(makeToggle(setSections), []);
@@ -375,44 +661,250 @@ export function useContent(styles, markdownStyles) {
 
   const handleSearchQueryChange = useCallback((newQuery) => {
     setSearchQuery(newQuery);
-    const normalized = normalizeSearchQuery(newQuery);
-    if (normalized.length >= 2) {
-      if (activeTab === 'rules') {
-        setSections(filterSectionsBySearch(JSON.parse(JSON.stringify(originalSections)), normalized));
-      } else if (activeTab === 'expansions') {
-        setExpansionSections(filterSectionsBySearch(JSON.parse(JSON.stringify(originalExpansionSections)), normalized));
-      }
-    } else if (searchQuery && normalizeSearchQuery(searchQuery).length >= 2) {
-      if (activeTab === 'rules') setSections(JSON.parse(JSON.stringify(originalSections)));
-      else if (activeTab === 'expansions') setExpansionSections(JSON.parse(JSON.stringify(originalExpansionSections)));
-    }
-  }, [searchQuery, activeTab, originalSections, originalExpansionSections]);
+    setHighlightQuery('');
+  }, []);
 
   const toggleSearchBar = useCallback(() => {
-    if (showSearch && searchQuery?.length >= 2) {
+    if (showSearch) setSearchQuery('');
+    else setShowBookmarks(false);
+    setHighlightQuery('');
+    setShowSearch((s) => !s);
+  }, [showSearch]);
+
+  const notesByKey = useMemo(() => indexNotes(sectionNotes), [sectionNotes]);
+
+  // One ranked index over both tabs as displayed (house rules merged, expansions in play), notes included.
+  const searchIndex = useMemo(
+    () => buildSearchIndex({ rules: originalSections, expansions: originalExpansionSections, notes: notesByKey }),
+    [originalSections, originalExpansionSections, notesByKey],
+  );
+
+  /** Ranked hits for the current query, or null when no search is active. */
+  const searchResults = useMemo(() => {
+    const query = normalizeSearchQuery(searchQuery);
+    return query.length >= 2 ? searchSections(searchIndex, query) : null;
+  }, [searchIndex, searchQuery]);
+
+  /** Defined game terms from both tabs, for the Glossary screen and inline term links. */
+  const glossary = useMemo(
+    () => extractGlossary({ rules: originalSections, expansions: originalExpansionSections }),
+    [originalSections, originalExpansionSections],
+  );
+
+  /** Open a section on either tab (e.g. from the glossary), closing search and bookmarks. */
+  const openSection = useCallback((tab, id) => {
+    setShowSearch(false);
+    setSearchQuery('');
+    setShowBookmarks(false);
+    if (tab !== activeTab) setActiveTab(tab);
+    collapseAllAndExpandSection(id, tab);
+  }, [activeTab, collapseAllAndExpandSection]);
+
+  /** Close the search and open a result's section, on whichever tab it lives. */
+  const openSearchResult = useCallback((result) => {
+    setHighlightQuery(searchQuery);
+    setSearchQuery('');
+    setShowSearch(false);
+    if (result.tab !== activeTab) setActiveTab(result.tab);
+    collapseAllAndExpandSection(result.id, result.tab);
+  }, [searchQuery, activeTab, collapseAllAndExpandSection]);
+
+  const updateBookmarks = (next) => {
+    bookmarksRef.current = next;
+    setBookmarks(next);
+    saveBookmarks(activeSourceId, next).catch((err) => logError('Bookmarks', err, { phase: 'save' }));
+  };
+
+  /** Bookmark a section (or remove its bookmark), recording where it sits in the tab. */
+  const toggleSectionBookmark = useCallback((tab, section) => {
+    const tree = tab === 'expansions' ? originalExpansionSections : originalSections;
+    const breadcrumb = findSectionBreadcrumb(tree, section.id || section.title) || [];
+    updateBookmarks(toggleBookmark(bookmarksRef.current, createBookmark(tab, section, breadcrumb)));
+  }, [activeSourceId, originalSections, originalExpansionSections]);
+
+  const removeBookmark = (bookmark) => {
+    const key = bookmarkKey(bookmark.tab, bookmark.id);
+    updateBookmarks(bookmarksRef.current.filter((b) => bookmarkKey(b.tab, b.id) !== key));
+  };
+
+  const bookmarkedKeys = useMemo(() => new Set(bookmarks.map((b) => bookmarkKey(b.tab, b.id))), [bookmarks]);
+
+  /** Bookmarks matched against the current trees; `missing` ones lost their section in a sync. */
+  const bookmarkList = useMemo(
+    () => resolveBookmarks(bookmarks, { rules: originalSections, expansions: originalExpansionSections }),
+    [bookmarks, originalSections, originalExpansionSections],
+  );
+
+  const toggleBookmarksView = useCallback(() => {
+    if (!showBookmarks) {
+      setShowSearch(false);
       setSearchQuery('');
-      if (activeTab === 'rules') setSections(JSON.parse(JSON.stringify(originalSections)));
-      else if (activeTab === 'expansions') {
-        if (originalExpansionSections.length > 0) {
-          setExpansionSections(JSON.parse(JSON.stringify(originalExpansionSections)));
-        } else {
-          fetchExpansions();
-        }
-      }
     }
-    setShowSearch((s) => !s);
-  }, [showSearch, searchQuery, activeTab, originalSections, originalExpansionSections, fetchExpansions]);
+    setShowBookmarks((s) => !s);
+  }, [showBookmarks]);
+
+  /** Close the bookmarks list and open a bookmarked section, on whichever tab it lives. */
+  const openBookmark = useCallback((bookmark) => {
+    if (bookmark.missing) return;
+    setShowBookmarks(false);
+    if (bookmark.tab !== activeTab) setActiveTab(bookmark.tab);
+    collapseAllAndExpandSection(bookmark.id, bookmark.tab);
+  }, [activeTab, collapseAllAndExpandSection]);
+
+  /** Outline drawer rows for the tab on screen. */
+  const outline = useMemo(
+    () => buildOutline(activeTab === 'expansions' ? originalExpansionSections : originalSections),
+    [activeTab, originalSections, originalExpansionSections],
+  );
+
+  /** Tops of the section views rendered on `tab`, in scroll content coordinates. */
+  const measureSectionPositions = (tab) => {
+    const scrollRef = tab === 'rules' ? rulesScrollViewRef : expansionsScrollViewRef;
+    if (!scrollRef.current) return Promise.resolve([]);
+    return Promise.all(Object.entries(sectionRefs.current[tab] || {}).map(([id, ref]) => new Promise((resolve) => {
+      ref.measureLayout(scrollRef.current, (x, y) => resolve({ id, y }), () => resolve(null));
+    }))).then((positions) => positions.filter(Boolean));
+  };
+
+  /** Open the outline drawer with the section currently in view highlighted. */
+  const openOutline = useCallback(async () => {
+    const tab = activeTab;
+    if (tab !== 'rules' && tab !== 'expansions') return;
+    const positions = await measureSectionPositions(tab);
+    setOutlineCurrentId(sectionAtOffset(positions, scrollYByTab.current[tab] + CURRENT_SECTION_LEAD));
+    setShowOutline(true);
+  }, [activeTab]);
 
-  const renderSection = useCallback((section, index, parentPath = []) => {
+  const closeOutline = useCallback(() => setShowOutline(false), []);
+
+  const selectOutlineSection = useCallback((item) => {
+    setShowOutline(false);
+    collapseAllAndExpandSection(item.id, activeTab);
+  }, [activeTab, collapseAllAndExpandSection]);
+
+  const updateSectionNotes = (next) => {
+    sectionNotesRef.current = next;
+    setSectionNotes(next);
+    saveSectionNotes(activeSourceId, next).catch((err) => logError('Section Notes', err, { phase: 'save' }));
+  };
+
+  /** Open the note editor for a section on `tab`. */
+  const editSectionNote = useCallback((tab, section) => {
+    const id = section.id || section.title;
+    setEditingNote({ tab, id, title: section.title, text: notesByKey.get(bookmarkKey(tab, id))?.text || '' });
+  }, [notesByKey]);
+
+  /** Save the note being edited; empty text removes it. */
+  const saveEditingNote = (text) => {
+    if (!editingNote) return;
+    updateSectionNotes(setSectionNote(sectionNotesRef.current, editingNote.tab, editingNote, text));
+    setEditingNote(null);
+  };
+
+  const cancelEditingNote = () => setEditingNote(null);
+
+  /**
+   * Merge notes read from a shared file (see sectionNotes.parseNotesImport).
+   * @returns {{ added: number, updated: number }}
+   */
+  const importSectionNotes = (imported) => {
+    const { notes, added, updated } = mergeSectionNotes(sectionNotesRef.current, imported);
+    if (added || updated) updateSectionNotes(notes);
+    logEvent('Section Notes', 'Imported notes', { added, updated });
+    return { added, updated };
+  };
+
+  /**
+   * Open a `lnlrules://` (or universal) link: switch to its tab, then expand
+   * and scroll to the section once that tab has content. Resolves to false for
+   * links that aren't ours.
+   */
+  const openDeepLink = useCallback((url) => {
+    const link = parseDeepLink(url);
+    if (!link) {
+      logEvent('Deep Link', 'Ignored unrecognised link', { url });
+      return false;
+    }
+    setShowSearch(false);
+    setSearchQuery('');
+    setShowBookmarks(false);
+    setActiveTab(link.tab);
+    setPendingLink({ ...link, url });
+    return true;
+  }, []);
+
+  useEffect(() => {
+    if (!pendingLink) return;
+    const loaded = pendingLink.tab === 'rules'
+      ? sections.length > 0
+      : expansionSections.length > 0 && expansionCatalogue.length > 0;
+    if (!loaded) return;
+    setPendingLink(null);
+    const target = resolveDeepLink(pendingLink, { rules: originalSections, expansionCatalogue });
+    if (target.error) {
+      logEvent('Deep Link', target.error, { url: pendingLink.url });
+      return;
+    }
+    if (target.folder && !isExpansionActive(target.folder, inactiveExpansions)) {
+      logEvent('Deep Link', `Expansion "${target.folder}" is not in play`, { url: pendingLink.url });
+      return;
+    }
+    if (target.id) collapseAllAndExpandSection(target.id, target.tab);
+  }, [pendingLink, sections, expansionSections, expansionCatalogue]);
+
+  /** Put a shareable link to a section on the clipboard. */
+  const copySectionLink = useCallback((tab, section) => {
+    const url = buildSectionLink(tab, section.id || section.title, expansionCatalogue);
+    if (!url) return;
+    Clipboard.setString(url);
+    logEvent('Deep Link', 'Copied section link', { url });
+  }, [expansionCatalogue]);
+
+  /**
+   * Handle a link pressed in section `fromId` on `tab`: links to rule or
+   * expansion sections open them (switching tabs if needed), anything else is
+   * left to the browser. Returns true when the link should open externally.
+   */
+  const followContentLink = useCallback((href, tab, fromId) => {
+    const fromDocument = documentForSection(tab, fromId, expansionCatalogue);
+    const target = resolveContentLink(href, fromDocument, {
+      rules: originalSections,
+      expansionSections: originalExpansionSections,
+      expansionCatalogue,
+      inactiveFolders: inactiveExpansions,
+      source: contentSources.find((s) => s.id === activeSourceId),
+    });
+    if (target.type === 'external') return true;
+    if (target.type === 'unresolved') {
+      logEvent('Links', `Unresolved link: ${target.reason}`, { href, from: fromDocument });
+      return false;
+    }
+    if (target.tab !== activeTab) setActiveTab(target.tab);
+    collapseAllAndExpandSection(target.id, target.tab);
+    return false;
+  }, [
+    originalSections, originalExpansionSections, expansionCatalogue, inactiveExpansions,
+    contentSources, activeSourceId, activeTab, collapseAllAndExpandSection,
+  ]);
+
+  /** Section renderer for one tab: toggles, link navigation and scroll refs stay on that tab. */
+  const makeSectionRenderer = (tab) => (section, index, parentPath = []) => {
     const path = [...parentPath, index];
+    const onLinkPress = (href, fromId) => followContentLink(href, tab, fromId);
+    const isBookmarked = (id) => bookmarkedKeys.has(bookmarkKey(tab, id));
+    const onToggleBookmark = (target) => toggleSectionBookmark(tab, target);
+    const onCopyLink = (target) => copySectionLink(tab, target);
+    const noteFor = (id) => notesByKey.get(bookmarkKey(tab, id));
+    const onEditNote = (target) => editSectionNote(tab, target);
     if (section.isTitle) {
       return (
         <TitleSection
-          key={index}
+          key={section.id || index}
+          id={section.id}
           title={section.title}
           content={section.content}
-          searchQuery={searchQuery}
-          onNavigate={collapseAllAndExpandSection}
+          searchQuery={highlightQuery}
+          onLinkPress={onLinkPress}
           styles={styles}
           markdownStyles={markdownStyles}
         />
@@ -420,29 +912,107 @@ export function useContent(styles, markdownStyles) {
     }
     return (
       <View
-        key={index}
+        key={section.id || index}
         ref={(ref) => {
-          if (ref) sectionRefs.current[section.title] = ref;
+          if (ref) sectionRefs.current[tab][sectionKey(section)] = ref;
+          else delete sectionRefs.current[tab][sectionKey(section)];
         }}
       >
         <Section
           {...section}
           path={path}
-          onPress={activeTab === 'expansions' ? toggleExpansionSection : toggleSection}
-          onNavigate={collapseAllAndExpandSection}
-          sectionRefs={sectionRefs.current}
-          searchQuery={searchQuery}
+          onPress={tab === 'expansions' ? toggleExpansionSection : toggleSection}
+          onLinkPress={onLinkPress}
+          sectionRefs={sectionRefs.current[tab]}
+          isBookmarked={isBookmarked}
+          onToggleBookmark={onToggleBookmark}
+          onCopyLink={onCopyLink}
+          noteFor={noteFor}
+          onEditNote={onEditNote}
+          searchQuery={highlightQuery}
           styles={styles}
           markdownStyles={markdownStyles}
         />
       </View>
     );
-  }, [searchQuery, activeTab, styles, markdownStyles, toggleSection, toggleExpansionSection, collapseAllAndExpandSection]);
+  };
+  const rendererDeps = [
+    highlightQuery, styles, markdownStyles, toggleSection, toggleExpansionSection, followContentLink,
+    bookmarkedKeys, toggleSectionBookmark, copySectionLink, notesByKey, editSectionNote,
+  ];
+  const renderRulesSection = useCallback(makeSectionRenderer('rules'), rendererDeps);
+  const renderExpansionSection = useCallback(makeSectionRenderer('expansions'), rendererDeps);
+
+  const schedulePositionSave = (tab) => {
+    clearTimeout(positionSaveTimersRef.current[tab]);
+    positionSaveTimersRef.current[tab] = setTimeout(() => {
+      const current = currentPositionsRef.current[tab];
+      if (!current) return;
+      saveReadingPosition(getActiveContentSource().id, tab, { ...current, scrollY: scrollYByTab.current[tab] })
+        .catch((err) => logError('Reading Position', err, { phase: 'save', tab }));
+    }, POSITION_SAVE_DELAY_MS);
+  };
 
   const saveScrollY = (tab) => (e) => {
     scrollYByTab.current[tab] = e.nativeEvent.contentOffset.y;
+    // Ignore the scroll events layout fires before the saved offset is restored.
+    if (restoredTabsRef.current[tab] === true) schedulePositionSave(tab);
+  };
+
+  /** Track which sections are open on `tab` (and which was opened last) and save it. */
+  const trackExpandedSections = (tab, tree) => {
+    if (!tree.length) return;
+    const expandedIds = collectExpandedIds(tree);
+    const previous = currentPositionsRef.current[tab] ?? savedPositionsRef.current[tab];
+    const opened = expandedIds.filter((id) => !previous?.expandedIds?.includes(id));
+    currentPositionsRef.current[tab] = {
+      expandedIds,
+      lastOpenedId: opened[opened.length - 1] ?? previous?.lastOpenedId ?? null,
+      signature: treeSignature(tree),
+    };
+    schedulePositionSave(tab);
+  };
+
+  /**
+   * First render of a tab's tree: scroll back to where the reader was. When a
+   * re-sync changed the tree the old offset points at different text, so
+   * scroll to the section they last opened instead.
+   */
+  const restoreReadingPosition = (tab, tree) => {
+    if (!tree.length || restoredTabsRef.current[tab]) return;
+    restoredTabsRef.current[tab] = 'pending';
+    const saved = savedPositionsRef.current[tab];
+    const scrollRef = tab === 'rules' ? rulesScrollViewRef : expansionsScrollViewRef;
+    setTimeout(() => {
+      restoredTabsRef.current[tab] = true;
+      if (!saved || !scrollRef.current) return;
+      if (saved.signature === treeSignature(tree)) {
+        scrollRef.current.scrollTo({ y: saved.scrollY || 0, animated: false });
+        return;
+      }
+      scrollYByTab.current[tab] = 0;
+      const ref = saved.lastOpenedId && sectionRefs.current[tab]?.[saved.lastOpenedId];
+      if (ref) {
+        ref.measureLayout(scrollRef.current, (x, y) => {
+          scrollYByTab.current[tab] = Math.max(0, y - 20);
+          scrollRef.current?.scrollTo({ y: scrollYByTab.current[tab], animated: false });
+        }, () => {});
+      } else {
+        scrollRef.current.scrollTo({ y: 0, animated: false });
+      }
+    }, 100);
   };
 
+  useEffect(() => {
+    trackExpandedSections('rules', sections);
+    restoreReadingPosition('rules', sections);
+  }, [sections]);
+
+  useEffect(() => {
+    trackExpandedSections('expansions', expansionSections);
+    restoreReadingPosition('expansions', expansionSections);
+  }, [expansionSections]);
+
   useEffect(() => {
     const y = scrollYByTab.current[activeTab];
     const ref = activeTab === 'rules' ? rulesScrollViewRef : activeTab === 'expansions' ? expansionsScrollViewRef : null;
@@ -472,7 +1042,21 @@ export function useContent(styles, markdownStyles) {
     rulesEmpty: originalSections.length === 0,
     expansionsEmpty: originalExpansionSections.length === 0,
     expansionsRateLimited,
+    bundledSnapshot,
+    expansionsRetryAt,
     retryFetchContent,
+    contentSources,
+    activeSourceId,
+    selectContentSource,
+    addContentSource,
+    removeContentSource,
+    houseRules,
+    saveHouseRule,
+    removeHouseRule,
+    expansionCatalogue,
+    inactiveExpansions,
+    setExpansionActive,
+    resetActiveExpansions,
     scrollViewRef: activeTab === 'rules' ? rulesScrollViewRef : expansionsScrollViewRef,
     rulesScrollViewRef,
     expansionsScrollViewRef,
@@ -480,9 +1064,30 @@ export function useContent(styles, markdownStyles) {
     sectionRefs,
     searchInputRef,
     fetchExpansions,
-    filterSectionsBySearch,
+    searchResults,
+    openSearchResult,
+    bookmarks: showBookmarks ? bookmarkList : null,
+    showBookmarks,
+    toggleBookmarksView,
+    openBookmark,
+    removeBookmark,
+    outline,
+    showOutline,
+    outlineCurrentId,
+    openOutline,
+    closeOutline,
+    selectOutlineSection,
+    sectionNotes,
+    editingNote,
+    saveEditingNote,
+    cancelEditingNote,
+    importSectionNotes,
+    openDeepLink,
+    glossary,
+    openSection,
     handleSearchQueryChange,
     toggleSearchBar,
-    renderSection,
+    renderRulesSection,
+    renderExpansionSection,
   };
 }
@@ -27,6 +27,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import NativeVoiceAssistantOptional from '../specs/NativeVoiceAssistantOptional';
 import { buildGameAssistantPrompt, buildGeminiFullContextPrompt } from '../constants';
 import { retrieveRelevantChunks, filterAndMerge, extractRelevantSentences } from '../services/ragService';
+import { rewriteFollowUpQuery } from '../services/queryRewriter';
 import { askGemini, isGeminiConfigured, GEMINI_MODEL, getGeminiUsageStats } from '../services/geminiService';
 import { sanitizeTextForSpeech } from '../utils/sanitizeTextForSpeech';
 import { logError, logEvent } from '../services/errorLogger';
@@ -35,6 +36,7 @@ import { logRetrieval, updateLatestRetrieval, logPostProcessing, logFinalChunks,
 
 const VOICE_STORAGE_KEY = '@lnl_voice_id';
 const FORCE_LOCAL_LLM_KEY = '@lnl_force_local_llm';
+const ASSISTANT_OFFICIAL_ONLY_KEY = '@lnl_assistant_official_only';
 const VOICE_PREVIEW_TEXT = 'This is a preview of the selected voice.';
 
 const isAndroid = Platform.OS === 'android';
@@ -413,10 +415,12 @@ export function useGameAssistant() {
   /**
    * Runs the full voice-to-AI-to-voice loop.
    *
-   * @param {object} ragIndex  The index object returned by ragService.buildIndex().
+   * @param {object} fullIndex  The index object returned by ragService.buildIndex(),
+   *   built from the rulebook with house rules merged in. Its `official` field (when
+   *   house rules exist) is the index of the unamended text.
    */
   const askTheRules = useCallback(
-    async (ragIndex) => {
+    async (fullIndex) => {
       const native = NativeVoiceAssistantOptional;
       if (!native) return;
       if (isBusy.current) return;
@@ -459,7 +463,7 @@ export function useGameAssistant() {
 
         const historySnapshot = messagesRef.current
           .filter((m) => m.text?.trim())
-          .map((m) => ({ role: m.role, text: m.text }));
+          .map((m) => ({ role: m.role, text: m.text, sections: m.sections }));
 
         setMessages((prev) => [...prev, { id: assistantMsgId, role: 'assistant', text: '' }]);
         setIsThinking(true);
@@ -468,6 +472,9 @@ export function useGameAssistant() {
         let usedCloud = false;
         let cloudFailReason = null;
         const forceLocal = (await AsyncStorage.getItem(FORCE_LOCAL_LLM_KEY)) === 'true';
+        const officialOnly = (await AsyncStorage.getItem(ASSISTANT_OFFICIAL_ONLY_KEY)) === 'true';
+        const ragIndex = officialOnly && fullIndex?.official ? fullIndex.official : fullIndex;
+        const includesHouseRules = Boolean(ragIndex?.hasHouseRules);
 
         if (forceLocal) {
           cloudFailReason = 'Force Local LLM enabled';
@@ -485,7 +492,7 @@ export function useGameAssistant() {
             const geminiT0 = Date.now();
 
             native.playThinkingSound();
-            const geminiPrompt = buildGeminiFullContextPrompt(rawRules, rawExpansions, historySnapshot, spokenQuestion);
+            const geminiPrompt = buildGeminiFullContextPrompt(rawRules, rawExpansions, historySnapshot, spokenQuestion, { includesHouseRules });
             const geminiResponse = await askGemini(geminiPrompt);
             native.stopThinkingSound();
             const geminiElapsed = Date.now() - geminiT0;
@@ -537,13 +544,20 @@ export function useGameAssistant() {
 
         if (!usedCloud) {
           // On-device fallback: run full RAG pipeline (tiny context window).
-          let searchQuery = spokenQuestion;
-          const lastUserMsg = [...historySnapshot].reverse().find(m => m.role === 'user');
-          if (lastUserMsg?.text) {
-            searchQuery = `${lastUserMsg.text} ${spokenQuestion}`;
+          // Follow-ups are rewritten into a standalone query for retrieval;
+          // the prompt still gets the question as asked.
+          const queryRewrite = rewriteFollowUpQuery(spokenQuestion, historySnapshot, { vocabulary: ragIndex?.idf });
+          const searchQuery = queryRewrite.query;
+          if (queryRewrite.followUp) {
+            logEvent('RAG', `Follow-up rewritten: "${searchQuery.substring(0, 80)}"`, {
+              resolved: queryRewrite.resolved,
+              carried: queryRewrite.carried,
+            });
           }
 
-          const rawChunks = ragIndex ? retrieveRelevantChunks(ragIndex, searchQuery) : [];
+          const rawChunks = ragIndex
+            ? await retrieveRelevantChunks(ragIndex, searchQuery, undefined, { question: spokenQuestion, queryRewrite })
+            : [];
           if (!ragIndex) {
             logRetrieval({
               question: spokenQuestion,
@@ -552,11 +566,12 @@ export function useGameAssistant() {
               allScoredChunks: [],
               selectedChunks: [],
               noIndex: true,
+              queryRewrite,
             });
           }
           logEvent('RAG', `Retrieved ${rawChunks.length} raw chunks${ragIndex ? '' : ' [index not ready]'}`, {
             query: spokenQuestion.substring(0, 80),
-            chunks: rawChunks.map(c => ({ heading: c.heading, score: Math.round(c.score * 100) / 100 })),
+            chunks: rawChunks.map(c => ({ heading: c.heading, score: Math.round(c.score * 10000) / 10000, bm25Score: Math.round(c.bm25Score * 100) / 100 })),
           });
 
           const { chunks: mergedChunks, log: postProcessLog } = filterAndMerge(rawChunks);
@@ -588,8 +603,10 @@ export function useGameAssistant() {
               : 'askQuestion resolved with EMPTY response — model returned no content');
             updateLatestRetrieval({ aiResponse, responseSource: 'on-device' });
 
+            // Remember what the answer was based on, for rewriting the next follow-up.
+            const sections = chunks.flatMap(c => (c.sectionName || '').split(' + ')).filter(Boolean);
             setMessages((prev) =>
-              prev.map((m) => (m.id === assistantMsgId ? { ...m, source: 'on-device' } : m)),
+              prev.map((m) => (m.id === assistantMsgId ? { ...m, source: 'on-device', sections } : m)),
             );
 
             const remaining = sentenceBufferRef.current.trim();
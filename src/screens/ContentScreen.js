@@ -1,16 +1,22 @@
 /**
- * Content screen for Rules or Expansions tab: section list only.
- * Search UI lives in a fixed header above all tabs (in App.js).
+ * Content screen for Rules or Expansions tab: the section list, the ranked
+ * results while a search is active, or the bookmarks list. Search and bookmark
+ * buttons live in a fixed header above all tabs (in App.js).
  */
 import React, { useState } from 'react';
 import { View, ScrollView, Platform, Text, TouchableOpacity, ActivityIndicator } from 'react-native';
-import { EmptySearchResults } from '../components';
+import { BookmarksList, EmptySearchResults, SearchResults } from '../components';
 import NoWifiIcon from '../components/NoWifiIcon';
 import { useTheme } from '../context/ThemeContext';
 
 export default function ContentScreen({
   sections,
   searchQuery,
+  searchResults = null,
+  onSelectSearchResult,
+  bookmarks = null,
+  onSelectBookmark,
+  onRemoveBookmark,
   renderSection,
   scrollViewRef,
   onScroll,
@@ -20,18 +26,25 @@ export default function ContentScreen({
   isEmptyState = false,
   isLoading = false,
   rateLimited = false,
+  retryAt = null,
   onRetry,
   emptyStateContentLabel = 'rules',
+  afterTitle = null,
+  bundledSnapshotDate = null,
 }) {
   const { accent, titleFontStyle, bodyFontStyle } = useTheme();
   const [retryInProgress, setRetryInProgress] = useState(false);
-  const showSearchEmpty = sections.length === 0 && searchQuery && searchQuery.length >= 2;
-  const showFetchFailedEmpty = sections.length === 0 && isEmptyState && !isLoading && !showSearchEmpty;
+  // Results span both tabs, so either tab shows the same list while searching.
+  const isSearching = searchResults != null;
+  const showFetchFailedEmpty = sections.length === 0 && isEmptyState && !isLoading && !isSearching;
   const isExpansions = emptyStateContentLabel === 'expansions';
   const emptyTitle = isExpansions ? 'Unable to load expansions' : 'Unable to load rules';
   const emptyMessage = (() => {
     if (isExpansions && rateLimited) {
-      return "GitHub's API rate limit has been reached. Your cached expansions will load automatically — if this is your first launch, try again in a few minutes.";
+      const nextTry = retryAt
+        ? `we'll try again automatically at ${new Date(retryAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.`
+        : 'try again in a few minutes.';
+      return `GitHub's API rate limit has been reached. Your cached expansions will load automatically — if this is your first launch, ${nextTry}`;
     }
     if (isExpansions) {
       return "We couldn't fetch the expansions. Check your internet connection and try again.";
@@ -39,6 +52,13 @@ export default function ContentScreen({
     return "We couldn't fetch the rules. Check your internet connection and try again.";
   })();
 
+  /** Section list, with `afterTitle` (e.g. the expansion picker) slotted in below the title section. */
+  const renderSections = () => {
+    const rendered = sections.map((section, index) => renderSection(section, index));
+    if (afterTitle && sections[0]?.isTitle) rendered.splice(1, 0, <View key="after-title">{afterTitle}</View>);
+    return rendered;
+  };
+
   const handleRetry = async () => {
     if (!onRetry || retryInProgress) return;
     setRetryInProgress(true);
@@ -68,8 +88,19 @@ export default function ContentScreen({
               Fetching the latest content. This should only take a moment.
             </Text>
           </View>
-        ) : showSearchEmpty ? (
-          <EmptySearchResults query={searchQuery} styles={styles} />
+        ) : isSearching ? (
+          searchResults.length > 0 ? (
+            <SearchResults results={searchResults} onSelect={onSelectSearchResult} styles={styles} />
+          ) : (
+            <EmptySearchResults query={searchQuery} styles={styles} />
+          )
+        ) : bookmarks != null ? (
+          <BookmarksList
+            bookmarks={bookmarks}
+            onSelect={onSelectBookmark}
+            onRemove={onRemoveBookmark}
+            styles={styles}
+          />
         ) : showFetchFailedEmpty ? (
           <View style={styles.emptyStateContainer}>
             <View style={styles.emptyStateIcon}>
@@ -90,7 +121,16 @@ export default function ContentScreen({
             )}
           </View>
         ) : (
-          sections.map((section, index) => renderSection(section, index))
+          <>
+            {bundledSnapshotDate && (
+              <View style={styles.bundledNotice}>
+                <Text style={[styles.bundledNoticeText, bodyFontStyle]}>
+                  Bundled copy from {new Date(bundledSnapshotDate).toLocaleDateString()} — it will update after the next successful sync.
+                </Text>
+              </View>
+            )}
+            {renderSections()}
+          </>
         )}
       </View>
     </ScrollView>
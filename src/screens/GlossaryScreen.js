@@ -0,0 +1,64 @@
+/**
+ * Glossary screen: every game term the rulebook and expansions define (see
+ * services/glossary), filterable, each with its definition and the section it
+ * came from. Presented full-screen in a Modal from the Tools tab.
+ */
+import React, { useState } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Modal, TextInput } from 'react-native';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { scaleFontSize } from '../utils/scaleFontSize';
+import { useTheme } from '../context/ThemeContext';
+
+const TAB_LABELS = { rules: 'Rules', expansions: 'Expansions' };
+
+export default function GlossaryScreen({ visible, onClose, glossary = [], onOpenEntry, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  const [filter, setFilter] = useState('');
+  const needle = filter.trim().toLowerCase();
+  const entries = needle
+    ? glossary.filter((e) => e.term.toLowerCase().includes(needle) || e.definition.toLowerCase().includes(needle))
+    : glossary;
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={{ flex: 1, backgroundColor: '#121212', paddingTop: 48 }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, marginBottom: 12 }}>
+          <Text style={[{ flex: 1, fontSize: scaleFontSize(24), fontWeight: 'bold', color: accent }, titleFontStyle]}>
+            Glossary
+          </Text>
+          <TouchableOpacity style={styles.closeIconContainer} onPress={onClose}>
+            <Text style={styles.closeIcon}>✕</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={{ flexDirection: 'row', paddingHorizontal: 20, marginBottom: 12 }}>
+          <TextInput
+            style={[styles.searchInput, bodyFontStyle]}
+            placeholder="Filter terms..."
+            placeholderTextColor="#888"
+            value={filter}
+            onChangeText={setFilter}
+          />
+        </View>
+        <ScrollView contentContainerStyle={{ paddingHorizontal: 20, paddingBottom: 60 }} keyboardShouldPersistTaps="handled">
+          {glossary.length === 0 ? (
+            <Text style={[styles.moreTimestamp, bodyFontStyle]}>
+              No defined terms found yet. The glossary fills in once the rules have loaded.
+            </Text>
+          ) : entries.length === 0 ? (
+            <Text style={[styles.moreTimestamp, bodyFontStyle]}>No terms match "{filter.trim()}".</Text>
+          ) : entries.map((entry) => (
+            <View key={entry.key} style={styles.searchResult}>
+              <Text style={[styles.searchResultTitle, { color: accent }, titleFontStyle]}>{entry.term}</Text>
+              <Text style={[styles.searchResultSnippet, bodyFontStyle]}>{decodeHtmlEntities(entry.definition)}</Text>
+              <TouchableOpacity onPress={() => onOpenEntry(entry)} style={{ marginTop: 6 }}>
+                <Text style={[styles.searchResultBreadcrumb, bodyFontStyle]}>
+                  {TAB_LABELS[entry.tab]} › {decodeHtmlEntities(entry.sectionTitle)} ›
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ))}
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
@@ -0,0 +1,237 @@
+/**
+ * House rules editor: list, add, edit and delete local amendments to the
+ * rulebook (see services/houseRules). Presented full-screen in a Modal from
+ * the House Rules card in Settings on the More tab.
+ */
+import React, { useState, useMemo } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Pressable, Modal, TextInput } from 'react-native';
+import { createHouseRule, isHouseRuleApplicable } from '../services/houseRules';
+import { flattenSections } from '../services/contentDiff';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { scaleFontSize } from '../utils/scaleFontSize';
+import { useTheme } from '../context/ThemeContext';
+
+const HOUSE_RULE_COLOR = '#FFB74D';
+const WARNING_COLOR = '#E53935';
+const MAX_TITLE_SUGGESTIONS = 5;
+
+const EMPTY_FORM = { id: null, document: 'rules', mode: 'append', targetTitle: '', title: '', content: '' };
+
+const MODE_OPTIONS = [
+  { id: 'append', label: 'Append' },
+  { id: 'replace', label: 'Replace' },
+  { id: 'add', label: 'New section' },
+];
+
+const DOCUMENT_OPTIONS = [
+  { id: 'rules', label: 'Rules' },
+  { id: 'expansions', label: 'Expansions' },
+];
+
+const MODE_DESCRIPTIONS = {
+  append: 'Added after the official text of the section.',
+  replace: 'Shown instead of the official text of the section.',
+  add: 'A new section, at the end or under the parent section you pick.',
+};
+
+const inputStyle = {
+  borderWidth: 1,
+  borderColor: '#444',
+  borderRadius: 6,
+  paddingHorizontal: 10,
+  paddingVertical: 6,
+  color: '#E1E1E1',
+  fontSize: scaleFontSize(13),
+  marginBottom: 8,
+};
+
+function Chips({ options, value, onChange, accent, bodyFontStyle }) {
+  return (
+    <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 10 }}>
+      {options.map((option) => {
+        const selected = option.id === value;
+        return (
+          <Pressable
+            key={option.id}
+            onPress={() => onChange(option.id)}
+            style={{
+              paddingHorizontal: 12,
+              paddingVertical: 5,
+              borderRadius: 14,
+              borderWidth: 1,
+              borderColor: accent,
+              backgroundColor: selected ? accent : 'transparent',
+            }}
+          >
+            <Text style={[{ fontSize: scaleFontSize(12), color: selected ? '#1E1E22' : accent }, bodyFontStyle]}>{option.label}</Text>
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+}
+
+function describeRule(rule) {
+  const doc = rule.document === 'expansions' ? 'Expansions' : 'Rules';
+  if (rule.mode === 'add') {
+    return rule.targetTitle ? `${doc} › ${rule.targetTitle} › ${rule.title}` : `${doc} › ${rule.title}`;
+  }
+  return `${doc} › ${rule.targetTitle}`;
+}
+
+export default function HouseRulesScreen({
+  visible,
+  onClose,
+  styles,
+  houseRules = [],
+  onSave,
+  onRemove,
+  rulesSections = [],
+  expansionSections = [],
+}) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+
+  const treeFor = (document) => (document === 'expansions' ? expansionSections : rulesSections);
+
+  const titleSuggestions = useMemo(() => {
+    const query = form.targetTitle.trim().toLowerCase();
+    if (!query) return [];
+    const titles = flattenSections(treeFor(form.document))
+      .map((s) => s.title)
+      .filter((title) => title.toLowerCase().includes(query) && title !== form.targetTitle);
+    return [...new Set(titles)].slice(0, MAX_TITLE_SUGGESTIONS);
+  }, [form.targetTitle, form.document, rulesSections, expansionSections]);
+
+  const updateForm = (changes) => {
+    setForm((prev) => ({ ...prev, ...changes }));
+    setFormError(null);
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setFormError(null);
+  };
+
+  const handleSave = async () => {
+    const { rule, error } = createHouseRule(form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    await onSave?.(rule);
+    resetForm();
+  };
+
+  const targetPlaceholder = form.mode === 'add' ? 'Parent section title (optional)' : 'Section title to amend';
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={{ flex: 1, backgroundColor: '#121212', paddingTop: 48 }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, marginBottom: 12 }}>
+          <Text style={[{ flex: 1, fontSize: scaleFontSize(24), fontWeight: 'bold', color: accent }, titleFontStyle]}>
+            House Rules
+          </Text>
+          <TouchableOpacity style={styles.closeIconContainer} onPress={onClose}>
+            <Text style={styles.closeIcon}>✕</Text>
+          </TouchableOpacity>
+        </View>
+        <ScrollView contentContainerStyle={{ paddingHorizontal: 20, paddingBottom: 60 }} keyboardShouldPersistTaps="handled">
+          <Text style={[styles.moreTimestamp, { marginBottom: 16 }, bodyFontStyle]}>
+            Amendments for how your table plays. They are marked in the rulebook, included in search, and used by Clinks.
+          </Text>
+
+          {houseRules.length === 0 ? (
+            <Text style={[styles.moreTimestamp, { marginBottom: 16 }, bodyFontStyle]}>No house rules yet.</Text>
+          ) : (
+            houseRules.map((rule) => {
+              const applicable = isHouseRuleApplicable(treeFor(rule.document), rule);
+              return (
+                <View key={rule.id} style={[styles.versionContainer, { borderLeftWidth: 3, borderLeftColor: HOUSE_RULE_COLOR }]}>
+                  <Text style={[{ fontSize: scaleFontSize(11), color: '#888', marginBottom: 2 }, bodyFontStyle]}>
+                    {MODE_OPTIONS.find((m) => m.id === rule.mode)?.label}
+                  </Text>
+                  <Text style={[styles.versionText, titleFontStyle]}>{decodeHtmlEntities(describeRule(rule))}</Text>
+                  <Text style={[{ fontSize: scaleFontSize(13), color: '#BBBBBB', marginTop: 4 }, bodyFontStyle]} numberOfLines={3}>
+                    {rule.content}
+                  </Text>
+                  {!applicable && (
+                    <Text style={[{ fontSize: scaleFontSize(12), color: WARNING_COLOR, marginTop: 4 }, bodyFontStyle]}>
+                      Section not found in the current rulebook — this rule is not applied.
+                    </Text>
+                  )}
+                  <View style={{ flexDirection: 'row', gap: 16, marginTop: 8 }}>
+                    <Pressable onPress={() => { setForm({ ...EMPTY_FORM, ...rule }); setFormError(null); }}>
+                      <Text style={[styles.infoLink, bodyFontStyle]}>Edit</Text>
+                    </Pressable>
+                    <Pressable onPress={() => onRemove?.(rule.id)}>
+                      <Text style={[styles.infoLink, { color: WARNING_COLOR }, bodyFontStyle]}>Delete</Text>
+                    </Pressable>
+                  </View>
+                </View>
+              );
+            })
+          )}
+
+          <Text style={[{ fontSize: scaleFontSize(18), fontWeight: 'bold', color: accent, marginTop: 16, marginBottom: 10 }, titleFontStyle]}>
+            {form.id ? 'Edit house rule' : 'Add a house rule'}
+          </Text>
+          <Chips options={DOCUMENT_OPTIONS} value={form.document} onChange={(document) => updateForm({ document })} accent={accent} bodyFontStyle={bodyFontStyle} />
+          <Chips options={MODE_OPTIONS} value={form.mode} onChange={(mode) => updateForm({ mode })} accent={accent} bodyFontStyle={bodyFontStyle} />
+          <Text style={[styles.moreTimestamp, { marginBottom: 10 }, bodyFontStyle]}>{MODE_DESCRIPTIONS[form.mode]}</Text>
+
+          <TextInput
+            value={form.targetTitle}
+            onChangeText={(targetTitle) => updateForm({ targetTitle })}
+            placeholder={targetPlaceholder}
+            placeholderTextColor="#666"
+            autoCorrect={false}
+            style={[inputStyle, bodyFontStyle]}
+          />
+          {titleSuggestions.map((title) => (
+            <Pressable key={title} onPress={() => updateForm({ targetTitle: title })} style={{ paddingVertical: 4, paddingLeft: 10 }}>
+              <Text style={[{ fontSize: scaleFontSize(12), color: accent }, bodyFontStyle]}>{decodeHtmlEntities(title)}</Text>
+            </Pressable>
+          ))}
+          {form.mode === 'add' && (
+            <TextInput
+              value={form.title}
+              onChangeText={(title) => updateForm({ title })}
+              placeholder="New section title"
+              placeholderTextColor="#666"
+              style={[inputStyle, bodyFontStyle]}
+            />
+          )}
+          <TextInput
+            value={form.content}
+            onChangeText={(content) => updateForm({ content })}
+            placeholder="House rule text (markdown)"
+            placeholderTextColor="#666"
+            multiline
+            textAlignVertical="top"
+            style={[inputStyle, { minHeight: 100 }, bodyFontStyle]}
+          />
+          {formError && (
+            <Text style={[{ fontSize: scaleFontSize(12), color: WARNING_COLOR, marginBottom: 8 }, bodyFontStyle]}>{formError}</Text>
+          )}
+          <View style={{ flexDirection: 'row', gap: 12, alignItems: 'center' }}>
+            <TouchableOpacity
+              style={{ paddingHorizontal: 16, paddingVertical: 8, borderRadius: 6, borderWidth: 1, borderColor: accent, backgroundColor: `${accent}1A` }}
+              onPress={handleSave}
+            >
+              <Text style={[{ fontSize: scaleFontSize(13), fontWeight: '600', color: accent }, bodyFontStyle]}>
+                {form.id ? 'Save changes' : 'Add house rule'}
+              </Text>
+            </TouchableOpacity>
+            {form.id && (
+              <Pressable onPress={resetForm}>
+                <Text style={[styles.infoLink, bodyFontStyle]}>Cancel</Text>
+              </Pressable>
+            )}
+          </View>
+        </ScrollView>
+      </View>
+    </Modal>
+  );
+}
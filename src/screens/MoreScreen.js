@@ -14,6 +14,7 @@ import {
   Switch,
   Platform,
   Dimensions,
+  TextInput,
 } from 'react-native';
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
@@ -26,6 +27,7 @@ import TrashIcon from '../../assets/icons/trash.svg';
 import BenderIcon from '../../assets/icons/bender.svg';
 import CopyIcon from '../../assets/icons/copy.svg';
 import ExportIcon from '../../assets/icons/export.svg';
+import EditIcon from '../../assets/icons/edit.svg';
 import RefreshIcon from '../../assets/icons/refresh.svg';
 import WarningIcon from '../../assets/icons/warning.svg';
 import { getRagLog, clearRagLog, onRagLogChange, formatRagLogAsText } from '../services/ragLogger';
@@ -50,11 +52,18 @@ const SETTINGS_KEYS = {
   FORCE_CONTENT_FETCH_FAILURE: '@lnl_force_content_fetch_failure',
   CLINKS_APPEARANCE: '@lnl_clinks_appearance',
   TIP_JAR_THEME: '@lnl_tip_jar_theme',
+  ASSISTANT_OFFICIAL_ONLY: '@lnl_assistant_official_only',
 };
 import { getVenmoPayUrl } from '../constants';
 import { TIP_JAR_THEMES } from '../tipJar/themes';
 import { useTheme, COLOR_GROUPS, FONT_PAIRINGS } from '../context/ThemeContext';
 import CollapsibleSection, { DEFAULT_SECTION_EXPANDED } from '../components/CollapsibleSection';
+import WhatChangedScreen from './WhatChangedScreen';
+import HouseRulesScreen from './HouseRulesScreen';
+import { formatNotesAsJson, formatNotesAsMarkdown, parseNotesImport } from '../services/sectionNotes';
+import { buildSourceUrls, describeSource } from '../services/contentSources';
+import { SYNC_MAX_AGE_OPTIONS, DEFAULT_SYNC_MAX_AGE_MS, loadSyncMaxAge, saveSyncMaxAge } from '../services/syncScheduler';
+import { DEFAULT_CONTENT_SOURCE } from '../constants';
 import SyncedIcon from '../../assets/icons/synced.svg';
 import VenmoIcon from '../../assets/icons/venmo.svg';
 import ChangelogIcon from '../../assets/icons/changelog.svg';
@@ -125,6 +134,7 @@ const COLOR_GROUP_ICONS = {
 };
 
 const PAST_RELEASES_KEY = 'pastReleases';
+const SECTION_NOTES_FILE = 'section_notes';
 const SECTION_KEYS = { TIP_JAR: 'tipJar', CHANGELOG: 'changelog', SETTINGS: 'settings', INFO: 'info', DEBUG: 'debug' };
 
 const VA_STATUS_LABEL = {
@@ -214,10 +224,22 @@ const vaReadinessStyles = RNStyleSheet.create({
   },
 });
 
-const RULEBOOK_REPO_URL = 'https://github.com/seanKenkeremath/lords-and-lads';
 const APP_REPO_URL = 'https://github.com/austenlux/Lords-Lads-Rules-App';
 const REDDIT_URL = 'https://www.reddit.com/r/stump';
 
+const EMPTY_SOURCE_FORM = { label: '', owner: '', repo: '', branch: '', path: '', rawBaseUrl: '' };
+
+const sourceInputStyle = {
+  borderWidth: 1,
+  borderColor: '#444',
+  borderRadius: 6,
+  paddingHorizontal: 10,
+  paddingVertical: 6,
+  color: '#E1E1E1',
+  fontSize: scaleFontSize(13),
+  marginBottom: 8,
+};
+
 const TIP_JAR_OPTIONS = [
   { amount: 1,   label: '$1'   },
   { amount: 5,   label: '$5'   },
@@ -248,6 +270,18 @@ export default function MoreScreen({
   cloudLlmStatus = {},
   geminiUsageStats,
   onRefreshContent,
+  contentSources = [DEFAULT_CONTENT_SOURCE],
+  activeSourceId = DEFAULT_CONTENT_SOURCE.id,
+  onSelectContentSource,
+  onAddContentSource,
+  onRemoveContentSource,
+  houseRules = [],
+  onSaveHouseRule,
+  onRemoveHouseRule,
+  sectionNotes = [],
+  onImportSectionNotes,
+  rulesSections = [],
+  expansionSections = [],
 }) {
   const [releaseNotes, setReleaseNotes] = useState([]);
   const [expandedVersions, setExpandedVersions] = useState({});
@@ -267,6 +301,8 @@ export default function MoreScreen({
   const debugVoiceAnims = useRef({}).current;
   const [expandedLocales, setExpandedLocales] = useState({});
   const [expandDefaultsExpanded, setExpandDefaultsExpanded] = useState(false);
+  const [autoSyncExpanded, setAutoSyncExpanded] = useState(false);
+  const [syncMaxAge, setSyncMaxAge] = useState(DEFAULT_SYNC_MAX_AGE_MS);
   const [thinkingSoundsEnabled, setThinkingSoundsEnabled] = useState(false);
   const [tipJarThemeOverride, setTipJarThemeOverride] = useState('random');
   // Holds the currently active random pick. Re-randomized each time the user selects "Random".
@@ -308,6 +344,19 @@ export default function MoreScreen({
   const [eventExported, setEventExported] = useState(false);
   const [eventExportError, setEventExportError] = useState(false);
   const [refreshState, setRefreshState] = useState('idle'); // 'idle' | 'loading' | 'done'
+  const [whatChangedVisible, setWhatChangedVisible] = useState(false);
+  const [contentSourceExpanded, setContentSourceExpanded] = useState(false);
+  const [sourceForm, setSourceForm] = useState(EMPTY_SOURCE_FORM);
+  const [sourceFormError, setSourceFormError] = useState(null);
+  const [sourceSwitching, setSourceSwitching] = useState(false);
+  const [houseRulesExpanded, setHouseRulesExpanded] = useState(false);
+  const [houseRulesVisible, setHouseRulesVisible] = useState(false);
+  const [sectionNotesExpanded, setSectionNotesExpanded] = useState(false);
+  // { text, error } after a notes export or import, cleared after a few seconds.
+  const [notesStatus, setNotesStatus] = useState(null);
+  const [assistantOfficialOnly, setAssistantOfficialOnly] = useState(false);
+  const activeSource = contentSources.find((s) => s.id === activeSourceId) || DEFAULT_CONTENT_SOURCE;
+  const activeSourceRepoUrl = buildSourceUrls(activeSource).repoUrl;
   const [ragChunksExpanded, setRagChunksExpanded] = useState(false);
   const [ragScoredChunksExpanded, setRagScoredChunksExpanded] = useState({});
   const [ragSelectedChunkExpanded, setRagSelectedChunkExpanded] = useState({});
@@ -323,6 +372,10 @@ export default function MoreScreen({
   // Initialise rotation animations for settings cards and debug sections.
   useEffect(() => {
     if (!animations['expandDefaults']) animations['expandDefaults'] = { rotation: new Animated.Value(0) };
+    if (!animations['autoSync'])       animations['autoSync']       = { rotation: new Animated.Value(0) };
+    if (!animations['contentSource'])  animations['contentSource']  = { rotation: new Animated.Value(0) };
+    if (!animations['houseRules'])     animations['houseRules']     = { rotation: new Animated.Value(0) };
+    if (!animations['sectionNotes'])   animations['sectionNotes']   = { rotation: new Animated.Value(0) };
     if (!animations['voiceParent'])    animations['voiceParent']    = { rotation: new Animated.Value(0) };
     if (!animations['voiceVoice'])     animations['voiceVoice']     = { rotation: new Animated.Value(0) };
     if (!animations['voiceAppearance']) animations['voiceAppearance'] = { rotation: new Animated.Value(0) };
@@ -343,7 +396,7 @@ export default function MoreScreen({
 
   useEffect(() => {
     const load = async () => {
-      const [rules, expansions, thinkingSounds, forceLocal, forceContentFail, appearance, tipJarTheme] = await Promise.all([
+      const [rules, expansions, thinkingSounds, forceLocal, forceContentFail, appearance, tipJarTheme, officialOnly] = await Promise.all([
         AsyncStorage.getItem(SETTINGS_KEYS.EXPAND_RULES_DEFAULT),
         AsyncStorage.getItem(SETTINGS_KEYS.EXPAND_EXPANSIONS_DEFAULT),
         AsyncStorage.getItem(SETTINGS_KEYS.THINKING_SOUNDS_ENABLED),
@@ -351,6 +404,7 @@ export default function MoreScreen({
         AsyncStorage.getItem(SETTINGS_KEYS.FORCE_CONTENT_FETCH_FAILURE),
         AsyncStorage.getItem(SETTINGS_KEYS.CLINKS_APPEARANCE),
         AsyncStorage.getItem(SETTINGS_KEYS.TIP_JAR_THEME),
+        AsyncStorage.getItem(SETTINGS_KEYS.ASSISTANT_OFFICIAL_ONLY),
       ]);
       setExpandRulesDefault(rules === 'true');
       setExpandExpansionsDefault(expansions === 'true');
@@ -361,6 +415,8 @@ export default function MoreScreen({
       setForceContentFetchFailure(forceContentFail === 'true');
       if (appearance) setClinksAppearance(appearance);
       if (tipJarTheme) setTipJarThemeOverride(tipJarTheme);
+      setAssistantOfficialOnly(officialOnly === 'true');
+      setSyncMaxAge(await loadSyncMaxAge());
     };
     load();
   }, []);
@@ -377,6 +433,12 @@ export default function MoreScreen({
     logEvent('Feature Flags', `Expand Expansions Default ${value ? 'enabled' : 'disabled'}`);
   };
 
+  const setSyncMaxAgeAndSave = async (option) => {
+    setSyncMaxAge(option.ms);
+    await saveSyncMaxAge(option.ms);
+    logEvent('Feature Flags', `Auto sync set to ${option.id}`);
+  };
+
   const setThinkingSoundsEnabledAndSave = async (value) => {
     setThinkingSoundsEnabled(value);
     NativeVoiceAssistantOptional?.setThinkingSoundEnabled(value);
@@ -384,6 +446,12 @@ export default function MoreScreen({
     logEvent('Feature Flags', `Thinking Sounds ${value ? 'enabled' : 'disabled'}`);
   };
 
+  const setAssistantOfficialOnlyAndSave = async (value) => {
+    setAssistantOfficialOnly(value);
+    await AsyncStorage.setItem(SETTINGS_KEYS.ASSISTANT_OFFICIAL_ONLY, value ? 'true' : 'false');
+    logEvent('Feature Flags', `Assistant official rules only ${value ? 'enabled' : 'disabled'}`);
+  };
+
   const setForceLocalLlmAndSave = async (value) => {
     setForceLocalLlm(value);
     await AsyncStorage.setItem(SETTINGS_KEYS.FORCE_LOCAL_LLM, value ? 'true' : 'false');
@@ -471,6 +539,14 @@ export default function MoreScreen({
   const collapseSettingsChildren = () => {
     animateSection(animations['expandDefaults'], false, 150);
     setExpandDefaultsExpanded(false);
+    animateSection(animations['autoSync'], false, 150);
+    setAutoSyncExpanded(false);
+    animateSection(animations['contentSource'], false, 150);
+    setContentSourceExpanded(false);
+    animateSection(animations['houseRules'], false, 150);
+    setHouseRulesExpanded(false);
+    animateSection(animations['sectionNotes'], false, 150);
+    setSectionNotesExpanded(false);
     animateSection(animations['voiceParent'], false, 150);
     setVoiceParentExpanded(false);
     animateSection(animations['voiceVoice'], false, 150);
@@ -536,6 +612,57 @@ export default function MoreScreen({
     setExpandDefaultsExpanded(isExpanded);
   };
 
+  const toggleAutoSync = () => {
+
+    const isExpanded = !autoSyncExpanded;
+    animateSection(animations['autoSync'], isExpanded);
+    setAutoSyncExpanded(isExpanded);
+  };
+
+  const toggleContentSource = () => {
+
+    const isExpanded = !contentSourceExpanded;
+    animateSection(animations['contentSource'], isExpanded);
+    setContentSourceExpanded(isExpanded);
+  };
+
+  const toggleHouseRules = () => {
+
+    const isExpanded = !houseRulesExpanded;
+    animateSection(animations['houseRules'], isExpanded);
+    setHouseRulesExpanded(isExpanded);
+  };
+
+  const toggleSectionNotes = () => {
+
+    const isExpanded = !sectionNotesExpanded;
+    animateSection(animations['sectionNotes'], isExpanded);
+    setSectionNotesExpanded(isExpanded);
+  };
+
+  // Source switches re-sync content, so block further taps until the switch settles.
+  const runSourceAction = async (action) => {
+    if (sourceSwitching) return;
+    setSourceSwitching(true);
+    try {
+      await action();
+    } catch (err) {
+      logError('Content Source', err, { phase: 'switch' });
+    } finally {
+      setSourceSwitching(false);
+    }
+  };
+
+  const handleAddContentSource = () => runSourceAction(async () => {
+    const result = await onAddContentSource?.(sourceForm);
+    if (result?.error) {
+      setSourceFormError(result.error);
+      return;
+    }
+    setSourceForm(EMPTY_SOURCE_FORM);
+    setSourceFormError(null);
+  });
+
   const toggleTheme = () => {
 
     const isExpanded = !themeExpanded;
@@ -726,6 +853,51 @@ export default function MoreScreen({
     }
   };
 
+  const showNotesStatus = (text, error = false) => {
+    setNotesStatus({ text, error });
+    setTimeout(() => setNotesStatus(null), 4000);
+  };
+
+  // Notes are shared as files next to the log exports; import reads the most recently written one.
+  const notesDir = () => (Platform.OS === 'android' ? RNFS.ExternalDirectoryPath : RNFS.DocumentDirectoryPath);
+
+  const handleExportSectionNotes = async (format) => {
+    const fileName = `${SECTION_NOTES_FILE}.${format}`;
+    try {
+      const text = format === 'json' ? formatNotesAsJson(sectionNotes, activeSourceId) : formatNotesAsMarkdown(sectionNotes);
+      await RNFS.writeFile(`${notesDir()}/${fileName}`, text, 'utf8');
+      logEvent('Section Notes', `Exported to ${fileName}`);
+      showNotesStatus(`Exported to ${fileName}`);
+    } catch (e) {
+      logError('Section Notes Export', e);
+      showNotesStatus('Export failed', true);
+    }
+  };
+
+  const handleImportSectionNotes = async () => {
+    try {
+      const candidates = [`${SECTION_NOTES_FILE}.json`, `${SECTION_NOTES_FILE}.md`];
+      const newest = (await RNFS.readDir(notesDir()))
+        .filter((item) => item.isFile() && candidates.includes(item.name))
+        .sort((a, b) => (b.mtime?.getTime() ?? 0) - (a.mtime?.getTime() ?? 0))[0];
+      if (!newest) {
+        showNotesStatus(`No ${SECTION_NOTES_FILE}.json or .md found`, true);
+        return;
+      }
+      const fileName = newest.name;
+      const { notes, error } = parseNotesImport(await RNFS.readFile(`${notesDir()}/${fileName}`, 'utf8'));
+      if (error) {
+        showNotesStatus(`${fileName}: ${error}`, true);
+        return;
+      }
+      const { added, updated } = onImportSectionNotes?.(notes) || { added: 0, updated: 0 };
+      showNotesStatus(added || updated ? `Imported ${added} new, ${updated} updated from ${fileName}` : `${fileName} is already up to date`);
+    } catch (e) {
+      logError('Section Notes Import', e);
+      showNotesStatus('Import failed', true);
+    }
+  };
+
   const handleRefreshContent = async () => {
     if (refreshState !== 'idle' || !onRefreshContent) return;
     setRefreshState('loading');
@@ -1050,9 +1222,9 @@ export default function MoreScreen({
           >
             {/* ── Official Rulebook card (includes Rules last synced) ── */}
             <View style={styles.versionContainer}>
-              <CardIconTitle icon={<GithubIcon fill="#E1E1E1" />} title="Official Rulebook" styles={styles} />
-              <Pressable onPress={() => Linking.openURL(RULEBOOK_REPO_URL)} style={{ marginTop: 6, marginBottom: 12 }}>
-                <Text style={[styles.infoLink, bodyFontStyle]}>{RULEBOOK_REPO_URL}</Text>
+              <CardIconTitle icon={<GithubIcon fill="#E1E1E1" />} title={activeSource.label} styles={styles} />
+              <Pressable onPress={() => Linking.openURL(activeSourceRepoUrl)} style={{ marginTop: 6, marginBottom: 12 }}>
+                <Text style={[styles.infoLink, bodyFontStyle]}>{activeSourceRepoUrl}</Text>
               </Pressable>
               <CardIconTitle icon={<SyncedIcon fill="#26C6DA" />} title="Rules Last Synced" styles={styles} />
               <Text style={[styles.moreTimestamp, { marginTop: 4, marginBottom: 12 }, bodyFontStyle]}>{rulesLastSynced || lastFetchDate || 'Never'}</Text>
@@ -1088,8 +1260,17 @@ export default function MoreScreen({
                   </TouchableOpacity>
                 );
               })()}
+              <Pressable onPress={() => setWhatChangedVisible(true)} style={{ marginTop: 12, alignSelf: 'center' }}>
+                <Text style={[styles.infoLink, bodyFontStyle]}>What changed since last sync</Text>
+              </Pressable>
             </View>
 
+            <WhatChangedScreen
+              visible={whatChangedVisible}
+              onClose={() => setWhatChangedVisible(false)}
+              styles={styles}
+            />
+
             {/* ── App Repository card ── */}
             <View style={styles.versionContainer}>
               <CardIconTitle icon={<GithubIcon fill="#E1E1E1" />} title="App Repository" styles={styles} />
@@ -1167,6 +1348,263 @@ export default function MoreScreen({
               )}
             </TouchableOpacity>
 
+            {/* ── Card: Auto Sync ── */}
+            <TouchableOpacity
+              style={styles.versionContainer}
+              onPress={toggleAutoSync}
+              activeOpacity={0.7}
+            >
+              <View style={styles.versionHeader}>
+                <View style={{ flex: 1 }}>
+                  <CardIconTitle icon={<SyncedIcon fill="#26C6DA" />} title="Auto Sync" styles={styles} />
+                  {autoSyncExpanded && (
+                    <Text style={[{ fontSize: scaleFontSize(10), color: '#888', marginTop: 2, marginLeft: 28 }, bodyFontStyle]}>
+                      How old the rules can get before the app checks GitHub again on launch or when reopened
+                    </Text>
+                  )}
+                </View>
+                <Animated.View style={{ transform: [{ rotate: animations['autoSync']?.rotation.interpolate({ inputRange: [0, 1], outputRange: ['0deg', '90deg'] }) || '0deg' }] }}>
+                  <Text style={styles.versionArrow}>▶</Text>
+                </Animated.View>
+              </View>
+              {autoSyncExpanded && (
+                <View style={styles.versionContent}>
+                  {SYNC_MAX_AGE_OPTIONS.map((option, i) => {
+                    const isSelected = option.ms === syncMaxAge;
+                    return (
+                      <Pressable
+                        key={option.id}
+                        style={[styles.settingsRow, i === SYNC_MAX_AGE_OPTIONS.length - 1 && styles.settingsRowLast, { justifyContent: 'flex-start', gap: 10 }]}
+                        onPress={() => setSyncMaxAgeAndSave(option)}
+                      >
+                        <View
+                          style={{
+                            width: 16,
+                            height: 16,
+                            borderRadius: 8,
+                            borderWidth: 2,
+                            borderColor: isSelected ? accent : '#777',
+                            backgroundColor: isSelected ? accent : 'transparent',
+                          }}
+                        />
+                        <Text style={[styles.settingsRowText, bodyFontStyle]}>{option.label}</Text>
+                      </Pressable>
+                    );
+                  })}
+                </View>
+              )}
+            </TouchableOpacity>
+
+            {/* ── Card: Rulebook Source ── */}
+            <TouchableOpacity
+              style={styles.versionContainer}
+              onPress={toggleContentSource}
+              activeOpacity={0.7}
+            >
+              <View style={styles.versionHeader}>
+                <View style={{ flex: 1 }}>
+                  <CardIconTitle icon={<GithubIcon fill="#E1E1E1" />} title="Rulebook Source" styles={styles} />
+                  {contentSourceExpanded && (
+                    <Text style={[{ fontSize: scaleFontSize(10), color: '#888', marginTop: 2, marginLeft: 28 }, bodyFontStyle]}>
+                      Read the rules from a fork, branch or mirror. Each source keeps its own offline copy.
+                    </Text>
+                  )}
+                </View>
+                <Animated.View style={{ transform: [{ rotate: animations['contentSource']?.rotation.interpolate({ inputRange: [0, 1], outputRange: ['0deg', '90deg'] }) || '0deg' }] }}>
+                  <Text style={styles.versionArrow}>▶</Text>
+                </Animated.View>
+              </View>
+              {contentSourceExpanded && (
+                <View style={styles.versionContent}>
+                  {contentSources.map((source, i) => {
+                    const isSelected = source.id === activeSourceId;
+                    const isLast = i === contentSources.length - 1;
+                    return (
+                      <View key={source.id} style={[styles.settingsRow, isLast && styles.settingsRowLast]}>
+                        <Pressable
+                          style={{ flex: 1, flexDirection: 'row', alignItems: 'center', gap: 10 }}
+                          onPress={() => runSourceAction(() => onSelectContentSource?.(source.id))}
+                          disabled={sourceSwitching}
+                        >
+                          <View
+                            style={{
+                              width: 16,
+                              height: 16,
+                              borderRadius: 8,
+                              borderWidth: 2,
+                              borderColor: isSelected ? accent : '#777',
+                              backgroundColor: isSelected ? accent : 'transparent',
+                            }}
+                          />
+                          <View style={{ flex: 1 }}>
+                            <Text style={[styles.settingsRowText, bodyFontStyle]}>{source.label}</Text>
+                            <Text style={[{ fontSize: scaleFontSize(10), color: '#888' }, bodyFontStyle]} numberOfLines={1}>
+                              {describeSource(source)}
+                            </Text>
+                          </View>
+                        </Pressable>
+                        {source.id !== DEFAULT_CONTENT_SOURCE.id && (
+                          <TouchableOpacity
+                            onPress={() => runSourceAction(() => onRemoveContentSource?.(source.id))}
+                            disabled={sourceSwitching}
+                            hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                          >
+                            <TrashIcon width={18} height={18} fill="#888" />
+                          </TouchableOpacity>
+                        )}
+                      </View>
+                    );
+                  })}
+
+                  <Text style={[styles.changelogSubtitle, { marginTop: 14 }, titleFontStyle]}>Add a source</Text>
+                  {[
+                    { field: 'label', placeholder: 'Name (optional)' },
+                    { field: 'owner', placeholder: 'GitHub owner' },
+                    { field: 'repo', placeholder: 'Repository' },
+                    { field: 'branch', placeholder: `Branch (default: ${DEFAULT_CONTENT_SOURCE.branch})` },
+                    { field: 'path', placeholder: 'Folder in repo (optional)' },
+                    { field: 'rawBaseUrl', placeholder: '…or a raw base URL (https://…)' },
+                  ].map(({ field, placeholder }) => (
+                    <TextInput
+                      key={field}
+                      value={sourceForm[field]}
+                      onChangeText={(value) => {
+                        setSourceForm((prev) => ({ ...prev, [field]: value }));
+                        setSourceFormError(null);
+                      }}
+                      placeholder={placeholder}
+                      placeholderTextColor="#666"
+                      autoCapitalize="none"
+                      autoCorrect={false}
+                      keyboardType={field === 'rawBaseUrl' ? 'url' : 'default'}
+                      style={[sourceInputStyle, bodyFontStyle]}
+                    />
+                  ))}
+                  {sourceFormError && (
+                    <Text style={[{ fontSize: scaleFontSize(12), color: '#E53935', marginBottom: 8 }, bodyFontStyle]}>
+                      {sourceFormError}
+                    </Text>
+                  )}
+                  <TouchableOpacity
+                    style={[vaReadinessStyles.actionButton, { borderColor: accent, backgroundColor: `${accent}1A` }]}
+                    onPress={handleAddContentSource}
+                    disabled={sourceSwitching}
+                  >
+                    <Text style={[vaReadinessStyles.actionButtonText, { color: accent }, bodyFontStyle]}>
+                      {sourceSwitching ? 'Syncing…' : 'Add and switch'}
+                    </Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </TouchableOpacity>
+
+            {/* ── Card: House Rules ── */}
+            <TouchableOpacity
+              style={styles.versionContainer}
+              onPress={toggleHouseRules}
+              activeOpacity={0.7}
+            >
+              <View style={styles.versionHeader}>
+                <View style={{ flex: 1 }}>
+                  <CardIconTitle icon={<RulesIcon fill="#FFB74D" />} title="House Rules" styles={styles} />
+                  {houseRulesExpanded && (
+                    <Text style={[{ fontSize: scaleFontSize(10), color: '#888', marginTop: 2, marginLeft: 28 }, bodyFontStyle]}>
+                      Local amendments merged into the rulebook, search and Clinks
+                    </Text>
+                  )}
+                </View>
+                <Animated.View style={{ transform: [{ rotate: animations['houseRules']?.rotation.interpolate({ inputRange: [0, 1], outputRange: ['0deg', '90deg'] }) || '0deg' }] }}>
+                  <Text style={styles.versionArrow}>▶</Text>
+                </Animated.View>
+              </View>
+              {houseRulesExpanded && (
+                <View style={styles.versionContent}>
+                  <View style={styles.settingsRow}>
+                    <Text style={[styles.settingsRowText, bodyFontStyle]}>
+                      {houseRules.length === 0 ? 'No house rules' : `${houseRules.length} house rule${houseRules.length === 1 ? '' : 's'}`}
+                    </Text>
+                    <Pressable onPress={() => setHouseRulesVisible(true)}>
+                      <Text style={[styles.infoLink, bodyFontStyle]}>Manage</Text>
+                    </Pressable>
+                  </View>
+                  <View style={[styles.settingsRow, styles.settingsRowLast]}>
+                    <View style={[styles.settingsRowLabel, { flex: 1 }]}>
+                      <Text style={[styles.settingsRowText, bodyFontStyle]}>Clinks answers from official rules only</Text>
+                    </View>
+                    <Switch
+                      value={assistantOfficialOnly}
+                      onValueChange={setAssistantOfficialOnlyAndSave}
+                      trackColor={{ false: '#555', true: accent }}
+                      thumbColor="#E1E1E1"
+                    />
+                  </View>
+                </View>
+              )}
+            </TouchableOpacity>
+
+            <HouseRulesScreen
+              visible={houseRulesVisible}
+              onClose={() => setHouseRulesVisible(false)}
+              styles={styles}
+              houseRules={houseRules}
+              onSave={onSaveHouseRule}
+              onRemove={onRemoveHouseRule}
+              rulesSections={rulesSections}
+              expansionSections={expansionSections}
+            />
+
+            {/* ── Card: Section Notes ── */}
+            <TouchableOpacity
+              style={styles.versionContainer}
+              onPress={toggleSectionNotes}
+              activeOpacity={0.7}
+            >
+              <View style={styles.versionHeader}>
+                <View style={{ flex: 1 }}>
+                  <CardIconTitle icon={<EditIcon fill={accent} />} title="Section Notes" styles={styles} />
+                  {sectionNotesExpanded && (
+                    <Text style={[{ fontSize: scaleFontSize(10), color: '#888', marginTop: 2, marginLeft: 28 }, bodyFontStyle]}>
+                      Long-press a section heading to add a note
+                    </Text>
+                  )}
+                </View>
+                <Animated.View style={{ transform: [{ rotate: animations['sectionNotes']?.rotation.interpolate({ inputRange: [0, 1], outputRange: ['0deg', '90deg'] }) || '0deg' }] }}>
+                  <Text style={styles.versionArrow}>▶</Text>
+                </Animated.View>
+              </View>
+              {sectionNotesExpanded && (
+                <View style={styles.versionContent}>
+                  <View style={styles.settingsRow}>
+                    <Text style={[styles.settingsRowText, bodyFontStyle]}>
+                      {sectionNotes.length === 0 ? 'No notes' : `${sectionNotes.length} note${sectionNotes.length === 1 ? '' : 's'}`}
+                    </Text>
+                  </View>
+                  <View style={styles.settingsRow}>
+                    <Text style={[styles.settingsRowText, bodyFontStyle]}>Export for your group</Text>
+                    <View style={{ flexDirection: 'row', gap: 16 }}>
+                      <Pressable onPress={() => handleExportSectionNotes('json')} disabled={sectionNotes.length === 0}>
+                        <Text style={[styles.infoLink, sectionNotes.length === 0 && { opacity: 0.4 }, bodyFontStyle]}>JSON</Text>
+                      </Pressable>
+                      <Pressable onPress={() => handleExportSectionNotes('md')} disabled={sectionNotes.length === 0}>
+                        <Text style={[styles.infoLink, sectionNotes.length === 0 && { opacity: 0.4 }, bodyFontStyle]}>Markdown</Text>
+                      </Pressable>
+                    </View>
+                  </View>
+                  <View style={[styles.settingsRow, styles.settingsRowLast]}>
+                    <View style={[styles.settingsRowLabel, { flex: 1 }]}>
+                      <Text style={[styles.settingsRowText, bodyFontStyle]}>Import shared notes</Text>
+                    </View>
+                    <Pressable onPress={handleImportSectionNotes}>
+                      <Text style={[styles.infoLink, bodyFontStyle]}>Import</Text>
+                    </Pressable>
+                  </View>
+                  <Text style={[{ fontSize: scaleFontSize(10), color: notesStatus?.error ? '#CF6679' : '#888', marginTop: 6 }, bodyFontStyle]}>
+                    {notesStatus?.text || `Files are read from and written to ${SECTION_NOTES_FILE}.json / .md in the app's documents folder.`}
+                  </Text>
+                </View>
+              )}
+            </TouchableOpacity>
+
             {/* ── Card: Voice Assistant ── */}
             {isVoiceAssistantSupported && voiceLocaleGroups.length > 0 && (
               <TouchableOpacity
@@ -2313,6 +2751,10 @@ export default function MoreScreen({
                               { label: 'Built at', value: ragLog.indexBuild.timestamp },
                               { label: 'Total chunks', value: String(ragLog.indexBuild.totalChunks) },
                               { label: 'Build time', value: `${ragLog.indexBuild.buildTimeMs}ms` },
+                              ...(ragLog.indexBuild.cache ? [{
+                                label: 'Cache',
+                                value: `${ragLog.indexBuild.cache} (${ragLog.indexBuild.cacheStats.hits} hits, ${ragLog.indexBuild.cacheStats.misses} misses)`,
+                              }] : []),
                               { label: 'Content size', value: `${ragLog.indexBuild.totalContentSize.toLocaleString()} chars` },
                             ].map(({ label, value }) => (
                               <View key={label} style={styles.debugMetaRow}>
@@ -2423,6 +2865,8 @@ export default function MoreScreen({
                                             </View>
                                           )}
                                           {[
+                                            ...(entry.queryRewrite?.followUp ? [{ label: 'Search query', value: entry.queryRewrite.query }] : []),
+                                            ...(entry.queryRewrite?.resolved?.length ? [{ label: 'Resolved', value: entry.queryRewrite.resolved.map(r => `${r.pronoun} → ${r.term}`).join(', ') }] : []),
                                             { label: 'Keywords', value: entry.keywords?.join(', ') || 'none' },
                                             { label: 'Top-K', value: String(entry.topK) },
                                             ...(entry.totalContextChars != null ? [{ label: 'Context → LLM', value: `${entry.totalContextChars.toLocaleString()} chars` }] : []),
@@ -2441,7 +2885,7 @@ export default function MoreScreen({
                                             activeOpacity={0.7}
                                           >
                                             <Text style={[{ fontSize: scaleFontSize(11), color: '#999', flex: 1 }, bodyFontStyle]}>
-                                              All chunks scored ({entry.allScoredChunks?.length ?? 0})
+                                              All chunks scored ({entry.allScoredChunks?.length ?? 0}){entry.mode === 'hybrid' ? ' · BM25 + vector' : ''}
                                             </Text>
                                             <Text style={{ fontSize: scaleFontSize(10), color: '#999' }}>{ragScoredChunksExpanded[entry.id] ? '▼' : '▶'}</Text>
                                           </TouchableOpacity>
@@ -2460,7 +2904,9 @@ export default function MoreScreen({
                                                 </Text>
                                               </View>
                                               <Text style={[{ fontSize: scaleFontSize(10), color: c.score > 0 ? '#AAA' : '#666' }, bodyFontStyle]}>
-                                                Score: {c.score.toFixed(4)} · {c.source} · {c.charCount} chars · {c.wordCount} words
+                                                {entry.mode === 'hybrid'
+                                                  ? `Fused: ${c.score.toFixed(4)} · BM25: ${(c.bm25Score ?? 0).toFixed(2)} · Vector: ${c.vectorScore?.toFixed(2) ?? '—'}`
+                                                  : `Score: ${c.score.toFixed(4)}`} · {c.source} · {c.charCount} chars · {c.wordCount} words
                                               </Text>
                                             </View>
                                           ))}
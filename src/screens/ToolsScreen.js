@@ -8,12 +8,15 @@ import { HEADER_HEIGHT } from '../styles';
 import { scaleFontSize } from '../utils/scaleFontSize';
 import { useTheme } from '../context/ThemeContext';
 import CollapsibleSection, { DEFAULT_SECTION_EXPANDED } from '../components/CollapsibleSection';
+import { isExpansionInPlay } from '../services/expansionCatalogue';
+import GlossaryScreen from './GlossaryScreen';
 import CalculatorIcon from '../../assets/icons/calculator.svg';
 import PlayersIcon from '../../assets/icons/players.svg';
 import NailsIcon from '../../assets/icons/about.svg';
 import UprisingIcon from '../../assets/icons/uprising.svg';
 import StatsIcon from '../../assets/icons/stats.svg';
 import NailIcon from '../../assets/icons/nail.svg';
+import RulesIcon from '../../assets/icons/rules.svg';
 import MinusIcon from '../../assets/icons/minus.svg';
 import PlusIcon from '../../assets/icons/plus.svg';
 import TrashIcon from '../../assets/icons/trash.svg';
@@ -29,7 +32,7 @@ if (Platform.OS === 'android' && UIManager.setLayoutAnimationEnabledExperimental
 }
 
 const GOLDEN_NAIL_ROW_HEIGHT = 72;
-const SECTION_KEYS = { NAIL_CALC: 'nailCalc', GAME_STAT_TRACKER: 'gameStatTracker' };
+const SECTION_KEYS = { NAIL_CALC: 'nailCalc', GAME_STAT_TRACKER: 'gameStatTracker', GLOSSARY: 'glossary' };
 const GOLDEN_NAILS_PLAYERS_KEY = '@lnl_golden_nails_players';
 
 /** Icon color matching About tab Info icon (info.svg stroke). */
@@ -66,12 +69,26 @@ const PLAYERS_COLOR = '#3D7DD8';
 const NAILS_COLOR = '#2E7D32';
 const UPRISING_COLOR = '#CC4400';
 
-export default function ToolsScreen({ styles, contentHeight, contentPaddingTop }) {
+/** Catalogue keyword for the expansion the Uprising nail count belongs to. */
+const UPRISING_EXPANSION = 'uprising';
+
+export default function ToolsScreen({
+  styles,
+  contentHeight,
+  contentPaddingTop,
+  expansionCatalogue = [],
+  inactiveExpansions = [],
+  glossary = [],
+  onOpenGlossaryEntry,
+}) {
   const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  const uprisingInPlay = isExpansionInPlay(expansionCatalogue, inactiveExpansions, UPRISING_EXPANSION);
   const [sectionsExpanded, setSectionsExpanded] = useState({
     [SECTION_KEYS.NAIL_CALC]: DEFAULT_SECTION_EXPANDED,
     [SECTION_KEYS.GAME_STAT_TRACKER]: DEFAULT_SECTION_EXPANDED,
+    [SECTION_KEYS.GLOSSARY]: DEFAULT_SECTION_EXPANDED,
   });
+  const [glossaryVisible, setGlossaryVisible] = useState(false);
   const [playerCountInput, setPlayerCountInput] = useState(ZWSP);
   const [goldenNailPlayers, setGoldenNailPlayers] = useState([]);
   const [selectedPlayerIdForDelete, setSelectedPlayerIdForDelete] = useState(null);
@@ -340,8 +357,12 @@ export default function ToolsScreen({ styles, contentHeight, contentPaddingTop }
               <Text style={[styles.toolDescription, bodyFontStyle]}>
                 Number of Lord Nails = <Text style={styles.toolDescriptionCode}> ceil(n/2 − 1) </Text>
                 {'\n'}
-                Number of Uprising Nails = <Text style={styles.toolDescriptionCode}> ceil(n/7) </Text>
-                {'\n'}
+                {uprisingInPlay && (
+                  <>
+                    Number of Uprising Nails = <Text style={styles.toolDescriptionCode}> ceil(n/7) </Text>
+                    {'\n'}
+                  </>
+                )}
                 <Text style={styles.toolDescriptionCode}> n </Text> = Number of players.
               </Text>
               <View style={styles.toolInputOutputRow}>
@@ -376,17 +397,19 @@ export default function ToolsScreen({ styles, contentHeight, contentPaddingTop }
                     </Text>
                   </View>
                 </View>
-                <View style={styles.toolOutputBlock}>
-                  <View style={styles.toolLabelWithIcon}>
-                    <UprisingIcon width={22} height={22} fill={UPRISING_COLOR} style={styles.toolLabelIcon} />
-                    <Text style={[styles.toolOutputLabel, bodyFontStyle]}>Uprising nails</Text>
-                  </View>
-                  <View style={styles.toolOutputBox} pointerEvents="none">
-                    <Text style={[styles.toolOutputValueUprising, bodyFontStyle]}>
-                      {uprisingNails != null ? uprisingNails : '—'}
-                    </Text>
+                {uprisingInPlay && (
+                  <View style={styles.toolOutputBlock}>
+                    <View style={styles.toolLabelWithIcon}>
+                      <UprisingIcon width={22} height={22} fill={UPRISING_COLOR} style={styles.toolLabelIcon} />
+                      <Text style={[styles.toolOutputLabel, bodyFontStyle]}>Uprising nails</Text>
+                    </View>
+                    <View style={styles.toolOutputBox} pointerEvents="none">
+                      <Text style={[styles.toolOutputValueUprising, bodyFontStyle]}>
+                        {uprisingNails != null ? uprisingNails : '—'}
+                      </Text>
+                    </View>
                   </View>
-                </View>
+                )}
               </View>
 
               <Text style={[styles.toolQuickRefTitle, titleFontStyle]}>Quick Reference</Text>
@@ -401,7 +424,7 @@ export default function ToolsScreen({ styles, contentHeight, contentPaddingTop }
                     </View>
                   ))}
                 </View>
-                <View style={styles.toolTableRow}>
+                <View style={[styles.toolTableRow, !uprisingInPlay && styles.toolTableRowLast]}>
                   <View style={styles.toolTableLabelCell}>
                     <NailsIcon width={22} height={22} fill={NAILS_COLOR} />
                   </View>
@@ -411,16 +434,18 @@ export default function ToolsScreen({ styles, contentHeight, contentPaddingTop }
                     </View>
                   ))}
                 </View>
-                <View style={[styles.toolTableRow, styles.toolTableRowLast]}>
-                  <View style={styles.toolTableLabelCell}>
-                    <UprisingIcon width={22} height={22} fill={UPRISING_COLOR} />
-                  </View>
-                  {Array.from({ length: QUICK_REF_COLUMNS }, (_, i) => i + QUICK_REF_PLAYERS_START).map((n) => (
-                    <View key={`u-${n}`} style={styles.toolTableDataCell}>
-                      <Text style={[styles.toolTableDataTextUprising, bodyFontStyle]}>{uprisingNailFormula(n)}</Text>
+                {uprisingInPlay && (
+                  <View style={[styles.toolTableRow, styles.toolTableRowLast]}>
+                    <View style={styles.toolTableLabelCell}>
+                      <UprisingIcon width={22} height={22} fill={UPRISING_COLOR} />
                     </View>
-                  ))}
-                </View>
+                    {Array.from({ length: QUICK_REF_COLUMNS }, (_, i) => i + QUICK_REF_PLAYERS_START).map((n) => (
+                      <View key={`u-${n}`} style={styles.toolTableDataCell}>
+                        <Text style={[styles.toolTableDataTextUprising, bodyFontStyle]}>{uprisingNailFormula(n)}</Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
               </View>
             </View>
           </CollapsibleSection>
@@ -677,6 +702,39 @@ export default function ToolsScreen({ styles, contentHeight, contentPaddingTop }
               )}
             </View>
           </CollapsibleSection>
+
+          <CollapsibleSection
+            title="Glossary"
+            icon={<RulesIcon width={24} height={24} fill={INFO_BLUE} />}
+            isExpanded={sectionsExpanded[SECTION_KEYS.GLOSSARY]}
+            onToggle={() => toggleSection(SECTION_KEYS.GLOSSARY)}
+            styles={styles}
+            style={styles.aboutSectionWrapper}
+          >
+            <View style={styles.versionContainer}>
+              <Text style={[styles.toolDescription, bodyFontStyle]}>
+                {glossary.length > 0
+                  ? `${glossary.length} game terms defined in the rules and expansions. Terms are underlined in the rules too — tap one for its definition.`
+                  : 'Game terms appear here once the rules have loaded.'}
+              </Text>
+              <TouchableOpacity
+                style={[accentFilledButtonStyle, { alignSelf: 'flex-start', marginTop: 12 }]}
+                onPress={() => setGlossaryVisible(true)}
+              >
+                <Text style={[{ color: '#121212', fontWeight: '700', fontSize: scaleFontSize(14) }, bodyFontStyle]}>Open Glossary</Text>
+              </TouchableOpacity>
+            </View>
+          </CollapsibleSection>
+          <GlossaryScreen
+            visible={glossaryVisible}
+            onClose={() => setGlossaryVisible(false)}
+            glossary={glossary}
+            onOpenEntry={(entry) => {
+              setGlossaryVisible(false);
+              onOpenGlossaryEntry?.(entry);
+            }}
+            styles={styles}
+          />
         </View>
       </View>
     </ScrollView>
@@ -0,0 +1,174 @@
+/**
+ * "What changed since last sync" screen: section-level diff of the rules and
+ * expansions between the previous snapshot and the current cache.
+ * Presented full-screen in a Modal from the Info card on the More tab.
+ */
+import React, { useState, useEffect } from 'react';
+import { View, Text, ScrollView, TouchableOpacity, Modal, ActivityIndicator } from 'react-native';
+import { getContentChanges } from '../services/contentService';
+import { logError } from '../services/errorLogger';
+import { decodeHtmlEntities } from '../utils/searchUtils';
+import { scaleFontSize } from '../utils/scaleFontSize';
+import { useTheme } from '../context/ThemeContext';
+
+const ADDED_COLOR = '#4CAF50';
+const REMOVED_COLOR = '#E53935';
+const MODIFIED_COLOR = '#FF9800';
+
+function Breadcrumb({ section, bodyFontStyle }) {
+  if (!section.breadcrumb?.length) return null;
+  return (
+    <Text style={[{ fontSize: scaleFontSize(11), color: '#888', marginBottom: 2 }, bodyFontStyle]}>
+      {section.breadcrumb.map(decodeHtmlEntities).join(' › ')}
+    </Text>
+  );
+}
+
+function InlineChanges({ changes, bodyFontStyle }) {
+  return (
+    <Text style={[{ fontSize: scaleFontSize(13), color: '#BBBBBB', lineHeight: 20 }, bodyFontStyle]}>
+      {changes.map((part, i) => {
+        if (part.type === 'added') {
+          return (
+            <Text key={i} style={{ color: ADDED_COLOR, backgroundColor: 'rgba(76,175,80,0.15)' }}>{part.text}</Text>
+          );
+        }
+        if (part.type === 'removed') {
+          return (
+            <Text key={i} style={{ color: REMOVED_COLOR, textDecorationLine: 'line-through', backgroundColor: 'rgba(229,57,53,0.12)' }}>{part.text}</Text>
+          );
+        }
+        return part.text;
+      })}
+    </Text>
+  );
+}
+
+function ChangeGroup({ label, color, items, styles, titleFontStyle, bodyFontStyle, renderBody }) {
+  if (!items.length) return null;
+  return (
+    <View style={{ marginTop: 12 }}>
+      <Text style={[{ fontSize: scaleFontSize(13), fontWeight: '700', color, marginBottom: 6 }, titleFontStyle]}>
+        {label} ({items.length})
+      </Text>
+      {items.map((section) => (
+        <View key={section.key} style={[styles.versionContainer, { borderLeftWidth: 3, borderLeftColor: color }]}>
+          <Breadcrumb section={section} bodyFontStyle={bodyFontStyle} />
+          <Text style={[styles.versionText, titleFontStyle]}>{decodeHtmlEntities(section.title)}</Text>
+          {renderBody ? <View style={{ marginTop: 6 }}>{renderBody(section)}</View> : null}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function DocumentChanges({ heading, diff, changedAt, styles, accent, titleFontStyle, bodyFontStyle }) {
+  return (
+    <View style={{ marginBottom: 24 }}>
+      <Text style={[{ fontSize: scaleFontSize(20), fontWeight: 'bold', color: accent }, titleFontStyle]}>{heading}</Text>
+      {changedAt ? (
+        <Text style={[styles.moreTimestamp, { marginTop: 2 }, bodyFontStyle]}>Changed on {changedAt}</Text>
+      ) : null}
+      {!diff ? (
+        <Text style={[styles.moreTimestamp, { marginTop: 8 }, bodyFontStyle]}>
+          No earlier copy to compare against yet. Changes will appear here after the next sync that updates the text.
+        </Text>
+      ) : !diff.hasChanges ? (
+        <Text style={[styles.moreTimestamp, { marginTop: 8 }, bodyFontStyle]}>No changes.</Text>
+      ) : (
+        <>
+          <ChangeGroup
+            label="Added"
+            color={ADDED_COLOR}
+            items={diff.added}
+            styles={styles}
+            titleFontStyle={titleFontStyle}
+            bodyFontStyle={bodyFontStyle}
+          />
+          <ChangeGroup
+            label="Removed"
+            color={REMOVED_COLOR}
+            items={diff.removed}
+            styles={styles}
+            titleFontStyle={titleFontStyle}
+            bodyFontStyle={bodyFontStyle}
+          />
+          <ChangeGroup
+            label="Modified"
+            color={MODIFIED_COLOR}
+            items={diff.modified}
+            styles={styles}
+            titleFontStyle={titleFontStyle}
+            bodyFontStyle={bodyFontStyle}
+            renderBody={(section) => <InlineChanges changes={section.changes} bodyFontStyle={bodyFontStyle} />}
+          />
+        </>
+      )}
+    </View>
+  );
+}
+
+export default function WhatChangedScreen({ visible, onClose, styles }) {
+  const { accent, titleFontStyle, bodyFontStyle } = useTheme();
+  const [changes, setChanges] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    let cancelled = false;
+    setLoading(true);
+    getContentChanges()
+      .then((result) => {
+        if (!cancelled) setChanges(result);
+      })
+      .catch((err) => logError('Content Changes', err, { phase: 'load' }))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [visible]);
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={{ flex: 1, backgroundColor: '#121212', paddingTop: 48 }}>
+        <View style={{ flexDirection: 'row', alignItems: 'center', paddingHorizontal: 20, marginBottom: 12 }}>
+          <Text style={[{ flex: 1, fontSize: scaleFontSize(24), fontWeight: 'bold', color: accent }, titleFontStyle]}>
+            What Changed
+          </Text>
+          <TouchableOpacity style={styles.closeIconContainer} onPress={onClose}>
+            <Text style={styles.closeIcon}>✕</Text>
+          </TouchableOpacity>
+        </View>
+        {loading || !changes ? (
+          <ActivityIndicator size="large" color={accent} style={{ marginTop: 40 }} />
+        ) : (
+          <ScrollView contentContainerStyle={{ paddingHorizontal: 20, paddingBottom: 60 }}>
+            <Text style={[styles.moreTimestamp, { marginBottom: 16 }, bodyFontStyle]}>
+              Differences between the previous copy of the rulebook and the one from the latest sync.
+            </Text>
+            <DocumentChanges
+              heading="Rules"
+              diff={changes.rules}
+              changedAt={changes.rulesChangedAt}
+              styles={styles}
+              accent={accent}
+              titleFontStyle={titleFontStyle}
+              bodyFontStyle={bodyFontStyle}
+            />
+            <DocumentChanges
+              heading="Expansions"
+              diff={changes.expansions}
+              changedAt={changes.expansionsChangedAt}
+              styles={styles}
+              accent={accent}
+              titleFontStyle={titleFontStyle}
+              bodyFontStyle={bodyFontStyle}
+            />
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+}
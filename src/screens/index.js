@@ -1,3 +1,6 @@
 export { default as ContentScreen } from './ContentScreen';
 export { default as MoreScreen } from './MoreScreen';
 export { default as ToolsScreen } from './ToolsScreen';
+export { default as WhatChangedScreen } from './WhatChangedScreen';
+export { default as HouseRulesScreen } from './HouseRulesScreen';
+export { default as GlossaryScreen } from './GlossaryScreen';
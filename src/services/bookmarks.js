@@ -0,0 +1,88 @@
+/**
+ * Section bookmarks, stored per content source.
+ *
+ * A bookmark points at a section by tab and slug id (see markdownParser). The
+ * id comes from the heading text, so a bookmark survives re-syncs as long as
+ * its heading does. Title and breadcrumb are stored too, so a bookmark whose
+ * section disappeared after a sync can still be listed and flagged.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const BOOKMARKS_KEY = '@lnl_bookmarks';
+
+export const bookmarkKey = (tab, id) => `${tab}:${id}`;
+
+/** Ancestor titles of the section with `id` (the rulebook title section is skipped), or null if absent. */
+export function findSectionBreadcrumb(sections, id, parents = []) {
+  for (const section of sections || []) {
+    if ((section.id || section.title) === id) return parents;
+    const childParents = section.isTitle ? parents : [...parents, section.title];
+    const found = findSectionBreadcrumb(section.subsections, id, childParents);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * @param {'rules'|'expansions'} tab
+ * @param {{ id?: string, title: string }} section
+ * @param {string[]} [breadcrumb]
+ */
+export function createBookmark(tab, section, breadcrumb = []) {
+  return {
+    tab,
+    id: section.id || section.title,
+    title: section.title,
+    breadcrumb,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/** Add the bookmark, or remove it if that section is already bookmarked. */
+export function toggleBookmark(bookmarks, bookmark) {
+  const key = bookmarkKey(bookmark.tab, bookmark.id);
+  return bookmarks.some((b) => bookmarkKey(b.tab, b.id) === key)
+    ? bookmarks.filter((b) => bookmarkKey(b.tab, b.id) !== key)
+    : [...bookmarks, bookmark];
+}
+
+/**
+ * Match bookmarks against the current section trees. A bookmark is `missing`
+ * when its tab has loaded and no longer has a section with that id; found
+ * bookmarks pick up the section's current title and breadcrumb.
+ *
+ * @param {Array} bookmarks
+ * @param {{ rules: Array, expansions: Array }} trees
+ */
+export function resolveBookmarks(bookmarks, trees) {
+  return bookmarks.map((bookmark) => {
+    const tree = trees[bookmark.tab];
+    const breadcrumb = findSectionBreadcrumb(tree, bookmark.id);
+    if (!breadcrumb) return { ...bookmark, missing: Boolean(tree?.length) };
+    return { ...bookmark, breadcrumb, missing: false };
+  });
+}
+
+export async function loadBookmarks(sourceId) {
+  try {
+    const raw = await AsyncStorage.getItem(BOOKMARKS_KEY);
+    const bySource = raw ? JSON.parse(raw) : {};
+    return Array.isArray(bySource[sourceId]) ? bySource[sourceId] : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveBookmarks(sourceId, bookmarks) {
+  let bySource = {};
+  try {
+    const raw = await AsyncStorage.getItem(BOOKMARKS_KEY);
+    bySource = raw ? JSON.parse(raw) : {};
+  } catch {
+    bySource = {};
+  }
+  if (bookmarks.length) bySource[sourceId] = bookmarks;
+  else delete bySource[sourceId];
+  await AsyncStorage.setItem(BOOKMARKS_KEY, JSON.stringify(bySource));
+}
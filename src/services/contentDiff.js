@@ -0,0 +1,129 @@
+/**
+ * Section-level diff between two rulebook snapshots.
+ *
+ * Works on the section trees produced by parseMarkdownSections() /
+ * buildExpansionSections(): sections are matched by their heading path
+ * (e.g. "IV - Taking a Turn > IV.A - Flip"), then modified sections get a
+ * word-level inline diff of their body text. Pure functions, no I/O.
+ */
+
+/** Above this many words per side, skip the LCS table and diff as replace-all. */
+const MAX_INLINE_DIFF_WORDS = 1500;
+
+/**
+ * Flatten a section tree into a list keyed by heading path.
+ * The title section (isTitle) is included so changes to the intro text show up.
+ *
+ * @param {Array} sections
+ * @returns {Array<{ key: string, title: string, level: number, breadcrumb: string[], content: string }>}
+ */
+export function flattenSections(sections, parentTitles = []) {
+  const out = [];
+  (sections || []).forEach((section) => {
+    if (!section?.title) return;
+    const breadcrumb = [...parentTitles, section.title];
+    out.push({
+      key: breadcrumb.join(' > '),
+      title: section.title,
+      level: section.level,
+      breadcrumb: parentTitles,
+      content: (section.content || '').trim(),
+    });
+    if (section.subsections?.length) {
+      out.push(...flattenSections(section.subsections, breadcrumb));
+    }
+  });
+  return out;
+}
+
+function tokenizeWords(text) {
+  return (text || '').split(/(\s+)/).filter((t) => t.length > 0);
+}
+
+/**
+ * Word-level diff of two strings (whitespace is kept as its own token so the
+ * joined output reproduces the original text).
+ *
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export function diffWords(before, after) {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+
+  if (a.length > MAX_INLINE_DIFF_WORDS || b.length > MAX_INLINE_DIFF_WORDS) {
+    return [
+      ...(a.length ? [{ type: 'removed', text: a.join('') }] : []),
+      ...(b.length ? [{ type: 'added', text: b.join('') }] : []),
+    ];
+  }
+
+  // Longest-common-subsequence table, filled from the end so we can walk forward.
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i]);
+      i++;
+    } else {
+      push('added', b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
+
+/**
+ * Compare two section trees.
+ *
+ * @param {Array} previousSections  Tree from the previous snapshot.
+ * @param {Array} currentSections   Tree from the latest sync.
+ * @returns {{ added: Array, removed: Array, modified: Array, hasChanges: boolean }}
+ *   added/removed entries are flattened sections; modified entries also carry
+ *   `changes` (from diffWords) for the section body.
+ */
+export function diffSectionTrees(previousSections, currentSections) {
+  const before = flattenSections(previousSections);
+  const after = flattenSections(currentSections);
+  const beforeByKey = new Map(before.map((s) => [s.key, s]));
+  const afterKeys = new Set(after.map((s) => s.key));
+
+  const added = [];
+  const modified = [];
+  after.forEach((section) => {
+    const previous = beforeByKey.get(section.key);
+    if (!previous) {
+      added.push(section);
+    } else if (previous.content !== section.content) {
+      modified.push({ ...section, changes: diffWords(previous.content, section.content) });
+    }
+  });
+  const removed = before.filter((s) => !afterKeys.has(s.key));
+
+  return {
+    added,
+    removed,
+    modified,
+    hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0,
+  };
+}
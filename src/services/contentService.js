@@ -1,17 +1,29 @@
 /**
  * Content service: cache read/write, GitHub fetch, and markdown parsing for
  * rules and expansions. No UI state; callers use returned data to update state.
+ * Cached content lives in the SQLite content store (see contentStore).
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import {
-  CONTENT_URL,
-  EXPANSIONS_URL,
-  EXPANSIONS_BASE_URL,
-  GITHUB_API_URL,
-  CACHE_KEYS,
-} from '../constants';
+import { DEFAULT_CONTENT_SOURCE } from '../constants';
 import { logError, logEvent } from './errorLogger';
+import { diffSectionTrees, flattenSections } from './contentDiff';
+import { buildSourceUrls, extractExpansionFolders } from './contentSources';
+import { parseSectionTree } from './markdownParser';
+import { buildExpansionCatalogue, isExpansionActive } from './expansionCatalogue';
+import { validateRulesMarkdown, validateExpansionDocuments } from './contentValidation';
+import {
+  DOCUMENT_KINDS,
+  META_KEYS,
+  getDocuments,
+  replaceDocuments,
+  deleteDocuments,
+  getMeta,
+  setMeta,
+  loadHttpValidators,
+  saveHttpValidators,
+  recordSync,
+} from './contentStore';
 
 const FETCH_TIMEOUT_MS = 20000;
 const FORCE_CONTENT_FETCH_FAILURE_KEY = '@lnl_force_content_fetch_failure';
@@ -39,6 +51,26 @@ export function setForceContentFetchFailure(value) {
   _forceContentFetchFailure = Boolean(value);
 }
 
+// Active content source and its URLs. Swapped as a unit by
+// setActiveContentSource(); fetches capture these at start so a source switch
+// mid-flight can't write one source's payload into another's cache.
+let _activeSource = DEFAULT_CONTENT_SOURCE;
+let _urls = buildSourceUrls(DEFAULT_CONTENT_SOURCE);
+
+/**
+ * Point all subsequent cache reads/writes and fetches at `source`.
+ * Stored content is keyed by source id, so switching back and forth keeps both copies.
+ */
+export function setActiveContentSource(source) {
+  _activeSource = source || DEFAULT_CONTENT_SOURCE;
+  _urls = buildSourceUrls(_activeSource);
+  logEvent('Content Source', `Active source: ${_activeSource.label}`, { url: _urls.contentUrl });
+}
+
+export function getActiveContentSource() {
+  return _activeSource;
+}
+
 /**
  * Fetch with a timeout via Promise.race (avoids AbortController platform bugs).
  * Returns the Response on success; throws on timeout or network error.
@@ -48,328 +80,435 @@ async function fetchWithTimeout(url, opts = {}, timeout = FETCH_TIMEOUT_MS) {
   if (_forceContentFetchFailure) {
     throw new Error('Force Content Fetch Failure enabled');
   }
+  let timer;
   return Promise.race([
     fetch(url, opts),
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error('Request timed out')), timeout)
-    ),
-  ]);
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Request timed out')), timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// ETag / Last-Modified per URL, loaded from the content store on first use.
+// Updated in memory as responses arrive and flushed with saveValidators()
+// only after the matching body has been written to the cache.
+let _validators = null;
+
+async function loadValidators() {
+  if (_validators) return _validators;
+  try {
+    _validators = await loadHttpValidators();
+  } catch {
+    _validators = {};
+  }
+  return _validators;
+}
+
+async function saveValidators() {
+  if (!_validators) return;
+  await saveHttpValidators(_validators);
+}
+
+/** Forget validators picked up from rejected responses so they are never flushed or sent. */
+function dropValidators(urls) {
+  if (!_validators) return;
+  urls.forEach((url) => delete _validators[url]);
 }
 
 /**
- * Build expansion sections from an array of raw markdown texts.
- * First element is the main expansions README; rest are individual expansion READMEs.
+ * GET with If-None-Match / If-Modified-Since when we hold a cached body for
+ * the URL. Validators are only sent when `hasCachedBody` is true — a 304 is
+ * useless without something to fall back to.
+ * @returns {Promise<{ response: Response, notModified: boolean }>}
  */
-export function buildExpansionSections(allExpansionTexts) {
-  const [mainReadme, ...expansionReadmes] = allExpansionTexts;
+async function conditionalFetch(url, hasCachedBody, opts = {}) {
+  const validators = await loadValidators();
+  const known = hasCachedBody ? validators[url] : null;
+  const headers = { ...(opts.headers || {}) };
+  if (known?.etag) headers['If-None-Match'] = known.etag;
+  if (known?.lastModified) headers['If-Modified-Since'] = known.lastModified;
+
+  const response = await fetchWithTimeout(url, { ...opts, headers });
+  if (response.status === 304) {
+    return { response, notModified: true };
+  }
+  if (response.ok) {
+    const etag = response.headers?.get?.('etag');
+    const lastModified = response.headers?.get?.('last-modified');
+    if (etag || lastModified) {
+      validators[url] = { etag: etag || null, lastModified: lastModified || null };
+    }
+  }
+  return { response, notModified: false };
+}
 
-  // mainContent is used for RAG ingestion — it must include ALL expansion
-  // READMEs, not just the directory index. The directory index only lists
-  // expansion names, so feeding it alone to the LLM produces answers like
-  // "Expansions are listed in the directory."
-  const allTexts = [mainReadme, ...expansionReadmes].filter(Boolean);
-  const mainContent = allTexts.length > 0
-    ? allTexts.join('\n\n---\n\n')
-    : '# Expansions\n\nNo content available.';
-  const sections = [];
+/** Record whether a URL was served from cache (304) or downloaded. */
+function logFreshness(source, url, notModified, elapsedMs) {
+  logEvent(source, notModified ? 'Not modified (304) — cache still fresh' : 'Fetched fresh copy', { url, elapsedMs });
+}
+
+/**
+ * Read GitHub's rate-limit headers. `retryAt` (ms epoch) is when the next
+ * request can succeed: Retry-After for secondary limits, else X-RateLimit-Reset.
+ */
+function readRateLimit(headers) {
+  const header = (name) => {
+    const value = headers?.get?.(name);
+    return value == null || value === '' ? null : Number(value);
+  };
+  const remaining = header('x-ratelimit-remaining');
+  const reset = header('x-ratelimit-reset');
+  const retryAfter = header('retry-after');
+  let retryAt = null;
+  if (Number.isFinite(retryAfter)) retryAt = Date.now() + retryAfter * 1000;
+  else if (Number.isFinite(reset)) retryAt = reset * 1000;
+  return { remaining: Number.isFinite(remaining) ? remaining : null, retryAt };
+}
 
-  sections.push({
+/**
+ * Build the Expansions tab from the stored expansion documents: the main
+ * expansions README (name '') followed by one README per expansion folder.
+ * `catalogue` lists every expansion; `sections` and `mainContent` only include
+ * the ones in play. Section ids are scoped by expansion folder (see
+ * buildExpansionCatalogue), so they don't shift when an expansion is switched off.
+ *
+ * @param {Array<{ name: string, body: string }>} documents
+ * @param {{ inactiveFolders?: string[] }} [options]
+ * @returns {{ mainContent: string, sections: Array, catalogue: Array }}
+ */
+export function buildExpansionSections(documents, { inactiveFolders = [] } = {}) {
+  const mainReadme = documents.find((doc) => doc.name === '')?.body ?? null;
+  const titleSection = {
+    id: 'expansions',
     title: 'Expansions',
     level: 1,
     isTitle: true,
     content: mainReadme ? mainReadme.split('\n').slice(2).join('\n') : 'No content available.',
-  });
-
-  expansionReadmes
-    .filter((text) => text !== null)
-    .forEach((text) => {
-      const lines = text.split('\n');
-      let currentMainSection = null;
-      let currentSubSection = null;
-      let currentContent = [];
-
-      const finalizeContent = () => currentContent.join('\n').trim();
-
-      lines.forEach((line, index) => {
-        if (line.startsWith('# ')) {
-          if (currentMainSection) {
-            if (currentSubSection) {
-              currentSubSection.content = finalizeContent();
-              currentMainSection.subsections.push(currentSubSection);
-              currentSubSection = null;
-            }
-            sections.push(currentMainSection);
-          }
-          currentMainSection = {
-            title: line.replace('# ', ''),
-            content: '',
-            level: 1,
-            isExpanded: false,
-            subsections: [],
-          };
-          currentContent = [];
-        } else if (line.startsWith('## ')) {
-          if (currentSubSection) {
-            currentSubSection.content = finalizeContent();
-            if (currentMainSection) {
-              currentMainSection.subsections.push(currentSubSection);
-            }
-          }
-          currentSubSection = {
-            title: line.replace('## ', ''),
-            content: '',
-            level: 2,
-            isExpanded: false,
-            subsections: [],
-          };
-          currentContent = [];
-        } else if (line.startsWith('### ')) {
-          if (currentContent.length > 0 && currentSubSection) {
-            currentSubSection.content = finalizeContent();
-          }
-          if (currentSubSection) {
-            currentSubSection.subsections.push({
-              title: line.replace('### ', ''),
-              content: '',
-              level: 3,
-              isExpanded: false,
-            });
-          }
-          currentContent = [];
-        } else {
-          currentContent.push(line);
-        }
+  };
+  const catalogue = buildExpansionCatalogue(documents);
+  const active = catalogue.filter((entry) => isExpansionActive(entry.folder, inactiveFolders));
 
-        if (index === lines.length - 1) {
-          if (currentSubSection) {
-            currentSubSection.content = finalizeContent();
-            if (currentMainSection) {
-              currentMainSection.subsections.push(currentSubSection);
-            }
-          } else if (currentMainSection) {
-            currentMainSection.content = finalizeContent();
-          }
-          if (currentMainSection) {
-            sections.push(currentMainSection);
-          }
-        }
-      });
-    });
+  // mainContent is used for RAG ingestion — it must include ALL expansion
+  // READMEs in play, not just the directory index. The directory index only
+  // lists expansion names, so feeding it alone to the LLM produces answers like
+  // "Expansions are listed in the directory."
+  const allTexts = [
+    mainReadme,
+    ...active.map((entry) => documents.find((doc) => doc.name === entry.folder).body),
+  ].filter(Boolean);
+  const mainContent = allTexts.length > 0
+    ? allTexts.join('\n\n---\n\n')
+    : '# Expansions\n\nNo content available.';
+  const sections = [titleSection, ...active.flatMap((entry) => entry.sections)];
 
-  return { mainContent, sections };
+  return { mainContent, sections, catalogue };
 }
 
 /**
- * Parse rules markdown into a tree of sections (h1, h2, h3).
+ * Parse rules markdown into a tree of sections (h1, h2, h3). The first h1 is
+ * the rulebook title; image lines are dropped from section bodies.
  */
 export function parseMarkdownSections(text) {
-  if (!text) return [];
-
-  const lines = text.split('\n');
-  const sections = [];
-  let currentSection = null;
-  let currentSubsection = null;
-  let currentSubsubsection = null;
-  let currentContent = [];
-  let isFirstSection = true;
-
-  const finalizeContent = () => {
-    const content = currentContent
-      .filter((line) => !line.match(/!\[.*?\]\(.*?\)/))
-      .map((line) => line.replace(/`([^`]+)`/g, '`$1`'))
-      .join('\n')
-      .trim();
-    currentContent = [];
-    return content;
-  };
+  return parseSectionTree(text, { firstH1IsTitle: true, stripImages: true });
+}
 
-  const assignContent = () => {
-    const content = finalizeContent();
-    if (currentSubsubsection) {
-      currentSubsubsection.content = content;
-    } else if (currentSubsection) {
-      currentSubsection.content = content;
-    } else if (currentSection) {
-      currentSection.content = content;
-    }
-  };
+/**
+ * Log a payload that failed validation and record it in sync history. The
+ * cache is left untouched, so the last good copy stays on screen.
+ */
+async function rejectPayload(source, kind, reason, details) {
+  logError(kind === DOCUMENT_KINDS.RULES ? 'fetchRules' : 'fetchExpansions', `Rejected fetched ${kind}: ${reason}`, details);
+  await noteSync(source.id, kind, 'rejected', { elapsedMs: details.elapsedMs, detail: reason });
+  return { success: false, rejected: true };
+}
 
-  lines.forEach((line) => {
-    if (line.startsWith('# ')) {
-      if (currentSection) {
-        assignContent();
-        sections.push(currentSection);
-      }
-      currentSubsubsection = null;
-      currentSubsection = null;
-      currentSection = {
-        title: line.replace('# ', ''),
-        level: 1,
-        isTitle: isFirstSection,
-        content: '',
-        ...(isFirstSection ? {} : { isExpanded: false, subsections: [] }),
-      };
-      isFirstSection = false;
-    } else if (line.startsWith('## ')) {
-      assignContent();
-      currentSubsubsection = null;
-      if (currentSection && !currentSection.subsections) {
-        currentSection.subsections = [];
-      }
-      currentSubsection = {
-        title: line.replace('## ', ''),
-        level: 2,
-        isExpanded: false,
-        subsections: [],
-        content: '',
-      };
-      if (currentSection?.subsections) {
-        currentSection.subsections.push(currentSubsection);
-      }
-    } else if (line.startsWith('### ')) {
-      assignContent();
-      if (currentSubsection && !currentSubsection.subsections) {
-        currentSubsection.subsections = [];
-      }
-      currentSubsubsection = {
-        title: line.replace('### ', ''),
-        level: 3,
-        isExpanded: false,
-        content: '',
-      };
-      if (currentSubsection?.subsections) {
-        currentSubsection.subsections.push(currentSubsubsection);
-      }
-    } else {
-      currentContent.push(line);
-    }
+/** Record a sync attempt without letting a store failure mask the fetch result. */
+function noteSync(sourceId, kind, outcome, details) {
+  return recordSync(sourceId, kind, outcome, details).catch((err) => {
+    logError('Content Store', err, { phase: 'recordSync' });
   });
+}
+
+/**
+ * Diff the previous snapshot against the current cache for rules and expansions.
+ * A side is null when there is no previous snapshot to compare against yet.
+ * @returns {Promise<{ rules: object|null, expansions: object|null, rulesChangedAt: string|null, expansionsChangedAt: string|null }>}
+ */
+export async function getContentChanges() {
+  const sourceId = _activeSource.id;
+  const [rulesDocs, previousRulesDocs, expansionDocs, previousExpansionDocs, meta] = await Promise.all([
+    getDocuments(sourceId, DOCUMENT_KINDS.RULES),
+    getDocuments(sourceId, DOCUMENT_KINDS.RULES, 'previous'),
+    getDocuments(sourceId, DOCUMENT_KINDS.EXPANSIONS),
+    getDocuments(sourceId, DOCUMENT_KINDS.EXPANSIONS, 'previous'),
+    getMeta(sourceId, [META_KEYS.RULES_CHANGED_AT, META_KEYS.EXPANSIONS_CHANGED_AT]),
+  ]);
 
-  if (currentSection) {
-    assignContent();
-    sections.push(currentSection);
+  const rules = previousRulesDocs.length && rulesDocs.length
+    ? diffSectionTrees(parseMarkdownSections(previousRulesDocs[0].body), parseMarkdownSections(rulesDocs[0].body))
+    : null;
+
+  let expansions = null;
+  if (previousExpansionDocs.length && expansionDocs.length) {
+    try {
+      expansions = diffSectionTrees(
+        buildExpansionSections(previousExpansionDocs).sections,
+        buildExpansionSections(expansionDocs).sections,
+      );
+    } catch (err) {
+      logError('Content Changes', err, { phase: 'diffExpansions' });
+    }
   }
 
-  return sections;
+  return {
+    rules,
+    expansions,
+    rulesChangedAt: meta[META_KEYS.RULES_CHANGED_AT],
+    expansionsChangedAt: meta[META_KEYS.EXPANSIONS_CHANGED_AT],
+  };
 }
 
 /**
- * Load cached rules markdown, expansion texts, and last fetch date.
- * @returns {Promise<{ rulesMarkdown: string|null, expansionTexts: string|null, lastFetchDate: string|null }>}
+ * Load cached rules markdown, expansion documents, and sync dates for the active source.
+ * `expansionDocuments` is the main README (name '') and one README per folder, as buildExpansionSections() expects.
+ * @returns {Promise<{ rulesMarkdown: string|null, expansionDocuments: Array<{ name: string, body: string }>|null, lastFetchDate: string|null, rulesLastSynced: string|null, expansionsLastSynced: string|null }>}
  */
 export async function getCachedContent() {
-  const [rulesMarkdown, expansionTexts, lastFetchDate, rulesLastSynced, expansionsLastSynced] = await Promise.all([
-    AsyncStorage.getItem(CACHE_KEYS.RULES_MARKDOWN),
-    AsyncStorage.getItem(CACHE_KEYS.EXPANSION_TEXTS),
-    AsyncStorage.getItem(CACHE_KEYS.LAST_FETCH_DATE),
-    AsyncStorage.getItem(CACHE_KEYS.RULES_LAST_SYNCED),
-    AsyncStorage.getItem(CACHE_KEYS.EXPANSIONS_LAST_SYNCED),
+  const sourceId = _activeSource.id;
+  const [rulesDocs, expansionDocs, meta] = await Promise.all([
+    getDocuments(sourceId, DOCUMENT_KINDS.RULES),
+    getDocuments(sourceId, DOCUMENT_KINDS.EXPANSIONS),
+    getMeta(sourceId, [META_KEYS.LAST_FETCH_DATE, META_KEYS.RULES_LAST_SYNCED, META_KEYS.EXPANSIONS_LAST_SYNCED]),
   ]);
-  return { rulesMarkdown, expansionTexts, lastFetchDate, rulesLastSynced, expansionsLastSynced };
+  return {
+    rulesMarkdown: rulesDocs[0]?.body ?? null,
+    expansionDocuments: expansionDocs.length ? expansionDocs : null,
+    lastFetchDate: meta[META_KEYS.LAST_FETCH_DATE],
+    rulesLastSynced: meta[META_KEYS.RULES_LAST_SYNCED],
+    expansionsLastSynced: meta[META_KEYS.EXPANSIONS_LAST_SYNCED],
+  };
 }
 
 /**
  * Fetch rules README from network, persist to cache.
- * @returns {Promise<{ success: boolean, rulesText?: string, sections?: Array }>}
+ * A 304 (or a 200 with an unchanged body) returns `notModified: true` and no
+ * text, so callers keep their current state and skip re-parsing. A body that
+ * fails validateRulesMarkdown() is not cached and returns `rejected: true`.
+ * @returns {Promise<{ success: boolean, notModified?: boolean, rejected?: boolean, rulesText?: string, sections?: Array }>}
  */
 export async function fetchRules() {
-  logEvent('fetchRules', 'Starting', { url: CONTENT_URL });
+  const source = _activeSource;
+  const urls = _urls;
+  logEvent('fetchRules', 'Starting', { url: urls.contentUrl });
   const t0 = Date.now();
   try {
-    const response = await fetchWithTimeout(CONTENT_URL);
+    const [cachedDoc] = await getDocuments(source.id, DOCUMENT_KINDS.RULES);
+    const cachedRules = cachedDoc?.body ?? null;
+    const { response, notModified } = await conditionalFetch(urls.contentUrl, Boolean(cachedRules));
     const elapsed = Date.now() - t0;
+    logFreshness('fetchRules', urls.contentUrl, notModified, elapsed);
+    if (notModified) {
+      await noteSync(source.id, DOCUMENT_KINDS.RULES, 'not_modified', { elapsedMs: elapsed });
+      return { success: true, notModified: true };
+    }
     if (!response.ok) {
       throw new Error(`HTTP ${response.status} after ${elapsed}ms`);
     }
     const rulesText = await response.text();
-    await AsyncStorage.setItem(CACHE_KEYS.RULES_MARKDOWN, rulesText);
+    if (rulesText === cachedRules) {
+      await saveValidators();
+      await noteSync(source.id, DOCUMENT_KINDS.RULES, 'not_modified', { elapsedMs: elapsed });
+      return { success: true, notModified: true };
+    }
+    const validation = validateRulesMarkdown(rulesText, cachedRules);
+    if (!validation.valid) {
+      dropValidators([urls.contentUrl]);
+      return rejectPayload(source, DOCUMENT_KINDS.RULES, validation.reason, {
+        url: urls.contentUrl,
+        size: rulesText.length,
+        elapsedMs: elapsed,
+      });
+    }
     const sections = parseMarkdownSections(rulesText);
-    logEvent('fetchRules', 'Fetch successful', { url: CONTENT_URL, elapsedMs: elapsed });
+    await replaceDocuments(source.id, DOCUMENT_KINDS.RULES, [{ name: '', body: rulesText }], flattenSections(sections));
+    await saveValidators();
+    await noteSync(source.id, DOCUMENT_KINDS.RULES, 'updated', { elapsedMs: elapsed });
+    logEvent('fetchRules', 'Fetch successful', { url: urls.contentUrl, elapsedMs: elapsed });
     return { success: true, rulesText, sections };
   } catch (err) {
     const elapsed = Date.now() - t0;
     console.error('Error fetching rules:', err);
     logError('fetchRules', err, {
-      url: CONTENT_URL,
+      url: urls.contentUrl,
       errorName: err?.name,
       elapsedMs: elapsed,
     });
+    await noteSync(source.id, DOCUMENT_KINDS.RULES, 'failed', { elapsedMs: elapsed, detail: err?.message ?? String(err) });
     return { success: false };
   }
 }
 
+/**
+ * Conditionally fetch one expansion README. Resolves to the cached text on 304,
+ * the fresh text on 200, or null on failure. Never throws.
+ */
+async function fetchExpansionText(url, cachedText) {
+  const t0 = Date.now();
+  try {
+    const { response, notModified } = await conditionalFetch(url, cachedText != null);
+    logFreshness('fetchExpansions', url, notModified, Date.now() - t0);
+    if (notModified) return { text: cachedText, fresh: false };
+    if (!response.ok) return { text: null, fresh: false };
+    const text = await response.text();
+    return { text, fresh: text !== cachedText };
+  } catch {
+    return { text: null, fresh: false };
+  }
+}
+
 /**
  * Fetch expansions directory and all expansion READMEs, persist to cache.
- * @returns {Promise<{ success: boolean, mainContent?: string, sections?: Array, allExpansionTexts?: Array }>}
+ * Every request is conditional; when the listing and every README come back
+ * unchanged the result is `notModified: true` with no texts.
+ * A rate-limited listing returns `rateLimited: true` and, when GitHub says, the `retryAt` time (ms epoch).
+ * Documents that fail validateExpansionDocuments() are not cached and return `rejected: true`.
+ * @returns {Promise<{ success: boolean, notModified?: boolean, rejected?: boolean, documents?: Array<{ name: string, body: string }>, rateLimited?: boolean, retryAt?: number|null }>}
  */
 export async function fetchExpansions() {
-  logEvent('fetchExpansions', 'Starting', { url: GITHUB_API_URL });
+  const source = _activeSource;
+  const urls = _urls;
+  const listingUrl = urls.githubApiUrl || urls.expansionsUrl;
+  logEvent('fetchExpansions', 'Starting', { url: listingUrl });
   const t0 = Date.now();
   try {
-    const directoryResponse = await fetchWithTimeout(GITHUB_API_URL);
-    if (directoryResponse.status === 403 || directoryResponse.status === 429) {
-      logError('fetchExpansions', `Rate limited (HTTP ${directoryResponse.status})`, { url: GITHUB_API_URL });
-      return { success: false, rateLimited: true };
-    }
-    if (!directoryResponse.ok) {
-      throw new Error(`HTTP ${directoryResponse.status} after ${Date.now() - t0}ms`);
+    // Stored as the index README (name '') followed by one document per folder.
+    const cachedDocs = await getDocuments(source.id, DOCUMENT_KINDS.EXPANSIONS);
+    const hasCache = cachedDocs.length > 0 && cachedDocs[0].name === '';
+    const cachedMain = hasCache ? cachedDocs[0].body : null;
+    const cachedFolders = hasCache ? cachedDocs.slice(1).map((d) => d.name) : null;
+    const cachedTextFor = (folder) => cachedDocs.find((d) => d.name === folder)?.body ?? null;
+
+    let expansionFolders;
+    let mainResult = null;
+    // Whether the API listing's body was downloaded (not a 304) this run.
+    let listingDownloaded = false;
+    if (!urls.githubApiUrl) {
+      // Raw sources have no directory listing; the folders are whatever the
+      // main expansions README links to.
+      mainResult = await fetchExpansionText(urls.expansionsUrl, cachedMain);
+      if (!mainResult.text) {
+        throw new Error(`Main expansions README fetch failed after ${Date.now() - t0}ms`);
+      }
+      expansionFolders = extractExpansionFolders(mainResult.text);
+    } else {
+      const { response: directoryResponse, notModified: directoryNotModified } = await conditionalFetch(
+        urls.githubApiUrl,
+        hasCache,
+        { headers: { Accept: 'application/vnd.github+json' } },
+      );
+      logFreshness('fetchExpansions', urls.githubApiUrl, directoryNotModified, Date.now() - t0);
+
+      if (directoryNotModified) {
+        expansionFolders = cachedFolders;
+      } else {
+        if (directoryResponse.status === 403 || directoryResponse.status === 429) {
+          const { remaining, retryAt } = readRateLimit(directoryResponse.headers);
+          const retryAtIso = retryAt ? new Date(retryAt).toISOString() : null;
+          logError('fetchExpansions', `Rate limited (HTTP ${directoryResponse.status})`, {
+            url: urls.githubApiUrl,
+            remaining,
+            retryAt: retryAtIso,
+          });
+          await noteSync(source.id, DOCUMENT_KINDS.EXPANSIONS, 'rate_limited', {
+            elapsedMs: Date.now() - t0,
+            detail: retryAtIso ? `HTTP ${directoryResponse.status}, resets ${retryAtIso}` : `HTTP ${directoryResponse.status}`,
+          });
+          return { success: false, rateLimited: true, retryAt };
+        }
+        if (!directoryResponse.ok) {
+          throw new Error(`HTTP ${directoryResponse.status} after ${Date.now() - t0}ms`);
+        }
+        listingDownloaded = true;
+        const directoryContents = await directoryResponse.json();
+        expansionFolders = directoryContents
+          .filter((item) => item.type === 'dir')
+          .map((item) => item.name);
+      }
     }
-    const directoryContents = await directoryResponse.json();
-    const expansionFolders = directoryContents
-      .filter((item) => item.type === 'dir')
-      .map((item) => item.name);
-
-    const expansionPromises = expansionFolders.map((folder) =>
-      fetchWithTimeout(`${EXPANSIONS_BASE_URL}/${folder}/README.md`)
-        .then((res) => (res.ok ? res.text() : null))
-        .catch(() => null)
-    );
-
-    expansionPromises.unshift(
-      fetchWithTimeout(EXPANSIONS_URL)
-        .then((res) => (res.ok ? res.text() : null))
-        .catch(() => null)
-    );
 
-    const allExpansionTexts = await Promise.all(expansionPromises);
+    const readmeUrls = [urls.expansionsUrl, ...expansionFolders.map((folder) => `${urls.expansionsBaseUrl}/${folder}/README.md`)];
+    const results = await Promise.all([
+      mainResult || fetchExpansionText(urls.expansionsUrl, cachedMain),
+      ...expansionFolders.map((folder, i) => fetchExpansionText(readmeUrls[i + 1], cachedTextFor(folder))),
+    ]);
+    const allExpansionTexts = results.map((r) => r.text);
 
     if (!allExpansionTexts[0]) {
       throw new Error('Main expansions README fetch failed');
     }
 
     const elapsed = Date.now() - t0;
-    const { mainContent, sections } = buildExpansionSections(allExpansionTexts);
-    const cacheData = [
-      allExpansionTexts[0],
-      ...allExpansionTexts.slice(1).filter((t) => t !== null),
+    const folderSetChanged = !hasCache
+      || expansionFolders.length !== cachedFolders.length
+      || expansionFolders.some((f, i) => f !== cachedFolders[i]);
+    if (!folderSetChanged && results.every((r) => !r.fresh)) {
+      await saveValidators();
+      await noteSync(source.id, DOCUMENT_KINDS.EXPANSIONS, 'not_modified', { elapsedMs: elapsed });
+      logEvent('fetchExpansions', 'Not modified — cached expansions still fresh', { url: listingUrl, elapsedMs: elapsed });
+      return { success: true, notModified: true };
+    }
+
+    const documents = [
+      { name: '', body: allExpansionTexts[0] },
+      ...expansionFolders
+        .map((folder, i) => ({ name: folder, body: allExpansionTexts[i + 1] }))
+        .filter((d) => d.body !== null),
     ];
-    await AsyncStorage.setItem(CACHE_KEYS.EXPANSION_TEXTS, JSON.stringify(cacheData));
+    const validation = validateExpansionDocuments(documents, hasCache ? cachedDocs : null);
+    if (!validation.valid) {
+      // Forget only what this run downloaded; a 304's validators still describe the cached copy.
+      dropValidators([
+        ...(listingDownloaded ? [urls.githubApiUrl] : []),
+        ...readmeUrls.filter((url, i) => results[i].fresh),
+      ]);
+      return rejectPayload(source, DOCUMENT_KINDS.EXPANSIONS, validation.reason, { url: listingUrl, elapsedMs: elapsed });
+    }
+    const { sections } = buildExpansionSections(documents);
+    await replaceDocuments(source.id, DOCUMENT_KINDS.EXPANSIONS, documents, flattenSections(sections));
+    await saveValidators();
+    await noteSync(source.id, DOCUMENT_KINDS.EXPANSIONS, 'updated', { elapsedMs: elapsed });
 
-    logEvent('fetchExpansions', `Fetched ${expansionFolders.length} expansions`, { url: GITHUB_API_URL, elapsedMs: elapsed });
-    return { success: true, mainContent, sections, allExpansionTexts };
+    logEvent('fetchExpansions', `Fetched ${expansionFolders.length} expansions`, { url: listingUrl, elapsedMs: elapsed });
+    return { success: true, documents };
   } catch (err) {
     const elapsed = Date.now() - t0;
     console.error('Error fetching expansions:', err);
     logError('fetchExpansions', err, {
-      url: GITHUB_API_URL,
+      url: listingUrl,
       errorName: err?.name,
       elapsedMs: elapsed,
     });
+    await noteSync(source.id, DOCUMENT_KINDS.EXPANSIONS, 'failed', { elapsedMs: elapsed, detail: err?.message ?? String(err) });
     return { success: false };
   }
 }
 
+/** Drop the active source's cached expansion texts (e.g. a stale placeholder payload). */
+export async function clearCachedExpansions() {
+  await deleteDocuments(_activeSource.id, DOCUMENT_KINDS.EXPANSIONS);
+}
+
 /**
  * Persist last fetch date to cache.
  */
 export async function saveLastFetchDate(dateString) {
-  await AsyncStorage.setItem(CACHE_KEYS.LAST_FETCH_DATE, dateString);
+  await setMeta(_activeSource.id, META_KEYS.LAST_FETCH_DATE, dateString);
 }
 
 export async function saveRulesLastSynced(dateString) {
-  await AsyncStorage.setItem(CACHE_KEYS.RULES_LAST_SYNCED, dateString);
+  await setMeta(_activeSource.id, META_KEYS.RULES_LAST_SYNCED, dateString);
 }
 
 export async function saveExpansionsLastSynced(dateString) {
-  await AsyncStorage.setItem(CACHE_KEYS.EXPANSIONS_LAST_SYNCED, dateString);
+  await setMeta(_activeSource.id, META_KEYS.EXPANSIONS_LAST_SYNCED, dateString);
 }
@@ -0,0 +1,133 @@
+/**
+ * Rulebook content sources: the official repo plus user-added forks, branches
+ * or raw mirrors. Resolves a source to the four URLs contentService fetches;
+ * cached content is keyed by source id in the content store.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { CACHE_KEYS, DEFAULT_CONTENT_SOURCE } from '../constants';
+
+const CUSTOM_SOURCES_KEY = '@lnl_content_sources';
+const SELECTED_SOURCE_KEY = '@lnl_content_source';
+
+/** Cache keys shared by every source (validators are already keyed by URL). */
+const SHARED_CACHE_KEYS = new Set(['HTTP_VALIDATORS']);
+
+const trimSlashes = (value) => (value || '').trim().replace(/^\/+|\/+$/g, '');
+
+/**
+ * Resolve a source to its fetch URLs.
+ * GitHub sources ({ owner, repo, branch, path }) get a contents-API URL for
+ * the expansions listing; raw sources ({ rawBaseUrl }) get githubApiUrl: null
+ * and the expansions list is read from the expansions README instead.
+ *
+ * @returns {{ contentUrl: string, expansionsUrl: string, expansionsBaseUrl: string, githubApiUrl: string|null, repoUrl: string }}
+ */
+export function buildSourceUrls(source) {
+  if (source.rawBaseUrl) {
+    const base = source.rawBaseUrl.trim().replace(/\/+$/, '');
+    return {
+      contentUrl: `${base}/README.md`,
+      expansionsUrl: `${base}/expansions/README.md`,
+      expansionsBaseUrl: `${base}/expansions`,
+      githubApiUrl: null,
+      repoUrl: base,
+    };
+  }
+  const path = trimSlashes(source.path);
+  const rawBase = `https://raw.githubusercontent.com/${source.owner}/${source.repo}/${source.branch}${path ? `/${path}` : ''}`;
+  return {
+    contentUrl: `${rawBase}/README.md`,
+    expansionsUrl: `${rawBase}/expansions/README.md`,
+    expansionsBaseUrl: `${rawBase}/expansions`,
+    githubApiUrl: `https://api.github.com/repos/${source.owner}/${source.repo}/contents/${path ? `${path}/` : ''}expansions?ref=${encodeURIComponent(source.branch)}`,
+    repoUrl: `https://github.com/${source.owner}/${source.repo}${source.branch === DEFAULT_CONTENT_SOURCE.branch && !path ? '' : `/tree/${source.branch}${path ? `/${path}` : ''}`}`,
+  };
+}
+
+/**
+ * Legacy AsyncStorage cache keys for a source, as written before the content
+ * store existed (the default source used the un-suffixed keys). Read by the
+ * content store's import migration.
+ */
+export function getSourceCacheKeys(sourceId) {
+  if (!sourceId || sourceId === DEFAULT_CONTENT_SOURCE.id) return CACHE_KEYS;
+  return Object.fromEntries(
+    Object.entries(CACHE_KEYS).map(([name, key]) => [name, SHARED_CACHE_KEYS.has(name) ? key : `${key}:${sourceId}`]),
+  );
+}
+
+/** Short human-readable description, e.g. "someone/lords-and-lads@house-rules". */
+export function describeSource(source) {
+  if (source.rawBaseUrl) return source.rawBaseUrl;
+  const path = trimSlashes(source.path);
+  return `${source.owner}/${source.repo}@${source.branch}${path ? `/${path}` : ''}`;
+}
+
+/**
+ * Validate and normalize user input into a source.
+ * Accepts either a raw base URL or owner + repo (branch defaults to "master").
+ * @returns {{ source?: object, error?: string }}
+ */
+export function createContentSource({ label, owner, repo, branch, path, rawBaseUrl }) {
+  const raw = (rawBaseUrl || '').trim();
+  if (raw) {
+    if (!/^https:\/\/\S+$/i.test(raw)) return { error: 'Raw base URL must start with https://' };
+    const source = { rawBaseUrl: raw.replace(/\/+$/, '') };
+    return { source: { ...source, id: `raw:${source.rawBaseUrl}`, label: (label || '').trim() || describeSource(source) } };
+  }
+  const o = trimSlashes(owner);
+  const r = trimSlashes(repo);
+  if (!o || !r) return { error: 'Owner and repository are required (or a raw base URL).' };
+  if (/[\s/]/.test(o) || /[\s/]/.test(r)) return { error: 'Owner and repository must not contain spaces or slashes.' };
+  const source = { owner: o, repo: r, branch: trimSlashes(branch) || DEFAULT_CONTENT_SOURCE.branch, path: trimSlashes(path) };
+  return {
+    source: {
+      ...source,
+      id: `gh:${describeSource(source)}`,
+      label: (label || '').trim() || describeSource(source),
+    },
+  };
+}
+
+/** All sources: the built-in default first, then user-added ones. */
+export async function loadContentSources() {
+  try {
+    const raw = await AsyncStorage.getItem(CUSTOM_SOURCES_KEY);
+    const custom = raw ? JSON.parse(raw) : [];
+    return [DEFAULT_CONTENT_SOURCE, ...custom.filter((s) => s?.id && s.id !== DEFAULT_CONTENT_SOURCE.id)];
+  } catch {
+    return [DEFAULT_CONTENT_SOURCE];
+  }
+}
+
+/** Persist the user-added sources (the default is never stored). */
+export async function saveCustomContentSources(sources) {
+  const custom = sources.filter((s) => s.id !== DEFAULT_CONTENT_SOURCE.id);
+  await AsyncStorage.setItem(CUSTOM_SOURCES_KEY, JSON.stringify(custom));
+}
+
+export async function getSelectedSourceId() {
+  return (await AsyncStorage.getItem(SELECTED_SOURCE_KEY)) || DEFAULT_CONTENT_SOURCE.id;
+}
+
+export async function saveSelectedSourceId(sourceId) {
+  await AsyncStorage.setItem(SELECTED_SOURCE_KEY, sourceId);
+}
+
+/**
+ * Folder names linked from an expansions README ("[Name](./folder/)" or
+ * "[Name](folder/README.md)"). Used for raw sources where there is no
+ * contents API to list the directory.
+ */
+export function extractExpansionFolders(mainReadme) {
+  if (!mainReadme) return [];
+  const folders = [];
+  const re = /\]\((?:\.\/)?([^)\s/#?:]+)\/(?:README\.md)?\)/gi;
+  let match;
+  while ((match = re.exec(mainReadme)) !== null) {
+    const folder = decodeURIComponent(match[1]);
+    if (folder !== '..' && !folders.includes(folder)) folders.push(folder);
+  }
+  return folders;
+}
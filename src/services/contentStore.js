@@ -0,0 +1,529 @@
+/**
+ * SQLite-backed content store (op-sqlite).
+ *
+ * Tables
+ *   schema_version   single row: the highest migration applied
+ *   documents        raw markdown per source: the rules README, the expansions
+ *                    index README (name '') and each expansion README (name =
+ *                    folder), in a 'current' and a 'previous' revision
+ *   sections         flattened section tree of the current documents
+ *   fetch_meta       per-source key/value (sync dates, changed-at dates)
+ *   http_validators  ETag / Last-Modified per URL for conditional GETs
+ *   sync_history     one row per rules/expansions sync attempt
+ *   rag_index        serialized assistant search indexes, keyed by a hash of
+ *                    the markdown they were built from (see ragIndexCache)
+ *   rag_vectors      chunk embeddings for those indexes, one row per chunk
+ *                    and embedder, searched with sqlite-vec
+ *
+ * The database is opened lazily; the first call runs any pending migrations,
+ * including a one-time import of the old AsyncStorage CACHE_KEYS cache.
+ */
+
+import { open } from '@op-engineering/op-sqlite';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { loadContentSources, getSourceCacheKeys } from './contentSources';
+import { logError, logEvent } from './errorLogger';
+
+const DB_NAME = 'lnl_content.sqlite';
+
+/** Keep this many sync_history rows per source; older rows are pruned on insert. */
+const SYNC_HISTORY_LIMIT = 50;
+
+/** Keep this many rag_index rows (a few sources, each with and without house rules). */
+const RAG_INDEX_LIMIT = 6;
+
+export const DOCUMENT_KINDS = { RULES: 'rules', EXPANSIONS: 'expansions' };
+
+export const META_KEYS = {
+  LAST_FETCH_DATE: 'last_fetch_date',
+  RULES_LAST_SYNCED: 'rules_last_synced',
+  EXPANSIONS_LAST_SYNCED: 'expansions_last_synced',
+  RULES_CHANGED_AT: 'rules_changed_at',
+  EXPANSIONS_CHANGED_AT: 'expansions_changed_at',
+};
+
+const CHANGED_AT_META = {
+  [DOCUMENT_KINDS.RULES]: META_KEYS.RULES_CHANGED_AT,
+  [DOCUMENT_KINDS.EXPANSIONS]: META_KEYS.EXPANSIONS_CHANGED_AT,
+};
+
+/**
+ * Ordered schema migrations. Each runs once, inside its own transaction, and
+ * bumps schema_version. `up` may return a callback to run after the commit
+ * (for side effects outside the database). Append new migrations; never edit
+ * an applied one.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create content tables',
+    up: async (tx) => {
+      await tx.execute(`CREATE TABLE IF NOT EXISTS documents (
+        source_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        name TEXT NOT NULL DEFAULT '',
+        revision TEXT NOT NULL DEFAULT 'current',
+        position INTEGER NOT NULL DEFAULT 0,
+        body TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (source_id, kind, name, revision)
+      )`);
+      await tx.execute(`CREATE TABLE IF NOT EXISTS sections (
+        source_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        section_key TEXT NOT NULL,
+        title TEXT NOT NULL,
+        level INTEGER NOT NULL,
+        breadcrumb TEXT NOT NULL DEFAULT '[]',
+        content TEXT NOT NULL DEFAULT '',
+        PRIMARY KEY (source_id, kind, position)
+      )`);
+      await tx.execute(`CREATE TABLE IF NOT EXISTS fetch_meta (
+        source_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT,
+        PRIMARY KEY (source_id, key)
+      )`);
+      await tx.execute(`CREATE TABLE IF NOT EXISTS http_validators (
+        url TEXT PRIMARY KEY,
+        etag TEXT,
+        last_modified TEXT
+      )`);
+      await tx.execute(`CREATE TABLE IF NOT EXISTS sync_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        elapsed_ms INTEGER,
+        detail TEXT,
+        synced_at TEXT NOT NULL
+      )`);
+      await tx.execute('CREATE INDEX IF NOT EXISTS idx_sync_history_source ON sync_history (source_id, id)');
+    },
+  },
+  {
+    version: 2,
+    description: 'Import AsyncStorage content cache',
+    up: importLegacyCache,
+  },
+  {
+    version: 3,
+    description: 'Create RAG index cache',
+    up: async (tx) => {
+      await tx.execute(`CREATE TABLE IF NOT EXISTS rag_index (
+        content_hash TEXT PRIMARY KEY,
+        payload TEXT NOT NULL,
+        chunk_count INTEGER NOT NULL,
+        built_at TEXT NOT NULL
+      )`);
+    },
+  },
+  {
+    version: 4,
+    description: 'Create RAG vector table',
+    // A plain table rather than a vec0 virtual table, so the migration can't
+    // fail on a build without the sqlite-vec extension; vectors are compared
+    // with vec_distance_cosine() at query time.
+    up: async (tx) => {
+      await tx.execute(`CREATE TABLE IF NOT EXISTS rag_vectors (
+        content_hash TEXT NOT NULL,
+        embedder TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        embedding BLOB NOT NULL,
+        PRIMARY KEY (content_hash, embedder, chunk_index)
+      )`);
+    },
+  },
+  {
+    version: 5,
+    description: 'Track when each RAG index was last used',
+    up: async (tx) => {
+      await tx.execute('ALTER TABLE rag_index ADD COLUMN last_used_at TEXT');
+      await tx.execute('UPDATE rag_index SET last_used_at = built_at');
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/** Legacy meta keys (CACHE_KEYS names) → fetch_meta keys. */
+const LEGACY_META = {
+  LAST_FETCH_DATE: META_KEYS.LAST_FETCH_DATE,
+  RULES_LAST_SYNCED: META_KEYS.RULES_LAST_SYNCED,
+  EXPANSIONS_LAST_SYNCED: META_KEYS.EXPANSIONS_LAST_SYNCED,
+  RULES_CHANGED_AT: META_KEYS.RULES_CHANGED_AT,
+  EXPANSIONS_CHANGED_AT: META_KEYS.EXPANSIONS_CHANGED_AT,
+};
+
+const parseJson = (raw, fallback) => {
+  try {
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/** Map a legacy [mainReadme, ...expansionTexts] array onto named documents. */
+function legacyExpansionDocuments(texts, folders) {
+  if (!Array.isArray(texts) || !texts[0]) return [];
+  const names = Array.isArray(folders) && folders.length === texts.length - 1
+    ? folders
+    : texts.slice(1).map((_, i) => `expansion-${i + 1}`);
+  return [
+    { name: '', body: texts[0] },
+    ...texts.slice(1).map((body, i) => ({ name: names[i], body })).filter((d) => d.body),
+  ];
+}
+
+/**
+ * Migration 2: copy every source's AsyncStorage cache into the tables, then
+ * (after the commit) drop the AsyncStorage keys. Sections are not rebuilt
+ * here; contentService re-indexes them on the next sync.
+ */
+async function importLegacyCache(tx) {
+  const now = new Date().toISOString();
+  const sources = await loadContentSources();
+  let imported = 0;
+  const importedKeys = [];
+
+  const insertDocuments = async (sourceId, kind, revision, docs) => {
+    for (let i = 0; i < docs.length; i++) {
+      await tx.execute(
+        'INSERT OR REPLACE INTO documents (source_id, kind, name, revision, position, body, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [sourceId, kind, docs[i].name, revision, i, docs[i].body, now],
+      );
+    }
+  };
+
+  for (const source of sources) {
+    const keys = getSourceCacheKeys(source.id);
+    const names = Object.keys(keys).filter((name) => name !== 'HTTP_VALIDATORS');
+    const values = Object.fromEntries(await AsyncStorage.multiGet(names.map((name) => keys[name])));
+    const get = (name) => values[keys[name]] ?? null;
+
+    if (get('RULES_MARKDOWN')) {
+      await insertDocuments(source.id, DOCUMENT_KINDS.RULES, 'current', [{ name: '', body: get('RULES_MARKDOWN') }]);
+      imported++;
+    }
+    if (get('RULES_MARKDOWN_PREVIOUS')) {
+      await insertDocuments(source.id, DOCUMENT_KINDS.RULES, 'previous', [{ name: '', body: get('RULES_MARKDOWN_PREVIOUS') }]);
+    }
+    const folders = parseJson(get('EXPANSION_FOLDERS'), null);
+    const expansionDocs = legacyExpansionDocuments(parseJson(get('EXPANSION_TEXTS'), null), folders);
+    if (expansionDocs.length) {
+      await insertDocuments(source.id, DOCUMENT_KINDS.EXPANSIONS, 'current', expansionDocs);
+      imported++;
+    }
+    // The previous expansion texts were never stored with their folder names, so
+    // they are not imported: under synthetic names the first What Changed diff
+    // would show every expansion as removed and re-added. The next sync that
+    // changes the expansions records a proper previous revision.
+    for (const [legacyName, metaKey] of Object.entries(LEGACY_META)) {
+      if (get(legacyName)) {
+        await tx.execute('INSERT OR REPLACE INTO fetch_meta (source_id, key, value) VALUES (?, ?, ?)', [source.id, metaKey, get(legacyName)]);
+      }
+    }
+    importedKeys.push(...names.map((name) => keys[name]));
+  }
+
+  const validatorsKey = getSourceCacheKeys(null).HTTP_VALIDATORS;
+  const validators = parseJson(await AsyncStorage.getItem(validatorsKey), {});
+  for (const [url, v] of Object.entries(validators)) {
+    await tx.execute('INSERT OR REPLACE INTO http_validators (url, etag, last_modified) VALUES (?, ?, ?)', [url, v?.etag ?? null, v?.lastModified ?? null]);
+  }
+  importedKeys.push(validatorsKey);
+
+  logEvent('Content Store', `Imported AsyncStorage cache (${imported} document sets, ${Object.keys(validators).length} validators)`);
+  return () => AsyncStorage.multiRemove(importedKeys);
+}
+
+let _dbPromise = null;
+// Set once the database is open and migrated, for the few synchronous reads.
+let _openDb = null;
+
+async function migrate(db) {
+  await db.execute('CREATE TABLE IF NOT EXISTS schema_version (version INTEGER NOT NULL)');
+  const { rows } = await db.execute('SELECT version FROM schema_version LIMIT 1');
+  let current = rows.length ? Number(rows[0].version) : 0;
+  if (!rows.length) await db.execute('INSERT INTO schema_version (version) VALUES (0)');
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+    const t0 = Date.now();
+    let afterCommit = null;
+    await db.transaction(async (tx) => {
+      afterCommit = await migration.up(tx);
+      await tx.execute('UPDATE schema_version SET version = ?', [migration.version]);
+    });
+    current = migration.version;
+    if (typeof afterCommit === 'function') await afterCommit();
+    logEvent('Content Store', `Migrated to schema v${current}: ${migration.description}`, { elapsedMs: Date.now() - t0 });
+  }
+}
+
+/** Open the database (once) and bring the schema up to date. */
+function getDb() {
+  if (!_dbPromise) {
+    _dbPromise = (async () => {
+      const db = open({ name: DB_NAME });
+      await migrate(db);
+      _openDb = db;
+      return db;
+    })().catch((err) => {
+      _dbPromise = null;
+      logError('Content Store', err, { phase: 'open' });
+      throw err;
+    });
+  }
+  return _dbPromise;
+}
+
+/** The shared database handle, for features that add their own tables via migrations here. */
+export async function getContentDb() {
+  return getDb();
+}
+
+/**
+ * Documents of one kind for a source, in stored order.
+ * @returns {Promise<Array<{ name: string, body: string }>>}
+ */
+export async function getDocuments(sourceId, kind, revision = 'current') {
+  const db = await getDb();
+  const { rows } = await db.execute(
+    'SELECT name, body FROM documents WHERE source_id = ? AND kind = ? AND revision = ? ORDER BY position',
+    [sourceId, kind, revision],
+  );
+  return rows.map((r) => ({ name: String(r.name), body: String(r.body) }));
+}
+
+const sameDocuments = (a, b) => a.length === b.length && a.every((d, i) => d.name === b[i].name && d.body === b[i].body);
+
+/**
+ * Replace the current documents of one kind. When they differ from what was
+ * stored, the old set becomes the 'previous' revision and the kind's
+ * changed-at date is set — so a sync that changed nothing keeps the last diff.
+ * `sections` (flattened, see contentDiff.flattenSections) replaces the
+ * section rows for this kind.
+ *
+ * @returns {Promise<{ changed: boolean }>}
+ */
+export async function replaceDocuments(sourceId, kind, documents, sections = []) {
+  const db = await getDb();
+  const existing = await getDocuments(sourceId, kind);
+  const changed = !sameDocuments(existing, documents);
+  const now = new Date().toISOString();
+
+  await db.transaction(async (tx) => {
+    if (existing.length && changed) {
+      await tx.execute("DELETE FROM documents WHERE source_id = ? AND kind = ? AND revision = 'previous'", [sourceId, kind]);
+      await tx.execute("UPDATE documents SET revision = 'previous' WHERE source_id = ? AND kind = ? AND revision = 'current'", [sourceId, kind]);
+      await tx.execute('INSERT OR REPLACE INTO fetch_meta (source_id, key, value) VALUES (?, ?, ?)', [sourceId, CHANGED_AT_META[kind], new Date().toLocaleString()]);
+    } else {
+      await tx.execute("DELETE FROM documents WHERE source_id = ? AND kind = ? AND revision = 'current'", [sourceId, kind]);
+    }
+    for (let i = 0; i < documents.length; i++) {
+      await tx.execute(
+        "INSERT INTO documents (source_id, kind, name, revision, position, body, updated_at) VALUES (?, ?, ?, 'current', ?, ?, ?)",
+        [sourceId, kind, documents[i].name, i, documents[i].body, now],
+      );
+    }
+    await tx.execute('DELETE FROM sections WHERE source_id = ? AND kind = ?', [sourceId, kind]);
+    for (let i = 0; i < sections.length; i++) {
+      const s = sections[i];
+      await tx.execute(
+        'INSERT INTO sections (source_id, kind, position, section_key, title, level, breadcrumb, content) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [sourceId, kind, i, s.key, s.title, s.level ?? 1, JSON.stringify(s.breadcrumb || []), s.content || ''],
+      );
+    }
+  });
+  return { changed };
+}
+
+/** Drop the current and previous documents (and sections) of one kind. */
+export async function deleteDocuments(sourceId, kind) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    await tx.execute('DELETE FROM documents WHERE source_id = ? AND kind = ?', [sourceId, kind]);
+    await tx.execute('DELETE FROM sections WHERE source_id = ? AND kind = ?', [sourceId, kind]);
+  });
+}
+
+/**
+ * Stored sections for a source, optionally of one kind.
+ * @returns {Promise<Array<{ kind: string, key: string, title: string, level: number, breadcrumb: string[], content: string }>>}
+ */
+export async function getSections(sourceId, kind = null) {
+  const db = await getDb();
+  const { rows } = kind
+    ? await db.execute('SELECT * FROM sections WHERE source_id = ? AND kind = ? ORDER BY position', [sourceId, kind])
+    : await db.execute('SELECT * FROM sections WHERE source_id = ? ORDER BY kind, position', [sourceId]);
+  return rows.map((r) => ({
+    kind: String(r.kind),
+    key: String(r.section_key),
+    title: String(r.title),
+    level: Number(r.level),
+    breadcrumb: parseJson(r.breadcrumb, []),
+    content: String(r.content),
+  }));
+}
+
+/** @returns {Promise<Object<string, string|null>>} values for `keys` (missing → null) */
+export async function getMeta(sourceId, keys) {
+  const db = await getDb();
+  const { rows } = await db.execute(
+    `SELECT key, value FROM fetch_meta WHERE source_id = ? AND key IN (${keys.map(() => '?').join(', ')})`,
+    [sourceId, ...keys],
+  );
+  const out = Object.fromEntries(keys.map((k) => [k, null]));
+  rows.forEach((r) => {
+    out[r.key] = r.value == null ? null : String(r.value);
+  });
+  return out;
+}
+
+export async function setMeta(sourceId, key, value) {
+  const db = await getDb();
+  await db.execute('INSERT OR REPLACE INTO fetch_meta (source_id, key, value) VALUES (?, ?, ?)', [sourceId, key, value]);
+}
+
+/** @returns {Promise<Object<string, { etag: string|null, lastModified: string|null }>>} */
+export async function loadHttpValidators() {
+  const db = await getDb();
+  const { rows } = await db.execute('SELECT url, etag, last_modified FROM http_validators');
+  return Object.fromEntries(rows.map((r) => [r.url, { etag: r.etag ?? null, lastModified: r.last_modified ?? null }]));
+}
+
+export async function saveHttpValidators(validators) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    for (const [url, v] of Object.entries(validators)) {
+      await tx.execute('INSERT OR REPLACE INTO http_validators (url, etag, last_modified) VALUES (?, ?, ?)', [url, v.etag, v.lastModified]);
+    }
+  });
+}
+
+/**
+ * Append a sync attempt to sync_history.
+ * @param {'updated'|'not_modified'|'failed'|'rate_limited'|'rejected'} outcome
+ */
+export async function recordSync(sourceId, kind, outcome, { elapsedMs = null, detail = null } = {}) {
+  const db = await getDb();
+  await db.execute(
+    'INSERT INTO sync_history (source_id, kind, outcome, elapsed_ms, detail, synced_at) VALUES (?, ?, ?, ?, ?, ?)',
+    [sourceId, kind, outcome, elapsedMs, detail, new Date().toISOString()],
+  );
+  await db.execute(
+    'DELETE FROM sync_history WHERE source_id = ? AND id NOT IN (SELECT id FROM sync_history WHERE source_id = ? ORDER BY id DESC LIMIT ?)',
+    [sourceId, sourceId, SYNC_HISTORY_LIMIT],
+  );
+}
+
+/** Most recent sync attempts for a source, newest first. */
+export async function getSyncHistory(sourceId, limit = 20) {
+  const db = await getDb();
+  const { rows } = await db.execute(
+    'SELECT kind, outcome, elapsed_ms, detail, synced_at FROM sync_history WHERE source_id = ? ORDER BY id DESC LIMIT ?',
+    [sourceId, limit],
+  );
+  return rows.map((r) => ({
+    kind: String(r.kind),
+    outcome: String(r.outcome),
+    elapsedMs: r.elapsed_ms == null ? null : Number(r.elapsed_ms),
+    detail: r.detail == null ? null : String(r.detail),
+    syncedAt: String(r.synced_at),
+  }));
+}
+
+/** ISO time of the last sync of `kind` that left a current copy (updated or not modified), or null. */
+export async function getLastSuccessfulSync(sourceId, kind) {
+  const db = await getDb();
+  const { rows } = await db.execute(
+    "SELECT synced_at FROM sync_history WHERE source_id = ? AND kind = ? AND outcome IN ('updated', 'not_modified') ORDER BY id DESC LIMIT 1",
+    [sourceId, kind],
+  );
+  return rows.length ? String(rows[0].synced_at) : null;
+}
+
+/** Remove everything stored for a source (used when a custom source is deleted). */
+export async function deleteSourceContent(sourceId) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    for (const table of ['documents', 'sections', 'fetch_meta', 'sync_history']) {
+      await tx.execute(`DELETE FROM ${table} WHERE source_id = ?`, [sourceId]);
+    }
+  });
+}
+
+/**
+ * Serialized RAG index for `contentHash`, read synchronously so a cached index
+ * is in place on the same render as the content. Null on a miss, or when the
+ * database hasn't been opened yet (content loads from it first, so it normally is).
+ * A hit is stamped as used, so the pruning in saveRagIndex keeps it.
+ */
+export function getRagIndexSync(contentHash) {
+  if (!_openDb) return null;
+  try {
+    const { rows } = _openDb.executeSync('SELECT payload FROM rag_index WHERE content_hash = ?', [contentHash]);
+    if (!rows.length) return null;
+    _openDb.executeSync('UPDATE rag_index SET last_used_at = ? WHERE content_hash = ?', [new Date().toISOString(), contentHash]);
+    return String(rows[0].payload);
+  } catch (err) {
+    logError('Content Store', err, { phase: 'rag index read' });
+    return null;
+  }
+}
+
+/** Store a serialized RAG index, keeping only the RAG_INDEX_LIMIT most recently used ones. */
+export async function saveRagIndex(contentHash, payload, chunkCount) {
+  const db = await getDb();
+  const now = new Date().toISOString();
+  await db.execute(
+    'INSERT OR REPLACE INTO rag_index (content_hash, payload, chunk_count, built_at, last_used_at) VALUES (?, ?, ?, ?, ?)',
+    [contentHash, payload, chunkCount, now, now],
+  );
+  await db.execute(
+    'DELETE FROM rag_index WHERE content_hash NOT IN (SELECT content_hash FROM rag_index ORDER BY last_used_at DESC LIMIT ?)',
+    [RAG_INDEX_LIMIT],
+  );
+  await db.execute('DELETE FROM rag_vectors WHERE content_hash NOT IN (SELECT content_hash FROM rag_index)');
+}
+
+/** Whether chunk embeddings from `embedderId` are stored for this index. */
+export async function hasRagVectors(contentHash, embedderId) {
+  const db = await getDb();
+  const { rows } = await db.execute(
+    'SELECT COUNT(*) AS n FROM rag_vectors WHERE content_hash = ? AND embedder = ?',
+    [contentHash, embedderId],
+  );
+  return Number(rows[0]?.n) > 0;
+}
+
+/** Store one embedding per chunk (in chunk order) as sqlite-vec float32 blobs, replacing any from the same embedder. */
+export async function saveRagVectors(contentHash, embedderId, vectors) {
+  const db = await getDb();
+  await db.transaction(async (tx) => {
+    await tx.execute('DELETE FROM rag_vectors WHERE content_hash = ? AND embedder = ?', [contentHash, embedderId]);
+    for (let i = 0; i < vectors.length; i++) {
+      await tx.execute(
+        'INSERT INTO rag_vectors (content_hash, embedder, chunk_index, embedding) VALUES (?, ?, ?, vec_f32(?))',
+        [contentHash, embedderId, i, JSON.stringify(vectors[i])],
+      );
+    }
+  });
+}
+
+/**
+ * The `limit` chunks nearest to `queryVector` by cosine distance (sqlite-vec).
+ * @returns {Promise<Array<{ idx: number, score: number }>>} score is cosine similarity, best first
+ */
+export async function searchRagVectors(contentHash, embedderId, queryVector, limit) {
+  const db = await getDb();
+  const { rows } = await db.execute(
+    `SELECT chunk_index, vec_distance_cosine(embedding, vec_f32(?)) AS distance
+     FROM rag_vectors WHERE content_hash = ? AND embedder = ?
+     ORDER BY distance LIMIT ?`,
+    [JSON.stringify(queryVector), contentHash, embedderId, limit],
+  );
+  return rows.map((row) => ({ idx: Number(row.chunk_index), score: 1 - Number(row.distance) }));
+}
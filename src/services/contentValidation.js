@@ -0,0 +1,94 @@
+/**
+ * Sanity checks for fetched rulebook and expansion markdown.
+ *
+ * A 200 is not proof of a good payload: captive portals answer with their own
+ * HTML login page, and a dropped connection can leave a truncated body. Both
+ * used to overwrite the cached rulebook. contentService runs these checks
+ * before writing, so a rejected payload leaves the last good copy in place.
+ * Pure functions, no I/O.
+ */
+
+import { parseSectionTree } from './markdownParser';
+
+/** The rulebook needs at least this many sections below its title. */
+const MIN_RULES_SECTIONS = 3;
+
+/** A new copy smaller than this fraction of the previous one is treated as truncated. */
+const MIN_SIZE_RATIO = 0.5;
+
+/** Placeholder text older builds cached when a fetch failed. */
+const PLACEHOLDER_TEXT = 'content unavailable';
+
+const HTML_DOCUMENT = /^\s*(?:<!doctype html|<html[\s>]|<head[\s>]|<body[\s>])/i;
+
+/** True when `text` is an HTML page rather than markdown (e.g. a captive-portal login page). */
+export function looksLikeHtml(text) {
+  if (!text) return false;
+  return HTML_DOCUMENT.test(text) || (/<html[\s>]/i.test(text) && /<\/html>/i.test(text));
+}
+
+const invalid = (reason) => ({ valid: false, reason });
+
+/** Checks shared by every markdown document; returns a rejection reason or null. */
+function checkDocument(text) {
+  if (!text || !text.trim()) return 'empty body';
+  if (looksLikeHtml(text)) return 'HTML page instead of markdown';
+  if (text.toLowerCase().includes(PLACEHOLDER_TEXT)) return 'placeholder text';
+  return null;
+}
+
+function checkSize(size, previousSize) {
+  if (!previousSize || size >= previousSize * MIN_SIZE_RATIO) return null;
+  return `only ${size} characters, previous copy had ${previousSize} (truncated?)`;
+}
+
+function countSections(sections) {
+  return sections.reduce((n, s) => n + 1 + countSections(s.subsections || []), 0);
+}
+
+/**
+ * Validate a fetched rules README before it replaces the cached one.
+ *
+ * @param {string} text
+ * @param {string|null} [previousText] - the cached copy, for the size check
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function validateRulesMarkdown(text, previousText = null) {
+  const problem = checkDocument(text);
+  if (problem) return invalid(problem);
+
+  const sections = parseSectionTree(text, { firstH1IsTitle: true });
+  if (!sections.some((s) => s.isTitle)) return invalid('missing title heading');
+  const sectionCount = countSections(sections) - 1;
+  if (sectionCount < MIN_RULES_SECTIONS) {
+    return invalid(`only ${sectionCount} sections, expected at least ${MIN_RULES_SECTIONS}`);
+  }
+
+  const sizeProblem = checkSize(text.length, previousText?.length);
+  return sizeProblem ? invalid(sizeProblem) : { valid: true };
+}
+
+/**
+ * Validate fetched expansion documents (index README named '' plus one README
+ * per folder) before they replace the cached set. Any bad document rejects the
+ * whole set, so the tab never mixes a partial fetch with the old copy.
+ *
+ * @param {Array<{ name: string, body: string }>} documents
+ * @param {Array<{ name: string, body: string }>|null} [previousDocuments]
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function validateExpansionDocuments(documents, previousDocuments = null) {
+  const index = documents?.find((doc) => doc.name === '');
+  if (!index) return invalid('missing expansions index');
+  for (const doc of documents) {
+    const label = doc.name ? `expansion "${doc.name}"` : 'expansions index';
+    const problem = checkDocument(doc.body);
+    if (problem) return invalid(`${label}: ${problem}`);
+    if (!parseSectionTree(doc.body).length) return invalid(`${label}: no headings`);
+  }
+  if (parseSectionTree(index.body)[0].level !== 1) return invalid('expansions index: missing title heading');
+
+  const totalSize = (docs) => (docs || []).reduce((n, doc) => n + (doc.body?.length || 0), 0);
+  const sizeProblem = checkSize(totalSize(documents), totalSize(previousDocuments));
+  return sizeProblem ? invalid(sizeProblem) : { valid: true };
+}
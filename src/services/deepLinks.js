@@ -0,0 +1,116 @@
+/**
+ * Links that open a specific rule section.
+ *
+ * Two shapes are understood, with the same path:
+ *   lnlrules://rules/<section>
+ *   lnlrules://expansions/<expansion>/<section>   (section optional)
+ *   https://<host>/rules/<section>                (universal-link shaped)
+ * <section> is a section's anchor id ("iva---flip") or its title in any
+ * spacing and punctuation ("IV.A-Flip"); <expansion> is the expansion's folder
+ * or name. Pure functions, no I/O.
+ */
+
+import { slugify } from './markdownParser';
+
+export const DEEP_LINK_SCHEME = 'lnlrules';
+
+const TABS = ['rules', 'expansions'];
+
+const normalizeTitle = (text) => (text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/**
+ * Split a deep link into { tab, expansion, section }, or null when `url` is
+ * not one of ours.
+ *
+ * @param {string} url
+ * @returns {{ tab: 'rules'|'expansions', expansion: string|null, section: string|null }|null}
+ */
+export function parseDeepLink(url) {
+  const match = /^([a-z][a-z0-9+.-]*):\/\/([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/i.exec((url || '').trim());
+  if (!match) return null;
+  const [, scheme, rest, fragment] = match;
+  let segments = rest.split('/').filter(Boolean).map(decodeSegment);
+  if (scheme.toLowerCase() === 'https') segments = segments.slice(1);
+  else if (scheme.toLowerCase() !== DEEP_LINK_SCHEME) return null;
+
+  // https links may sit under a path prefix; start at the first tab name.
+  const tabIndex = segments.findIndex((s) => TABS.includes(s.toLowerCase()));
+  if (tabIndex === -1) return null;
+  const tab = segments[tabIndex].toLowerCase();
+  const [first = null, second = null] = segments.slice(tabIndex + 1);
+  const anchor = fragment ? decodeSegment(fragment) : null;
+  if (tab === 'rules') return { tab, expansion: null, section: first || anchor };
+  if (!first) return null;
+  return { tab, expansion: first, section: second || anchor };
+}
+
+/** Section in `sections` (searched depth-first) whose id, anchor, slug or title matches `target`. */
+export function findSectionByLinkTarget(sections, target) {
+  if (!target) return null;
+  const slug = slugify(target);
+  const title = normalizeTitle(target);
+  const walk = (list, test) => {
+    for (const section of list || []) {
+      if (test(section)) return section;
+      const found = walk(section.subsections, test);
+      if (found) return found;
+    }
+    return null;
+  };
+  const anchorOf = (s) => s.anchor ?? s.id;
+  return walk(sections, (s) => s.id === target || anchorOf(s) === target)
+    || walk(sections, (s) => anchorOf(s) === slug)
+    || walk(sections, (s) => !s.isTitle && normalizeTitle(s.title) === title);
+}
+
+/** Catalogue entry for an expansion link segment: folder first, then name. */
+function findExpansion(catalogue, name) {
+  const needle = name.toLowerCase();
+  return (catalogue || []).find((entry) => entry.folder.toLowerCase() === needle)
+    || (catalogue || []).find((entry) => slugify(entry.name) === slugify(name));
+}
+
+/**
+ * Find the section a parsed link points at.
+ *
+ * @param {{ tab, expansion, section }} link - from parseDeepLink()
+ * @param {{ rules: Array, expansionCatalogue: Array }} content - rules tree and expansion catalogue
+ * @returns {{ tab: string, id: string }|{ error: string }}
+ */
+export function resolveDeepLink(link, { rules = [], expansionCatalogue = [] }) {
+  if (link.tab === 'rules') {
+    if (!link.section) return { tab: 'rules', id: rules.find((s) => s.isTitle)?.id ?? null };
+    const section = findSectionByLinkTarget(rules, link.section);
+    return section ? { tab: 'rules', id: section.id } : { error: `No rules section "${link.section}"` };
+  }
+  const entry = findExpansion(expansionCatalogue, link.expansion);
+  if (!entry) return { error: `No expansion "${link.expansion}"` };
+  const section = link.section ? findSectionByLinkTarget(entry.sections, link.section) : entry.sections[0];
+  return section
+    ? { tab: 'expansions', id: section.id, folder: entry.folder }
+    : { error: `No section "${link.section}" in expansion "${entry.name}"` };
+}
+
+/**
+ * Shareable link to a section. Expansion links name the expansion's folder,
+ * so `expansionCatalogue` is needed to find which expansion holds the section.
+ *
+ * @returns {string|null} null when an expansion section isn't in the catalogue
+ */
+export function buildSectionLink(tab, sectionId, expansionCatalogue = []) {
+  if (tab === 'rules') return `${DEEP_LINK_SCHEME}://rules/${encodeURIComponent(sectionId)}`;
+  const entry = expansionCatalogue.find((e) => findSectionByLinkTarget(e.sections, sectionId)?.id === sectionId);
+  if (!entry) return null;
+  // The link already names the folder, so it carries the section's in-document anchor.
+  const section = findSectionByLinkTarget(entry.sections, sectionId);
+  const anchor = section.anchor ?? section.id;
+  return `${DEEP_LINK_SCHEME}://expansions/${encodeURIComponent(entry.folder)}/${encodeURIComponent(anchor)}`;
+}
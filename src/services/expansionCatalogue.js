@@ -0,0 +1,95 @@
+/**
+ * Expansion catalogue and the per-game "expansions in play" selection.
+ *
+ * The catalogue is built from the stored expansion documents (one README per
+ * expansion folder). Turning an expansion off for the current game hides it
+ * from the Expansions tab, the Tools that depend on it, the RAG index and the
+ * Gemini prompt. The selection is stored per content source as the list of
+ * folders that are switched off, so newly published expansions start in play.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { parseSectionTree } from './markdownParser';
+
+const INACTIVE_EXPANSIONS_KEY = '@lnl_inactive_expansions';
+
+const MAX_DESCRIPTION_LENGTH = 160;
+
+/** First prose paragraph of a section body, as plain-ish text. */
+function describe(content) {
+  const paragraph = (content || '')
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .find((p) => p && !/^(#|!\[|[-*+] |\d+\. |\||```)/.test(p));
+  if (!paragraph) return '';
+  const text = paragraph
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ');
+  return text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Build one catalogue entry per expansion document. The index README (name '')
+ * is skipped. Each expansion is slugged on its own, as GitHub anchors it, and
+ * its section ids are scoped by folder ("beer/setup"), so an id doesn't change
+ * when another expansion is added, removed or shares a heading.
+ *
+ * @param {Array<{ name: string, body: string }>} documents
+ * @returns {Array<{ folder: string, name: string, description: string, sections: Array }>}
+ */
+export function buildExpansionCatalogue(documents) {
+  return (documents || [])
+    .filter((doc) => doc.name && doc.body)
+    .map((doc) => {
+      const sections = parseSectionTree(doc.body, { idPrefix: `${doc.name}/` });
+      const heading = sections.find((s) => s.level === 1) || sections[0];
+      return {
+        folder: doc.name,
+        name: heading?.title || doc.name,
+        description: describe(heading?.content),
+        sections,
+      };
+    });
+}
+
+export function isExpansionActive(folder, inactiveFolders) {
+  return !(inactiveFolders || []).includes(folder);
+}
+
+/**
+ * False only when the catalogue has an expansion matching `keyword` (by folder
+ * or name) and it is switched off. Used by Tools that belong to an expansion,
+ * so they still show when the rulebook doesn't list that expansion at all.
+ */
+export function isExpansionInPlay(catalogue, inactiveFolders, keyword) {
+  const needle = keyword.toLowerCase();
+  const matches = (catalogue || []).filter(
+    (entry) => entry.folder.toLowerCase().includes(needle) || entry.name.toLowerCase().includes(needle)
+  );
+  return matches.length === 0 || matches.some((entry) => isExpansionActive(entry.folder, inactiveFolders));
+}
+
+/** Folders switched off for `sourceId`; [] when everything is in play. */
+export async function loadInactiveExpansions(sourceId) {
+  try {
+    const raw = await AsyncStorage.getItem(INACTIVE_EXPANSIONS_KEY);
+    const bySource = raw ? JSON.parse(raw) : {};
+    return Array.isArray(bySource[sourceId]) ? bySource[sourceId] : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveInactiveExpansions(sourceId, folders) {
+  let bySource = {};
+  try {
+    const raw = await AsyncStorage.getItem(INACTIVE_EXPANSIONS_KEY);
+    bySource = raw ? JSON.parse(raw) : {};
+  } catch {
+    bySource = {};
+  }
+  if (folders.length) bySource[sourceId] = folders;
+  else delete bySource[sourceId];
+  await AsyncStorage.setItem(INACTIVE_EXPANSIONS_KEY, JSON.stringify(bySource));
+}
@@ -0,0 +1,168 @@
+/**
+ * Game glossary extracted from the rulebook and expansions.
+ *
+ * The rules define their own vocabulary in running text ("The Golden Nail is
+ * the nail…", "**Sparks**: …", "…a player who is called the Lord"). Each
+ * section's markdown is split into sentences and matched against those
+ * defining shapes; the first definition of each term wins, with bold-term
+ * definitions preferred over "X is …" and "… called X" sentences.
+ * linkGlossaryTerms() turns mentions of the terms into `glossary:` links that
+ * HighlightedMarkdown shows as tappable definitions. Pure functions, no I/O.
+ */
+
+import { slugify } from './markdownParser';
+
+export const GLOSSARY_LINK_PREFIX = 'glossary:';
+
+const MAX_DEFINITION_LENGTH = 280;
+
+// One to three capitalised words: "Lord", "Golden Nail", "Hammer Test".
+const TERM = "[A-Z][\\w'’-]*(?:\\s+[A-Z][\\w'’-]*){0,2}";
+
+/** Shapes of a defining sentence, strongest first. Group 1 is the term. */
+const DEFINITION_PATTERNS = [
+  // **Term**: definition  /  **Term** – definition  /  **Term:** definition
+  { kind: 'bold', pattern: /^(?:[-*+]\s+)?\*\*([^*]{2,40}?):?\*\*\s*(?::|—|–|-)?\s*(.{8,})$/ },
+  // (The) Term is/are/means/refers to …
+  {
+    kind: 'is',
+    pattern: new RegExp(`^(?:(?:A|An|The|Each|Every|Any)\\s+)?(${TERM})\\s+(?:is|are|means|refers to)\\s+(?:a|an|the|any|when|whoever|one|each|what)\\b`),
+  },
+  // … called / known as (the) Term
+  { kind: 'called', pattern: new RegExp(`\\b(?:called|known as|referred to as)\\s+(?:(?:a|an|the)\\s+)?["“]?(${TERM})["”]?`) },
+];
+
+/** Capitalised words that start sentences without being game terms. */
+const NOT_TERMS = new Set([
+  'a', 'an', 'all', 'any', 'each', 'every', 'example', 'for example', 'game', 'if', 'it', 'note', 'one',
+  'player', 'players', 'rule', 'rules', 'that', 'the', 'the game', 'there', 'these', 'they', 'this', 'you',
+  'when', 'what', 'who',
+]);
+
+const KIND_RANK = { bold: 0, is: 1, called: 2 };
+
+/** Markdown → plain text for a definition: links reduced to their text, markup dropped. */
+function toPlainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Paragraphs and list items of a section body, each split into sentences. */
+function sentencesOf(markdown) {
+  return (markdown || '')
+    .split(/\n\s*\n|\n(?=\s*(?:[-*+]|\d+\.)\s)/)
+    .filter((block) => !/^\s*(?:#|\||```|>)/.test(block))
+    .flatMap((block) => {
+      const text = block.replace(/\s*\n\s*/g, ' ').trim();
+      // A bold-term line is one definition, whatever punctuation it contains.
+      if (/^(?:[-*+]\s+)?\*\*/.test(text)) return [text];
+      return text.split(/(?<=[.!?])\s+(?=[A-Z*"“])/);
+    });
+}
+
+function truncate(text) {
+  if (text.length <= MAX_DEFINITION_LENGTH) return text;
+  const cut = text.lastIndexOf(' ', MAX_DEFINITION_LENGTH);
+  return `${text.slice(0, cut > 0 ? cut : MAX_DEFINITION_LENGTH)}…`;
+}
+
+/** Glossary key for a term: its slug, singular ("Lords" and "Lord" are one entry). */
+export function glossaryKey(term) {
+  const slug = slugify(term.trim());
+  return slug.length > 4 && slug.endsWith('s') && !slug.endsWith('ss') ? slug.slice(0, -1) : slug;
+}
+
+function collectCandidates(sections, tab, out) {
+  (sections || []).forEach((section) => {
+    sentencesOf(section.content).forEach((sentence) => {
+      DEFINITION_PATTERNS.forEach(({ kind, pattern }) => {
+        const match = pattern.exec(sentence);
+        if (!match) return;
+        const term = match[1].replace(/[:.,;]+$/, '').trim();
+        if (term.length < 3 || NOT_TERMS.has(term.toLowerCase()) || /^[IVX]+\b/.test(term)) return;
+        const definition = toPlainText(kind === 'bold' ? match[2] : sentence);
+        if (!definition) return;
+        out.push({
+          rank: KIND_RANK[kind],
+          entry: {
+            key: glossaryKey(term),
+            term,
+            definition: truncate(definition),
+            tab,
+            sectionId: section.id || section.title,
+            sectionTitle: section.title,
+          },
+        });
+      });
+    });
+    collectCandidates(section.subsections, tab, out);
+  });
+  return out;
+}
+
+/**
+ * Find defined terms in both tabs.
+ *
+ * @param {{ rules?: Array, expansions?: Array }} trees - section trees as shown in each tab
+ * @returns {Array<{ key: string, term: string, definition: string, tab: string, sectionId: string, sectionTitle: string }>}
+ *   sorted by term
+ */
+export function extractGlossary({ rules = [], expansions = [] } = {}) {
+  const candidates = collectCandidates(expansions, 'expansions', collectCandidates(rules, 'rules', []));
+  // Earliest definition of each term, unless a later one has a stronger shape.
+  const best = new Map();
+  candidates.forEach((candidate) => {
+    const current = best.get(candidate.entry.key);
+    if (!current || candidate.rank < current.rank) best.set(candidate.entry.key, candidate);
+  });
+  return [...best.values()]
+    .map((candidate) => candidate.entry)
+    .sort((a, b) => a.term.localeCompare(b.term));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Markdown that must not be rewritten: code, links, images, autolinks, HTML tags and heading lines.
+const PROTECTED = /(```[\s\S]*?```|`[^`]*`|!?\[[^\]]*\]\([^)]*\)|<[^>]+>|https?:\/\/\S+|^#.*$)/gm;
+
+/**
+ * Turn the first mention of each glossary term in `markdown` into a
+ * `[mention](glossary:key)` link. Terms defined in `excludeSectionId` are left
+ * alone there, so a definition doesn't link to itself.
+ *
+ * @param {string} markdown
+ * @param {Array} glossary - from extractGlossary()
+ * @param {{ excludeSectionId?: string }} [options]
+ */
+export function linkGlossaryTerms(markdown, glossary, { excludeSectionId = null } = {}) {
+  const entries = (glossary || []).filter((entry) => entry.sectionId !== excludeSectionId);
+  if (!markdown || entries.length === 0) return markdown;
+  const byMention = new Map();
+  entries.forEach((entry) => byMention.set(entry.term.toLowerCase(), entry.key));
+  // Longest first, so "Golden Nail" wins over "Nail".
+  const alternatives = [...byMention.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((term) => `${escapeRegExp(term).replace(/\s+/g, '\\s+')}(?:s|es)?`);
+  const mention = new RegExp(`(?<![\\w'’-])(${alternatives.join('|')})(?![\\w'’-])`, 'gi');
+  const linked = new Set();
+
+  return markdown.split(PROTECTED).map((part, i) => {
+    if (i % 2 === 1) return part;
+    return part.replace(mention, (text) => {
+      // Game terms are capitalised; a lowercase "lord" or "spark" is ordinary English.
+      if (text[0] !== text[0].toUpperCase()) return text;
+      const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+      const entryKey = byMention.get(normalized)
+        ?? byMention.get(normalized.replace(/s$/, ''))
+        ?? byMention.get(normalized.replace(/es$/, ''));
+      if (!entryKey || linked.has(entryKey)) return text;
+      linked.add(entryKey);
+      return `[${text}](${GLOSSARY_LINK_PREFIX}${entryKey})`;
+    });
+  }).join('');
+}
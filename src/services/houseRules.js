@@ -0,0 +1,189 @@
+/**
+ * Local house-rule amendments layered on top of the fetched rulebook.
+ *
+ * A house rule either adds a new section (optionally under a parent), or
+ * replaces / appends to the body of an existing section, matched by title.
+ * Rules are applied in order to two shapes of the same content:
+ *   - applyHouseRules()           section trees for the Rules/Expansions tabs
+ *   - applyHouseRulesToMarkdown() raw markdown for the RAG index and Gemini prompt
+ * Both are pure; persistence lives in load/saveHouseRules.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { collectHeadings } from './markdownParser';
+
+const HOUSE_RULES_KEY = '@lnl_house_rules';
+
+export const HOUSE_RULE_MODES = ['add', 'replace', 'append'];
+export const HOUSE_RULE_DOCUMENTS = ['rules', 'expansions'];
+
+/** Lead-in written into the markdown so the assistant can tell amendments apart. */
+const MARKDOWN_MARKERS = {
+  add: '**House rule:** ',
+  append: '**House rule:** ',
+  replace: '**House rule (replaces the official text):** ',
+};
+
+/** Same loose title comparison used for in-rulebook anchor navigation. */
+const normalizeTitle = (t) => (t || '').toLowerCase().replace(/\s+/g, '').replace(/[^a-z0-9]/g, '');
+
+const rulesFor = (rules, document) => (rules || []).filter((r) => (r.document || 'rules') === document);
+
+function findSection(sections, title) {
+  const target = normalizeTitle(title);
+  if (!target) return null;
+  for (const section of sections || []) {
+    if (normalizeTitle(section.title) === target) return section;
+    const found = findSection(section.subsections, title);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize user input into a house rule.
+ * @returns {{ rule?: object, error?: string }}
+ */
+export function createHouseRule({ id, document = 'rules', mode, targetTitle, title, content }) {
+  if (!HOUSE_RULE_MODES.includes(mode)) return { error: 'Choose add, replace or append.' };
+  if (!HOUSE_RULE_DOCUMENTS.includes(document)) return { error: 'Unknown document.' };
+  const body = (content || '').trim();
+  const target = (targetTitle || '').trim();
+  const heading = (title || '').trim();
+  if (!body) return { error: 'House rule text is required.' };
+  if (mode === 'add' && !heading) return { error: 'A new section needs a title.' };
+  if (mode !== 'add' && !target) return { error: 'Pick the section to amend.' };
+  return {
+    rule: {
+      id: id || `hr_${Date.now().toString(36)}`,
+      document,
+      mode,
+      targetTitle: target,
+      title: mode === 'add' ? heading : '',
+      content: body,
+    },
+  };
+}
+
+/**
+ * True when the rule's target section exists in `sections` (add rules without
+ * a parent always apply). Used by the authoring UI to flag orphaned amendments.
+ */
+export function isHouseRuleApplicable(sections, rule) {
+  if (rule.mode === 'add' && !rule.targetTitle) return true;
+  return Boolean(findSection(sections, rule.targetTitle));
+}
+
+/**
+ * Merge house rules into a section tree from parseMarkdownSections() or
+ * buildExpansionSections(). Returns a new tree; touched sections get
+ * `isHouseRule: true` and `houseRuleMode`, amended ones keep `officialContent`.
+ * Added sections use the rule id as their section id.
+ * Rules whose target can't be found are skipped.
+ */
+export function applyHouseRules(sections, rules, document = 'rules') {
+  const applicable = rulesFor(rules, document);
+  if (!sections?.length || !applicable.length) return sections;
+  const out = JSON.parse(JSON.stringify(sections));
+
+  applicable.forEach((rule) => {
+    if (rule.mode === 'add') {
+      const parent = rule.targetTitle ? findSection(out, rule.targetTitle) : null;
+      if (rule.targetTitle && !parent) return;
+      const section = {
+        id: rule.id,
+        title: rule.title,
+        level: parent ? Math.min(parent.level + 1, 3) : 1,
+        content: rule.content,
+        isExpanded: false,
+        subsections: [],
+        isHouseRule: true,
+        houseRuleMode: 'add',
+      };
+      if (parent) {
+        parent.subsections = [...(parent.subsections || []), section];
+      } else {
+        out.push(section);
+      }
+      return;
+    }
+
+    const target = findSection(out, rule.targetTitle);
+    if (!target) return;
+    if (target.officialContent === undefined) target.officialContent = target.content || '';
+    target.content = rule.mode === 'replace'
+      ? rule.content
+      : [target.content, rule.content].filter(Boolean).join('\n\n');
+    target.isHouseRule = true;
+    target.houseRuleMode = target.houseRuleMode === 'replace' ? 'replace' : rule.mode;
+  });
+
+  return out;
+}
+
+// Heading positions come from the same markdown-it tokens as the section tree,
+// so setext headings match and `#` lines in fenced code are left alone.
+function findHeading(headings, title) {
+  const target = normalizeTitle(title);
+  return headings.findIndex((heading) => normalizeTitle(heading.title) === target);
+}
+
+/** Line after the section's own body: the next heading of any level. */
+function bodyEnd(headings, index, lineCount) {
+  return headings[index].bodyEnd ?? lineCount;
+}
+
+/** Line after the section including its children: the next heading at its level or above. */
+function blockEnd(headings, index, lineCount) {
+  const next = headings.slice(index + 1).find((heading) => heading.level <= headings[index].level);
+  return next ? next.start : lineCount;
+}
+
+/**
+ * Merge house rules into raw markdown. Amended text is prefixed with a bold
+ * "House rule" marker so the assistant knows which wording is local.
+ */
+export function applyHouseRulesToMarkdown(markdown, rules, document = 'rules') {
+  const applicable = rulesFor(rules, document);
+  if (!markdown || !applicable.length) return markdown;
+  let lines = markdown.split('\n');
+
+  applicable.forEach((rule) => {
+    const block = ['', `${MARKDOWN_MARKERS[rule.mode]}${rule.content}`, ''];
+    const headings = collectHeadings(lines.join('\n'));
+    if (rule.mode === 'add') {
+      let level = 1;
+      let insertAt = lines.length;
+      if (rule.targetTitle) {
+        const parentIndex = findHeading(headings, rule.targetTitle);
+        if (parentIndex < 0) return;
+        level = Math.min(headings[parentIndex].level + 1, 3);
+        insertAt = blockEnd(headings, parentIndex, lines.length);
+      }
+      lines = [...lines.slice(0, insertAt), '', `${'#'.repeat(level)} ${rule.title}`, ...block, ...lines.slice(insertAt)];
+      return;
+    }
+
+    const index = findHeading(headings, rule.targetTitle);
+    if (index < 0) return;
+    const end = bodyEnd(headings, index, lines.length);
+    lines = rule.mode === 'replace'
+      ? [...lines.slice(0, headings[index].bodyStart), ...block, ...lines.slice(end)]
+      : [...lines.slice(0, end), ...block, ...lines.slice(end)];
+  });
+
+  return lines.join('\n');
+}
+
+export async function loadHouseRules() {
+  try {
+    const raw = await AsyncStorage.getItem(HOUSE_RULES_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveHouseRules(rules) {
+  await AsyncStorage.setItem(HOUSE_RULES_KEY, JSON.stringify(rules));
+}
@@ -0,0 +1,174 @@
+/**
+ * Resolve links found inside rule and expansion markdown to app sections.
+ *
+ * The content repo is laid out as
+ *   README.md                      the rulebook (Rules tab)
+ *   expansions/README.md           the expansions index (Expansions tab title)
+ *   expansions/<folder>/README.md  one expansion each (Expansions tab)
+ * so a link is resolved like GitHub would: relative to the document it
+ * appears in (`../../README.md#iv---taking-a-turn` from an expansion is a
+ * core rule), then its anchor is looked up in that document's sections. Bare
+ * `#anchor` links that miss their own document fall back to the other
+ * documents, since expansion authors often link core rules that way. GitHub
+ * URLs into the active source's repo and `lnlrules://` links resolve too.
+ * Pure functions, no I/O.
+ */
+
+import { DEEP_LINK_SCHEME, findSectionByLinkTarget, parseDeepLink, resolveDeepLink } from './deepLinks';
+
+export const RULES_DOCUMENT = 'README.md';
+export const EXPANSIONS_INDEX_DOCUMENT = 'expansions/README.md';
+export const expansionDocument = (folder) => `expansions/${folder}/README.md`;
+
+const trimSlashes = (value) => (value || '').trim().replace(/^\/+|\/+$/g, '');
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const unresolved = (reason) => ({ type: 'unresolved', reason });
+
+/**
+ * Repository path of the document a section came from.
+ *
+ * @param {'rules'|'expansions'} tab
+ * @param {string} sectionId
+ * @param {Array} expansionCatalogue - from buildExpansionCatalogue()
+ */
+export function documentForSection(tab, sectionId, expansionCatalogue = []) {
+  if (tab === 'rules') return RULES_DOCUMENT;
+  const entry = expansionCatalogue.find((e) => findSectionByLinkTarget(e.sections, sectionId)?.id === sectionId);
+  return entry ? expansionDocument(entry.folder) : EXPANSIONS_INDEX_DOCUMENT;
+}
+
+/** Join `relative` onto the directory of `fromDocument`; null when it climbs above the repo root. */
+function resolvePath(fromDocument, relative) {
+  const parts = relative.startsWith('/') ? [] : fromDocument.split('/').slice(0, -1);
+  for (const part of relative.split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') {
+      if (parts.length === 0) return null;
+      parts.pop();
+    } else {
+      parts.push(decode(part));
+    }
+  }
+  return parts.join('/');
+}
+
+/**
+ * The repository path a GitHub URL points into, relative to the source's
+ * content folder, or null when the URL is not a file of the active source.
+ */
+function pathInSourceRepo(url, source) {
+  if (!source?.owner || !source?.repo) return null;
+  const match = /^https?:\/\/github\.com\/([^/]+)\/([^/]+)\/(?:blob|tree)\/[^/]+\/?([^#?]*)/i.exec(url);
+  if (!match) return null;
+  const [, owner, repo, filePath] = match;
+  if (owner.toLowerCase() !== source.owner.toLowerCase() || repo.toLowerCase() !== source.repo.toLowerCase()) return null;
+  const base = trimSlashes(source.path);
+  const path = trimSlashes(filePath);
+  if (!base) return path;
+  return path === base || path.startsWith(`${base}/`) ? trimSlashes(path.slice(base.length)) : null;
+}
+
+/** Which document a repository path names: { tab: 'rules' } or { tab: 'expansions', folder|null }. */
+function documentAt(path) {
+  const parts = trimSlashes(path).split('/').filter(Boolean);
+  if (parts.length && /^readme\.md$/i.test(parts[parts.length - 1])) parts.pop();
+  if (parts.length === 0) return { tab: 'rules' };
+  if (parts[0].toLowerCase() !== 'expansions' || parts.length > 2) return null;
+  return { tab: 'expansions', folder: parts[1] || null };
+}
+
+/** Section `anchor` names in one document, or its first section when there is no anchor. */
+function findInDocument(doc, anchor, { rules, expansionSections, expansionCatalogue }) {
+  if (doc.tab === 'rules') {
+    const section = anchor ? findSectionByLinkTarget(rules, anchor) : rules.find((s) => s.isTitle);
+    return section ? { tab: 'rules', id: section.id } : null;
+  }
+  if (!doc.folder) {
+    // Headings of the index README are not sections; its anchors may name any expansion's.
+    const section = anchor
+      ? findSectionByLinkTarget(expansionSections, anchor)
+      : expansionSections.find((s) => s.isTitle);
+    return section ? { tab: 'expansions', id: section.id } : null;
+  }
+  const entry = expansionCatalogue.find((e) => e.folder.toLowerCase() === doc.folder.toLowerCase());
+  if (!entry) return null;
+  const section = anchor ? findSectionByLinkTarget(entry.sections, anchor) : entry.sections[0];
+  return section ? { tab: 'expansions', id: section.id, folder: entry.folder } : null;
+}
+
+/**
+ * Resolve a link pressed in `fromDocument`.
+ *
+ * @param {string} href
+ * @param {string} fromDocument - repository path, see documentForSection()
+ * @param {object} content
+ * @param {Array} content.rules - rules tree as shown
+ * @param {Array} content.expansionSections - expansions tree as shown
+ * @param {Array} content.expansionCatalogue - every expansion, in play or not
+ * @param {string[]} [content.inactiveFolders] - expansions switched off
+ * @param {object} [content.source] - active content source, for GitHub URLs
+ * @returns {{ type: 'section', tab: string, id: string }|{ type: 'external' }|{ type: 'unresolved', reason: string }}
+ */
+export function resolveContentLink(href, fromDocument, {
+  rules = [],
+  expansionSections = [],
+  expansionCatalogue = [],
+  inactiveFolders = [],
+  source = null,
+} = {}) {
+  const link = (href || '').trim();
+  if (!link) return unresolved('empty link');
+  const content = { rules, expansionSections, expansionCatalogue };
+  const toSection = (target) => {
+    if (target.folder && inactiveFolders.includes(target.folder)) {
+      return unresolved(`expansion "${target.folder}" is not in play`);
+    }
+    return { type: 'section', tab: target.tab, id: target.id };
+  };
+
+  if (link.toLowerCase().startsWith(`${DEEP_LINK_SCHEME}:`)) {
+    const parsed = parseDeepLink(link);
+    if (!parsed) return unresolved('malformed app link');
+    const target = resolveDeepLink(parsed, { rules, expansionCatalogue });
+    return target.error ? unresolved(target.error) : toSection(target);
+  }
+
+  let path;
+  let anchor;
+  const isUrl = /^[a-z][a-z0-9+.-]*:/i.test(link);
+  if (isUrl) {
+    const repoPath = pathInSourceRepo(link, source);
+    if (repoPath == null) return { type: 'external' };
+    path = repoPath;
+    anchor = link.includes('#') ? link.slice(link.indexOf('#') + 1) : '';
+  } else {
+    const hash = link.indexOf('#');
+    const relative = (hash === -1 ? link : link.slice(0, hash)).replace(/\?.*$/, '');
+    anchor = hash === -1 ? '' : link.slice(hash + 1);
+    path = relative ? resolvePath(fromDocument, relative) : fromDocument;
+    if (path == null) return unresolved('path leaves the rulebook repository');
+  }
+  anchor = decode(anchor);
+
+  const doc = documentAt(path);
+  // Other files of the repo (images, PDFs) are left to the browser.
+  if (!doc) return isUrl ? { type: 'external' } : unresolved(`"${path}" is not a rulebook document`);
+  const target = findInDocument(doc, anchor, content);
+  if (target) return toSection(target);
+
+  // A bare #anchor that isn't in its own document: try the others.
+  if (anchor && link.startsWith('#')) {
+    const fallback = findInDocument({ tab: 'rules' }, anchor, content)
+      || findInDocument({ tab: 'expansions', folder: null }, anchor, content);
+    if (fallback) return toSection(fallback);
+  }
+  return unresolved(anchor ? `no section "${anchor}" in ${path || RULES_DOCUMENT}` : `no document at ${path}`);
+}
@@ -0,0 +1,151 @@
+/**
+ * Markdown → section tree parser shared by the Rules and Expansions tabs.
+ *
+ * Headings come from the markdown-it token stream rather than line prefixes,
+ * so setext headings (`Title\n===`) count and `#` lines inside fenced code or
+ * block quotes don't. h1–h3 become sections; h4–h6 stay in the body of the
+ * enclosing section and render as markdown headings there.
+ *
+ * Every section gets a GitHub-compatible anchor slug as `id`, so in-document
+ * links (`[Setup](#i---setup)`) resolve to the same section GitHub would
+ * scroll to. Documents shown together on one tab (the expansions) are parsed
+ * with an `idPrefix`, which scopes the id and keeps the bare slug as `anchor`.
+ * Pure functions, no I/O.
+ */
+
+import MarkdownIt from 'markdown-it';
+
+const md = new MarkdownIt();
+
+/** Deepest heading level that becomes its own collapsible section. */
+const MAX_SECTION_LEVEL = 3;
+
+const IMAGE_LINE = /!\[.*?\]\(.*?\)/;
+
+/**
+ * GitHub anchor slug for a heading's text: lowercase, punctuation removed,
+ * each space turned into a hyphen ("I - Setup" → "i---setup").
+ */
+export function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+    .replace(/ /g, '-');
+}
+
+/**
+ * Returns a slug function that de-duplicates like GitHub does: the second
+ * "Scoring" heading becomes "scoring-1", the third "scoring-2". Share one
+ * slugger across documents rendered on the same page.
+ */
+export function createSlugger() {
+  const occurrences = new Map();
+  return (text) => {
+    const base = slugify(text);
+    let slug = base;
+    while (occurrences.has(slug)) {
+      const count = occurrences.get(base) + 1;
+      occurrences.set(base, count);
+      slug = `${base}-${count}`;
+    }
+    occurrences.set(slug, 0);
+    return slug;
+  };
+}
+
+/** Rendered text of an inline token (what GitHub slugs), without markup. */
+function plainText(inlineToken) {
+  return (inlineToken?.children || [])
+    .filter((child) => child.type === 'text' || child.type === 'code_inline')
+    .map((child) => child.content)
+    .join('');
+}
+
+/**
+ * Top-level h1–h3 headings with the source line range of each one's own body
+ * (`start` is the heading line, `bodyStart` the line after it or its setext
+ * underline, `bodyEnd` the next heading's line or null at the end).
+ */
+export function collectHeadings(text) {
+  const tokens = md.parse(text, {});
+  const headings = [];
+  tokens.forEach((token, i) => {
+    if (token.type !== 'heading_open' || token.level !== 0) return;
+    const level = Number(token.tag.slice(1));
+    if (level > MAX_SECTION_LEVEL) return;
+    const inline = tokens[i + 1];
+    headings.push({
+      level,
+      title: inline.content,
+      plain: plainText(inline),
+      start: token.map[0],
+      bodyStart: token.map[1],
+    });
+  });
+  headings.forEach((heading, i) => {
+    heading.bodyEnd = i + 1 < headings.length ? headings[i + 1].start : null;
+  });
+  return headings;
+}
+
+/**
+ * Parse one markdown document into the section tree used by the content tabs:
+ * h1 sections at the top level, h2 in their `subsections`, h3 under the h2.
+ * Headings with no parent of the level above attach to the nearest ancestor,
+ * or sit at the top level. Level 3 sections have no `subsections` key.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.firstH1IsTitle=false] mark the first h1 `isTitle` (rendered by TitleSection)
+ * @param {boolean} [options.stripImages=false] drop body lines containing image markdown
+ * @param {Function} [options.slug] slugger from createSlugger(), to keep ids unique across documents
+ * @param {string} [options.idPrefix] prepended to each id (e.g. "beer/"); the slug alone is kept as `anchor`
+ * @returns {Array<object>} sections shaped `{ id, title, level, content, isExpanded, subsections }`
+ */
+export function parseSectionTree(text, { firstH1IsTitle = false, stripImages = false, slug = createSlugger(), idPrefix = '' } = {}) {
+  if (!text) return [];
+  const lines = text.split('\n');
+  const headings = collectHeadings(text);
+  const sections = [];
+  const open = [];
+  let titleAssigned = false;
+
+  const bodyOf = (from, to) => lines
+    .slice(from, to ?? lines.length)
+    .filter((line) => !(stripImages && IMAGE_LINE.test(line)))
+    .join('\n')
+    .trim();
+
+  headings.forEach((heading, index) => {
+    const isTitle = firstH1IsTitle && !titleAssigned && heading.level === 1;
+    if (isTitle) titleAssigned = true;
+    // Text before the first heading belongs to the first section.
+    const preamble = index === 0 ? bodyOf(0, heading.start) : '';
+    const anchor = slug(heading.plain);
+    const section = {
+      id: `${idPrefix}${anchor}`,
+      ...(idPrefix && { anchor }),
+      title: heading.title,
+      level: heading.level,
+      content: [preamble, bodyOf(heading.bodyStart, heading.bodyEnd)].filter(Boolean).join('\n\n'),
+    };
+    if (isTitle) {
+      section.isTitle = true;
+    } else {
+      section.isExpanded = false;
+      if (heading.level < MAX_SECTION_LEVEL) section.subsections = [];
+    }
+
+    while (open.length && open[open.length - 1].level >= heading.level) open.pop();
+    const parent = open[open.length - 1];
+    if (parent) {
+      if (!parent.subsections) parent.subsections = [];
+      parent.subsections.push(section);
+    } else {
+      sections.push(section);
+    }
+    if (heading.level < MAX_SECTION_LEVEL) open.push(section);
+  });
+
+  return sections;
+}
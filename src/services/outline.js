@@ -0,0 +1,44 @@
+/**
+ * Outline of a tab's section tree for the table-of-contents drawer, and which
+ * section the reader is in given where each rendered section starts.
+ * Pure functions; useContent measures the section views (sectionRefs).
+ */
+
+const keyOf = (section) => section.id || section.title;
+
+/**
+ * Flatten a section tree into drawer rows, in reading order. The title
+ * section is left out; its own TOC is what the drawer replaces.
+ *
+ * @param {Array} sections - tree from parseMarkdownSections() or buildExpansionSections()
+ * @returns {Array<{ id: string, title: string, depth: number, ancestorIds: string[] }>}
+ */
+export function buildOutline(sections, depth = 0, ancestorIds = [], out = []) {
+  (sections || []).forEach((section) => {
+    if (!section?.title) return;
+    if (section.isTitle) {
+      buildOutline(section.subsections, depth, ancestorIds, out);
+      return;
+    }
+    const id = keyOf(section);
+    out.push({ id, title: section.title, depth, ancestorIds });
+    buildOutline(section.subsections, depth + 1, [...ancestorIds, id], out);
+  });
+  return out;
+}
+
+/**
+ * The section being read: the one starting closest above `offsetY`.
+ *
+ * @param {Array<{ id: string, y: number }>} positions - section tops in scroll content coordinates
+ * @param {number} offsetY - reading line in the same coordinates
+ * @returns {string|null}
+ */
+export function sectionAtOffset(positions, offsetY) {
+  let current = null;
+  (positions || []).forEach((position) => {
+    if (position.y > offsetY) return;
+    if (!current || position.y >= current.y) current = position;
+  });
+  return current ? current.id : null;
+}
@@ -0,0 +1,145 @@
+/**
+ * Standalone retrieval queries for follow-up questions on the on-device path.
+ *
+ * The assistant used to search with the previous question glued onto the new
+ * one, which dragged stale terms into every retrieval and did nothing for
+ * pronouns. rewriteFollowUpQuery() leaves standalone questions alone; for a
+ * follow-up ("what about for him?", "and if it bends?", "why?") it replaces
+ * pronouns with the game terms they refer to and carries over terms from the
+ * previous question and the sections retrieved for it.
+ */
+
+import { tokenize } from './ragService';
+
+/** Terms carried over from earlier turns, at most. */
+const MAX_CARRIED_TERMS = 4;
+/** How many previous user questions to look back through. */
+const LOOKBACK_QUESTIONS = 2;
+
+const PERSON_PRONOUNS = new Set(['he', 'him', 'his', 'she', 'her', 'hers', 'they', 'them', 'their', 'theirs']);
+const THING_PRONOUNS = new Set(['it', 'its']);
+// "that", "this" etc. usually point at a noun ("this rule") or open a clause
+// ("a penalty that applies"); they only stand in for an earlier term when
+// nothing follows them in the clause ("what about that?").
+const DEMONSTRATIVES = new Set(['that', 'this', 'those', 'these']);
+const CLAUSE_END_RE = /^\s*([.,;:!?)]|$)/;
+
+// People in the rules, so "him" resolves to a player rather than the hammer.
+const PERSON_TERMS = new Set([
+  'lord', 'lords', 'lad', 'lads', 'player', 'players', 'king', 'kings',
+  'striker', 'peasant', 'peasants', 'opponent', 'opponents',
+]);
+
+// Question filler that survives the stopword list but never names anything.
+const FILLER_WORDS = new Set([
+  'happen', 'happens', 'mean', 'means', 'work', 'works', 'get', 'gets', 'got',
+  'go', 'goes', 'also', 'else', 'still', 'really', 'ok', 'okay', 'like', 'know',
+  'thing', 'things', 'instead', 'case', 'wait', 'yes', 'yeah', 'example',
+]);
+
+// Openers that only make sense as a continuation of the last question.
+const FOLLOW_UP_OPENER_RE = /^\s*(and|but|so|or|also|then|what about|how about|what if instead|same for|even if)\b/i;
+
+/** Whether `word`, followed by `rest` of the question, refers back to a thing. */
+function isThingPronoun(word, rest) {
+  return THING_PRONOUNS.has(word) || (DEMONSTRATIVES.has(word) && CLAUSE_END_RE.test(rest));
+}
+
+/** Key a term is compared by, so "nails" and "nail" count as the same. */
+function termKey(word) {
+  return tokenize(word)[0] || word;
+}
+
+/**
+ * Game terms in `text`, in order: content words that occur in the rulebook
+ * (when a vocabulary is given) and aren't question filler.
+ */
+function gameTerms(text, vocabulary) {
+  return tokenize(text, { stem: false }).filter(
+    (word) => !FILLER_WORDS.has(word) && (!vocabulary || vocabulary.has(termKey(word))),
+  );
+}
+
+/** "IV.B - Strike" → "Strike". */
+function sectionTerm(sectionName) {
+  return sectionName.replace(/^[IVXLC]+(\.[A-Z0-9]+)*\s*[-–—:]\s*/, '').trim();
+}
+
+/**
+ * Rewrite `question` into a standalone retrieval query using the conversation so far.
+ *
+ * @param {string} question
+ * @param {Array<{ role: 'user'|'assistant', text: string, sections?: string[] }>} history
+ *   Earlier turns, oldest first. Assistant turns may list the section names retrieved for them.
+ * @param {{ vocabulary?: Map|Set }} [options]  Terms in the rulebook (an index's `idf`), to tell game terms from filler.
+ * @returns {{ original: string, query: string, followUp: boolean, resolved: Array<{ pronoun: string, term: string }>, carried: string[] }}
+ */
+export function rewriteFollowUpQuery(question, history = [], { vocabulary = null } = {}) {
+  const original = (question || '').trim();
+  const unchanged = { original, query: original, followUp: false, resolved: [], carried: [] };
+
+  const userTurns = history.filter((m) => m.role === 'user' && m.text?.trim());
+  if (!original || userTurns.length === 0) return unchanged;
+
+  const isPerson = (term) => PERSON_TERMS.has(term.toLowerCase());
+  const ownTerms = gameTerms(original, vocabulary);
+  // A person pronoun in a question that names its own person ("what does the
+  // striker do when they miss?") refers to that person, not to an earlier turn.
+  const namesOwnPerson = ownTerms.some(isPerson);
+  const needsReferent = (word, offset) => {
+    const lower = word.toLowerCase();
+    return isThingPronoun(lower, original.slice(offset + word.length)) || (PERSON_PRONOUNS.has(lower) && !namesOwnPerson);
+  };
+  const hasPronoun = [...original.matchAll(/[A-Za-z]+/g)].some((match) => needsReferent(match[0], match.index));
+  const followUp = hasPronoun || FOLLOW_UP_OPENER_RE.test(original) || ownTerms.length === 0;
+  if (!followUp) return unchanged;
+
+  // Candidate referents, most recent turn first (the last questions' game
+  // terms in the order they were named, then the sections retrieved for the
+  // last answer), each tagged with how many turns back it was named.
+  const lastAnswer = [...history].reverse().find((m) => m.role === 'assistant');
+  const candidates = [];
+  const seen = new Set(ownTerms.map(termKey));
+  const addCandidate = (turn) => (term) => {
+    const key = termKey(term.toLowerCase());
+    if (seen.has(key)) return;
+    seen.add(key);
+    candidates.push({ term, turn });
+  };
+  const lookback = userTurns.slice(-LOOKBACK_QUESTIONS).reverse();
+  lookback.forEach((turn, i) => gameTerms(turn.text, vocabulary).forEach(addCandidate(i)));
+  (lastAnswer?.sections || []).map(sectionTerm).filter(Boolean).forEach(addCandidate(lookback.length));
+
+  const people = candidates.filter((c) => isPerson(c.term));
+  const things = candidates.filter((c) => !isPerson(c.term));
+  // The most recently named term: the last one named in the latest turn that has any.
+  const lastNamed = (pool) => pool.filter((c) => c.turn === pool[0]?.turn).pop()?.term;
+
+  // Swap each pronoun for the most recent term of its kind.
+  const resolved = [];
+  const used = new Set();
+  const rewritten = original.replace(/[A-Za-z]+/g, (word, offset) => {
+    const lower = word.toLowerCase();
+    if (!needsReferent(word, offset)) return word;
+    const term = lastNamed(PERSON_PRONOUNS.has(lower) ? people : things);
+    if (!term) return word;
+    resolved.push({ pronoun: lower, term });
+    used.add(term);
+    return term;
+  });
+
+  // Carry the rest over, but don't bring back a person when the follow-up names its own.
+  const namesPerson = namesOwnPerson || resolved.some((r) => isPerson(r.term));
+  const carried = candidates
+    .map((c) => c.term)
+    .filter((term) => !used.has(term) && !(namesPerson && isPerson(term)))
+    .slice(0, MAX_CARRIED_TERMS);
+
+  return {
+    original,
+    query: [rewritten, ...carried].join(' '),
+    followUp: true,
+    resolved,
+    carried,
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Offline evaluation of the assistant's retrieval pipeline.
+ *
+ * Runs a set of golden questions — real player questions, each with the
+ * sections that answer it — against a rulebook through the same steps as the
+ * on-device assistant: retrieveRelevantChunks → filterAndMerge →
+ * extractRelevantSentences. Reports recall@k and MRR for the ranking, how many
+ * expected sections survive into the final context, and the context size, so
+ * changes to the BM25 or merge tuning in ragService can be measured rather
+ * than judged by feel. Pure apart from the RAG debug log; __tests__/ragEvaluation
+ * runs it under Jest against a checked-in fixture rulebook.
+ */
+
+import { buildIndex, extractRelevantSentences, filterAndMerge, retrieveRelevantChunks } from './ragService';
+import { hashedNgramEmbedder, rankByCosine } from './vectorRetriever';
+
+/** Cut-offs reported as recall@k. */
+export const DEFAULT_RECALL_KS = [1, 3, 5];
+
+/** Section names in a (possibly merged) chunk; merged chunks join theirs with " + ". */
+function sectionNamesOf(chunk) {
+  return (chunk.sectionName || '').split(' + ');
+}
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+/**
+ * Give a freshly built index an in-memory vector search, as ragIndexCache
+ * does on device (without the stored vectors).
+ */
+async function attachInMemoryVectorSearch(index, embedder) {
+  const vectors = await Promise.all(index.chunks.map((chunk) => embedder.embed(`${chunk.heading}\n${chunk.content}`)));
+  index.vectorSearch = async (query, limit) => rankByCosine(vectors, await embedder.embed(query), limit);
+  return index;
+}
+
+/**
+ * Evaluate one golden question.
+ * @returns {Promise<object>} per-question result (see evaluateRetrieval)
+ */
+async function evaluateQuestion(index, { id, question, expected }, ks) {
+  const retrieved = await retrieveRelevantChunks(index, question);
+  const ranked = [...retrieved].sort((a, b) => b.score - a.score).map((chunk) => chunk.sectionName);
+  const expectedSet = new Set(expected);
+
+  const recallAtK = {};
+  ks.forEach((k) => {
+    const found = new Set(ranked.slice(0, k).filter((name) => expectedSet.has(name)));
+    recallAtK[k] = found.size / expectedSet.size;
+  });
+  const firstRank = ranked.findIndex((name) => expectedSet.has(name)) + 1;
+
+  const { chunks: merged } = filterAndMerge(retrieved);
+  const { chunks: context } = extractRelevantSentences(merged, question);
+  const contextSections = new Set(context.flatMap(sectionNamesOf));
+  const missing = expected.filter((name) => !contextSections.has(name));
+
+  return {
+    id,
+    question,
+    expected,
+    ranked,
+    recallAtK,
+    reciprocalRank: firstRank ? 1 / firstRank : 0,
+    contextRecall: (expected.length - missing.length) / expected.length,
+    contextSections: [...contextSections],
+    contextChars: context.reduce((sum, chunk) => sum + chunk.content.length, 0),
+    missing,
+  };
+}
+
+/**
+ * Run golden questions through the retrieval pipeline and summarize.
+ *
+ * @param {object} options
+ * @param {string} options.rulesMarkdown
+ * @param {string} [options.expansionsMarkdown]
+ * @param {Array<{ id: string, question: string, expected: string[] }>} options.questions
+ *   expected holds section names (the heading text without #s)
+ * @param {object|null} [options.embedder] - vector embedder for hybrid retrieval, or null for BM25 alone
+ * @param {number[]} [options.ks] - recall@k cut-offs
+ * @returns {Promise<{ mode: string, questionCount: number, recallAtK: object, mrr: number, contextRecall: number,
+ *   avgContextChars: number, maxContextChars: number, questions: Array }>}
+ */
+export async function evaluateRetrieval({
+  rulesMarkdown,
+  expansionsMarkdown = '',
+  questions,
+  embedder = hashedNgramEmbedder,
+  ks = DEFAULT_RECALL_KS,
+}) {
+  const index = buildIndex(rulesMarkdown, expansionsMarkdown);
+  if (embedder) await attachInMemoryVectorSearch(index, embedder);
+
+  const results = [];
+  for (const question of questions) {
+    results.push(await evaluateQuestion(index, question, ks));
+  }
+
+  const recallAtK = {};
+  ks.forEach((k) => {
+    recallAtK[k] = round(average(results.map((r) => r.recallAtK[k])));
+  });
+  const contextSizes = results.map((r) => r.contextChars);
+
+  return {
+    mode: embedder ? `hybrid (${embedder.id})` : 'bm25',
+    questionCount: results.length,
+    recallAtK,
+    mrr: round(average(results.map((r) => r.reciprocalRank))),
+    contextRecall: round(average(results.map((r) => r.contextRecall))),
+    avgContextChars: Math.round(average(contextSizes)),
+    maxContextChars: Math.max(0, ...contextSizes),
+    questions: results,
+  };
+}
+
+/** Plain-text summary of an evaluation, listing the questions whose context misses an expected section. */
+export function formatEvaluationReport(report) {
+  const lines = [
+    `Retrieval evaluation — ${report.mode}, ${report.questionCount} questions`,
+    `Recall@k:       ${Object.entries(report.recallAtK).map(([k, v]) => `@${k} ${v.toFixed(3)}`).join('  ')}`,
+    `MRR:            ${report.mrr.toFixed(3)}`,
+    `Context recall: ${report.contextRecall.toFixed(3)}`,
+    `Context chars:  avg ${report.avgContextChars}, max ${report.maxContextChars}`,
+  ];
+  const misses = report.questions.filter((q) => q.missing.length);
+  if (misses.length) {
+    lines.push('', 'Missing from context:');
+    misses.forEach((q) => {
+      lines.push(`  [${q.id}] ${q.question}`);
+      lines.push(`      expected ${q.missing.join(', ')}; ranked ${q.ranked.slice(0, 3).join(', ') || '(nothing)'}`);
+    });
+  }
+  return lines.join('\n');
+}
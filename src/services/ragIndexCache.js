@@ -0,0 +1,132 @@
+/**
+ * Persisted RAG indexes, keyed by a hash of the markdown they were built from.
+ *
+ * The assistant's index used to be rebuilt whenever the rules or expansions
+ * text was set: once for the cached copy at launch and again when a sync
+ * returned the same text. loadOrBuildIndex() looks the hash up in the content
+ * store first (synchronously, so the index is ready on the same render) and
+ * only builds — and stores — a new index on a miss. Hits and misses are
+ * recorded in the RAG debug log (see ragLogger.logIndexBuild).
+ *
+ * attachVectorSearch() adds the embedding half of hybrid retrieval: chunk
+ * vectors are stored under the same hash, so they too are computed once per
+ * revision of the text.
+ */
+
+import { RAG_INDEX_VERSION, buildIndex, deserializeIndex, serializeIndex } from './ragService';
+import { getRagIndexSync, hasRagVectors, saveRagIndex, saveRagVectors, searchRagVectors } from './contentStore';
+import { hashedNgramEmbedder, rankByCosine } from './vectorRetriever';
+import { logError, logEvent } from './errorLogger';
+
+const LOG_SOURCE = 'RAG';
+
+/**
+ * 53-bit string hash (cyrb53), as 14 hex digits. Not cryptographic; it only
+ * has to tell one revision of the rulebook from another.
+ */
+function hash53(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/** Cache key for an index of this markdown, built by this version of the indexer. */
+export function contentHash(rulesMarkdown, expansionsMarkdown) {
+  return `v${RAG_INDEX_VERSION}-${hash53(`${rulesMarkdown || ''}\u0000${expansionsMarkdown || ''}`)}`;
+}
+
+/**
+ * The index for this markdown: from the cache when it was built before,
+ * otherwise built now and stored in the background.
+ *
+ * @param {string} rulesMarkdown
+ * @param {string} expansionsMarkdown
+ * @returns {{ chunks: Array, idf: Map, avgDl: number, chunkTokens: Array, totalChunks: number, contentHash: string }}
+ */
+export function loadOrBuildIndex(rulesMarkdown, expansionsMarkdown) {
+  const key = contentHash(rulesMarkdown, expansionsMarkdown);
+  const payload = getRagIndexSync(key);
+  const cached = payload ? deserializeIndex(payload, { cache: 'hit', contentHash: key }) : null;
+  if (cached) {
+    logEvent(LOG_SOURCE, `Index cache hit: ${cached.totalChunks} chunks`, { contentHash: key });
+    return { ...cached, contentHash: key };
+  }
+
+  logEvent(LOG_SOURCE, payload ? 'Index cache entry unusable, rebuilding' : 'Index cache miss', { contentHash: key });
+  const index = buildIndex(rulesMarkdown, expansionsMarkdown, { cache: 'miss', contentHash: key });
+  if (index.totalChunks > 0) {
+    saveRagIndex(key, serializeIndex(index), index.totalChunks)
+      .catch((err) => logError('RAG Index Cache', err, { phase: 'save' }));
+  }
+  return { ...index, contentHash: key };
+}
+
+function embedChunks(chunks, embedder) {
+  return Promise.all(chunks.map((chunk) => embedder.embed(`${chunk.heading}\n${chunk.content}`)));
+}
+
+/**
+ * Give `index` a `vectorSearch(query, limit)` that ranks its chunks by
+ * embedding similarity, which retrieveRelevantChunks fuses with BM25.
+ * Chunk vectors are embedded on first use and stored; searches go through
+ * sqlite-vec, falling back to an in-memory scan if the extension fails.
+ * Never rejects: if the embedder fails, the index stays BM25-only.
+ *
+ * @param {object} index - from loadOrBuildIndex
+ * @param {{ id: string, embed: (text: string) => number[] | Promise<number[]> }} [embedder]
+ * @returns {Promise<object>} the same index
+ */
+export async function attachVectorSearch(index, embedder = hashedNgramEmbedder) {
+  if (!index?.totalChunks || index.vectorSearch) return index;
+  const t0 = Date.now();
+  const { contentHash: key, chunks } = index;
+  let vectors = null;
+  let stored = false;
+  try {
+    stored = await hasRagVectors(key, embedder.id);
+  } catch (err) {
+    logError('RAG Index Cache', err, { phase: 'vector lookup' });
+  }
+  if (!stored) {
+    try {
+      vectors = await embedChunks(chunks, embedder);
+    } catch (err) {
+      logError('RAG Index Cache', err, { phase: 'embed', embedder: embedder.id });
+      return index;
+    }
+    try {
+      await saveRagVectors(key, embedder.id, vectors);
+      stored = true;
+    } catch (err) {
+      logError('RAG Index Cache', err, { phase: 'vector save' });
+    }
+  }
+  logEvent(LOG_SOURCE, `Vector search ready: ${chunks.length} chunks`, {
+    contentHash: key,
+    embedder: embedder.id,
+    embedded: Boolean(vectors),
+    elapsedMs: Date.now() - t0,
+  });
+
+  index.vectorSearch = async (query, limit) => {
+    const queryVector = await embedder.embed(query);
+    if (stored) {
+      try {
+        return await searchRagVectors(key, embedder.id, queryVector, limit);
+      } catch (err) {
+        logError('RAG Index Cache', err, { phase: 'vector search' });
+        stored = false;
+      }
+    }
+    if (!vectors) vectors = await embedChunks(chunks, embedder);
+    return rankByCosine(vectors, queryVector, limit);
+  };
+  return index;
+}
@@ -6,6 +6,8 @@
  */
 
 let indexBuildLog = null;
+// Persisted-index lookups this launch (see ragIndexCache).
+let indexCacheStats = { hits: 0, misses: 0 };
 let retrievalLogs = [];
 let counter = 0;
 const listeners = new Set();
@@ -30,17 +32,23 @@ export function onRagLogChange(callback) {
 }
 
 /**
- * Record an index build event.
- * @param {{ totalChunks, buildTimeMs, totalContentSize, chunks: Array<{ heading, source, charCount, wordCount, tokenEstimate }> }} data
+ * Record an index build event. `cache` is 'hit' when the index was loaded from
+ * the persisted cache instead of built, 'miss' when it was built and stored.
+ * @param {{ totalChunks, buildTimeMs, totalContentSize, chunks: Array<{ heading, source, charCount, wordCount, tokenEstimate }>, cache?: 'hit'|'miss', contentHash?: string }} data
  */
 export function logIndexBuild(data) {
-  indexBuildLog = { timestamp: new Date().toLocaleString(), ...data };
+  if (data.cache === 'hit') indexCacheStats = { ...indexCacheStats, hits: indexCacheStats.hits + 1 };
+  if (data.cache === 'miss') indexCacheStats = { ...indexCacheStats, misses: indexCacheStats.misses + 1 };
+  indexBuildLog = { timestamp: new Date().toLocaleString(), ...data, cacheStats: indexCacheStats };
   notifyListeners();
 }
 
 /**
  * Record a retrieval event.
- * @param {{ question, keywords, topK, allScoredChunks, selectedChunks }} data
+ * @param {{ question, keywords, topK, mode, queryRewrite, allScoredChunks, selectedChunks }} data
+ *   mode is 'hybrid' (BM25 fused with vector search) or 'bm25'; queryRewrite
+ *   is the follow-up rewrite (see queryRewriter) when the search query differs
+ *   from the question
  */
 export function logRetrieval(data) {
   counter += 1;
@@ -108,6 +116,7 @@ export function getRagLog() {
 /** Clear all RAG log data for this session. */
 export function clearRagLog() {
   indexBuildLog = null;
+  indexCacheStats = { hits: 0, misses: 0 };
   retrievalLogs = [];
   counter = 0;
   notifyListeners();
@@ -131,6 +140,11 @@ export function formatRagLogAsText() {
     lines.push(`Timestamp:      ${indexBuildLog.timestamp}`);
     lines.push(`Total chunks:   ${indexBuildLog.totalChunks}`);
     lines.push(`Build time:     ${indexBuildLog.buildTimeMs}ms`);
+    if (indexBuildLog.cache) {
+      const { hits, misses } = indexBuildLog.cacheStats;
+      lines.push(`Cache:          ${indexBuildLog.cache} (${hits} hits, ${misses} misses this launch)`);
+      lines.push(`Content hash:   ${indexBuildLog.contentHash}`);
+    }
     lines.push(`Content size:   ${indexBuildLog.totalContentSize} chars`);
     lines.push('');
     lines.push('Chunks:');
@@ -161,6 +175,12 @@ export function formatRagLogAsText() {
         lines.push('⚠ RAG index was not ready — no chunks retrieved');
       }
       lines.push(`Question:   ${entry.question}`);
+      if (entry.queryRewrite?.followUp) {
+        const { query, resolved, carried } = entry.queryRewrite;
+        lines.push(`Search query: ${query}`);
+        if (resolved.length) lines.push(`Resolved:   ${resolved.map(r => `${r.pronoun} → ${r.term}`).join(', ')}`);
+        if (carried.length) lines.push(`Carried:    ${carried.join(', ')}`);
+      }
       if (!entry.cloudFullContext) {
         lines.push(`Keywords:   ${entry.keywords?.join(', ') || 'none'}`);
         lines.push(`Top-K:      ${entry.topK}`);
@@ -183,11 +203,15 @@ export function formatRagLogAsText() {
       lines.push('');
 
       if (!entry.cloudFullContext) {
-        lines.push('All chunks scored (sorted by BM25 score):');
+        const hybrid = entry.mode === 'hybrid';
+        lines.push(`All chunks scored (sorted by ${hybrid ? 'fused BM25 + vector rank' : 'BM25 score'}):`);
         entry.allScoredChunks?.forEach((c, i) => {
           const tag = c.selected ? ' ★ SELECTED' : '';
+          const parts = hybrid
+            ? `Fused: ${c.score.toFixed(4)} | BM25: ${(c.bm25Score ?? 0).toFixed(4)} | Vector: ${c.vectorScore?.toFixed(4) ?? '—'}`
+            : `Score: ${c.score.toFixed(4)}`;
           lines.push(`  [${String(i + 1).padStart(2)}] ${c.heading}${tag}`);
-          lines.push(`       Score: ${c.score.toFixed(4)} | Source: ${c.source} | Chars: ${c.charCount} | Words: ${c.wordCount}`);
+          lines.push(`       ${parts} | Source: ${c.source} | Chars: ${c.charCount} | Words: ${c.wordCount}`);
         });
         lines.push('');
 
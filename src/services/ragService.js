@@ -2,20 +2,37 @@
  * RAG (Retrieval-Augmented Generation) service for the game rules assistant.
  *
  * Chunks rulebook markdown by heading, builds an in-memory BM25 search index,
- * and retrieves the most relevant chunks for a given user query. The index is
- * rebuilt on each app launch after content fetch — no persistence needed.
+ * and retrieves the most relevant chunks for a given user query. Indexes are
+ * plain data (serializeIndex / deserializeIndex), so ragIndexCache can persist
+ * them and skip the rebuild when the markdown hasn't changed. When
+ * ragIndexCache has attached a vector search to the index, its ranking is
+ * fused with BM25's by reciprocal rank fusion.
  */
 
-import { logEvent } from './errorLogger';
+import { logError, logEvent } from './errorLogger';
 import { logIndexBuild, logRetrieval } from './ragLogger';
+import { porterStem } from '../utils/porterStemmer';
 
 const LOG_SOURCE = 'RAG';
 
 // ── BM25 tuning parameters ──────────────────────────────────────────────────
+// Check changes against the golden questions (__tests__/ragEvaluation.test.js).
 
 const BM25_K1 = 1.2;
 const BM25_B = 0.3;
 
+// ── Hybrid retrieval ────────────────────────────────────────────────────────
+
+/** RRF constant: how quickly a ranking's contribution falls off with rank. */
+const RRF_K = 60;
+/** Vector neighbours considered for fusion. */
+const VECTOR_CANDIDATES = 20;
+/**
+ * Cosine similarity below this is noise from hash collisions, not a match.
+ * Noise shrinks with the vector size: about 1.6 / sqrt(EMBEDDING_DIMENSIONS).
+ */
+const MIN_VECTOR_SIMILARITY = 0.07;
+
 // ── Stopwords (common English words that add noise to keyword matching) ─────
 
 const STOPWORDS = new Set([
@@ -34,21 +51,65 @@ const STOPWORDS = new Set([
   'those', 'what', 'which', 'who', 'whom',
 ]);
 
+// Stopwords that carry meaning in a rulebook — negation ("can NOT drink"),
+// permission and exclusivity ("can", "only"), sequence ("before the flip")
+// and quantity ("each", "every"). Retrieval keeps them; the search bar,
+// which tokenizes without stemming, still drops them.
+const RULE_WORDS = new Set([
+  'no', 'not', 'can', 'only', 'before', 'after', 'during', 'then', 'once',
+  'again', 'each', 'every', 'all', 'both', 'same', 'more', 'most',
+]);
+
+// Multi-word game terms. Each is also indexed as a single token, so a
+// question about the "hammer test" favours the section on it over ones that
+// mention a hammer and a test separately.
+const GAME_PHRASES = ['hammer test', 'golden nail', 'uprising nail', 'spare nail', 'beer lord', 'high table'];
+
 // ── Tokenization ─────────────────────────────────────────────────────────────
 
-function stem(word) {
-  if (word.length <= 3) return word;
-  return word.replace(/(ing|ed|s)$/, '');
+/** Stemmed word pair → phrase token, e.g. "hammer test" → "hammer_test". */
+const PHRASE_TOKENS = new Map(
+  GAME_PHRASES.map(phrase => [phrase.split(' ').map(porterStem).join(' '), phrase.replace(/ /g, '_')]),
+);
+
+/** Spell out negated contractions, which would otherwise lose their "not". */
+function expandContractions(text) {
+  return text
+    .replace(/\bcan['’]?not\b|\bcan['’]t\b/g, 'can not')
+    .replace(/\bwon['’]t\b/g, 'will not')
+    .replace(/n['’]t\b/g, ' not');
 }
 
-function tokenize(text) {
+/**
+ * Lowercase, strip punctuation, drop stopwords and stem. Shared with the
+ * search bar, which passes `stem: false` and stems with the same Porter
+ * stemmer itself (see stemWord in utils/searchUtils).
+ *
+ * With stemming (the assistant's retrieval), words are Porter-stemmed, the
+ * RULE_WORDS are kept and GAME_PHRASES add a phrase token after their words.
+ */
+export function tokenize(text, { stem: useStem = true } = {}) {
   if (!text) return [];
-  return text
-    .toLowerCase()
+  if (!useStem) {
+    return text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(t => t.length > 1 && !STOPWORDS.has(t));
+  }
+
+  const words = expandContractions(text.toLowerCase())
     .replace(/[^a-z0-9\s]/g, ' ')
     .split(/\s+/)
-    .filter(t => t.length > 1 && !STOPWORDS.has(t))
-    .map(stem);
+    .filter(t => t.length > 1);
+  const stems = words.map(porterStem);
+  const tokens = [];
+  words.forEach((word, i) => {
+    if (RULE_WORDS.has(word) || !STOPWORDS.has(word)) tokens.push(stems[i]);
+    const phrase = i > 0 && PHRASE_TOKENS.get(`${stems[i - 1]} ${stems[i]}`);
+    if (phrase) tokens.push(phrase);
+  });
+  return tokens;
 }
 
 // ── Chunking ─────────────────────────────────────────────────────────────────
@@ -152,14 +213,39 @@ function extractPhaseKeyword(sectionName) {
 
 // ── BM25 Index ───────────────────────────────────────────────────────────────
 
+/**
+ * Bump when chunking or tokenizing changes, so persisted indexes built the old
+ * way are not reused.
+ */
+export const RAG_INDEX_VERSION = 2;
+
+/** Record an index (built or loaded from the cache) in the RAG debug log. */
+function recordIndex(chunks, buildTimeMs, details) {
+  logIndexBuild({
+    totalChunks: chunks.length,
+    buildTimeMs,
+    totalContentSize: chunks.reduce((sum, c) => sum + c.content.length, 0),
+    chunks: chunks.map(c => ({
+      heading: c.heading,
+      source: c.source,
+      charCount: c.content.length,
+      wordCount: c.content.split(/\s+/).filter(Boolean).length,
+      tokenEstimate: Math.ceil(c.content.length / 4),
+      crossRefs: c.crossRefs,
+    })),
+    ...details,
+  });
+}
+
 /**
  * Build an in-memory BM25 search index from rules and expansions markdown.
  *
  * @param {string} rulesMarkdown      Raw rules markdown.
  * @param {string} expansionsMarkdown Raw expansions markdown.
+ * @param {object} [logDetails]       Extra fields for the index build log (e.g. cache outcome).
  * @returns {{ chunks: Array, idf: Map, avgDl: number, chunkTokens: Array, totalChunks: number }}
  */
-export function buildIndex(rulesMarkdown, expansionsMarkdown) {
+export function buildIndex(rulesMarkdown, expansionsMarkdown, logDetails = {}) {
   const t0 = Date.now();
 
   const rulesChunks = chunkMarkdown(rulesMarkdown, 'rules');
@@ -209,39 +295,67 @@ export function buildIndex(rulesMarkdown, expansionsMarkdown) {
   const elapsed = Date.now() - t0;
   logEvent(LOG_SOURCE, `Index built: ${chunks.length} chunks in ${elapsed}ms`);
 
-  logIndexBuild({
-    totalChunks: chunks.length,
-    buildTimeMs: elapsed,
-    totalContentSize: chunks.reduce((sum, c) => sum + c.content.length, 0),
-    chunks: chunks.map(c => ({
-      heading: c.heading,
-      source: c.source,
-      charCount: c.content.length,
-      wordCount: c.content.split(/\s+/).filter(Boolean).length,
-      tokenEstimate: Math.ceil(c.content.length / 4),
-      crossRefs: c.crossRefs,
-    })),
-  });
+  recordIndex(chunks, elapsed, logDetails);
 
   return { chunks, idf, avgDl, chunkTokens, totalChunks: chunks.length };
 }
 
-// ── Retrieval ────────────────────────────────────────────────────────────────
+/** Index → JSON string (the IDF Map as entries). */
+export function serializeIndex(index) {
+  return JSON.stringify({
+    version: RAG_INDEX_VERSION,
+    chunks: index.chunks,
+    idf: [...index.idf],
+    avgDl: index.avgDl,
+    chunkTokens: index.chunkTokens,
+  });
+}
 
 /**
- * Score and return the top-K most relevant chunks for a query.
+ * JSON string from serializeIndex() → index, logged like a build. Returns
+ * null for a payload that can't be used (corrupt, or an older RAG_INDEX_VERSION).
  *
- * @param {{ chunks, idf, avgDl, chunkTokens, totalChunks }} index
- * @param {string} query     The user's question.
- * @param {number} [topK=8]  Number of chunks to retrieve.
- * @returns {Array<{ heading: string, content: string, source: string, score: number }>}
+ * @param {string} payload
+ * @param {object} [logDetails] Extra fields for the index build log.
  */
-export function retrieveRelevantChunks(index, query, topK = 8) {
-  if (!index || !index.chunks.length || !query?.trim()) return [];
+export function deserializeIndex(payload, logDetails = {}) {
+  const t0 = Date.now();
+  let data;
+  try {
+    data = JSON.parse(payload);
+  } catch {
+    return null;
+  }
+  if (data?.version !== RAG_INDEX_VERSION || !Array.isArray(data.chunks) || !Array.isArray(data.idf)) return null;
+  const index = {
+    chunks: data.chunks,
+    idf: new Map(data.idf),
+    avgDl: data.avgDl,
+    chunkTokens: data.chunkTokens,
+    totalChunks: data.chunks.length,
+  };
+  recordIndex(index.chunks, Date.now() - t0, logDetails);
+  return index;
+}
 
-  const queryTokens = tokenize(query);
-  if (queryTokens.length === 0) return [];
+// ── Retrieval ────────────────────────────────────────────────────────────────
+
+/**
+ * Reciprocal rank fusion: each ranking adds 1 / (k + rank) for the items it
+ * lists (rank starting at 1), so items near the top of either list rise.
+ *
+ * @param {Array<Array<number>>} rankings  Item ids, best first.
+ * @returns {Map<number, number>} Fused score per item id.
+ */
+export function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+  rankings.forEach((ranking) => {
+    ranking.forEach((id, i) => fused.set(id, (fused.get(id) || 0) + 1 / (k + i + 1)));
+  });
+  return fused;
+}
 
+function bm25Scores(index, queryTokens) {
   const { chunks, idf, avgDl, chunkTokens } = index;
   const scores = new Array(chunks.length);
 
@@ -265,10 +379,59 @@ export function retrieveRelevantChunks(index, query, topK = 8) {
     }
     scores[i] = score;
   }
+  return scores;
+}
+
+/** Cosine similarity per chunk index from the index's vector search, or null without one. */
+async function vectorScores(index, query) {
+  if (!index.vectorSearch) return null;
+  try {
+    const hits = await index.vectorSearch(query, VECTOR_CANDIDATES);
+    return new Map(hits.filter(h => h.score >= MIN_VECTOR_SIMILARITY).map(h => [h.idx, h.score]));
+  } catch (err) {
+    logError('RAG', err, { phase: 'vector search' });
+    return null;
+  }
+}
+
+/**
+ * Score and return the top-K most relevant chunks for a query. With a vector
+ * search on the index, `score` is the fused RRF score; otherwise it is the
+ * BM25 score. Either way only the order of scores is meaningful downstream.
+ *
+ * @param {{ chunks, idf, avgDl, chunkTokens, totalChunks, vectorSearch? }} index
+ * @param {string} query     The user's question.
+ * @param {number} [topK=8]  Number of chunks to retrieve.
+ * @param {object} [logDetails]  Extra fields for the retrieval log (e.g. the question before rewriting).
+ * @returns {Promise<Array<{ heading: string, content: string, source: string, score: number, bm25Score: number, vectorScore: number|null }>>}
+ */
+export async function retrieveRelevantChunks(index, query, topK = 8, logDetails = {}) {
+  if (!index || !index.chunks.length || !query?.trim()) return [];
+
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return [];
+
+  const { chunks } = index;
+  const bm25 = bm25Scores(index, queryTokens);
+  const vector = await vectorScores(index, query);
+
+  const bm25Ranking = chunks.map((_, i) => i).filter(i => bm25[i] > 0).sort((a, b) => bm25[b] - bm25[a]);
+  let scores = bm25;
+  if (vector) {
+    const vectorRanking = [...vector.keys()].sort((a, b) => vector.get(b) - vector.get(a));
+    const fused = reciprocalRankFusion([bm25Ranking, vectorRanking]);
+    scores = chunks.map((_, i) => fused.get(i) || 0);
+  }
 
   // Rank all chunks by score for logging, then select top-K with score > 0.
-  const scoredWithIdx = chunks.map((chunk, i) => ({ chunk, score: scores[i], idx: i }));
-  scoredWithIdx.sort((a, b) => b.score - a.score);
+  const scoredWithIdx = chunks.map((chunk, i) => ({
+    chunk,
+    score: scores[i],
+    bm25Score: bm25[i],
+    vectorScore: vector ? vector.get(i) ?? null : null,
+    idx: i,
+  }));
+  scoredWithIdx.sort((a, b) => b.score - a.score || b.bm25Score - a.bm25Score);
 
   const selected = scoredWithIdx.filter(e => e.score > 0).slice(0, topK);
   const selectedIdxSet = new Set(selected.map(e => e.idx));
@@ -281,9 +444,13 @@ export function retrieveRelevantChunks(index, query, topK = 8) {
     question: query,
     keywords: queryTokens,
     topK,
+    mode: vector ? 'hybrid' : 'bm25',
+    ...logDetails,
     allScoredChunks: scoredWithIdx.map(e => ({
       heading: e.chunk.heading,
       score: e.score,
+      bm25Score: e.bm25Score,
+      vectorScore: e.vectorScore,
       selected: selectedIdxSet.has(e.idx),
       charCount: e.chunk.content.length,
       wordCount: e.chunk.content.split(/\s+/).filter(Boolean).length,
@@ -293,12 +460,20 @@ export function retrieveRelevantChunks(index, query, topK = 8) {
       heading: e.chunk.heading,
       content: e.chunk.content,
       score: e.score,
+      bm25Score: e.bm25Score,
+      vectorScore: e.vectorScore,
       source: e.chunk.source,
       originalIndex: e.idx,
     })),
   });
 
-  return selected.map(e => ({ ...e.chunk, score: e.score, originalIndex: e.idx }));
+  return selected.map(e => ({
+    ...e.chunk,
+    score: e.score,
+    bm25Score: e.bm25Score,
+    vectorScore: e.vectorScore,
+    originalIndex: e.idx,
+  }));
 }
 
 // ── Post-Retrieval Processing ─────────────────────────────────────────────
@@ -306,7 +481,8 @@ export function retrieveRelevantChunks(index, query, topK = 8) {
 const MERGE_SIZE_CAP = 5000;
 const CROSS_REF_BRIDGE = 'IMPORTANT: The following rules describe different consequences of the same game event. Include ALL consequences in your answer:\n\n';
 const MAX_FINAL_CHUNKS = 3;
-const MAX_CONTEXT_CHARS = 4000;
+/** Most characters of rule text filterAndMerge() passes on to the model. */
+export const MAX_CONTEXT_CHARS = 4000;
 
 /**
  * Three-stage post-retrieval processing: smart filtering (top-3 + siblings +
@@ -352,7 +528,7 @@ export function filterAndMerge(selectedChunks) {
   }
 
   // ── Stage 2: Cross-Reference Merging (phase-specific, no cascading) ──
-  // Sort by BM25 score descending so the highest-scored chunk claims its
+  // Sort by score descending so the highest-scored chunk claims its
   // cross-ref partner first, preventing lower-scored chunks from consuming
   // a partner that a higher-scored chunk needs.
   survivors.sort((a, b) => b.score - a.score);
@@ -0,0 +1,75 @@
+/**
+ * Where the reader left off in each content tab, stored per content source:
+ * scroll offset, which sections are expanded, and the section last opened.
+ *
+ * Expanded sections are stored by slug id, so they carry over a re-sync that
+ * only changed some sections. The scroll offset is only trusted while the
+ * tree's shape is unchanged (same signature); after a re-sync that added or
+ * removed sections, useContent scrolls to the last opened section instead.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const READING_POSITION_KEY = '@lnl_reading_position';
+
+const keyOf = (section) => section.id || section.title;
+
+/** Ids of expanded sections, in reading order. */
+export function collectExpandedIds(sections, out = []) {
+  (sections || []).forEach((section) => {
+    if (section.isExpanded) out.push(keyOf(section));
+    collectExpandedIds(section.subsections, out);
+  });
+  return out;
+}
+
+/** Copy of `sections` with exactly the sections in `ids` expanded; unknown ids are ignored. */
+export function applyExpandedIds(sections, ids) {
+  const expanded = new Set(ids);
+  const apply = (list) => (list || []).map((section) => ({
+    ...section,
+    ...(Object.prototype.hasOwnProperty.call(section, 'isExpanded') && { isExpanded: expanded.has(keyOf(section)) }),
+    ...(section.subsections && { subsections: apply(section.subsections) }),
+  }));
+  return apply(sections);
+}
+
+/** Short hash of the tree's section ids in order; changes when sections are added, removed or renamed. */
+export function treeSignature(sections) {
+  let hash = 5381;
+  const visit = (list) => (list || []).forEach((section) => {
+    const key = `${keyOf(section)}/`;
+    for (let i = 0; i < key.length; i++) hash = ((hash * 33) ^ key.charCodeAt(i)) >>> 0;
+    visit(section.subsections);
+  });
+  visit(sections);
+  return hash.toString(36);
+}
+
+/**
+ * Saved positions for `sourceId`.
+ * @returns {Promise<{ rules?: Position, expansions?: Position }>} where
+ *   Position is { scrollY, expandedIds, lastOpenedId, signature }
+ */
+export async function loadReadingPositions(sourceId) {
+  try {
+    const raw = await AsyncStorage.getItem(READING_POSITION_KEY);
+    const bySource = raw ? JSON.parse(raw) : {};
+    return bySource[sourceId] && typeof bySource[sourceId] === 'object' ? bySource[sourceId] : {};
+  } catch {
+    return {};
+  }
+}
+
+// Saves for both tabs can overlap; chain them so neither overwrites the other.
+let pendingWrite = Promise.resolve();
+
+export function saveReadingPosition(sourceId, tab, position) {
+  pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+    const raw = await AsyncStorage.getItem(READING_POSITION_KEY);
+    const bySource = raw ? JSON.parse(raw) : {};
+    bySource[sourceId] = { ...bySource[sourceId], [tab]: position };
+    await AsyncStorage.setItem(READING_POSITION_KEY, JSON.stringify(bySource));
+  });
+  return pendingWrite;
+}
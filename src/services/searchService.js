@@ -0,0 +1,214 @@
+/**
+ * Ranked section search across the Rules and Expansions tabs.
+ *
+ * Every section of both trees (house rules merged in) becomes one document;
+ * a section's personal note (see sectionNotes) is indexed with it.
+ * Documents are scored with BM25 using the RAG tokenizer (see ragService), so
+ * the search bar and the assistant agree on what a word is. Titles count
+ * double. Each query word is expanded to the indexed words it matches
+ * (createTermMatcher: stems, game-term synonyms, typos), with looser matches
+ * weighted lower. Query syntax (phrases, AND, -exclusions, in:tab) comes from
+ * parseSearchQuery. Results carry the tab and section id for
+ * collapseAllAndExpandSection, a breadcrumb, and a snippet split into
+ * highlighted / plain segments. Pure functions, no I/O.
+ */
+
+import { tokenize } from './ragService';
+import {
+  MATCH_WEIGHTS,
+  createTermMatcher,
+  parseSearchQuery,
+  splitHighlights,
+  stemWord,
+} from '../utils/searchUtils';
+
+// Same tuning as the RAG index.
+const BM25_K1 = 1.2;
+const BM25_B = 0.3;
+
+/** Title tokens are repeated this many times so a title hit outranks a passing mention. */
+const TITLE_WEIGHT = 2;
+
+const DEFAULT_LIMIT = 30;
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+// Indexed words are left unstemmed; createTermMatcher handles inflections.
+const indexTokens = (text) => tokenize(text, { stem: false });
+
+/** Markdown → plain text for snippets: links and images reduced to their text, markup dropped. */
+function toPlainText(markdown) {
+  return (markdown || '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^\s{0,3}(#{1,6}|>|[*+-]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~|]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** One search document per section, in reading order, with its ancestors' titles as breadcrumb. */
+function collectDocuments(sections, tab, notes, breadcrumb = [], out = []) {
+  (sections || []).forEach((section) => {
+    if (!section?.title) return;
+    const id = section.id || section.title;
+    const text = toPlainText(section.content);
+    const note = notes.get(`${tab}:${id}`)?.text || '';
+    out.push({
+      tab,
+      id,
+      title: section.title,
+      breadcrumb,
+      text,
+      note,
+      tokens: [
+        ...Array(TITLE_WEIGHT).fill(indexTokens(section.title)).flat(),
+        ...indexTokens(text),
+        ...indexTokens(note),
+      ],
+    });
+    // The title section is the document itself, not a parent worth naming.
+    const childCrumb = section.isTitle ? breadcrumb : [...breadcrumb, section.title];
+    collectDocuments(section.subsections, tab, notes, childCrumb, out);
+  });
+  return out;
+}
+
+/**
+ * Build the search index for both tabs.
+ *
+ * @param {{ rules?: Array, expansions?: Array, notes?: Map<string, { text: string }> }} trees - section
+ *   trees as shown in each tab, and personal notes keyed `tab:id` (sectionNotes.indexNotes)
+ * @returns {{ documents: Array, idf: Map<string, number>, avgDl: number }}
+ */
+export function buildSearchIndex({ rules = [], expansions = [], notes = new Map() } = {}) {
+  const documents = [
+    ...collectDocuments(rules, 'rules', notes),
+    ...collectDocuments(expansions, 'expansions', notes),
+  ];
+  const df = new Map();
+  documents.forEach((doc) => {
+    doc.tf = new Map();
+    doc.tokens.forEach((t) => doc.tf.set(t, (doc.tf.get(t) || 0) + 1));
+    doc.tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1));
+  });
+  const N = documents.length;
+  const idf = new Map();
+  df.forEach((freq, term) => idf.set(term, Math.log((N - freq + 0.5) / (freq + 0.5) + 1)));
+  const avgDl = N ? documents.reduce((sum, doc) => sum + doc.tokens.length, 0) / N : 0;
+  return { documents, idf, avgDl };
+}
+
+/**
+ * Split a window of `text` around the first matching word into
+ * `{ text, match }` segments, so the UI can bold the hits without parsing markdown.
+ */
+function buildSnippet(text, matcher) {
+  let firstHit = -1;
+  let offset = 0;
+  for (const segment of splitHighlights(text, null, matcher)) {
+    if (segment.match) {
+      firstHit = offset;
+      break;
+    }
+    offset += segment.text.length;
+  }
+  let start = firstHit > 0 ? Math.max(0, firstHit - SNIPPET_LEAD) : 0;
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  const segments = splitHighlights(text.slice(start, end), null, matcher);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
+
+/** Indexed words that match any of `words` exactly or by stem (for exclusions). */
+function stemMatches(idf, words) {
+  const stems = new Set(words.map(stemWord));
+  return [...idf.keys()].filter((word) => stems.has(stemWord(word)));
+}
+
+/**
+ * Rank sections of both tabs for `query`. Every term and phrase must match
+ * (title or body); sections matching an excluded word or phrase, or outside
+ * an `in:` scope, are left out.
+ *
+ * @param {{ documents, idf, avgDl }} index - from buildSearchIndex()
+ * @param {string} query
+ * @param {{ limit?: number }} [options]
+ * @returns {Array<{ tab: 'rules'|'expansions', id: string, title: string, breadcrumb: string[], snippet: Array<{ text: string, match: boolean }>, inNote: boolean, score: number }>}
+ *   `inNote` when the snippet comes from the section's note, because the section text has no hit
+ */
+export function searchSections(index, query, { limit = DEFAULT_LIMIT } = {}) {
+  if (!index?.documents.length) return [];
+  const parsed = parseSearchQuery(query);
+  const matcher = createTermMatcher(parsed);
+  if (matcher.isEmpty) return [];
+  const { documents, idf, avgDl } = index;
+
+  // Indexed words each query word matches, with the weight of that match.
+  // Phrase words are scored too, so a phrase-only query still ranks, but only
+  // by stem: the phrase itself must appear verbatim (hasPhrases).
+  const phraseMatcher = createTermMatcher({ terms: parsed.phrases });
+  const variantsFor = (m, exactOnly) => m.terms.map((_, i) => {
+    const matches = [];
+    idf.forEach((_, word) => {
+      const weight = m.termWeight(i, word);
+      if (weight && (!exactOnly || weight === MATCH_WEIGHTS.STEM)) matches.push([word, weight]);
+    });
+    return matches;
+  });
+  const termVariants = variantsFor(matcher, false);
+  const phraseVariants = variantsFor(phraseMatcher, true);
+
+  const excludedWords = new Set(stemMatches(idf, parsed.excluded.filter((e) => !e.includes(' '))));
+  const excludedPhrases = createTermMatcher({ phrases: parsed.excluded.filter((e) => e.includes(' ')) });
+
+  const scored = [];
+  documents.forEach((doc, position) => {
+    if (parsed.scope && doc.tab !== parsed.scope) return;
+    if ([...doc.tf.keys()].some((word) => excludedWords.has(word))) return;
+    const fullText = `${doc.title}\n${doc.text}\n${doc.note}`;
+    if (excludedPhrases.phrasePattern && new RegExp(excludedPhrases.phrasePattern, 'i').test(fullText)) return;
+    if (!matcher.hasPhrases(fullText)) return;
+
+    const norm = 1 - BM25_B + BM25_B * (doc.tokens.length / avgDl);
+    // Each query word counts once, through its best-scoring variant in this section.
+    const bestScores = [...termVariants, ...phraseVariants].map((matches) => {
+      let best = 0;
+      matches.forEach(([word, weight]) => {
+        const tf = doc.tf.get(word) || 0;
+        if (!tf) return;
+        best = Math.max(best, weight * idf.get(word) * ((tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm)));
+      });
+      return best;
+    });
+    // AND: every plain term must match somewhere in the section.
+    if (bestScores.slice(0, termVariants.length).some((score) => score === 0)) return;
+    const score = bestScores.reduce((sum, value) => sum + value, 0);
+    // A phrase made only of stopwords scores nothing but still matched.
+    scored.push({ doc, score: score || Number.EPSILON, position });
+  });
+  // Ties keep reading order (rules before expansions).
+  scored.sort((a, b) => b.score - a.score || a.position - b.position);
+
+  return scored.slice(0, limit).map(({ doc, score }) => {
+    let snippet = buildSnippet(doc.text, matcher);
+    const inNote = Boolean(doc.note)
+      && !snippet.some((part) => part.match)
+      && splitHighlights(doc.note, null, matcher).some((part) => part.match);
+    if (inNote) snippet = buildSnippet(doc.note, matcher);
+    return {
+      tab: doc.tab,
+      id: doc.id,
+      title: doc.title,
+      breadcrumb: doc.breadcrumb,
+      snippet,
+      inNote,
+      score,
+    };
+  });
+}
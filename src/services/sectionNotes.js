@@ -0,0 +1,180 @@
+/**
+ * Personal notes on rule sections ("we ruled this way on 3/14"), stored per
+ * content source.
+ *
+ * A note is keyed like a bookmark: tab plus slug id (see services/bookmarks),
+ * so it follows its section through re-syncs as long as the heading stays.
+ * Notes can be shared as a JSON or markdown file; both formats carry the
+ * section keys, so an exported file imports back onto the same sections.
+ * Only load/saveSectionNotes do I/O; the file itself is written by the caller.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { bookmarkKey } from './bookmarks';
+
+const SECTION_NOTES_KEY = '@lnl_section_notes';
+
+export const NOTES_EXPORT_FORMAT = 'lnl-section-notes';
+const NOTES_EXPORT_VERSION = 1;
+
+const TAB_LABELS = { rules: 'Rules', expansions: 'Expansions' };
+
+// Markdown export: every note starts with a heading and this marker, which holds its section key.
+const NOTE_MARKER = /^<!-- lnl-note (rules|expansions):(.+?) -->$/;
+const noteMarker = (note) => `<!-- lnl-note ${bookmarkKey(note.tab, note.id)} -->`;
+
+const keyOf = (note) => bookmarkKey(note.tab, note.id);
+
+/**
+ * Set the note on a section; empty text removes it.
+ *
+ * @param {Array} notes
+ * @param {'rules'|'expansions'} tab
+ * @param {{ id?: string, title: string }} section
+ * @param {string} text
+ */
+export function setSectionNote(notes, tab, section, text) {
+  const id = section.id || section.title;
+  const key = bookmarkKey(tab, id);
+  const rest = notes.filter((note) => keyOf(note) !== key);
+  const body = (text || '').trim();
+  if (!body) return rest;
+  return [...rest, { tab, id, title: section.title, text: body, updatedAt: new Date().toISOString() }];
+}
+
+/** Notes by section key, for looking up the note under a section. */
+export function indexNotes(notes) {
+  return new Map((notes || []).map((note) => [keyOf(note), note]));
+}
+
+/**
+ * Merge imported notes into `notes`. A section with a note on both sides
+ * keeps the more recently edited one.
+ *
+ * @returns {{ notes: Array, added: number, updated: number }}
+ */
+export function mergeSectionNotes(notes, imported) {
+  const byKey = indexNotes(notes);
+  let added = 0;
+  let updated = 0;
+  imported.forEach((note) => {
+    const current = byKey.get(keyOf(note));
+    if (!current) added++;
+    else if (current.text !== note.text && (note.updatedAt || '') > (current.updatedAt || '')) updated++;
+    else return;
+    byKey.set(keyOf(note), note);
+  });
+  return { notes: [...byKey.values()], added, updated };
+}
+
+/** Notes in reading order: rules before expansions, then by title. */
+function sortedNotes(notes) {
+  return [...notes].sort((a, b) => (a.tab === b.tab ? a.title.localeCompare(b.title) : a.tab === 'rules' ? -1 : 1));
+}
+
+export function formatNotesAsJson(notes, sourceId) {
+  return JSON.stringify({
+    format: NOTES_EXPORT_FORMAT,
+    version: NOTES_EXPORT_VERSION,
+    source: sourceId,
+    exportedAt: new Date().toISOString(),
+    notes: sortedNotes(notes),
+  }, null, 2);
+}
+
+export function formatNotesAsMarkdown(notes) {
+  const blocks = sortedNotes(notes).map((note) => [
+    `## ${TAB_LABELS[note.tab]} › ${note.title}`,
+    noteMarker(note),
+    note.updatedAt ? `_Updated ${note.updatedAt.slice(0, 10)}_` : null,
+    '',
+    note.text,
+  ].filter((line) => line !== null).join('\n'));
+  return ['# Section notes', ...blocks].join('\n\n') + '\n';
+}
+
+function validNote(note) {
+  return note
+    && TAB_LABELS[note.tab]
+    && typeof note.id === 'string' && note.id
+    && typeof note.text === 'string' && note.text.trim();
+}
+
+function parseMarkdownNotes(text) {
+  const lines = text.split('\n');
+  const notes = [];
+  for (let i = 0; i < lines.length; i++) {
+    const marker = NOTE_MARKER.exec(lines[i].trim());
+    if (!marker || !/^## /.test(lines[i - 1] || '')) continue;
+    let end = i + 1;
+    while (end < lines.length && !(NOTE_MARKER.test((lines[end + 1] || '').trim()) && /^## /.test(lines[end]))) end++;
+    const body = lines.slice(i + 1, end);
+    const updated = /^_Updated (\d{4}-\d{2}-\d{2})_$/.exec((body[0] || '').trim());
+    if (updated) body.shift();
+    notes.push({
+      tab: marker[1],
+      id: marker[2],
+      title: lines[i - 1].replace(/^## /, '').replace(/^(Rules|Expansions) › /, '').trim(),
+      text: body.join('\n').trim(),
+      updatedAt: updated ? `${updated[1]}T00:00:00.000Z` : undefined,
+    });
+    i = end - 1;
+  }
+  return notes;
+}
+
+/**
+ * Read notes from an exported file, JSON or markdown.
+ * @returns {{ notes?: Array, error?: string }}
+ */
+export function parseNotesImport(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return { error: 'The file is empty.' };
+  let notes;
+  if (trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch {
+      return { error: 'The file is not valid JSON.' };
+    }
+    if (parsed?.format !== NOTES_EXPORT_FORMAT || !Array.isArray(parsed.notes)) {
+      return { error: 'The file is not a section notes export.' };
+    }
+    notes = parsed.notes;
+  } else {
+    notes = parseMarkdownNotes(trimmed);
+  }
+  const valid = notes.filter(validNote).map((note) => ({
+    tab: note.tab,
+    id: note.id,
+    title: note.title || note.id,
+    text: note.text.trim(),
+    updatedAt: note.updatedAt,
+  }));
+  if (!valid.length) return { error: 'No section notes found in the file.' };
+  return { notes: valid };
+}
+
+export async function loadSectionNotes(sourceId) {
+  try {
+    const raw = await AsyncStorage.getItem(SECTION_NOTES_KEY);
+    const bySource = raw ? JSON.parse(raw) : {};
+    return Array.isArray(bySource[sourceId]) ? bySource[sourceId] : [];
+  } catch {
+    return [];
+  }
+}
+
+export async function saveSectionNotes(sourceId, notes) {
+  let bySource = {};
+  try {
+    const raw = await AsyncStorage.getItem(SECTION_NOTES_KEY);
+    bySource = raw ? JSON.parse(raw) : {};
+  } catch {
+    bySource = {};
+  }
+  if (notes.length) bySource[sourceId] = notes;
+  else delete bySource[sourceId];
+  await AsyncStorage.setItem(SECTION_NOTES_KEY, JSON.stringify(bySource));
+}
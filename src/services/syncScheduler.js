@@ -0,0 +1,201 @@
+/**
+ * Sync scheduler for rules and expansions.
+ *
+ * Decides when each kind of content is synced instead of fetching everything
+ * once on mount:
+ *   - on launch and when the app returns to the foreground, only content older
+ *     than the configured max age (or never synced) is refreshed
+ *   - a failed sync is retried with exponential backoff
+ *   - a rate-limited sync is retried when GitHub's quota resets (the `retryAt`
+ *     a runner returns), never earlier than the backoff delay
+ *   - a payload rejected by validation is not retried: refetching would only
+ *     bring back the same upstream content, so it waits for the next stale check
+ * Manual refresh (syncNow) always runs and resets the backoff.
+ */
+
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { logError, logEvent } from './errorLogger';
+
+const SYNC_MAX_AGE_KEY = '@lnl_sync_max_age';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Max-age choices offered in Settings. 0 = sync on every launch and foreground. */
+export const SYNC_MAX_AGE_OPTIONS = [
+  { id: 'always', label: 'Every time the app opens', ms: 0 },
+  { id: 'hourly', label: 'Hourly', ms: HOUR_MS },
+  { id: 'sixHours', label: 'Every 6 hours', ms: 6 * HOUR_MS },
+  { id: 'daily', label: 'Daily', ms: 24 * HOUR_MS },
+];
+
+export const DEFAULT_SYNC_MAX_AGE_MS = HOUR_MS;
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+
+export const SYNC_KINDS = ['rules', 'expansions'];
+
+/** True when content last synced at `lastSyncedAt` (ISO string or ms) is older than `maxAgeMs`. */
+export function isStale(lastSyncedAt, maxAgeMs, now = Date.now()) {
+  if (!lastSyncedAt) return true;
+  const syncedMs = typeof lastSyncedAt === 'number' ? lastSyncedAt : Date.parse(lastSyncedAt);
+  if (Number.isNaN(syncedMs)) return true;
+  return now - syncedMs >= maxAgeMs;
+}
+
+/** Delay before retry number `failures` (1 = first retry): 30s, 1m, 2m … capped at 30m. */
+export function backoffDelayMs(failures) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, failures - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * When to try again after a failure: the backoff delay, or the rate-limit reset
+ * time if that is later.
+ */
+export function nextAttemptAt(failures, retryAt, now = Date.now()) {
+  return Math.max(now + backoffDelayMs(failures), retryAt || 0);
+}
+
+export async function loadSyncMaxAge() {
+  try {
+    const raw = await AsyncStorage.getItem(SYNC_MAX_AGE_KEY);
+    const value = raw == null ? NaN : Number(raw);
+    return Number.isFinite(value) && value >= 0 ? value : DEFAULT_SYNC_MAX_AGE_MS;
+  } catch {
+    return DEFAULT_SYNC_MAX_AGE_MS;
+  }
+}
+
+export async function saveSyncMaxAge(ms) {
+  await AsyncStorage.setItem(SYNC_MAX_AGE_KEY, String(ms));
+}
+
+/**
+ * Create a scheduler around the caller's sync functions.
+ *
+ * @param {object} options
+ * @param {(kind: string) => Promise<{ success: boolean, rejected?: boolean, retryAt?: number|null }>} options.run
+ *   sync one kind; `rejected` means the fetched content failed validation,
+ *   `retryAt` (ms epoch) is when a rate limit lifts
+ * @param {(kind: string) => Promise<string|number|null>} options.getLastSyncedAt
+ *   last successful sync of a kind, or null when there is no usable copy
+ * @param {(kind: string, retryAt: number|null) => void} [options.onRetryScheduled]
+ * @returns {{ start: Function, stop: Function, reset: Function, syncIfStale: Function, syncNow: Function }}
+ */
+export function createSyncScheduler({ run, getLastSyncedAt, onRetryScheduled }) {
+  const failures = { rules: 0, expansions: 0 };
+  const timers = { rules: null, expansions: null };
+  const inFlight = { rules: null, expansions: null };
+  const blockedUntil = { rules: 0, expansions: 0 };
+  // Bumped by reset(), so a run started for the previous source neither blocks
+  // the next run nor touches the new source's failures and retries.
+  let generation = 0;
+  let appStateSubscription = null;
+  let lastAppState = AppState.currentState;
+
+  const clearTimer = (kind) => {
+    if (timers[kind]) clearTimeout(timers[kind]);
+    timers[kind] = null;
+  };
+
+  const scheduleRetry = (kind, retryAt) => {
+    clearTimer(kind);
+    const at = nextAttemptAt(failures[kind], retryAt);
+    blockedUntil[kind] = at;
+    logEvent('Sync Scheduler', `Retrying ${kind} in ${Math.round((at - Date.now()) / 1000)}s`, {
+      failures: failures[kind],
+      rateLimitedUntil: retryAt ? new Date(retryAt).toISOString() : null,
+    });
+    timers[kind] = setTimeout(() => {
+      timers[kind] = null;
+      runKind(kind);
+    }, at - Date.now());
+    onRetryScheduled?.(kind, at);
+  };
+
+  function runKind(kind) {
+    if (inFlight[kind]) return inFlight[kind];
+    const runGeneration = generation;
+    const current = (async () => {
+      let result;
+      try {
+        result = await run(kind);
+      } catch (err) {
+        logError('Sync Scheduler', err, { kind });
+        result = null;
+      } finally {
+        if (inFlight[kind] === current) inFlight[kind] = null;
+      }
+      if (runGeneration !== generation) return false;
+      if (result?.success || result?.rejected) {
+        failures[kind] = 0;
+        blockedUntil[kind] = 0;
+        clearTimer(kind);
+        onRetryScheduled?.(kind, null);
+        if (result.rejected) logEvent('Sync Scheduler', `Fetched ${kind} was rejected; not retrying`);
+        return Boolean(result.success);
+      }
+      failures[kind] += 1;
+      scheduleRetry(kind, result?.retryAt ?? null);
+      return false;
+    })();
+    inFlight[kind] = current;
+    return current;
+  }
+
+  /** Sync every kind whose copy is older than the max age. Resolves to { [kind]: boolean|null } (null = skipped). */
+  const syncIfStale = async () => {
+    const maxAgeMs = await loadSyncMaxAge();
+    const now = Date.now();
+    const outcomes = await Promise.all(SYNC_KINDS.map(async (kind) => {
+      // A retry is already scheduled (backoff or rate limit); let it fire.
+      if (timers[kind] && blockedUntil[kind] > now) return null;
+      const lastSyncedAt = await getLastSyncedAt(kind);
+      if (!isStale(lastSyncedAt, maxAgeMs, now)) return null;
+      return runKind(kind);
+    }));
+    return Object.fromEntries(SYNC_KINDS.map((kind, i) => [kind, outcomes[i]]));
+  };
+
+  /** Sync everything now (manual refresh), ignoring max age and backoff. */
+  const syncNow = async () => {
+    SYNC_KINDS.forEach((kind) => {
+      failures[kind] = 0;
+      clearTimer(kind);
+    });
+    const outcomes = await Promise.all(SYNC_KINDS.map((kind) => runKind(kind)));
+    return Object.fromEntries(SYNC_KINDS.map((kind, i) => [kind, outcomes[i]]));
+  };
+
+  /**
+   * Forget failures, pending retries and runs in flight (e.g. after switching
+   * content source). The next sync starts a fresh run.
+   */
+  const reset = () => {
+    generation += 1;
+    SYNC_KINDS.forEach((kind) => {
+      inFlight[kind] = null;
+      failures[kind] = 0;
+      blockedUntil[kind] = 0;
+      clearTimer(kind);
+      onRetryScheduled?.(kind, null);
+    });
+  };
+
+  const start = () => {
+    if (appStateSubscription) return;
+    appStateSubscription = AppState.addEventListener('change', (next) => {
+      if (lastAppState !== 'active' && next === 'active') syncIfStale();
+      lastAppState = next;
+    });
+  };
+
+  const stop = () => {
+    appStateSubscription?.remove();
+    appStateSubscription = null;
+    SYNC_KINDS.forEach(clearTimer);
+  };
+
+  return { start, stop, reset, syncIfStale, syncNow };
+}
@@ -0,0 +1,94 @@
+/**
+ * Embedding side of the assistant's hybrid retrieval.
+ *
+ * An embedder is `{ id, dimensions, embed(text) }`, where embed returns a
+ * vector (or a promise of one). The default, hashedNgramEmbedder, needs no
+ * model and works offline: words are reduced to a shared stem for game
+ * synonyms (canonicalStem), then the words, word pairs and character n-grams
+ * are hashed into a fixed-size vector. Similar wordings ("missed the nail" /
+ * "misses a nail") land close together even when BM25 sees different tokens.
+ *
+ * Vectors are stored and searched with sqlite-vec by ragIndexCache; this
+ * module holds the pure parts: embedding and the in-memory cosine ranking
+ * used when sqlite-vec is unavailable. The vector ranking is fused with BM25
+ * in ragService.retrieveRelevantChunks.
+ */
+
+import { tokenize } from './ragService';
+import { canonicalStem } from '../utils/searchUtils';
+
+/**
+ * Size of the default embedder's vectors (and of the stored sqlite-vec vectors).
+ * Large enough that hash collisions between the hashed features stay rare.
+ */
+export const EMBEDDING_DIMENSIONS = 512;
+
+const WORD_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.7;
+const NGRAM_WEIGHT = 0.35;
+const NGRAM_SIZES = [3, 4];
+
+/** 32-bit FNV-1a hash. */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** Add `weight` to the vector slot `feature` hashes to; a second hash bit picks the sign, so collisions cancel out on average. */
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  const slot = hash % vector.length;
+  vector[slot] += hash & 0x80000000 ? -weight : weight;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return length ? vector.map((v) => v / length) : vector;
+}
+
+/** Deterministic, offline embedder: hashed words, word pairs and character n-grams. */
+export const hashedNgramEmbedder = {
+  // Bump when the features or dimensions change, so stored vectors are rebuilt.
+  id: 'hashed-ngram-v2',
+  dimensions: EMBEDDING_DIMENSIONS,
+  embed(text) {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = tokenize(text, { stem: false }).map(canonicalStem);
+    words.forEach((word, i) => {
+      addFeature(vector, `w:${word}`, WORD_WEIGHT);
+      if (i > 0) addFeature(vector, `b:${words[i - 1]} ${word}`, BIGRAM_WEIGHT);
+      const padded = `<${word}>`;
+      NGRAM_SIZES.forEach((n) => {
+        for (let j = 0; j + n <= padded.length; j++) addFeature(vector, `g:${padded.slice(j, j + n)}`, NGRAM_WEIGHT);
+      });
+    });
+    return normalize(vector);
+  },
+};
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Chunks ranked by cosine similarity to `queryVector`, best first.
+ * @returns {Array<{ idx: number, score: number }>}
+ */
+export function rankByCosine(vectors, queryVector, limit = vectors.length) {
+  return vectors
+    .map((vector, idx) => ({ idx, score: cosineSimilarity(vector, queryVector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
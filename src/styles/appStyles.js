@@ -87,6 +87,34 @@ const createStyles = (ACCENT_COLOR, ACCENT_GLOW) => StyleSheet.create({
     paddingTop: 8,
     paddingBottom: 8,
   },
+  houseRuleBadge: {
+    marginLeft: scaleSize(8),
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#FFB74D',
+    backgroundColor: 'rgba(255,183,77,0.12)',
+  },
+  houseRuleBadgeText: {
+    fontSize: scaleFontSize(10),
+    fontWeight: '700',
+    color: '#FFB74D',
+  },
+  bundledNotice: {
+    marginBottom: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#555',
+    backgroundColor: 'rgba(45, 45, 50, 0.75)',
+  },
+  bundledNoticeText: {
+    fontSize: scaleFontSize(13),
+    color: '#BBBBBB',
+    textAlign: 'center',
+  },
   titleContainer: {
     marginBottom: 20,
     paddingBottom: 16,
@@ -176,6 +204,12 @@ const createStyles = (ACCENT_COLOR, ACCENT_GLOW) => StyleSheet.create({
     alignItems: 'center',
     justifyContent: 'center',
   },
+  bookmarksIconContainer: {
+    marginRight: 8,
+  },
+  activeHeaderIcon: {
+    backgroundColor: 'rgba(33,150,243,0.25)',
+  },
   searchIcon: {
     fontSize: scaleFontSize(20),
   },
@@ -211,6 +245,124 @@ const createStyles = (ACCENT_COLOR, ACCENT_GLOW) => StyleSheet.create({
     color: '#ffffff',
     fontWeight: 'bold',
   },
+  searchResultsCount: {
+    fontSize: scaleFontSize(13),
+    color: '#999',
+    marginBottom: 8,
+  },
+  searchResult: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#333',
+  },
+  searchResultBreadcrumb: {
+    fontSize: scaleFontSize(12),
+    color: '#999',
+    marginBottom: 2,
+  },
+  searchResultTitle: {
+    fontSize: scaleFontSize(18),
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  searchResultSnippet: {
+    fontSize: scaleFontSize(14),
+    color: '#CCCCCC',
+    lineHeight: 20,
+  },
+  bookmarkRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  bookmarkBody: {
+    flex: 1,
+  },
+  bookmarkMissing: {
+    fontSize: scaleFontSize(13),
+    color: '#FFB74D',
+  },
+  sectionBookmarkIcon: {
+    marginLeft: scaleSize(8),
+  },
+  glossaryBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  glossaryCard: {
+    backgroundColor: '#1E1E1E',
+    borderRadius: 12,
+    borderWidth: 1,
+    padding: 20,
+  },
+  glossaryTerm: {
+    fontSize: scaleFontSize(22),
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  glossaryDefinition: {
+    fontSize: scaleFontSize(15),
+    color: '#E1E1E1',
+    lineHeight: 22,
+    marginBottom: 16,
+  },
+  sectionNote: {
+    borderLeftWidth: 3,
+    backgroundColor: '#1E1E1E',
+    borderRadius: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginTop: 4,
+    marginBottom: 12,
+  },
+  sectionNoteLabel: {
+    fontSize: scaleFontSize(12),
+    fontWeight: '600',
+  },
+  sectionNoteText: {
+    fontSize: scaleFontSize(15),
+    color: '#E1E1E1',
+    lineHeight: 22,
+    marginTop: 2,
+  },
+  sectionNoteInput: {
+    borderWidth: 1,
+    borderColor: '#444',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    minHeight: 120,
+    color: '#E1E1E1',
+    fontSize: scaleFontSize(14),
+    marginBottom: 16,
+  },
+  outlineBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.6)',
+  },
+  outlineDrawer: {
+    flex: 1,
+    backgroundColor: '#1E1E1E',
+    paddingTop: 56,
+    paddingHorizontal: 8,
+  },
+  outlineTitle: {
+    fontSize: scaleFontSize(22),
+    fontWeight: 'bold',
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  outlineRow: {
+    paddingVertical: 8,
+    paddingRight: 12,
+    borderLeftWidth: 3,
+    borderLeftColor: 'transparent',
+    borderRadius: 4,
+  },
+  outlineRowText: {
+    color: '#E1E1E1',
+  },
   emptyStateContainer: {
     padding: 20,
     alignItems: 'center',
@@ -0,0 +1,107 @@
+/**
+ * Porter stemmer (M. F. Porter, "An algorithm for suffix stripping", 1980).
+ *
+ * Used by the assistant's retrieval tokenizer (ragService.tokenize) so that
+ * "demoted", "demotes" and "demotion" meet on one stem. Expects a lowercase
+ * word; anything of two letters or fewer is returned as is.
+ */
+
+const STEP2_SUFFIXES = {
+  ational: 'ate',
+  tional: 'tion',
+  enci: 'ence',
+  anci: 'ance',
+  izer: 'ize',
+  bli: 'ble',
+  alli: 'al',
+  entli: 'ent',
+  eli: 'e',
+  ousli: 'ous',
+  ization: 'ize',
+  ation: 'ate',
+  ator: 'ate',
+  alism: 'al',
+  iveness: 'ive',
+  fulness: 'ful',
+  ousness: 'ous',
+  aliti: 'al',
+  iviti: 'ive',
+  biliti: 'ble',
+  logi: 'log',
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic',
+  ative: '',
+  alize: 'al',
+  iciti: 'ic',
+  ical: 'ic',
+  ful: '',
+  ness: '',
+};
+
+const STEP2_RE = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/;
+const STEP3_RE = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/;
+const STEP4_RE = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+const STEP4_ION_RE = /^(.+?)([st])(ion)$/;
+
+// Measure tests on the stem, with C = consonant sequence and V = vowel sequence.
+const C = '[^aeiou][^aeiouy]*';
+const V = '[aeiouy][aeiou]*';
+const MGR0 = new RegExp(`^(${C})?${V}${C}`); // m > 0
+const MEQ1 = new RegExp(`^(${C})?${V}${C}(${V})?$`); // m = 1
+const MGR1 = new RegExp(`^(${C})?${V}${C}${V}${C}`); // m > 1
+const HAS_VOWEL = new RegExp(`^(${C})?[aeiouy]`);
+const ENDS_CVC = new RegExp(`^${C}[aeiouy][^aeiouwxy]$`);
+
+export function porterStem(word) {
+  if (!word || word.length < 3) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = `Y${w.slice(1)}`;
+
+  // Step 1a: plurals.
+  if (/^(.+?)(ss|i)es$/.test(w)) w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  else if (/^(.+?)([^s])s$/.test(w)) w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+
+  // Step 1b: -eed, -ed, -ing.
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MGR0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const stem = match[1];
+    if (HAS_VOWEL.test(stem)) {
+      w = stem;
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+      else if (ENDS_CVC.test(w)) w += 'e';
+    }
+  }
+
+  // Step 1c: terminal y → i when the stem has a vowel.
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = `${match[1]}i`;
+
+  // Step 2: double suffixes.
+  if ((match = STEP2_RE.exec(w)) && MGR0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+
+  // Step 3: -ic-, -full, -ness etc.
+  if ((match = STEP3_RE.exec(w)) && MGR0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+
+  // Step 4: remaining suffixes, when the stem is long enough.
+  if ((match = STEP4_RE.exec(w))) {
+    if (MGR1.test(match[1])) w = match[1];
+  } else if ((match = STEP4_ION_RE.exec(w))) {
+    const stem = match[1] + match[2];
+    if (MGR1.test(stem)) w = stem;
+  }
+
+  // Step 5: final -e, and -ll → -l.
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const stem = match[1];
+    if (MGR1.test(stem) || (MEQ1.test(stem) && !ENDS_CVC.test(stem))) w = stem;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  return startsWithY ? `y${w.slice(1)}` : w;
+}
@@ -1,7 +1,84 @@
 /**
- * Search and text utilities: query normalization, match highlighting, HTML entity decoding.
+ * Search and text utilities: query normalization, forgiving term matching,
+ * match highlighting, HTML entity decoding.
+ *
+ * A query word matches a text word when they share a stem ("demote" /
+ * "demotions"), are listed together in GAME_SYNONYMS, or are one or two typos
+ * apart ("hamering" / "hammer"). The search ranking and every highlighter use
+ * the same matcher, so what is highlighted is what was matched.
  */
 
+import { tokenize } from '../services/ragService';
+import { porterStem } from './porterStemmer';
+
+/**
+ * Game terms searched for interchangeably. Plain inflections are already
+ * covered by stemWord(); they are listed where players commonly type them.
+ */
+const GAME_SYNONYMS = [
+  ['lord', 'lords', 'king'],
+  ['lad', 'lads', 'player'],
+  ['nail', 'nails', 'spike'],
+  ['uprise', 'uprising', 'revolt', 'rebellion'],
+  ['demote', 'demotion'],
+  ['hammer', 'mallet'],
+  ['drink', 'sip', 'chug'],
+  ['penalty', 'punishment'],
+  ['miss', 'fail'],
+];
+
+/** Stems shorter than this are never fuzzy-matched; too many short words are one typo apart. */
+const MIN_FUZZY_LENGTH = 4;
+
+/** Match weights, used to rank exact hits above looser ones. */
+export const MATCH_WEIGHTS = { STEM: 1, SYNONYM: 0.8, FUZZY: 0.6 };
+
+const WORD = /[A-Za-z0-9]+/g;
+
+/**
+ * Reduce a word to its stem so inflections compare equal:
+ * "demotions" / "demoted" / "demote" → "demot", "flipping" → "flip".
+ * The same Porter stemmer as the assistant's retrieval, so search and the
+ * assistant treat a word's forms alike.
+ */
+export function stemWord(word) {
+  return porterStem((word || '').toLowerCase());
+}
+
+/** Levenshtein distance, giving up (returns max + 1) once it exceeds `max`. */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+const SYNONYM_STEMS = new Map();
+GAME_SYNONYMS.forEach((group) => {
+  const stems = new Set(group.map(stemWord));
+  stems.forEach((stem) => SYNONYM_STEMS.set(stem, new Set([...(SYNONYM_STEMS.get(stem) || []), ...stems])));
+});
+
+/**
+ * One stem shared by a word and all its game synonyms ("lords", "lord" and
+ * "king" get the same one), so features built from it (see vectorRetriever)
+ * treat them as one word.
+ */
+export function canonicalStem(word) {
+  const stem = stemWord(word);
+  const group = SYNONYM_STEMS.get(stem);
+  return group ? [...group].sort()[0] : stem;
+}
+
 /**
  * Normalize search query: trim and coerce to string so no caller can pass
  * leading/trailing space and break matching or produce invalid markdown.
@@ -10,25 +87,135 @@ export function normalizeSearchQuery(query) {
   return (typeof query === 'string' ? query : '').trim();
 }
 
+const SEARCH_SCOPES = ['rules', 'expansions'];
+
+/**
+ * Parse the search bar syntax:
+ *   flip strike        both words must match (AND)
+ *   "hammer test"      exact phrase
+ *   -uprising          leave out sections that mention it (also -"two words")
+ *   in:rules           only search one tab (in:rules / in:expansions)
+ *
+ * @param {string} query
+ * @returns {{ terms: string[], phrases: string[], excluded: string[], scope: 'rules'|'expansions'|null }}
+ */
+export function parseSearchQuery(query) {
+  const parsed = { terms: [], phrases: [], excluded: [], scope: null };
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  for (const [, minus, phrase, word] of normalizeSearchQuery(query).matchAll(pattern)) {
+    if (phrase !== undefined) {
+      const text = phrase.trim().replace(/\s+/g, ' ').toLowerCase();
+      if (text) (minus ? parsed.excluded : parsed.phrases).push(text);
+      continue;
+    }
+    const lower = word.toLowerCase();
+    const scope = lower.startsWith('in:') ? lower.slice(3) : null;
+    if (SEARCH_SCOPES.includes(scope)) parsed.scope = scope;
+    else if (lower.startsWith('-')) {
+      if (lower.length > 1) parsed.excluded.push(lower.slice(1));
+    } else parsed.terms.push(lower);
+  }
+  return parsed;
+}
+
+/** Regex source matching `phrase` word for word, allowing any punctuation or markup between words. */
+function phrasePattern(phrase) {
+  const words = phrase.match(WORD) || [];
+  return words.length ? `\\b${words.join('[^A-Za-z0-9]+')}\\b` : null;
+}
+
+/**
+ * Build a matcher for a query string or parseSearchQuery() result. Only the
+ * plain terms (stopwords dropped) and phrases count; exclusions and scope don't.
+ *   termWeight(i, word)  scores a text word against term i (0 = no match)
+ *   weight(word)         best score against any term
+ *   phrasePattern        regex source for the phrases, or null
+ *   hasPhrases(text)     true when every phrase appears in the text
+ */
+export function createTermMatcher(query) {
+  const parsed = typeof query === 'string' || query == null ? parseSearchQuery(query) : query;
+  const words = tokenize((parsed.terms || []).join(' '), { stem: false });
+  const terms = [...new Set(words)].map((word) => {
+    const stem = stemWord(word);
+    return { word, stem, synonyms: SYNONYM_STEMS.get(stem) || new Set() };
+  });
+  const phrases = (parsed.phrases || []).map(phrasePattern).filter(Boolean);
+  const cache = new Map();
+
+  const weightFor = (term, word) => {
+    const stem = stemWord(word);
+    if (stem === term.stem) return MATCH_WEIGHTS.STEM;
+    if (term.synonyms.has(stem)) return MATCH_WEIGHTS.SYNONYM;
+    if (term.stem.length < MIN_FUZZY_LENGTH || stem.length < MIN_FUZZY_LENGTH || stem[0] !== term.stem[0]) return 0;
+    const allowed = term.stem.length >= 8 ? 2 : 1;
+    return editDistance(stem, term.stem, allowed) <= allowed ? MATCH_WEIGHTS.FUZZY : 0;
+  };
+
+  return {
+    terms: terms.map((t) => t.word),
+    phrasePattern: phrases.length ? phrases.join('|') : null,
+    isEmpty: terms.length === 0 && phrases.length === 0,
+    termWeight: (i, word) => weightFor(terms[i], word),
+    weight: (word) => {
+      const key = word.toLowerCase();
+      if (!cache.has(key)) cache.set(key, Math.max(0, ...terms.map((t) => weightFor(t, key))));
+      return cache.get(key);
+    },
+    hasPhrases: (text) => phrases.every((source) => new RegExp(source, 'i').test(text || '')),
+  };
+}
+
 /**
- * Highlight every occurrence of the query in the text using markdown ** for bold.
- * Uses normalized (trimmed) query and wraps the trimmed match in ** so we never
- * produce "**word **". Matches that include trailing/leading space in the source
- * are still found; we wrap the trimmed match so markdown renders correctly.
+ * Run `onToken(token, isMatch)` over `text`, where a token is a whole phrase
+ * match, a word, or (with `skipLinks`) a markdown link target, which never matches.
+ */
+function scanMatches(text, matcher, skipLinks, onToken) {
+  const alternatives = [skipLinks && '\\]\\([^)]*\\)', matcher.phrasePattern, '[A-Za-z0-9]+'].filter(Boolean);
+  const phrase = matcher.phrasePattern ? new RegExp(`^(?:${matcher.phrasePattern})$`, 'i') : null;
+  let cursor = 0;
+  for (const m of text.matchAll(new RegExp(alternatives.join('|'), 'gi'))) {
+    const token = m[0];
+    const isMatch = !(skipLinks && token.startsWith('](')) && (Boolean(phrase?.test(token)) || matcher.weight(token) > 0);
+    onToken(text.slice(cursor, m.index), false);
+    onToken(token, isMatch);
+    cursor = m.index + token.length;
+  }
+  onToken(text.slice(cursor), false);
+}
+
+/**
+ * Split plain text (a title or snippet) into `{ text, match }` segments, with
+ * every phrase and word the query matches marked, each term on its own.
+ * Pass a matcher to reuse one across calls.
+ */
+export function splitHighlights(text, query, matcher = createTermMatcher(query)) {
+  const segments = [];
+  scanMatches(text || '', matcher, false, (value, match) => {
+    if (!value) return;
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) last.text += value;
+    else segments.push({ text: value, match });
+  });
+  return segments;
+}
+
+/**
+ * Bold (markdown **) every phrase and word in the text that the query matches,
+ * including stems, synonyms and near-misses. Excluded terms are not marked.
+ * Link targets are left alone so in-document anchors keep working.
  */
 export function highlightMatches(text, query) {
   const normalizedQuery = normalizeSearchQuery(query);
   if (!normalizedQuery || normalizedQuery.length < 2 || !text || typeof text !== 'string') {
     return text;
   }
-
-  const escapedForRegex = normalizedQuery.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-  const regex = new RegExp(escapedForRegex, 'gi');
-
-  return text.replace(regex, (match) => {
-    const safeMatch = typeof match === 'string' ? match : String(match);
-    return '**' + safeMatch.trim() + '**';
+  const matcher = createTermMatcher(normalizedQuery);
+  if (matcher.isEmpty) return text;
+  let out = '';
+  scanMatches(text, matcher, true, (value, match) => {
+    out += match ? `**${value}**` : value;
   });
+  return out;
 }
 
 /**